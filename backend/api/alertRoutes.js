@@ -0,0 +1,211 @@
+const express = require('express');
+const router = express.Router();
+const alertService = require('../services/alertService');
+const { describeConditions } = require('../utils/alertConditions');
+const { validateSymbolQuery, validateAlert } = require('../middleware/validators');
+
+/**
+ * Parse the history limit query parameter
+ * @param {string} [limit] - Raw limit
+ * @returns {number|null} Limit (default 50), or null when invalid
+ */
+function parseLimit(limit) {
+  if (limit === undefined) {
+    return 50;
+  }
+
+  const value = Number(limit);
+  return /^\d+$/.test(limit) && value >= 1 && value <= 500 ? value : null;
+}
+
+/**
+ * Send a 404 for a missing alert
+ * @param {Object} res - Response
+ * @param {string} id - Alert id
+ */
+function notFound(res, id) {
+  return res.status(404).json({
+    error: true,
+    message: `Alert ${id} not found`
+  });
+}
+
+/**
+ * @route   GET /api/alerts
+ * @desc    List alerts, optionally for one symbol
+ * @access  Public
+ */
+router.get('/', validateSymbolQuery, async (req, res, next) => {
+  try {
+    const { symbol } = req.query;
+    const alerts = await alertService.listAlerts(symbol);
+    
+    res.json(alerts);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/alerts/conditions
+ * @desc    List the supported alert conditions
+ * @access  Public
+ */
+router.get('/conditions', (req, res) => {
+  res.json(describeConditions());
+});
+
+/**
+ * @route   GET /api/alerts/history
+ * @desc    Get triggered alerts, newest first (?symbol=, ?limit= up to 500)
+ * @access  Public
+ */
+router.get('/history', validateSymbolQuery, async (req, res, next) => {
+  try {
+    const { symbol } = req.query;
+    const limit = parseLimit(req.query.limit);
+    
+    if (limit === null) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid limit. Must be a whole number between 1 and 500'
+      });
+    }
+    
+    const history = await alertService.getHistory({ symbol, limit });
+    
+    res.json(history);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/alerts/check
+ * @desc    Check all enabled alerts now instead of waiting for the scheduler
+ * @access  Public
+ */
+router.post('/check', async (req, res, next) => {
+  try {
+    const result = await alertService.checkAlerts();
+    
+    if (!result) {
+      return res.status(409).json({
+        error: true,
+        message: 'An alert check is already running'
+      });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/alerts
+ * @desc    Create an alert, e.g. { symbol: 'AAPL', condition: 'rsi-crosses-below', threshold: 30, cooldownMinutes: 240 }
+ * @access  Public
+ */
+router.post('/', validateAlert, async (req, res, next) => {
+  try {
+    const alert = await alertService.createAlert(req.body);
+    
+    res.status(201).json(alert);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/alerts/:id
+ * @desc    Get an alert
+ * @access  Public
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const alert = await alertService.getAlert(id);
+    
+    if (!alert) {
+      return notFound(res, id);
+    }
+    
+    res.json(alert);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/alerts/:id
+ * @desc    Replace an alert's definition
+ * @access  Public
+ */
+router.put('/:id', validateAlert, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const alert = await alertService.updateAlert(id, req.body);
+    
+    if (!alert) {
+      return notFound(res, id);
+    }
+    
+    res.json(alert);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/alerts/:id
+ * @desc    Delete an alert (its history is kept)
+ * @access  Public
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const deleted = await alertService.deleteAlert(id);
+    
+    if (!deleted) {
+      return notFound(res, id);
+    }
+    
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/alerts/:id/history
+ * @desc    Get an alert's triggers, newest first (?limit= up to 500)
+ * @access  Public
+ */
+router.get('/:id/history', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const limit = parseLimit(req.query.limit);
+    
+    if (limit === null) {
+      return res.status(400).json({
+        error: true,
+        message: 'Invalid limit. Must be a whole number between 1 and 500'
+      });
+    }
+    
+    const alert = await alertService.getAlert(id);
+    
+    if (!alert) {
+      return notFound(res, id);
+    }
+    
+    const history = await alertService.getHistory({ alertId: alert.id, limit });
+    
+    res.json(history);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
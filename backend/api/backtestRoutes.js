@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const backtestService = require('../services/backtestService');
+const { validateBacktest } = require('../middleware/validators');
+
+/**
+ * @route   POST /api/backtest
+ * @desc    Replay a signal strategy over a symbol's history
+ * @access  Public
+ * @body    { symbol, timeRange, interval, adjusted, strategy: { entry, exit, initialCapital, sizing, commission, commissionPercent, slippage } }
+ */
+router.post('/', validateBacktest, async (req, res, next) => {
+  try {
+    const { symbol, strategy, timeRange = '1y', interval, adjusted = true } = req.body;
+    
+    const result = await backtestService.backtest(symbol, strategy, timeRange, interval, adjusted);
+    
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
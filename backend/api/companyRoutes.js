@@ -1,17 +1,25 @@
 const express = require('express');
 const router = express.Router();
 const companyService = require('../services/companyService');
-const { validateSymbol } = require('../middleware/validators');
+const { validateSymbol, validateCompanyQuery, validateSearch } = require('../middleware/validators');
+const { DEFAULT_LIMIT } = require('../utils/search');
 const cache = require('../middleware/cache');
 
 /**
  * @route   GET /api/companies
- * @desc    Get list of all available companies
+ * @desc    Get the companies in the security master, optionally including
+ *          delisted ones, filtered by asset class or exchange, or as of a date
  * @access  Public
  */
-router.get('/', cache.middleware(3600), async (req, res, next) => {
+router.get('/', validateCompanyQuery, cache.middleware(3600), async (req, res, next) => {
   try {
-    const companies = await companyService.getAllCompanies();
+    const { includeDelisted, assetClass, exchange, asOf } = req.query;
+    const companies = await companyService.getAllCompanies({
+      includeDelisted: includeDelisted === 'true',
+      assetClass,
+      exchange,
+      asOf
+    });
     res.json(companies);
   } catch (error) {
     next(error);
@@ -20,22 +28,34 @@ router.get('/', cache.middleware(3600), async (req, res, next) => {
 
 /**
  * @route   GET /api/companies/search
- * @desc    Search for companies by name or symbol
+ * @desc    Search companies by symbol, name, ISIN or FIGI, ranked from exact
+ *          symbol matches down to typo-tolerant name matches, with paging
+ *          (limit, offset) and the matched ranges for highlighting
  * @access  Public
  */
-router.get('/search', cache.middleware(300), async (req, res, next) => {
+router.get('/search', validateSearch, cache.middleware(300), async (req, res, next) => {
   try {
     const { query } = req.query;
+    const limit = req.query.limit ? Number(req.query.limit) : DEFAULT_LIMIT;
+    const offset = req.query.offset ? Number(req.query.offset) : 0;
     
-    if (!query) {
-      return res.status(400).json({
-        error: true,
-        message: 'Query parameter is required'
-      });
-    }
-    
-    const results = await companyService.searchCompanies(query);
-    res.json(results);
+    const { total, results } = await companyService.searchCompanies(query, { limit, offset });
+    res.json({ query, total, limit, offset, results });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/companies/reload
+ * @desc    Re-read the security master files
+ * @access  Public
+ */
+router.post('/reload', async (req, res, next) => {
+  try {
+    const stats = await companyService.reloadSecurityMaster();
+    cache.delByPrefix(req.baseUrl);
+    res.json(stats);
   } catch (error) {
     next(error);
   }
@@ -43,7 +63,8 @@ router.get('/search', cache.middleware(300), async (req, res, next) => {
 
 /**
  * @route   GET /api/companies/:symbol
- * @desc    Get detailed information about a specific company
+ * @desc    Get a company's security master record, symbol history and
+ *          fundamentals (former symbols resolve to the current listing)
  * @access  Public
  */
 router.get('/:symbol', validateSymbol, cache.middleware(3600), async (req, res, next) => {
@@ -0,0 +1,302 @@
+const express = require('express');
+const router = express.Router();
+const portfolioService = require('../services/portfolioService');
+const riskService = require('../services/riskService');
+const {
+  validatePortfolio,
+  validateCostBasisMethod,
+  validateTransaction,
+  validateRiskQuery
+} = require('../middleware/validators');
+
+/**
+ * Send a 404 for a missing portfolio
+ * @param {Object} res - Response
+ * @param {string} id - Portfolio id
+ */
+function notFound(res, id) {
+  return res.status(404).json({
+    error: true,
+    message: `Portfolio ${id} not found`
+  });
+}
+
+/**
+ * Send a 409 when another portfolio already has a name
+ * @param {Object} res - Response
+ * @param {string} name - Portfolio name
+ */
+function nameTaken(res, name) {
+  return res.status(409).json({
+    error: true,
+    message: `Portfolio ${name} already exists`
+  });
+}
+
+/**
+ * @route   GET /api/portfolios
+ * @desc    List portfolios
+ * @access  Public
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const portfolios = await portfolioService.listPortfolios();
+    
+    res.json(portfolios);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/portfolios
+ * @desc    Create a portfolio, e.g. { name: 'Retirement', costBasisMethod: 'fifo' }
+ * @access  Public
+ */
+router.post('/', validatePortfolio, async (req, res, next) => {
+  try {
+    const name = req.body.name.trim();
+    
+    if (await portfolioService.findPortfolioByName(name)) {
+      return nameTaken(res, name);
+    }
+    
+    const portfolio = await portfolioService.createPortfolio({ ...req.body, name });
+    
+    res.status(201).json(portfolio);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/portfolios/:id
+ * @desc    Get a portfolio
+ * @access  Public
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const portfolio = await portfolioService.getPortfolio(id);
+    
+    if (!portfolio) {
+      return notFound(res, id);
+    }
+    
+    res.json(portfolio);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PATCH /api/portfolios/:id
+ * @desc    Rename a portfolio ({ name }) and/or change its cost basis method ({ costBasisMethod })
+ * @access  Public
+ */
+router.patch('/:id', validatePortfolio, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const name = req.body.name === undefined ? undefined : req.body.name.trim();
+    
+    if (name !== undefined) {
+      const existing = await portfolioService.findPortfolioByName(name);
+      if (existing && String(existing.id) !== String(id)) {
+        return nameTaken(res, name);
+      }
+    }
+    
+    const portfolio = await portfolioService.updatePortfolio(id, { name, costBasisMethod: req.body.costBasisMethod });
+    
+    if (!portfolio) {
+      return notFound(res, id);
+    }
+    
+    res.json(portfolio);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/portfolios/:id
+ * @desc    Delete a portfolio and its transactions
+ * @access  Public
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const deleted = await portfolioService.deletePortfolio(id);
+    
+    if (!deleted) {
+      return notFound(res, id);
+    }
+    
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/portfolios/:id/transactions
+ * @desc    List a portfolio's transactions by date
+ * @access  Public
+ */
+router.get('/:id/transactions', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    if (!(await portfolioService.getPortfolio(id))) {
+      return notFound(res, id);
+    }
+    
+    const transactions = await portfolioService.listTransactions(id);
+    
+    res.json(transactions);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/portfolios/:id/transactions
+ * @desc    Record a transaction, e.g. { type: 'BUY', date: '2024-03-01', symbol: 'AAPL', quantity: 10, price: 180.5, fees: 1 }
+ * @access  Public
+ */
+router.post('/:id/transactions', validateTransaction, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    if (!(await portfolioService.getPortfolio(id))) {
+      return notFound(res, id);
+    }
+    
+    // Reject sales and withdrawals of more than is held at that date
+    const problem = await portfolioService.checkTransactions(id, { add: req.body });
+    if (problem) {
+      return res.status(400).json({
+        error: true,
+        message: problem
+      });
+    }
+    
+    const transaction = await portfolioService.addTransaction(id, req.body);
+    
+    res.status(201).json(transaction);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/portfolios/:id/transactions/:transactionId
+ * @desc    Delete a transaction
+ * @access  Public
+ */
+router.delete('/:id/transactions/:transactionId', async (req, res, next) => {
+  try {
+    const { id, transactionId } = req.params;
+    const transactions = await portfolioService.listTransactions(id);
+    
+    if (!transactions.some(transaction => String(transaction.id) === transactionId)) {
+      return res.status(404).json({
+        error: true,
+        message: `Transaction ${transactionId} not found in portfolio ${id}`
+      });
+    }
+    
+    // Removing a buy or deposit must not leave a later sale or withdrawal uncovered
+    const problem = await portfolioService.checkTransactions(id, { remove: transactionId });
+    if (problem) {
+      return res.status(409).json({
+        error: true,
+        message: `Transaction ${transactionId} cannot be deleted: ${problem}`
+      });
+    }
+    
+    await portfolioService.deleteTransaction(id, transactionId);
+    
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/portfolios/:id/holdings
+ * @desc    Get positions with realized and unrealized P&L marked to current quotes
+ *          (?method=fifo|lifo|average overrides the portfolio's cost basis method)
+ * @access  Public
+ */
+router.get('/:id/holdings', validateCostBasisMethod, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const holdings = await portfolioService.getHoldings(id, req.query.method);
+    
+    if (!holdings) {
+      return notFound(res, id);
+    }
+    
+    res.json(holdings);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/portfolios/:id/performance
+ * @desc    Get time- and money-weighted returns and the daily value history
+ * @access  Public
+ */
+router.get('/:id/performance', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const performance = await portfolioService.getPerformance(id);
+    
+    if (!performance) {
+      return notFound(res, id);
+    }
+    
+    res.json(performance);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/portfolios/:id/risk
+ * @desc    Analyze the risk of the open positions, weighted by market value
+ *          (?benchmark=SPY&timeRange=1y&confidence=0.95)
+ * @access  Public
+ */
+router.get('/:id/risk', validateRiskQuery, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { benchmark, timeRange, confidence } = req.query;
+    const holdings = await portfolioService.getHoldings(id);
+    
+    if (!holdings) {
+      return notFound(res, id);
+    }
+    
+    if (holdings.positions.length === 0) {
+      return res.status(409).json({
+        error: true,
+        message: `Portfolio ${id} has no open positions`
+      });
+    }
+    
+    const risk = await riskService.getPortfolioRisk(holdings, {
+      benchmark,
+      timeRange,
+      confidence: confidence === undefined ? undefined : Number(confidence)
+    });
+    
+    res.json(risk);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const riskService = require('../services/riskService');
+const { validateRisk } = require('../middleware/validators');
+
+/**
+ * @route   POST /api/risk
+ * @desc    Analyze the risk of weighted holdings: volatility, beta, VaR/CVaR,
+ *          max drawdown and each position's contribution to risk
+ * @access  Public
+ * @body    { holdings: [{ symbol, weight }], benchmark, timeRange, confidence, value }
+ */
+router.post('/', validateRisk, async (req, res, next) => {
+  try {
+    const { holdings, benchmark, timeRange, confidence, value } = req.body;
+    
+    const risk = await riskService.getRisk(holdings, { benchmark, timeRange, confidence, value });
+    
+    res.json(risk);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,219 @@
+const express = require('express');
+const router = express.Router();
+const screenerService = require('../services/screenerService');
+const { describeFields, resolveScreen, parseScreenQuery } = require('../utils/screener');
+const {
+  validateScreenPaging,
+  validateScreenQuery,
+  validateScreenRun,
+  validateScreen
+} = require('../middleware/validators');
+const cache = require('../middleware/cache');
+
+/**
+ * Read the paging query parameters
+ * @param {Object} query - Validated query
+ * @returns {Object} `{ limit, offset }`
+ */
+function paging(query) {
+  return {
+    limit: query.limit === undefined ? screenerService.DEFAULT_LIMIT : Number(query.limit),
+    offset: query.offset === undefined ? 0 : Number(query.offset)
+  };
+}
+
+/**
+ * Send a 404 for a missing screen
+ * @param {Object} res - Response
+ * @param {string} id - Screen id
+ */
+function notFound(res, id) {
+  return res.status(404).json({
+    error: true,
+    message: `Screen ${id} not found`
+  });
+}
+
+/**
+ * Send a 409 when another screen already has a name
+ * @param {Object} res - Response
+ * @param {string} name - Screen name
+ */
+function nameTaken(res, name) {
+  return res.status(409).json({
+    error: true,
+    message: `Screen ${name} already exists`
+  });
+}
+
+/**
+ * @route   GET /api/screener/fields
+ * @desc    List the fields screens can filter and sort on
+ * @access  Public
+ */
+router.get('/fields', (req, res) => {
+  res.json(describeFields());
+});
+
+/**
+ * @route   GET /api/screener
+ * @desc    Run a screen given as query parameters, e.g.
+ *          ?marketCap.min=1e10&rsi.max=30&rsi.period=14&sector=Technology&sort=-marketCap&limit=25
+ * @access  Public
+ */
+router.get('/', validateScreenQuery, cache.middleware(60), async (req, res, next) => {
+  try {
+    const screen = resolveScreen(parseScreenQuery(req.query));
+    const result = await screenerService.runScreen(screen, paging(req.query));
+    
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/screener
+ * @desc    Run a screen
+ * @access  Public
+ * @body    { filters: [{ field, min, max, in, params }], sort: { field, direction, params }, limit, offset }
+ */
+router.post('/', validateScreenRun, async (req, res, next) => {
+  try {
+    const { filters, sort } = req.body;
+    const result = await screenerService.runScreen({ filters, sort }, paging(req.body));
+    
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/screener/screens
+ * @desc    List saved screens
+ * @access  Public
+ */
+router.get('/screens', async (req, res, next) => {
+  try {
+    const screens = await screenerService.listScreens();
+    
+    res.json(screens);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/screener/screens
+ * @desc    Save a screen: { name, description, filters, sort }
+ * @access  Public
+ */
+router.post('/screens', validateScreen, async (req, res, next) => {
+  try {
+    const name = req.body.name.trim();
+    
+    if (await screenerService.findScreenByName(name)) {
+      return nameTaken(res, name);
+    }
+    
+    const screen = await screenerService.createScreen({ ...req.body, name });
+    
+    res.status(201).json(screen);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/screener/screens/:id
+ * @desc    Get a saved screen
+ * @access  Public
+ */
+router.get('/screens/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const screen = await screenerService.getScreen(id);
+    
+    if (!screen) {
+      return notFound(res, id);
+    }
+    
+    res.json(screen);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PATCH /api/screener/screens/:id
+ * @desc    Rename a saved screen or change its description, filters or sort
+ * @access  Public
+ */
+router.patch('/screens/:id', validateScreen, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const name = req.body.name === undefined ? undefined : req.body.name.trim();
+    
+    if (name !== undefined) {
+      const existing = await screenerService.findScreenByName(name);
+      if (existing && String(existing.id) !== String(id)) {
+        return nameTaken(res, name);
+      }
+    }
+    
+    const screen = await screenerService.updateScreen(id, { ...req.body, name });
+    
+    if (!screen) {
+      return notFound(res, id);
+    }
+    
+    res.json(screen);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/screener/screens/:id
+ * @desc    Delete a saved screen
+ * @access  Public
+ */
+router.delete('/screens/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const deleted = await screenerService.deleteScreen(id);
+    
+    if (!deleted) {
+      return notFound(res, id);
+    }
+    
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/screener/screens/:id/results
+ * @desc    Run a saved screen (?limit, ?offset)
+ * @access  Public
+ */
+router.get('/screens/:id/results', validateScreenPaging, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const screen = await screenerService.getScreen(id);
+    
+    if (!screen) {
+      return notFound(res, id);
+    }
+    
+    const result = await screenerService.runScreen(screen, paging(req.query));
+    
+    res.json({ screen: { id: screen.id, name: screen.name }, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
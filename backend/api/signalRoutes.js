@@ -0,0 +1,147 @@
+const express = require('express');
+const router = express.Router();
+const signalService = require('../services/signalService');
+const {
+  validateSymbol,
+  validateTimeRange,
+  validateInterval,
+  validateSignalDefinition
+} = require('../middleware/validators');
+
+/**
+ * @route   GET /api/signals
+ * @desc    List saved signal definitions, optionally for one team
+ * @access  Public
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { team } = req.query;
+    
+    const signals = await signalService.listSignals(team);
+    
+    res.json(signals);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/signals
+ * @desc    Save a named signal, e.g. { name: 'oversold-uptrend', expression: 'rsi(14) < 30 and close > sma(200)' }
+ * @access  Public
+ */
+router.post('/', validateSignalDefinition, async (req, res, next) => {
+  try {
+    const existing = await signalService.getSignal(req.body.name);
+    
+    if (existing) {
+      return res.status(409).json({
+        error: true,
+        message: `Signal ${req.body.name} already exists`
+      });
+    }
+    
+    const signal = await signalService.createSignal(req.body);
+    
+    res.status(201).json(signal);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/signals/:name
+ * @desc    Get a saved signal definition
+ * @access  Public
+ */
+router.get('/:name', async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    const signal = await signalService.getSignal(name);
+    
+    if (!signal) {
+      return res.status(404).json({
+        error: true,
+        message: `Signal ${name} not found`
+      });
+    }
+    
+    res.json(signal);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/signals/:name
+ * @desc    Replace a saved signal's expression and details
+ * @access  Public
+ */
+router.put('/:name', validateSignalDefinition, async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    const signal = await signalService.updateSignal(name, req.body);
+    
+    if (!signal) {
+      return res.status(404).json({
+        error: true,
+        message: `Signal ${name} not found`
+      });
+    }
+    
+    res.json(signal);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/signals/:name
+ * @desc    Delete a saved signal
+ * @access  Public
+ */
+router.delete('/:name', async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    const deleted = await signalService.deleteSignal(name);
+    
+    if (!deleted) {
+      return res.status(404).json({
+        error: true,
+        message: `Signal ${name} not found`
+      });
+    }
+    
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/signals/:name/events/:symbol
+ * @desc    Evaluate a saved signal over a stock's history
+ * @access  Public
+ */
+router.get('/:name/events/:symbol', validateSymbol, validateTimeRange, validateInterval('1y'), async (req, res, next) => {
+  try {
+    const { name, symbol } = req.params;
+    const { timeRange = '1y', interval } = req.query;
+    const signal = await signalService.getSignal(name);
+    
+    if (!signal) {
+      return res.status(404).json({
+        error: true,
+        message: `Signal ${name} not found`
+      });
+    }
+    
+    const result = await signalService.evaluateExpression(symbol, signal.expression, timeRange, interval, signal);
+    
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,27 +1,35 @@
 const express = require('express');
 const router = express.Router();
 const stockService = require('../services/stockService');
-const { validateSymbol, validateTimeRange } = require('../middleware/validators');
+const signalService = require('../services/signalService');
+const riskService = require('../services/riskService');
+const {
+  validateSymbol,
+  validateTimeRange,
+  validateInterval,
+  validateAdjusted,
+  validateComparison,
+  validateIndicator,
+  validateExpression,
+  validateCorrelation
+} = require('../middleware/validators');
+const { describeIndicators } = require('../utils/indicatorDefinitions');
 const cache = require('../middleware/cache');
 
 /**
  * @route   GET /api/stocks/compare
  * @desc    Compare stock performance of multiple symbols
+ *          (?rebase=true adds lines rebased to 100; &benchmark=SPY adds relative strength against it)
  * @access  Public
  */
-router.get('/compare', cache.middleware(300), async (req, res, next) => {
+router.get('/compare', validateComparison, cache.middleware(300), async (req, res, next) => {
   try {
-    const { symbols, timeRange = '1m' } = req.query;
-    
-    if (!symbols) {
-      return res.status(400).json({
-        error: true,
-        message: 'Symbols parameter is required'
-      });
-    }
-    
+    const { symbols, timeRange = '1m', rebase, benchmark } = req.query;
     const symbolArray = symbols.split(',');
-    const comparisonData = await stockService.compareStocks(symbolArray, timeRange);
+    const comparisonData = await stockService.compareStocks(symbolArray, timeRange, {
+      rebase: rebase === 'true',
+      benchmark
+    });
     
     res.json(comparisonData);
   } catch (error) {
@@ -29,17 +37,48 @@ router.get('/compare', cache.middleware(300), async (req, res, next) => {
   }
 });
 
+/**
+ * @route   GET /api/stocks/correlation
+ * @desc    Correlate the daily log returns of multiple symbols
+ *          (?symbols=AAPL,MSFT,GOOGL&timeRange=1y&window=20 adds rolling correlations per pair)
+ * @access  Public
+ */
+router.get('/correlation', validateCorrelation, cache.middleware(300), async (req, res, next) => {
+  try {
+    const { symbols, timeRange = '1m', window } = req.query;
+    
+    const correlation = await riskService.getCorrelation(
+      symbols.split(','),
+      timeRange,
+      window === undefined ? undefined : parseInt(window, 10)
+    );
+    
+    res.json(correlation);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/stocks/indicators
+ * @desc    List the supported technical indicators and their parameters
+ * @access  Public
+ */
+router.get('/indicators', cache.middleware(3600), (req, res) => {
+  res.json(describeIndicators());
+});
+
 /**
  * @route   GET /api/stocks/:symbol
  * @desc    Get stock price data for a specific symbol
  * @access  Public
  */
-router.get('/:symbol', validateSymbol, validateTimeRange, cache.middleware(300), async (req, res, next) => {
+router.get('/:symbol', validateSymbol, validateTimeRange, validateInterval('1m'), validateAdjusted, cache.middleware(300), async (req, res, next) => {
   try {
     const { symbol } = req.params;
-    const { timeRange = '1m' } = req.query;
+    const { timeRange = '1m', interval, adjusted } = req.query;
     
-    const stockData = await stockService.getStockData(symbol, timeRange);
+    const stockData = await stockService.getStockData(symbol, timeRange, interval, adjusted !== 'false');
     
     res.json(stockData);
   } catch (error) {
@@ -69,19 +108,13 @@ router.get('/:symbol/quote', validateSymbol, cache.middleware(30), async (req, r
  * @desc    Get technical indicators for a specific stock
  * @access  Public
  */
-router.get('/:symbol/indicators', validateSymbol, cache.middleware(300), async (req, res, next) => {
+router.get('/:symbol/indicators', validateSymbol, validateTimeRange, validateInterval('1m'), validateAdjusted, validateIndicator, cache.middleware(300), async (req, res, next) => {
   try {
     const { symbol } = req.params;
-    const { indicator, timeRange = '1m' } = req.query;
-    
-    if (!indicator) {
-      return res.status(400).json({
-        error: true,
-        message: 'Indicator parameter is required'
-      });
-    }
+    const { indicator, timeRange = '1m', interval, adjusted } = req.query;
     
-    const indicatorData = await stockService.getStockIndicator(symbol, indicator, timeRange);
+    // Parameters are read from the query by name, e.g. ?indicator=sma&period=200
+    const indicatorData = await stockService.getStockIndicator(symbol, indicator, timeRange, interval, adjusted !== 'false', req.query);
     
     res.json(indicatorData);
   } catch (error) {
@@ -107,6 +140,27 @@ router.get('/:symbol/technical-analysis', validateSymbol, cache.middleware(600),
   }
 });
 
+/**
+ * @route   GET /api/stocks/:symbol/signals
+ * @desc    Get dated signal events (crossovers, RSI zones, Bollinger breaches) for a specific stock,
+ *          or the events of an ad-hoc expression passed as ?expression=
+ * @access  Public
+ */
+router.get('/:symbol/signals', validateSymbol, validateTimeRange, validateInterval('6m'), validateExpression, cache.middleware(300), async (req, res, next) => {
+  try {
+    const { symbol } = req.params;
+    const { timeRange = '6m', interval, expression } = req.query;
+    
+    const signals = expression
+      ? await signalService.evaluateExpression(symbol, expression, timeRange, interval)
+      : await stockService.getSignals(symbol, timeRange, interval);
+    
+    res.json(signals);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route   GET /api/stocks/:symbol/52week
  * @desc    Get 52-week high/low data for a specific stock
@@ -124,4 +178,22 @@ router.get('/:symbol/52week', validateSymbol, cache.middleware(3600), async (req
   }
 });
 
+/**
+ * @route   GET /api/stocks/:symbol/events
+ * @desc    Get stock splits and dividends for a specific stock
+ * @access  Public
+ */
+router.get('/:symbol/events', validateSymbol, validateTimeRange, cache.middleware(3600), async (req, res, next) => {
+  try {
+    const { symbol } = req.params;
+    const { timeRange = 'max' } = req.query;
+    
+    const events = await stockService.getCorporateActions(symbol, timeRange);
+    
+    res.json(events);
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
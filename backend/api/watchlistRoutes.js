@@ -0,0 +1,206 @@
+const express = require('express');
+const router = express.Router();
+const watchlistService = require('../services/watchlistService');
+const {
+  MAX_WATCHLIST_SYMBOLS,
+  validateSymbol,
+  validateWatchlist,
+  validateWatchlistSymbol
+} = require('../middleware/validators');
+
+/**
+ * Send a 404 for a missing watchlist
+ * @param {Object} res - Response
+ * @param {string} id - Watchlist id
+ */
+function notFound(res, id) {
+  return res.status(404).json({
+    error: true,
+    message: `Watchlist ${id} not found`
+  });
+}
+
+/**
+ * Send a 409 when another watchlist already has a name
+ * @param {Object} res - Response
+ * @param {string} name - Watchlist name
+ */
+function nameTaken(res, name) {
+  return res.status(409).json({
+    error: true,
+    message: `Watchlist ${name} already exists`
+  });
+}
+
+/**
+ * @route   GET /api/watchlists
+ * @desc    List watchlists
+ * @access  Public
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const watchlists = await watchlistService.listWatchlists();
+    
+    res.json(watchlists);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/watchlists
+ * @desc    Create a watchlist, e.g. { name: 'Semis', symbols: ['NVDA', 'AMD'] }
+ * @access  Public
+ */
+router.post('/', validateWatchlist, async (req, res, next) => {
+  try {
+    const name = req.body.name.trim();
+    
+    if (await watchlistService.findWatchlistByName(name)) {
+      return nameTaken(res, name);
+    }
+    
+    const watchlist = await watchlistService.createWatchlist(name, req.body.symbols);
+    
+    res.status(201).json(watchlist);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/watchlists/:id
+ * @desc    Get a watchlist
+ * @access  Public
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const watchlist = await watchlistService.getWatchlist(id);
+    
+    if (!watchlist) {
+      return notFound(res, id);
+    }
+    
+    res.json(watchlist);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PATCH /api/watchlists/:id
+ * @desc    Rename a watchlist ({ name }) and/or reorder its symbols ({ symbols })
+ * @access  Public
+ */
+router.patch('/:id', validateWatchlist, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const name = req.body.name === undefined ? undefined : req.body.name.trim();
+    
+    if (name !== undefined) {
+      const existing = await watchlistService.findWatchlistByName(name);
+      if (existing && String(existing.id) !== String(id)) {
+        return nameTaken(res, name);
+      }
+    }
+    
+    const watchlist = await watchlistService.updateWatchlist(id, { name, symbols: req.body.symbols });
+    
+    if (!watchlist) {
+      return notFound(res, id);
+    }
+    
+    res.json(watchlist);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/watchlists/:id
+ * @desc    Delete a watchlist
+ * @access  Public
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const deleted = await watchlistService.deleteWatchlist(id);
+    
+    if (!deleted) {
+      return notFound(res, id);
+    }
+    
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/watchlists/:id/symbols
+ * @desc    Add a symbol, at the end or at a zero-based position ({ symbol, position })
+ * @access  Public
+ */
+router.post('/:id/symbols', validateWatchlistSymbol, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { symbol, position } = req.body;
+    const current = await watchlistService.getWatchlist(id);
+    
+    if (!current) {
+      return notFound(res, id);
+    }
+    
+    if (current.symbols.includes(symbol)) {
+      return res.status(409).json({
+        error: true,
+        message: `${symbol} is already in watchlist ${current.name}`
+      });
+    }
+    
+    if (current.symbols.length >= MAX_WATCHLIST_SYMBOLS) {
+      return res.status(400).json({
+        error: true,
+        message: `A watchlist can hold at most ${MAX_WATCHLIST_SYMBOLS} symbols`
+      });
+    }
+    
+    const watchlist = await watchlistService.addSymbol(id, symbol, position);
+    
+    res.status(201).json(watchlist);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/watchlists/:id/symbols/:symbol
+ * @desc    Remove a symbol from a watchlist
+ * @access  Public
+ */
+router.delete('/:id/symbols/:symbol', validateSymbol, async (req, res, next) => {
+  try {
+    const { id, symbol } = req.params;
+    const current = await watchlistService.getWatchlist(id);
+    
+    if (!current) {
+      return notFound(res, id);
+    }
+    
+    if (!current.symbols.includes(symbol)) {
+      return res.status(404).json({
+        error: true,
+        message: `${symbol} is not in watchlist ${current.name}`
+      });
+    }
+    
+    const watchlist = await watchlistService.removeSymbol(id, symbol);
+    
+    res.json(watchlist);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const { Sequelize } = require('sequelize');
+const logger = require('../utils/logger');
+
+/**
+ * Database connection and models
+ *
+ * Uses Postgres when DATABASE_URL is set (production) and a local SQLite
+ * file otherwise (SQLITE_STORAGE, default backend/data/market.sqlite).
+ * Set DATABASE_LOGGING=true to log SQL at debug level.
+ */
+
+const DATABASE_URL = process.env.DATABASE_URL;
+const logging = process.env.DATABASE_LOGGING === 'true' ? sql => logger.debug(sql) : false;
+const SQLITE_STORAGE = path.resolve(
+  __dirname, '..', process.env.SQLITE_STORAGE || 'data/market.sqlite'
+);
+
+let sequelize;
+
+if (DATABASE_URL) {
+  sequelize = new Sequelize(DATABASE_URL, {
+    dialect: 'postgres',
+    logging,
+    dialectOptions: process.env.DATABASE_SSL === 'true'
+      ? { ssl: { require: true, rejectUnauthorized: false } }
+      : {}
+  });
+} else {
+  fs.mkdirSync(path.dirname(SQLITE_STORAGE), { recursive: true });
+  sequelize = new Sequelize({
+    dialect: 'sqlite',
+    storage: SQLITE_STORAGE,
+    logging
+  });
+}
+
+const models = {
+  PriceBar: require('./models/priceBar')(sequelize),
+  PriceCoverage: require('./models/priceCoverage')(sequelize),
+  SignalDefinition: require('./models/signalDefinition')(sequelize),
+  Alert: require('./models/alert')(sequelize),
+  AlertEvent: require('./models/alertEvent')(sequelize),
+  Watchlist: require('./models/watchlist')(sequelize),
+  Portfolio: require('./models/portfolio')(sequelize),
+  PortfolioTransaction: require('./models/portfolioTransaction')(sequelize),
+  Screen: require('./models/screen')(sequelize)
+};
+
+let ready = null;
+
+/**
+ * Connect and create missing tables (runs once per process)
+ * @returns {Promise<void>}
+ */
+function init() {
+  if (!ready) {
+    ready = sequelize.authenticate()
+      .then(() => sequelize.sync())
+      .then(() => logger.info(`Database ready (${sequelize.getDialect()})`))
+      .catch(error => {
+        ready = null;
+        throw error;
+      });
+  }
+
+  return ready;
+}
+
+module.exports = {
+  sequelize,
+  init,
+  ...models
+};
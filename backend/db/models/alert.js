@@ -0,0 +1,43 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * A price or indicator alert checked by the alert scheduler
+ * (see services/alertService and utils/alertConditions)
+ * @param {Sequelize} sequelize - Connection
+ * @returns {Model} Alert model
+ */
+module.exports = (sequelize) => sequelize.define('Alert', {
+  symbol: {
+    type: DataTypes.STRING(32),
+    allowNull: false
+  },
+  condition: {
+    type: DataTypes.STRING(32),
+    allowNull: false
+  },
+  threshold: DataTypes.DOUBLE,
+  // Indicator parameters for indicator conditions, e.g. { period: 14 }
+  params: DataTypes.JSON,
+  // Delivery URL; falls back to ALERT_WEBHOOK_URL when empty
+  webhookUrl: DataTypes.STRING(2048),
+  cooldownMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 60
+  },
+  enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  note: DataTypes.TEXT,
+  // Value seen on the last check, for detecting crosses
+  lastValue: DataTypes.DOUBLE,
+  lastCheckedAt: DataTypes.DATE,
+  lastTriggeredAt: DataTypes.DATE
+}, {
+  tableName: 'alerts',
+  indexes: [
+    { fields: ['symbol'] }
+  ]
+});
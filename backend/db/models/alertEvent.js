@@ -0,0 +1,41 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * One firing of an alert, with the outcome of its webhook delivery
+ * @param {Sequelize} sequelize - Connection
+ * @returns {Model} AlertEvent model
+ */
+module.exports = (sequelize) => sequelize.define('AlertEvent', {
+  alertId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  symbol: {
+    type: DataTypes.STRING(32),
+    allowNull: false
+  },
+  condition: {
+    type: DataTypes.STRING(32),
+    allowNull: false
+  },
+  threshold: DataTypes.DOUBLE,
+  value: DataTypes.DOUBLE,
+  message: DataTypes.TEXT,
+  triggeredAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  // Webhook outcome: delivered, failed, or skipped when no URL is configured
+  delivery: {
+    type: DataTypes.STRING(16),
+    allowNull: false
+  },
+  deliveryError: DataTypes.TEXT
+}, {
+  tableName: 'alert_events',
+  updatedAt: false,
+  indexes: [
+    { fields: ['alertId'] },
+    { fields: ['symbol'] }
+  ]
+});
@@ -0,0 +1,23 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * A portfolio whose positions are derived from its transactions
+ * (see utils/portfolio)
+ * @param {Sequelize} sequelize - Connection
+ * @returns {Model} Portfolio model
+ */
+module.exports = (sequelize) => sequelize.define('Portfolio', {
+  name: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  // fifo, lifo or average
+  costBasisMethod: {
+    type: DataTypes.STRING(8),
+    allowNull: false,
+    defaultValue: 'fifo'
+  }
+}, {
+  tableName: 'portfolios'
+});
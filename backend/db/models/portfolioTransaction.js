@@ -0,0 +1,39 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * A buy, sell, dividend, split, deposit or withdrawal in a portfolio.
+ * Quantities and prices are as traded.
+ * @param {Sequelize} sequelize - Connection
+ * @returns {Model} PortfolioTransaction model
+ */
+module.exports = (sequelize) => sequelize.define('PortfolioTransaction', {
+  portfolioId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.STRING(16),
+    allowNull: false
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  // Null for deposits and withdrawals
+  symbol: DataTypes.STRING(32),
+  quantity: DataTypes.DOUBLE,
+  price: DataTypes.DOUBLE,
+  amount: DataTypes.DOUBLE,
+  ratio: DataTypes.DOUBLE,
+  fees: {
+    type: DataTypes.DOUBLE,
+    allowNull: false,
+    defaultValue: 0
+  },
+  note: DataTypes.TEXT
+}, {
+  tableName: 'portfolio_transactions',
+  indexes: [
+    { fields: ['portfolioId', 'date'] }
+  ]
+});
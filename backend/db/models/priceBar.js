@@ -0,0 +1,31 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * One daily OHLCV bar for a symbol
+ * @param {Sequelize} sequelize - Connection
+ * @returns {Model} PriceBar model
+ */
+module.exports = (sequelize) => sequelize.define('PriceBar', {
+  symbol: {
+    type: DataTypes.STRING(32),
+    allowNull: false
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  open: DataTypes.DOUBLE,
+  high: DataTypes.DOUBLE,
+  low: DataTypes.DOUBLE,
+  close: {
+    type: DataTypes.DOUBLE,
+    allowNull: false
+  },
+  volume: DataTypes.BIGINT,
+  provider: DataTypes.STRING(32)
+}, {
+  tableName: 'price_bars',
+  indexes: [
+    { unique: true, fields: ['symbol', 'date'] }
+  ]
+});
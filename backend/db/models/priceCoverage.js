@@ -0,0 +1,27 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * A date range already fetched for a symbol. Ranges are kept even when they
+ * hold no bars (holidays, pre-IPO dates) so they are never fetched again.
+ * @param {Sequelize} sequelize - Connection
+ * @returns {Model} PriceCoverage model
+ */
+module.exports = (sequelize) => sequelize.define('PriceCoverage', {
+  symbol: {
+    type: DataTypes.STRING(32),
+    allowNull: false
+  },
+  from: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  to: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  }
+}, {
+  tableName: 'price_coverage',
+  indexes: [
+    { fields: ['symbol'] }
+  ]
+});
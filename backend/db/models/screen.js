@@ -0,0 +1,26 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * A named stock screen: filters and sort order (see utils/screener)
+ * @param {Sequelize} sequelize - Connection
+ * @returns {Model} Screen model
+ */
+module.exports = (sequelize) => sequelize.define('Screen', {
+  name: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  description: DataTypes.TEXT,
+  filters: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  sort: {
+    type: DataTypes.JSON,
+    allowNull: false
+  }
+}, {
+  tableName: 'screens'
+});
@@ -0,0 +1,29 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * A named, user-defined signal written in the signal expression language
+ * (see utils/signalExpression)
+ * @param {Sequelize} sequelize - Connection
+ * @returns {Model} SignalDefinition model
+ */
+module.exports = (sequelize) => sequelize.define('SignalDefinition', {
+  name: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  expression: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // BUY or SELL when the signal is meant as an entry or exit, otherwise null
+  type: DataTypes.STRING(4),
+  description: DataTypes.TEXT,
+  // Team that owns the signal, for filtering shared lists
+  team: DataTypes.STRING(64)
+}, {
+  tableName: 'signal_definitions',
+  indexes: [
+    { fields: ['team'] }
+  ]
+});
@@ -0,0 +1,21 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * A named watchlist; symbols are kept in display order
+ * @param {Sequelize} sequelize - Connection
+ * @returns {Model} Watchlist model
+ */
+module.exports = (sequelize) => sequelize.define('Watchlist', {
+  name: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  symbols: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  }
+}, {
+  tableName: 'watchlists'
+});
@@ -0,0 +1,44 @@
+require('dotenv').config();
+const stockService = require('../services/stockService');
+const logger = require('../utils/logger');
+const { isValidSymbol, normalizeSymbol } = require('../utils/symbols');
+
+/**
+ * Backfill the full daily price history of symbols into the price store
+ *
+ * Usage: npm run backfill -- AAPL MSFT GOOGL
+ *        BACKFILL_SYMBOLS=AAPL,MSFT npm run backfill
+ */
+async function backfill(symbols) {
+  let failures = 0;
+
+  for (const symbol of symbols) {
+    try {
+      const summary = await stockService.backfillHistory(symbol);
+      logger.info(`Backfilled ${symbol}: ${summary.bars} bars from ${summary.firstDate} to ${summary.lastDate}`);
+    } catch (error) {
+      failures++;
+      logger.error(`Backfill failed for ${symbol}: ${error.message}`);
+    }
+  }
+
+  return failures;
+}
+
+const symbols = (process.argv.length > 2
+  ? process.argv.slice(2)
+  : (process.env.BACKFILL_SYMBOLS || '').split(',')
+).map(symbol => symbol.trim()).filter(Boolean);
+
+if (symbols.length === 0) {
+  console.error('Usage: npm run backfill -- SYMBOL [SYMBOL...]');
+  process.exit(1);
+}
+
+const invalid = symbols.filter(symbol => !isValidSymbol(symbol));
+if (invalid.length > 0) {
+  console.error(`Invalid symbol: ${invalid.join(', ')}`);
+  process.exit(1);
+}
+
+backfill(symbols.map(normalizeSymbol)).then(failures => process.exit(failures > 0 ? 1 : 0));
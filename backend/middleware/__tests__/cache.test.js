@@ -0,0 +1,64 @@
+const cache = require('../cache');
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+describe('coalesce', () => {
+  test('concurrent callers with the same key share one load', async () => {
+    const load = deferred();
+    const loader = jest.fn(() => load.promise);
+    const before = cache.getStats();
+
+    const first = cache.coalesce('quote_AAPL', loader);
+    const second = cache.coalesce('quote_AAPL', loader);
+    load.resolve({ price: 100 });
+
+    await expect(Promise.all([first, second])).resolves.toEqual([{ price: 100 }, { price: 100 }]);
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(cache.getStats()).toMatchObject({
+      loads: before.loads + 1,
+      coalesced: before.coalesced + 1,
+      inFlight: 0
+    });
+  });
+
+  test('different keys load independently', async () => {
+    const loader = jest.fn(async () => 'done');
+
+    await Promise.all([cache.coalesce('quote_AAPL', loader), cache.coalesce('quote_MSFT', loader)]);
+
+    expect(loader).toHaveBeenCalledTimes(2);
+  });
+
+  test('a settled load is not reused', async () => {
+    const loader = jest.fn(async () => 'done');
+
+    await cache.coalesce('quote_AAPL', loader);
+    await cache.coalesce('quote_AAPL', loader);
+
+    expect(loader).toHaveBeenCalledTimes(2);
+  });
+
+  test('failures reach every waiting caller and are not remembered', async () => {
+    const load = deferred();
+    const first = cache.coalesce('quote_IBM', () => load.promise);
+    const second = cache.coalesce('quote_IBM', () => Promise.resolve('unused'));
+    load.reject(new Error('rate limited'));
+
+    await expect(first).rejects.toThrow('rate limited');
+    await expect(second).rejects.toThrow('rate limited');
+    await expect(cache.coalesce('quote_IBM', async () => 'recovered')).resolves.toBe('recovered');
+  });
+
+  test('a loader that throws synchronously still rejects the promise', async () => {
+    await expect(cache.coalesce('quote_BAD', () => { throw new Error('bad symbol'); })).rejects.toThrow('bad symbol');
+    expect(cache.getStats().inFlight).toBe(0);
+  });
+});
@@ -0,0 +1,122 @@
+const { MAX_WATCHLIST_SYMBOLS, validateWatchlist, validateWatchlistSymbol, validateRisk, validateCorrelation, validateComparison } = require('../validators');
+
+/**
+ * Run a validator against a request and report how it answered
+ * @param {Function} validator - Validation middleware
+ * @param {Object} req - Request (body, params, query)
+ * @returns {Object} `{ status, body }` for a rejection, or `{ next: true }`
+ */
+function run(validator, req) {
+  const result = {};
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    }
+  };
+
+  validator({ params: {}, query: {}, body: {}, ...req }, res, () => {
+    result.next = true;
+  });
+
+  return result;
+}
+
+describe('validateWatchlist', () => {
+  test('accepts a new watchlist with distinct symbols', () => {
+    expect(run(validateWatchlist, { body: { name: 'Tech', symbols: ['AAPL', 'MSFT'] } })).toEqual({ next: true });
+  });
+
+  test('accepts an update with only symbols', () => {
+    expect(run(validateWatchlist, { params: { id: '1' }, body: { symbols: [] } })).toEqual({ next: true });
+  });
+
+  test.each([
+    [{ body: { symbols: ['AAPL'] } }, 'Watchlist name is required and must be at most 64 characters'],
+    [{ body: { name: '   ' } }, 'Watchlist name is required and must be at most 64 characters'],
+    [{ params: { id: '1' }, body: {} }, 'Nothing to update. Send a name and/or symbols'],
+    [{ body: { name: 'Tech', symbols: 'AAPL' } }, `Symbols must be a list of at most ${MAX_WATCHLIST_SYMBOLS} stock symbols`],
+    [{ body: { name: 'Tech', symbols: ['AAPL', 'S&P!'] } }, expect.stringMatching(/^Invalid symbol S&P!/)],
+    [{ body: { name: 'Tech', symbols: ['AAPL', 'aapl'] } }, 'Symbols must not repeat']
+  ])('rejects %j', (req, message) => {
+    expect(run(validateWatchlist, req)).toEqual({ status: 400, body: { error: true, message } });
+  });
+
+  test('caps the number of symbols', () => {
+    const symbols = Array.from({ length: MAX_WATCHLIST_SYMBOLS + 1 }, (_, i) => `S${i}`);
+
+    expect(run(validateWatchlist, { body: { name: 'Everything', symbols } }).status).toBe(400);
+  });
+});
+
+describe('validateWatchlistSymbol', () => {
+  test('accepts a symbol with an optional position', () => {
+    expect(run(validateWatchlistSymbol, { body: { symbol: 'AAPL' } })).toEqual({ next: true });
+    expect(run(validateWatchlistSymbol, { body: { symbol: 'AAPL', position: 0 } })).toEqual({ next: true });
+  });
+
+  test('rejects a bad position', () => {
+    expect(run(validateWatchlistSymbol, { body: { symbol: 'AAPL', position: -1 } }).body.message)
+      .toBe('Position must be a whole number of at least 0');
+  });
+});
+
+describe('validateRisk', () => {
+  const holdings = [{ symbol: 'AAPL', weight: 60 }, { symbol: 'MSFT', weight: 40 }];
+
+  test('accepts weighted holdings with options', () => {
+    expect(run(validateRisk, { body: { holdings, benchmark: 'SPY', timeRange: '1y', confidence: 0.99 } })).toEqual({ next: true });
+  });
+
+  test.each([
+    [{ holdings: [] }, 'Holdings must be a list of 1 to 50 { symbol, weight } entries'],
+    [{ holdings: [{ symbol: 'AAPL', weight: 0 }] }, 'Each holding needs a positive weight'],
+    [{ holdings: [...holdings, { symbol: 'AAPL', weight: 10 }] }, 'Each symbol may only be held once'],
+    [{ holdings, timeRange: '1m' }, 'Invalid time range. Must be one of: 3m, 6m, 1y, 5y, max'],
+    [{ holdings, confidence: 1 }, 'Invalid confidence. Must be a number from 0.8 up to (not including) 1, e.g. 0.95']
+  ])('rejects %j', (body, message) => {
+    expect(run(validateRisk, { body })).toEqual({ status: 400, body: { error: true, message } });
+  });
+});
+
+describe('validateCorrelation', () => {
+  test('accepts symbols with a time range and window', () => {
+    expect(run(validateCorrelation, { query: { symbols: 'AAPL,MSFT', timeRange: '1y', window: '20' } })).toEqual({ next: true });
+  });
+
+  test.each([
+    [{ symbols: 'AAPL' }, 'Symbols parameter must list 2 to 10 comma-separated symbols'],
+    [{ symbols: ['AAPL', 'MSFT'] }, 'Symbols parameter must list 2 to 10 comma-separated symbols'],
+    [{ symbols: 'AAPL,AAPL' }, 'Each symbol may only be listed once'],
+    [{ symbols: 'AAPL,MSFT', timeRange: '1d' }, expect.stringMatching(/^Invalid time range/)],
+    [{ symbols: 'AAPL,MSFT', window: '2' }, 'Invalid window. Must be a whole number of returns from 3 to 250']
+  ])('rejects %j', (query, message) => {
+    expect(run(validateCorrelation, { query })).toEqual({ status: 400, body: { error: true, message } });
+  });
+});
+
+describe('validateComparison', () => {
+  test('accepts symbols with a rebase flag and benchmark', () => {
+    expect(run(validateComparison, { query: { symbols: 'AAPL,MSFT', rebase: 'true', benchmark: 'SPY' } })).toEqual({ next: true });
+  });
+
+  test.each([
+    [{}, 'Symbols parameter is required'],
+    [{ symbols: ['AAPL', 'MSFT'] }, 'Symbols parameter must be a single comma-separated list, e.g. symbols=AAPL,MSFT'],
+    [{ symbols: 'AAPL', rebase: 'yes' }, 'Invalid rebase flag. Must be true or false'],
+    [{ symbols: 'AAPL', benchmark: 'S&P!' }, expect.stringMatching(/^Invalid benchmark: Invalid symbol S&P!/)]
+  ])('rejects %j', (query, message) => {
+    expect(run(validateComparison, { query })).toEqual({ status: 400, body: { error: true, message } });
+  });
+
+  test('normalizes the symbols and benchmark', () => {
+    const req = { query: { symbols: 'aapl,spx', benchmark: 'spy' } };
+
+    expect(run(validateComparison, req)).toEqual({ next: true });
+    expect(req.query).toMatchObject({ symbols: 'AAPL,^GSPC', benchmark: 'SPY' });
+  });
+});
@@ -3,14 +3,35 @@ const NodeCache = require('node-cache');
 // Initialize cache with default TTL of 5 minutes and check period of 10 minutes
 const cache = new NodeCache({ stdTTL: 300, checkperiod: 600 });
 
+// Upstream loads currently running, keyed like the cache
+const inFlight = new Map();
+
+// Loads started vs. callers that joined one already running
+const coalesceStats = { loads: 0, coalesced: 0 };
+
+/**
+ * Build the cache key of a request from its route, parameters and query as
+ * validated, so URLs that differ only in symbol case or alias share an entry
+ * @param {Object} req - Request
+ * @returns {string} Cache key
+ */
+const requestKey = (req) => {
+  if (!req.route) {
+    return req.originalUrl || req.url;
+  }
+  
+  const path = req.route.path.replace(/:(\w+)/g, (match, name) => encodeURIComponent(req.params[name]));
+  return `${req.baseUrl}${path}?${new URLSearchParams(req.query)}`;
+};
+
 /**
  * Middleware for caching API responses
  * @param {number} ttl - Time to live in seconds
  */
 const middleware = (ttl = 300) => {
   return (req, res, next) => {
-    // Create a unique key based on the request URL and query parameters
-    const key = req.originalUrl || req.url;
+    // Create a unique key based on the request route and query parameters
+    const key = requestKey(req);
     
     // Check if the response is cached
     const cachedResponse = cache.get(key);
@@ -62,6 +83,59 @@ const del = (key) => {
   return cache.del(key);
 };
 
+/**
+ * Remove every item whose key starts with a prefix, e.g. all cached
+ * responses of one router
+ * @param {string} prefix - Key prefix
+ * @returns {number} Number of items removed
+ */
+const delByPrefix = (prefix) => {
+  return cache.del(cache.keys().filter(key => key.startsWith(prefix)));
+};
+
+/**
+ * Run a loader once for all concurrent callers with the same key. Callers
+ * arriving while a load is in flight share its promise instead of starting
+ * their own upstream request; the entry is dropped once the load settles, so
+ * failures are not remembered.
+ * @param {string} key - Cache key identifying the load
+ * @param {Function} loader - Async function performing the load
+ * @returns {Promise<any>} Result of the shared load
+ */
+const coalesce = (key, loader) => {
+  if (inFlight.has(key)) {
+    coalesceStats.coalesced++;
+    return inFlight.get(key);
+  }
+
+  coalesceStats.loads++;
+
+  const promise = Promise.resolve()
+    .then(loader)
+    .finally(() => inFlight.delete(key));
+
+  inFlight.set(key, promise);
+
+  return promise;
+};
+
+/**
+ * Get cache and request-coalescing statistics
+ * @returns {Object} Cache hits/misses/keys and coalesced upstream loads
+ */
+const getStats = () => {
+  const { hits, misses, keys } = cache.getStats();
+
+  return {
+    keys,
+    hits,
+    misses,
+    loads: coalesceStats.loads,
+    coalesced: coalesceStats.coalesced,
+    inFlight: inFlight.size
+  };
+};
+
 /**
  * Clear the entire cache
  */
@@ -74,5 +148,8 @@ module.exports = {
   set,
   get,
   del,
+  delByPrefix,
+  coalesce,
+  getStats,
   flush
 };
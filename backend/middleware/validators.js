@@ -1,17 +1,92 @@
+const { TIME_RANGES, INTERVALS, getIntervalsForTimeRange } = require('../utils/timeRange');
+const { resolveIndicator } = require('../utils/indicatorDefinitions');
+const { normalizeStrategy } = require('../utils/backtester');
+const { compileExpression } = require('../utils/signalExpression');
+const { resolveCondition } = require('../utils/alertConditions');
+const { COST_BASIS_METHODS, TRANSACTION_TYPES, normalizeTransaction } = require('../utils/portfolio');
+const { ASSET_CLASSES, parseSymbol, normalizeSymbol, isValidSymbol } = require('../utils/symbols');
+const { resolveScreen, parseScreenQuery } = require('../utils/screener');
+
+// Symbols a watchlist may hold (the quote stream's per-connection limit)
+const MAX_WATCHLIST_SYMBOLS = 50;
+
+// Daily history long enough to estimate risk from
+const RISK_TIME_RANGES = ['3m', '6m', '1y', '5y', 'max'];
+
+// Holdings analysed together; each one costs a history fetch
+const MAX_RISK_HOLDINGS = 50;
+
+// Correlations need a few daily returns, so not a single day
+const CORRELATION_TIME_RANGES = TIME_RANGES.filter(timeRange => timeRange !== '1d');
+const MAX_CORRELATED_SYMBOLS = 10;
+
+// Company search query length and page size limits
+const MAX_SEARCH_LENGTH = 100;
+const MAX_SEARCH_LIMIT = 50;
+
+// Screener results per page
+const MAX_SCREEN_LIMIT = 100;
+
+/**
+ * Explains why a symbol is invalid for its asset class (see utils/symbols)
+ * @param {string} symbol - Symbol as sent
+ * @returns {string|null} Problem with the symbol, or null when valid
+ */
+const checkSymbol = (symbol) => {
+  try {
+    parseSymbol(symbol);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+/**
+ * Explains why any symbol in a list is invalid
+ * @param {Array<string>} symbols - Symbols as sent
+ * @returns {string|null} Problem with the first invalid symbol, or null when all are valid
+ */
+const checkSymbols = (symbols) => {
+  return symbols.map(checkSymbol).find(Boolean) || null;
+};
+
 /**
- * Validates that a stock symbol is properly formatted
+ * Validates a symbol route parameter and replaces it with its canonical
+ * form, so case variants and aliases share data and cache entries
  */
 const validateSymbol = (req, res, next) => {
   const { symbol } = req.params;
+  const problem = checkSymbol(symbol);
   
-  // Basic validation for stock symbol format
-  if (!symbol || !/^[A-Z0-9.]{1,5}$/.test(symbol)) {
+  if (problem) {
     return res.status(400).json({
       error: true,
-      message: 'Invalid stock symbol format. Should be 1-5 uppercase letters or numbers.'
+      message: problem
     });
   }
   
+  req.params.symbol = normalizeSymbol(symbol);
+  next();
+};
+
+/**
+ * Validates an optional symbol query parameter (a filter) and replaces it
+ * with its canonical form
+ */
+const validateSymbolQuery = (req, res, next) => {
+  const { symbol } = req.query;
+  
+  if (symbol !== undefined) {
+    const problem = checkSymbol(symbol);
+    if (problem) {
+      return res.status(400).json({
+        error: true,
+        message: problem
+      });
+    }
+    req.query.symbol = normalizeSymbol(symbol);
+  }
+  
   next();
 };
 
@@ -22,12 +97,40 @@ const validateTimeRange = (req, res, next) => {
   const { timeRange } = req.query;
   
   if (timeRange) {
-    const validRanges = ['1d', '5d', '1w', '1m', '3m', '6m', '1y', '5y', 'max'];
+    if (!TIME_RANGES.includes(timeRange)) {
+      return res.status(400).json({
+        error: true,
+        message: `Invalid time range. Must be one of: ${TIME_RANGES.join(', ')}`
+      });
+    }
+  }
+  
+  next();
+};
+
+/**
+ * Validates the bar interval parameter against the requested time range.
+ * Routes pass the time range they default to, so a request without one is
+ * checked against the range the handler will actually fetch
+ * @param {string} [defaultRange] - The route's default time range
+ */
+const validateInterval = (defaultRange = '1m') => (req, res, next) => {
+  const { interval, timeRange = defaultRange } = req.query;
+  
+  if (interval) {
+    if (!INTERVALS[interval]) {
+      return res.status(400).json({
+        error: true,
+        message: `Invalid interval. Must be one of: ${Object.keys(INTERVALS).join(', ')}`
+      });
+    }
     
-    if (!validRanges.includes(timeRange)) {
+    const allowed = getIntervalsForTimeRange(timeRange);
+    
+    if (!allowed.includes(interval)) {
       return res.status(400).json({
         error: true,
-        message: `Invalid time range. Must be one of: ${validRanges.join(', ')}`
+        message: `Interval ${interval} is not available for time range ${timeRange}. Use one of: ${allowed.join(', ')}`
       });
     }
   }
@@ -35,7 +138,686 @@ const validateTimeRange = (req, res, next) => {
   next();
 };
 
+/**
+ * Validates the adjusted flag (true or false)
+ */
+const validateAdjusted = (req, res, next) => {
+  const { adjusted } = req.query;
+  
+  if (adjusted !== undefined && !['true', 'false'].includes(adjusted)) {
+    return res.status(400).json({
+      error: true,
+      message: 'Invalid adjusted flag. Must be true or false'
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validates the symbols, optional rebase flag and benchmark symbol of a
+ * comparison, normalizing the symbols
+ */
+const validateComparison = (req, res, next) => {
+  const { symbols, rebase, benchmark } = req.query;
+  const symbolList = typeof symbols === 'string' ? symbols.split(',') : [];
+  const benchmarkProblem = benchmark === undefined ? null : checkSymbol(benchmark);
+  let message = null;
+  
+  if (!symbols) {
+    message = 'Symbols parameter is required';
+  } else if (typeof symbols !== 'string') {
+    message = 'Symbols parameter must be a single comma-separated list, e.g. symbols=AAPL,MSFT';
+  } else if (checkSymbols(symbolList)) {
+    message = checkSymbols(symbolList);
+  } else if (rebase !== undefined && !['true', 'false'].includes(rebase)) {
+    message = 'Invalid rebase flag. Must be true or false';
+  } else if (benchmarkProblem) {
+    message = `Invalid benchmark: ${benchmarkProblem}`;
+  }
+  
+  if (message) {
+    return res.status(400).json({
+      error: true,
+      message
+    });
+  }
+  
+  req.query.symbols = symbolList.map(normalizeSymbol).join(',');
+  if (benchmark !== undefined) {
+    req.query.benchmark = normalizeSymbol(benchmark);
+  }
+  next();
+};
+
+/**
+ * Validates the indicator name and its parameters against the indicator's schema
+ */
+const validateIndicator = (req, res, next) => {
+  const { indicator } = req.query;
+  
+  if (!indicator) {
+    return res.status(400).json({
+      error: true,
+      message: 'Indicator parameter is required'
+    });
+  }
+  
+  try {
+    resolveIndicator(indicator, req.query);
+  } catch (error) {
+    return res.status(400).json({
+      error: true,
+      message: error.message
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validates a backtest request body: symbol, time range, interval, adjusted flag and strategy
+ */
+const validateBacktest = (req, res, next) => {
+  const { symbol, timeRange = '1y', interval, adjusted, strategy } = req.body || {};
+  const symbolProblem = checkSymbol(symbol);
+  let message = null;
+  
+  if (symbolProblem) {
+    message = symbolProblem;
+  } else if (!TIME_RANGES.includes(timeRange)) {
+    message = `Invalid time range. Must be one of: ${TIME_RANGES.join(', ')}`;
+  } else if (interval !== undefined && !getIntervalsForTimeRange(timeRange).includes(interval)) {
+    message = `Interval ${interval} is not available for time range ${timeRange}. Use one of: ${getIntervalsForTimeRange(timeRange).join(', ')}`;
+  } else if (adjusted !== undefined && typeof adjusted !== 'boolean') {
+    message = 'Invalid adjusted flag. Must be true or false';
+  } else {
+    try {
+      normalizeStrategy(strategy);
+    } catch (error) {
+      message = error.message;
+    }
+  }
+  
+  if (message) {
+    return res.status(400).json({
+      error: true,
+      message
+    });
+  }
+  
+  req.body.symbol = normalizeSymbol(symbol);
+  next();
+};
+
+/**
+ * Checks a signal expression, reporting where parsing failed
+ * @param {string} expression - Signal expression
+ * @returns {Object|null} Error body for a 400 response, or null when valid
+ */
+const checkExpression = (expression) => {
+  try {
+    compileExpression(expression);
+    return null;
+  } catch (error) {
+    return {
+      error: true,
+      message: `Invalid expression: ${error.message}`,
+      position: error.position
+    };
+  }
+};
+
+/**
+ * Validates an optional ad-hoc signal expression in the query string
+ */
+const validateExpression = (req, res, next) => {
+  const { expression } = req.query;
+  
+  if (expression !== undefined) {
+    const problem = checkExpression(expression);
+    if (problem) {
+      return res.status(400).json(problem);
+    }
+  }
+  
+  next();
+};
+
+/**
+ * Validates a signal definition body: name (on create), expression, type, description and team
+ */
+const validateSignalDefinition = (req, res, next) => {
+  const { name, expression, type, description, team } = req.body || {};
+  const creating = !req.params.name;
+  let message = null;
+  
+  if (creating && (typeof name !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/.test(name))) {
+    message = 'Invalid signal name. Use 1-64 letters, numbers, dashes or underscores, starting with a letter or number.';
+  } else if (typeof expression !== 'string' || expression.trim() === '') {
+    message = 'Expression is required';
+  } else if (type !== undefined && type !== null && !['BUY', 'SELL'].includes(type)) {
+    message = 'Invalid signal type. Must be BUY or SELL';
+  } else if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 500)) {
+    message = 'Description must be text of at most 500 characters';
+  } else if (team !== undefined && team !== null && (typeof team !== 'string' || team.length > 64)) {
+    message = 'Team must be text of at most 64 characters';
+  }
+  
+  if (message) {
+    return res.status(400).json({
+      error: true,
+      message
+    });
+  }
+  
+  const problem = checkExpression(expression);
+  if (problem) {
+    return res.status(400).json(problem);
+  }
+  
+  next();
+};
+
+/**
+ * Checks a webhook URL is an absolute http(s) URL
+ * @param {*} url - URL to check
+ * @returns {boolean} True when valid
+ */
+const isValidWebhookUrl = (url) => {
+  try {
+    return typeof url === 'string' && url.length <= 2048 && ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validates an alert body: symbol, condition with its threshold and params,
+ * webhook URL, cooldown, enabled flag and note
+ */
+const validateAlert = (req, res, next) => {
+  const { symbol, webhookUrl, cooldownMinutes, enabled, note } = req.body || {};
+  const symbolProblem = checkSymbol(symbol);
+  let message = null;
+  
+  if (symbolProblem) {
+    message = symbolProblem;
+  } else if (webhookUrl !== undefined && webhookUrl !== null && !isValidWebhookUrl(webhookUrl)) {
+    message = 'Invalid webhook URL. Must be an http or https URL';
+  } else if (cooldownMinutes !== undefined && (!Number.isInteger(cooldownMinutes) || cooldownMinutes < 0 || cooldownMinutes > 10080)) {
+    message = 'Cooldown must be a whole number of minutes between 0 and 10080 (one week)';
+  } else if (enabled !== undefined && typeof enabled !== 'boolean') {
+    message = 'Invalid enabled flag. Must be true or false';
+  } else if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 500)) {
+    message = 'Note must be text of at most 500 characters';
+  } else {
+    try {
+      resolveCondition(req.body);
+    } catch (error) {
+      message = error.message;
+    }
+  }
+  
+  if (message) {
+    return res.status(400).json({
+      error: true,
+      message
+    });
+  }
+  
+  req.body.symbol = normalizeSymbol(symbol);
+  next();
+};
+
+/**
+ * Validates a watchlist body: name (required on create) and an ordered
+ * list of distinct symbols
+ */
+const validateWatchlist = (req, res, next) => {
+  const { name, symbols } = req.body || {};
+  const creating = !req.params.id;
+  let message = null;
+  
+  if ((creating || name !== undefined) && (typeof name !== 'string' || name.trim() === '' || name.length > 64)) {
+    message = 'Watchlist name is required and must be at most 64 characters';
+  } else if (!creating && name === undefined && symbols === undefined) {
+    message = 'Nothing to update. Send a name and/or symbols';
+  } else if (symbols !== undefined) {
+    if (!Array.isArray(symbols) || symbols.length > MAX_WATCHLIST_SYMBOLS) {
+      message = `Symbols must be a list of at most ${MAX_WATCHLIST_SYMBOLS} stock symbols`;
+    } else if (checkSymbols(symbols)) {
+      message = checkSymbols(symbols);
+    } else if (new Set(symbols.map(normalizeSymbol)).size !== symbols.length) {
+      message = 'Symbols must not repeat';
+    }
+  }
+  
+  if (message) {
+    return res.status(400).json({
+      error: true,
+      message
+    });
+  }
+  
+  if (symbols !== undefined) {
+    req.body.symbols = symbols.map(normalizeSymbol);
+  }
+  next();
+};
+
+/**
+ * Validates a symbol added to a watchlist, with its optional position
+ */
+const validateWatchlistSymbol = (req, res, next) => {
+  const { symbol, position } = req.body || {};
+  const symbolProblem = checkSymbol(symbol);
+  let message = null;
+  
+  if (symbolProblem) {
+    message = symbolProblem;
+  } else if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+    message = 'Position must be a whole number of at least 0';
+  }
+  
+  if (message) {
+    return res.status(400).json({
+      error: true,
+      message
+    });
+  }
+  
+  req.body.symbol = normalizeSymbol(symbol);
+  next();
+};
+
+/**
+ * Validates a portfolio body: name (required on create) and cost basis method
+ */
+const validatePortfolio = (req, res, next) => {
+  const { name, costBasisMethod } = req.body || {};
+  const creating = !req.params.id;
+  let message = null;
+  
+  if ((creating || name !== undefined) && (typeof name !== 'string' || name.trim() === '' || name.length > 64)) {
+    message = 'Portfolio name is required and must be at most 64 characters';
+  } else if (costBasisMethod !== undefined && !COST_BASIS_METHODS.includes(costBasisMethod)) {
+    message = `Invalid cost basis method. Must be one of: ${COST_BASIS_METHODS.join(', ')}`;
+  } else if (!creating && name === undefined && costBasisMethod === undefined) {
+    message = 'Nothing to update. Send a name and/or costBasisMethod';
+  }
+  
+  if (message) {
+    return res.status(400).json({
+      error: true,
+      message
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validates the optional cost basis method query parameter
+ */
+const validateCostBasisMethod = (req, res, next) => {
+  const { method } = req.query;
+  
+  if (method !== undefined && !COST_BASIS_METHODS.includes(method)) {
+    return res.status(400).json({
+      error: true,
+      message: `Invalid cost basis method. Must be one of: ${COST_BASIS_METHODS.join(', ')}`
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validates a portfolio transaction body
+ */
+const validateTransaction = (req, res, next) => {
+  const { type, symbol } = req.body || {};
+  const needsSymbol = Boolean(TRANSACTION_TYPES[type] && TRANSACTION_TYPES[type].symbol);
+  let message = null;
+  
+  if (needsSymbol && checkSymbol(symbol)) {
+    message = checkSymbol(symbol);
+  } else {
+    try {
+      normalizeTransaction(req.body);
+    } catch (error) {
+      message = error.message;
+    }
+  }
+  
+  if (message) {
+    return res.status(400).json({
+      error: true,
+      message
+    });
+  }
+  
+  if (needsSymbol) {
+    req.body.symbol = normalizeSymbol(symbol);
+  }
+  next();
+};
+
+/**
+ * Checks the benchmark, time range and confidence level of a risk analysis
+ * @param {Object} options - { benchmark, timeRange, confidence }
+ * @returns {string|null} Problem with the options, or null when valid
+ */
+const checkRiskOptions = ({ benchmark, timeRange, confidence }) => {
+  if (benchmark !== undefined && checkSymbol(benchmark)) {
+    return `Invalid benchmark: ${checkSymbol(benchmark)}`;
+  }
+  if (timeRange !== undefined && !RISK_TIME_RANGES.includes(timeRange)) {
+    return `Invalid time range. Must be one of: ${RISK_TIME_RANGES.join(', ')}`;
+  }
+  if (confidence !== undefined && !(typeof confidence === 'number' && confidence >= 0.8 && confidence < 1)) {
+    return 'Invalid confidence. Must be a number from 0.8 up to (not including) 1, e.g. 0.95';
+  }
+  return null;
+};
+
+/**
+ * Validates a risk analysis body: holdings ({ symbol, weight }), benchmark,
+ * timeRange, confidence and value
+ */
+const validateRisk = (req, res, next) => {
+  const { holdings, value, ...options } = req.body || {};
+  let message = null;
+  
+  if (!Array.isArray(holdings) || holdings.length === 0 || holdings.length > MAX_RISK_HOLDINGS) {
+    message = `Holdings must be a list of 1 to ${MAX_RISK_HOLDINGS} { symbol, weight } entries`;
+  } else if (holdings.some(holding => !holding || typeof holding !== 'object')) {
+    message = 'Each holding must be a { symbol, weight } entry';
+  } else if (checkSymbols(holdings.map(holding => holding.symbol))) {
+    message = checkSymbols(holdings.map(holding => holding.symbol));
+  } else if (holdings.some(holding => typeof holding.weight !== 'number' || !(holding.weight > 0))) {
+    message = 'Each holding needs a positive weight';
+  } else if (new Set(holdings.map(holding => normalizeSymbol(holding.symbol))).size !== holdings.length) {
+    message = 'Each symbol may only be held once';
+  } else if (value !== undefined && !(typeof value === 'number' && value > 0)) {
+    message = 'Invalid value. Must be a positive number';
+  } else {
+    message = checkRiskOptions(options);
+  }
+  
+  if (message) {
+    return res.status(400).json({
+      error: true,
+      message
+    });
+  }
+  
+  req.body.holdings = holdings.map(holding => ({ ...holding, symbol: normalizeSymbol(holding.symbol) }));
+  if (options.benchmark !== undefined) {
+    req.body.benchmark = normalizeSymbol(options.benchmark);
+  }
+  next();
+};
+
+/**
+ * Validates the benchmark, timeRange and confidence query parameters of a
+ * portfolio risk analysis
+ */
+const validateRiskQuery = (req, res, next) => {
+  const { benchmark, timeRange, confidence } = req.query;
+  const message = checkRiskOptions({
+    benchmark,
+    timeRange,
+    confidence: confidence === undefined ? undefined : Number(confidence)
+  });
+  
+  if (message) {
+    return res.status(400).json({
+      error: true,
+      message
+    });
+  }
+  
+  if (benchmark !== undefined) {
+    req.query.benchmark = normalizeSymbol(benchmark);
+  }
+  next();
+};
+
+/**
+ * Validates a correlation query: 2-10 comma-separated symbols, an optional
+ * time range of several days or more, and an optional rolling window
+ */
+const validateCorrelation = (req, res, next) => {
+  const { symbols, timeRange, window } = req.query;
+  const symbolList = typeof symbols === 'string' ? symbols.split(',') : [];
+  let message = null;
+  
+  if (symbolList.length < 2 || symbolList.length > MAX_CORRELATED_SYMBOLS) {
+    message = `Symbols parameter must list 2 to ${MAX_CORRELATED_SYMBOLS} comma-separated symbols`;
+  } else if (checkSymbols(symbolList)) {
+    message = checkSymbols(symbolList);
+  } else if (new Set(symbolList.map(normalizeSymbol)).size !== symbolList.length) {
+    message = 'Each symbol may only be listed once';
+  } else if (timeRange !== undefined && !CORRELATION_TIME_RANGES.includes(timeRange)) {
+    message = `Invalid time range. Must be one of: ${CORRELATION_TIME_RANGES.join(', ')}`;
+  } else if (window !== undefined && !(/^\d+$/.test(window) && Number(window) >= 3 && Number(window) <= 250)) {
+    message = 'Invalid window. Must be a whole number of returns from 3 to 250';
+  }
+  
+  if (message) {
+    return res.status(400).json({
+      error: true,
+      message
+    });
+  }
+  
+  req.query.symbols = symbolList.map(normalizeSymbol).join(',');
+  next();
+};
+
+/**
+ * Validates the company list filters: includeDelisted, assetClass, exchange
+ * and an asOf date
+ */
+const validateCompanyQuery = (req, res, next) => {
+  const { includeDelisted, assetClass, asOf } = req.query;
+  let message = null;
+  
+  if (includeDelisted !== undefined && !['true', 'false'].includes(includeDelisted)) {
+    message = 'includeDelisted must be true or false';
+  } else if (assetClass !== undefined && !ASSET_CLASSES.includes(assetClass)) {
+    message = `Invalid asset class. Must be one of: ${ASSET_CLASSES.join(', ')}`;
+  } else if (asOf !== undefined && (!/^\d{4}-\d{2}-\d{2}$/.test(asOf) || isNaN(new Date(`${asOf}T00:00:00Z`)))) {
+    message = 'asOf must be a YYYY-MM-DD date';
+  }
+  
+  if (message) {
+    return res.status(400).json({
+      error: true,
+      message
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validates a company search: a query of up to 100 characters, and an
+ * optional limit (1-50) and offset
+ */
+const validateSearch = (req, res, next) => {
+  const { query, limit, offset } = req.query;
+  let message = null;
+  
+  if (typeof query !== 'string' || query.trim() === '') {
+    message = 'Query parameter is required';
+  } else if (query.length > MAX_SEARCH_LENGTH) {
+    message = `Query must be at most ${MAX_SEARCH_LENGTH} characters`;
+  } else if (limit !== undefined && !(/^\d+$/.test(limit) && Number(limit) >= 1 && Number(limit) <= MAX_SEARCH_LIMIT)) {
+    message = `Invalid limit. Must be a whole number from 1 to ${MAX_SEARCH_LIMIT}`;
+  } else if (offset !== undefined && !/^\d+$/.test(offset)) {
+    message = 'Invalid offset. Must be a whole number';
+  }
+  
+  if (message) {
+    return res.status(400).json({
+      error: true,
+      message
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Checks optional limit and offset paging parameters
+ * @param {*} limit - Page size
+ * @param {*} offset - Results to skip
+ * @param {number} max - Largest page size
+ * @returns {string|null} Problem with the parameters, or null when valid
+ */
+const checkPaging = (limit, offset, max) => {
+  const isWhole = value => (typeof value === 'number' && Number.isInteger(value)) || /^\d+$/.test(String(value));
+  
+  if (limit !== undefined && !(isWhole(limit) && Number(limit) >= 1 && Number(limit) <= max)) {
+    return `Invalid limit. Must be a whole number from 1 to ${max}`;
+  }
+  if (offset !== undefined && !(isWhole(offset) && Number(offset) >= 0)) {
+    return 'Invalid offset. Must be a whole number';
+  }
+  return null;
+};
+
+/**
+ * Validates the limit and offset query parameters of a screener page
+ */
+const validateScreenPaging = (req, res, next) => {
+  const message = checkPaging(req.query.limit, req.query.offset, MAX_SCREEN_LIMIT);
+  
+  if (message) {
+    return res.status(400).json({
+      error: true,
+      message
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validates a screen given as query parameters (see utils/screener
+ * parseScreenQuery), with paging
+ */
+const validateScreenQuery = (req, res, next) => {
+  let message = checkPaging(req.query.limit, req.query.offset, MAX_SCREEN_LIMIT);
+  
+  if (!message) {
+    try {
+      resolveScreen(parseScreenQuery(req.query));
+    } catch (error) {
+      message = error.message;
+    }
+  }
+  
+  if (message) {
+    return res.status(400).json({
+      error: true,
+      message
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validates a screen to run: { filters, sort, limit, offset }. Filters and
+ * sort are replaced with their resolved form
+ */
+const validateScreenRun = (req, res, next) => {
+  const { limit, offset } = req.body || {};
+  let message = checkPaging(limit, offset, MAX_SCREEN_LIMIT);
+  
+  if (!message) {
+    try {
+      Object.assign(req.body, resolveScreen(req.body));
+    } catch (error) {
+      message = error.message;
+    }
+  }
+  
+  if (message) {
+    return res.status(400).json({
+      error: true,
+      message
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validates a saved screen body: name (required on create), description,
+ * filters and sort. Filters and sort are replaced with their resolved form
+ */
+const validateScreen = (req, res, next) => {
+  const { name, description, filters, sort } = req.body || {};
+  const creating = !req.params.id;
+  let message = null;
+  
+  if ((creating || name !== undefined) && (typeof name !== 'string' || name.trim() === '' || name.length > 64)) {
+    message = 'Screen name is required and must be at most 64 characters';
+  } else if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 500)) {
+    message = 'Description must be text of at most 500 characters';
+  } else if (!creating && [name, description, filters, sort].every(value => value === undefined)) {
+    message = 'Nothing to update. Send a name, description, filters and/or sort';
+  } else if (creating || filters !== undefined || sort !== undefined) {
+    try {
+      const resolved = resolveScreen({ filters, sort });
+      if (creating || filters !== undefined) req.body.filters = resolved.filters;
+      if (creating || sort !== undefined) req.body.sort = resolved.sort;
+    } catch (error) {
+      message = error.message;
+    }
+  }
+  
+  if (message) {
+    return res.status(400).json({
+      error: true,
+      message
+    });
+  }
+  
+  next();
+};
+
 module.exports = {
+  MAX_WATCHLIST_SYMBOLS,
+  isValidSymbol,
   validateSymbol,
-  validateTimeRange
+  validateSymbolQuery,
+  validateTimeRange,
+  validateInterval,
+  validateAdjusted,
+  validateComparison,
+  validateIndicator,
+  validateBacktest,
+  validateExpression,
+  validateSignalDefinition,
+  validateAlert,
+  validateWatchlist,
+  validateWatchlistSymbol,
+  validatePortfolio,
+  validateCostBasisMethod,
+  validateTransaction,
+  validateRisk,
+  validateRiskQuery,
+  validateCorrelation,
+  validateCompanyQuery,
+  validateSearch,
+  validateScreenPaging,
+  validateScreenQuery,
+  validateScreenRun,
+  validateScreen
 };
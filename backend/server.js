@@ -5,10 +5,21 @@ const morgan = require('morgan');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
+const quoteStream = require('./services/quoteStream');
+const alertService = require('./services/alertService');
+const securityMaster = require('./services/securityMaster');
+const cache = require('./middleware/cache');
 
 // Import routes
 const stockRoutes = require('./api/stockRoutes');
 const companyRoutes = require('./api/companyRoutes');
+const backtestRoutes = require('./api/backtestRoutes');
+const signalRoutes = require('./api/signalRoutes');
+const alertRoutes = require('./api/alertRoutes');
+const watchlistRoutes = require('./api/watchlistRoutes');
+const portfolioRoutes = require('./api/portfolioRoutes');
+const riskRoutes = require('./api/riskRoutes');
+const screenerRoutes = require('./api/screenerRoutes');
 
 // Initialize express app
 const app = express();
@@ -39,6 +50,13 @@ app.use('/api', apiLimiter);
 // API routes
 app.use('/api/stocks', stockRoutes);
 app.use('/api/companies', companyRoutes);
+app.use('/api/backtest', backtestRoutes);
+app.use('/api/signals', signalRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/watchlists', watchlistRoutes);
+app.use('/api/portfolios', portfolioRoutes);
+app.use('/api/risk', riskRoutes);
+app.use('/api/screener', screenerRoutes);
 
 // Serve static assets in production
 if (process.env.NODE_ENV === 'production') {
@@ -54,6 +72,10 @@ app.get('/health', (req, res) => {
   res.status(200).json({ 
     status: 'OK', 
     message: 'Stock Dashboard API is running',
+    cache: cache.getStats(),
+    quoteStream: quoteStream.getStats(),
+    alerts: alertService.getStats(),
+    securityMaster: securityMaster.getStats(),
     timestamp: new Date().toISOString()
   });
 });
@@ -68,6 +90,12 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`Server running on port ${PORT}`);
 });
+
+// Push quote updates over WebSocket on the same port
+quoteStream.attach(server);
+
+// Check price and indicator alerts in the background
+alertService.start();
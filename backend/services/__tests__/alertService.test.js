@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../utils/logger');
+jest.mock('../stockService');
+jest.mock('axios');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+process.env.SQLITE_STORAGE = path.join(storageDir, 'market.sqlite');
+
+const axios = require('axios');
+const db = require('../../db');
+const stockService = require('../stockService');
+const alertService = require('../alertService');
+
+const MINUTE = 60 * 1000;
+const quote = price => ({ symbol: 'AAPL', price, changePercent: 0, fiftyTwoWeekHigh: null, fiftyTwoWeekLow: null });
+
+beforeEach(async () => {
+  await db.init();
+  await db.Alert.destroy({ where: {} });
+  await db.AlertEvent.destroy({ where: {} });
+  jest.resetAllMocks();
+});
+
+afterAll(async () => {
+  await db.sequelize.close();
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+describe('alertService', () => {
+  test('fires a crossing once and delivers it to the webhook', async () => {
+    const alert = await alertService.createAlert({
+      symbol: 'AAPL', condition: 'price-crosses-above', threshold: 100, webhookUrl: 'http://hooks.test/alerts'
+    });
+    axios.post.mockResolvedValue({ status: 200 });
+
+    const start = new Date('2024-03-01T15:00:00Z');
+    stockService.getCurrentQuote.mockResolvedValue(quote(99));
+    expect((await alertService.checkAlerts(start)).triggered).toHaveLength(0);
+
+    stockService.getCurrentQuote.mockResolvedValue(quote(101));
+    const { triggered } = await alertService.checkAlerts(new Date(start.getTime() + MINUTE));
+    expect(triggered).toHaveLength(1);
+    expect(triggered[0]).toMatchObject({ alertId: alert.id, value: 101, delivery: 'delivered' });
+    expect(axios.post).toHaveBeenCalledWith('http://hooks.test/alerts', expect.objectContaining({ value: 101 }), expect.any(Object));
+
+    stockService.getCurrentQuote.mockResolvedValue(quote(102));
+    expect((await alertService.checkAlerts(new Date(start.getTime() + 2 * MINUTE))).triggered).toHaveLength(0);
+  });
+
+  test('holds a firing alert back until its cooldown has passed', async () => {
+    const alert = await alertService.createAlert({ symbol: 'AAPL', condition: 'change-beyond', threshold: 3, cooldownMinutes: 30 });
+    stockService.getCurrentQuote.mockResolvedValue({ ...quote(100), changePercent: 4 });
+
+    const start = new Date('2024-03-01T15:00:00Z');
+    expect((await alertService.checkAlerts(start)).triggered).toHaveLength(1);
+    expect((await alertService.checkAlerts(new Date(start.getTime() + 29 * MINUTE))).triggered).toHaveLength(0);
+    expect((await alertService.checkAlerts(new Date(start.getTime() + 30 * MINUTE))).triggered).toHaveLength(1);
+
+    const history = await alertService.getHistory({ alertId: alert.id });
+    expect(history).toHaveLength(2);
+    expect(history[0].delivery).toBe('skipped');
+    expect(new Date(history[0].triggeredAt) > new Date(history[1].triggeredAt)).toBe(true);
+  });
+
+  test('records a failed webhook without losing the event', async () => {
+    await alertService.createAlert({ symbol: 'AAPL', condition: 'change-beyond', threshold: 1, webhookUrl: 'http://hooks.test/down' });
+    stockService.getCurrentQuote.mockResolvedValue({ ...quote(100), changePercent: -2 });
+    axios.post.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    const { triggered } = await alertService.checkAlerts(new Date('2024-03-01T15:00:00Z'));
+
+    expect(triggered[0]).toMatchObject({ delivery: 'failed', deliveryError: 'connect ECONNREFUSED' });
+  });
+
+  test('reads RSI alerts from the latest indicator value', async () => {
+    await alertService.createAlert({ symbol: 'AAPL', condition: 'rsi-crosses-below', threshold: 30, params: { period: 7 } });
+    stockService.getCurrentQuote.mockResolvedValue(quote(100));
+    stockService.getStockIndicator
+      .mockResolvedValueOnce({ data: [{ date: '2024-03-01', value: 35 }] })
+      .mockResolvedValueOnce({ data: [{ date: '2024-03-01', value: 35 }, { date: '2024-03-04', value: 28 }] });
+
+    await alertService.checkAlerts(new Date('2024-03-01T21:00:00Z'));
+    const { triggered } = await alertService.checkAlerts(new Date('2024-03-04T21:00:00Z'));
+
+    expect(triggered).toHaveLength(1);
+    expect(triggered[0].value).toBe(28);
+    expect(stockService.getStockIndicator).toHaveBeenCalledWith('AAPL', 'rsi', '1y', '1d', true, { period: 7 });
+  });
+
+  test('skips a symbol whose quote fails and leaves its alerts untouched', async () => {
+    const alert = await alertService.createAlert({ symbol: 'AAPL', condition: 'price-crosses-above', threshold: 100 });
+    stockService.getCurrentQuote.mockRejectedValue(new Error('Provider down'));
+
+    expect(await alertService.checkAlerts()).toEqual({ checked: 1, triggered: [] });
+    expect((await alertService.getAlert(alert.id)).lastCheckedAt).toBeNull();
+  });
+
+  test('changing what an alert watches resets its crossing state', async () => {
+    const alert = await alertService.createAlert({ symbol: 'AAPL', condition: 'price-crosses-above', threshold: 100 });
+    stockService.getCurrentQuote.mockResolvedValue(quote(99));
+    await alertService.checkAlerts();
+
+    const sameWatch = await alertService.updateAlert(alert.id, { symbol: 'AAPL', condition: 'price-crosses-above', threshold: 110 });
+    expect(sameWatch.lastValue).toBe(99);
+
+    const newWatch = await alertService.updateAlert(alert.id, { symbol: 'MSFT', condition: 'price-crosses-above', threshold: 110 });
+    expect(newWatch.lastValue).toBeNull();
+    expect(await alertService.updateAlert(9999, { symbol: 'AAPL', condition: 'new-52w-high' })).toBeNull();
+  });
+});
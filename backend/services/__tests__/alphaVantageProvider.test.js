@@ -0,0 +1,44 @@
+const mockClient = {
+  data: { intraday: jest.fn(), daily: jest.fn(), quote: jest.fn() },
+  fundamental: { company_overview: jest.fn() }
+};
+
+jest.mock('alphavantage', () => () => mockClient);
+
+process.env.ALPHA_VANTAGE_API_KEY = 'test';
+
+const alphaVantage = require('../providers/alphaVantageProvider');
+
+const bar = price => ({ '1. open': price, '2. high': price, '3. low': price, '4. close': price, '5. volume': '100' });
+
+describe('alphaVantageProvider', () => {
+  test('converts intraday Eastern times to UTC across daylight saving', async () => {
+    mockClient.data.intraday.mockResolvedValue({
+      'Meta Data': { '6. Time Zone': 'US/Eastern' },
+      'Time Series (5min)': {
+        '2024-03-11 09:30:00': bar('2'),
+        '2024-03-08 09:30:00': bar('1'),
+        '2024-11-04 16:00:00': bar('3')
+      }
+    });
+
+    const bars = await alphaVantage.getHistory('AAPL', { timeRange: '1d', interval: '5m', from: '2024-01-01' });
+
+    expect(bars.map(({ date, close }) => [date, close])).toEqual([
+      ['2024-03-08T14:30:00.000Z', 1],
+      ['2024-03-11T13:30:00.000Z', 2],
+      ['2024-11-04T21:00:00.000Z', 3]
+    ]);
+  });
+
+  test('leaves daily dates alone', async () => {
+    mockClient.data.daily.mockResolvedValue({
+      'Meta Data': { '5. Time Zone': 'US/Eastern' },
+      'Time Series (Daily)': { '2024-03-08': bar('1'), '2024-03-11': bar('2') }
+    });
+
+    const bars = await alphaVantage.getHistory('AAPL', { timeRange: '1y', from: '2024-01-01' });
+
+    expect(bars.map(({ date }) => date)).toEqual(['2024-03-08', '2024-03-11']);
+  });
+});
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prices-'));
+process.env.MARKET_DATA_DIR = dataDir;
+
+const fileProvider = require('../providers/fileProvider');
+
+const write = (name, content) => fs.writeFileSync(path.join(dataDir, name), content);
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+  delete process.env.FILE_PROVIDER_COLUMNS;
+});
+
+describe('fileProvider', () => {
+  test('reads a Yahoo-style CSV export in date order, skipping null rows', async () => {
+    write('YHOO.csv', [
+      'Date,Open,High,Low,Close,Adj Close,Volume',
+      '2024-01-03,11,12,10,11.5,11.4,2000',
+      '2024-01-02,10,11,9,10.5,10.4,1000',
+      '2024-01-04,null,null,null,null,null,null'
+    ].join('\n'));
+
+    expect(await fileProvider.getHistory('YHOO', { timeRange: '1m' })).toEqual([
+      { date: '2024-01-02', open: 10, high: 11, low: 9, close: 10.5, volume: 1000 },
+      { date: '2024-01-03', open: 11, high: 12, low: 10, close: 11.5, volume: 2000 }
+    ]);
+  });
+
+  test('handles semicolons, quoted thousands and US dates, keeping the last duplicate', async () => {
+    write('EURO.csv', [
+      'Day;Price;Vol.',
+      '01/02/2024;"1,234.5";"1,000"',
+      '01/03/2024;1240;500',
+      '01/03/2024;1250;600'
+    ].join('\r\n'));
+
+    expect(await fileProvider.getHistory('euro', { timeRange: '1m' })).toEqual([
+      { date: '2024-01-02', open: 1234.5, high: 1234.5, low: 1234.5, close: 1234.5, volume: 1000 },
+      { date: '2024-01-03', open: 1250, high: 1250, low: 1250, close: 1250, volume: 600 }
+    ]);
+  });
+
+  test('reads JSON bars and honours an explicit column mapping', async () => {
+    process.env.FILE_PROVIDER_COLUMNS = 'date:t,close:settle';
+    write('JSN.json', JSON.stringify({ bars: [{ t: 1704153600, settle: 5 }, { t: 1704240000, settle: 6 }] }));
+
+    const bars = await fileProvider.getHistory('JSN', { timeRange: '1m' });
+
+    expect(bars.map(bar => [bar.date, bar.close])).toEqual([['2024-01-02', 5], ['2024-01-03', 6]]);
+  });
+
+  test('counts time ranges back from the last bar and quotes from the last two', async () => {
+    write('OLD.csv', [
+      'Date,Close',
+      '2020-01-02,100',
+      '2020-05-29,110',
+      '2020-06-01,99'
+    ].join('\n'));
+
+    const bars = await fileProvider.getHistory('OLD', { timeRange: '1m' });
+    const quote = await fileProvider.getQuote('OLD');
+
+    expect(bars.map(bar => bar.date)).toEqual(['2020-05-29', '2020-06-01']);
+    expect(quote).toMatchObject({ price: 99, previousClose: 110, change: -11, changePercent: -10 });
+    expect(await fileProvider.get52Week('OLD')).toEqual({ fiftyTwoWeekHigh: 110, fiftyTwoWeekLow: 99 });
+  });
+
+  test('fails for unknown symbols and files without a close column', async () => {
+    write('BAD.csv', 'Date,Open\n2024-01-02,10\n');
+
+    await expect(fileProvider.getHistory('NOPE', { timeRange: '1m' })).rejects.toThrow('No data file for symbol NOPE');
+    await expect(fileProvider.getHistory('BAD', { timeRange: '1m' })).rejects.toThrow('needs at least a date and a close');
+  });
+});
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../utils/logger');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'price-store-'));
+process.env.SQLITE_STORAGE = path.join(storageDir, 'market.sqlite');
+
+const db = require('../../db');
+const priceStore = require('../priceStore');
+const { addDays, toDateKey } = require('../../utils/timeRange');
+
+const bar = (date, close) => ({ date, open: close, high: close, low: close, close, volume: 100 });
+
+beforeEach(async () => {
+  await db.init();
+  await db.PriceBar.destroy({ where: {} });
+  await db.PriceCoverage.destroy({ where: {} });
+});
+
+afterAll(async () => {
+  await db.sequelize.close();
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+describe('priceStore', () => {
+  test('everything is missing for a new symbol', async () => {
+    expect(await priceStore.getMissingRanges('AAPL', '2024-01-01', '2024-01-31'))
+      .toEqual([{ from: '2024-01-01', to: '2024-01-31' }]);
+  });
+
+  test('reports only the gaps around and between covered ranges', async () => {
+    await priceStore.saveBars('AAPL', [bar('2024-01-05', 10)], 'yahoo', { from: '2024-01-05', to: '2024-01-10' });
+    await priceStore.saveBars('AAPL', [bar('2024-01-20', 11)], 'yahoo', { from: '2024-01-15', to: '2024-01-20' });
+
+    expect(await priceStore.getMissingRanges('AAPL', '2024-01-01', '2024-01-31')).toEqual([
+      { from: '2024-01-01', to: '2024-01-04' },
+      { from: '2024-01-11', to: '2024-01-14' },
+      { from: '2024-01-21', to: '2024-01-31' }
+    ]);
+    expect(await priceStore.getMissingRanges('AAPL', '2024-01-06', '2024-01-09')).toEqual([]);
+    expect(await priceStore.getMissingRanges('MSFT', '2024-01-06', '2024-01-09'))
+      .toEqual([{ from: '2024-01-06', to: '2024-01-09' }]);
+  });
+
+  test('merges overlapping and adjacent coverage into one range', async () => {
+    await priceStore.saveBars('AAPL', [], 'yahoo', { from: '2024-01-01', to: '2024-01-10' });
+    await priceStore.saveBars('AAPL', [], 'yahoo', { from: '2024-01-11', to: '2024-01-20' });
+    await priceStore.saveBars('AAPL', [], 'yahoo', { from: '2024-01-15', to: '2024-01-25' });
+
+    const ranges = await db.PriceCoverage.findAll({ where: { symbol: 'AAPL' }, raw: true });
+
+    expect(ranges.map(({ from, to }) => ({ from, to }))).toEqual([{ from: '2024-01-01', to: '2024-01-25' }]);
+  });
+
+  test('never marks today as covered', async () => {
+    const today = toDateKey(new Date());
+    const weekAgo = addDays(today, -7);
+
+    await priceStore.saveBars('AAPL', [bar(today, 12)], 'yahoo', { from: weekAgo, to: today });
+
+    expect(await priceStore.getMissingRanges('AAPL', weekAgo, today)).toEqual([{ from: today, to: today }]);
+    expect(await priceStore.getBars('AAPL', today, today)).toEqual([bar(today, 12)]);
+  });
+
+  test('updates bars saved twice and keeps intraday bars out', async () => {
+    await priceStore.saveBars('AAPL', [bar('2024-01-03', 10), bar('2024-01-02', 9)], 'alphavantage', { from: '2024-01-02', to: '2024-01-03' });
+    await priceStore.saveBars('AAPL', [bar('2024-01-03', 10.5), bar('2024-01-04T14:30:00.000Z', 11)], 'yahoo', { from: '2024-01-03', to: '2024-01-04' });
+
+    expect(await priceStore.getBars('AAPL', '2024-01-01', '2024-01-31')).toEqual([bar('2024-01-02', 9), bar('2024-01-03', 10.5)]);
+    expect(await priceStore.getSummary('AAPL')).toEqual({ symbol: 'AAPL', firstDate: '2024-01-02', lastDate: '2024-01-03', bars: 2 });
+  });
+});
@@ -0,0 +1,117 @@
+jest.mock('../../utils/logger');
+
+const providers = require('../providers');
+
+const fakeProvider = (name, overrides = {}) => ({
+  name,
+  priority: {},
+  isAvailable: () => true,
+  getQuote: jest.fn(async symbol => ({ symbol, price: 100, from: name })),
+  ...overrides
+});
+
+const ENV_KEYS = ['MARKET_DATA_PROVIDERS', 'MARKET_DATA_QUOTE_PROVIDERS'];
+const savedEnv = {};
+
+beforeEach(() => {
+  ENV_KEYS.forEach(key => {
+    savedEnv[key] = process.env[key];
+    delete process.env[key];
+  });
+});
+
+afterEach(() => {
+  ENV_KEYS.forEach(key => {
+    if (savedEnv[key] === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = savedEnv[key];
+    }
+  });
+});
+
+describe('registerProvider', () => {
+  test('rejects providers without a name or any capability', () => {
+    expect(() => providers.registerProvider({ getQuote() {} })).toThrow('must have a name');
+    expect(() => providers.registerProvider({ name: 'empty', isAvailable: () => true }))
+      .toThrow('implements no capabilities');
+  });
+});
+
+describe('getProvidersFor', () => {
+  test('orders by priority and breaks ties in configured order', () => {
+    providers.registerProvider(fakeProvider('first'));
+    providers.registerProvider(fakeProvider('second'));
+    providers.registerProvider(fakeProvider('preferred', { priority: { quote: 10 } }));
+    process.env.MARKET_DATA_PROVIDERS = 'second,first,preferred';
+
+    expect(providers.getProvidersFor('quote').map(p => p.name)).toEqual(['preferred', 'second', 'first']);
+  });
+
+  test('a capability override sets the order but only among enabled providers', () => {
+    providers.registerProvider(fakeProvider('first'));
+    providers.registerProvider(fakeProvider('preferred', { priority: { quote: 10 } }));
+    providers.registerProvider(fakeProvider('disabled'));
+    process.env.MARKET_DATA_PROVIDERS = 'first,preferred';
+    process.env.MARKET_DATA_QUOTE_PROVIDERS = 'disabled,first,preferred';
+
+    expect(providers.getProvidersFor('quote').map(p => p.name)).toEqual(['first', 'preferred']);
+  });
+
+  test('skips unavailable providers and those without the capability', () => {
+    providers.registerProvider(fakeProvider('offline', { isAvailable: () => false }));
+    providers.registerProvider(fakeProvider('historyOnly', { getQuote: undefined, getHistory: async () => [] }));
+    providers.registerProvider(fakeProvider('online'));
+    process.env.MARKET_DATA_PROVIDERS = 'offline,historyOnly,online';
+
+    expect(providers.getProvidersFor('quote').map(p => p.name)).toEqual(['online']);
+  });
+
+  test('rejects unknown capabilities', () => {
+    expect(() => providers.getProvidersFor('news')).toThrow('Unknown market data capability');
+  });
+});
+
+describe('fetchFrom', () => {
+  test('falls back to the next provider when one fails', async () => {
+    const failing = fakeProvider('failing', { getQuote: jest.fn().mockRejectedValue(new Error('rate limited')) });
+    const backup = fakeProvider('backup');
+    providers.registerProvider(failing);
+    providers.registerProvider(backup);
+    process.env.MARKET_DATA_PROVIDERS = 'failing,backup';
+
+    const result = await providers.fetchFrom('quote', 'AAPL');
+
+    expect(result.provider).toBe('backup');
+    expect(result.data).toEqual({ symbol: 'AAPL', price: 100, from: 'backup' });
+    expect(failing.getQuote).toHaveBeenCalledWith('AAPL');
+  });
+
+  test('stops at the first provider that succeeds', async () => {
+    const primary = fakeProvider('primary');
+    const backup = fakeProvider('backup');
+    providers.registerProvider(primary);
+    providers.registerProvider(backup);
+    process.env.MARKET_DATA_PROVIDERS = 'primary,backup';
+
+    await providers.fetchFrom('quote', 'MSFT');
+
+    expect(primary.getQuote).toHaveBeenCalledTimes(1);
+    expect(backup.getQuote).not.toHaveBeenCalled();
+  });
+
+  test('reports every failure when all providers fail', async () => {
+    providers.registerProvider(fakeProvider('a', { getQuote: async () => { throw new Error('down'); } }));
+    providers.registerProvider(fakeProvider('b', { getQuote: async () => { throw new Error('no data'); } }));
+    process.env.MARKET_DATA_PROVIDERS = 'a,b';
+
+    await expect(providers.fetchFrom('quote', 'IBM'))
+      .rejects.toThrow('All providers failed quote for IBM (a: down; b: no data)');
+  });
+
+  test('fails when no provider is enabled for the capability', async () => {
+    process.env.MARKET_DATA_PROVIDERS = 'nonexistent';
+
+    await expect(providers.fetchFrom('quote', 'IBM')).rejects.toThrow('No market data provider enabled for quote');
+  });
+});
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../utils/logger');
+
+const masterDir = fs.mkdtempSync(path.join(os.tmpdir(), 'security-master-'));
+process.env.SECURITY_MASTER_DIR = masterDir;
+
+const securityMaster = require('../securityMaster');
+
+const write = (name, content) => {
+  fs.mkdirSync(path.dirname(path.join(masterDir, name)), { recursive: true });
+  fs.writeFileSync(path.join(masterDir, name), Array.isArray(content) ? content.join('\n') : content);
+};
+
+beforeAll(() => {
+  write('listings/a-us.csv', [
+    'symbol,name,exchange,sector,isin',
+    'META,Meta Platforms Inc.,NASDAQ,Communication Services,US30303M1027',
+    'XYZ,Block Inc.,NYSE,Technology,US0000000000',
+    'TWTR,Twitter Inc.,NYSE,Communication Services,',
+    'AAPL,Apple Inc.,NASDAQ,Technology,US0378331005',
+    ',No symbol,NYSE,,'
+  ]);
+  write('listings/b-overrides.json', JSON.stringify([
+    { symbol: 'aapl', name: 'Apple Inc. (override)', exchange: 'NASDAQ' },
+    { symbol: 'SAP.DE', name: 'SAP SE' }
+  ]));
+  write('changes.csv', [
+    'date,type,symbol,newSymbol,note',
+    '2025-01-21,rename,SQ,XYZ,Block moved its listing',
+    '2012-05-18,rename,FBOOK,FB,Hypothetical earlier ticker',
+    '2022-06-09,rename,FB,META,Facebook renamed Meta',
+    '2022-10-28,delisting,TWTR,,Taken private',
+    '2023-01-01,delisting,NOPE,,No such listing',
+    'yesterday,rename,A,B,'
+  ]);
+  securityMaster.reload();
+});
+
+afterAll(() => {
+  fs.rmSync(masterDir, { recursive: true, force: true });
+});
+
+describe('securityMaster', () => {
+  test('loads listings in file order and skips bad rows and unmatched changes', () => {
+    expect(securityMaster.getStats()).toMatchObject({
+      files: ['listings/a-us.csv', 'listings/b-overrides.json', 'changes.csv'],
+      securities: 5,
+      delisted: 1,
+      changes: 4,
+      skipped: 3
+    });
+    // A later file's row replaces the whole listing
+    expect(securityMaster.getSecurity('AAPL')).toMatchObject({ name: 'Apple Inc. (override)', isin: null });
+    expect(securityMaster.getSecurity('SAP.DE')).toMatchObject({ exchange: 'Xetra', currency: 'EUR' });
+  });
+
+  test('drops an invalid ISIN but keeps the listing', () => {
+    expect(securityMaster.getSecurity('XYZ').isin).toBeNull();
+    expect(securityMaster.getSecurity('META').isin).toBe('US30303M1027');
+  });
+
+  test('follows renames, including chains, to the current symbol', () => {
+    expect(securityMaster.resolveSymbol('SQ')).toBe('XYZ');
+    expect(securityMaster.resolveSymbol('FBOOK')).toBe('META');
+    expect(securityMaster.getSecurity('FB').formerSymbols).toEqual([
+      { symbol: 'FBOOK', until: '2012-05-18' },
+      { symbol: 'FB', until: '2022-06-09' }
+    ]);
+    expect(securityMaster.resolveSymbol('MSFT')).toBe('MSFT');
+    expect(securityMaster.getSecurity('MSFT')).toBeNull();
+  });
+
+  test('marks delisted securities and leaves them out of the default list', () => {
+    expect(securityMaster.getSecurity('TWTR')).toMatchObject({ status: 'delisted', delistedDate: '2022-10-28' });
+    expect(securityMaster.listSecurities().map(security => security.symbol)).toEqual(['AAPL', 'META', 'SAP.DE', 'XYZ']);
+    expect(securityMaster.listSecurities({ includeDelisted: true })).toHaveLength(5);
+  });
+
+  test('lists the market as of a date under the symbols of the day', () => {
+    const listed = securityMaster.listSecurities({ asOf: '2022-01-03' });
+
+    expect(listed.map(security => security.symbol)).toEqual(['AAPL', 'FB', 'SAP.DE', 'SQ', 'TWTR']);
+    expect(listed.find(security => security.symbol === 'FB').currentSymbol).toBe('META');
+    expect(securityMaster.listSecurities({ asOf: '2010-01-04' }).map(security => security.symbol)).toContain('FBOOK');
+  });
+
+  test('finds securities by former symbol, name or ISIN, listed ones first', () => {
+    const symbols = query => securityMaster.searchSecurities(query).results.map(security => security.symbol);
+
+    expect(symbols('fb')).toEqual(['META']);
+    expect(symbols('us30303m1027')).toEqual(['META']);
+    expect(symbols('inc').slice(-1)).toEqual(['TWTR']);
+  });
+
+  test('returns the symbol history of a security under any of its symbols', () => {
+    expect(securityMaster.getSymbolHistory('FBOOK').map(change => `${change.date} ${change.symbol}`))
+      .toEqual(['2012-05-18 FBOOK', '2022-06-09 FB']);
+    expect(securityMaster.getSymbolHistory('TWTR')).toMatchObject([{ type: 'delisting', note: 'Taken private' }]);
+    expect(securityMaster.getSymbolHistory('ZZZZ')).toBeNull();
+  });
+});
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../utils/logger');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlists-'));
+process.env.SQLITE_STORAGE = path.join(storageDir, 'market.sqlite');
+
+const db = require('../../db');
+const watchlistService = require('../watchlistService');
+
+beforeEach(async () => {
+  await db.init();
+  await db.Watchlist.destroy({ where: {} });
+});
+
+afterAll(async () => {
+  await db.sequelize.close();
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+describe('watchlistService', () => {
+  test('lists watchlists by name and finds them by id or name', async () => {
+    const tech = await watchlistService.createWatchlist('Tech', ['AAPL', 'MSFT']);
+    await watchlistService.createWatchlist('Banks');
+
+    expect((await watchlistService.listWatchlists()).map(watchlist => watchlist.name)).toEqual(['Banks', 'Tech']);
+    expect(await watchlistService.getWatchlist(tech.id)).toMatchObject({ name: 'Tech', symbols: ['AAPL', 'MSFT'] });
+    expect((await watchlistService.findWatchlistByName('Banks')).symbols).toEqual([]);
+    expect(await watchlistService.findWatchlistByName('Energy')).toBeNull();
+  });
+
+  test('adds symbols at the end or at a position and removes them', async () => {
+    const { id } = await watchlistService.createWatchlist('Tech', ['AAPL']);
+
+    await watchlistService.addSymbol(id, 'NVDA');
+    await watchlistService.addSymbol(id, 'MSFT', 0);
+    expect((await watchlistService.getWatchlist(id)).symbols).toEqual(['MSFT', 'AAPL', 'NVDA']);
+
+    const updated = await watchlistService.removeSymbol(id, 'AAPL');
+    expect(updated.symbols).toEqual(['MSFT', 'NVDA']);
+  });
+
+  test('renames and reorders, keeping fields that are left out', async () => {
+    const { id } = await watchlistService.createWatchlist('Tech', ['AAPL', 'MSFT']);
+
+    expect(await watchlistService.updateWatchlist(id, { symbols: ['MSFT', 'AAPL'] }))
+      .toMatchObject({ name: 'Tech', symbols: ['MSFT', 'AAPL'] });
+    expect(await watchlistService.updateWatchlist(id, { name: 'Mega caps' }))
+      .toMatchObject({ name: 'Mega caps', symbols: ['MSFT', 'AAPL'] });
+  });
+
+  test('returns null or false for a missing watchlist', async () => {
+    expect(await watchlistService.getWatchlist(9999)).toBeNull();
+    expect(await watchlistService.addSymbol(9999, 'AAPL')).toBeNull();
+    expect(await watchlistService.updateWatchlist(9999, { name: 'Gone' })).toBeNull();
+    expect(await watchlistService.deleteWatchlist(9999)).toBe(false);
+  });
+
+  test('deletes a watchlist', async () => {
+    const { id } = await watchlistService.createWatchlist('Tech');
+
+    expect(await watchlistService.deleteWatchlist(id)).toBe(true);
+    expect(await watchlistService.listWatchlists()).toEqual([]);
+  });
+});
@@ -0,0 +1,407 @@
+const axios = require('axios');
+const stockService = require('./stockService');
+const logger = require('../utils/logger');
+const { CONDITIONS, resolveCondition } = require('../utils/alertConditions');
+
+/**
+ * Price and indicator alerts
+ *
+ * A scheduler checks every enabled alert against the latest quote or RSI
+ * value. When an alert fires outside its cooldown, the event is POSTed to
+ * its webhook and written to the alert history.
+ *
+ * Configuration (environment):
+ *   ALERTS_ENABLED               Set to false to turn the scheduler off
+ *   ALERT_CHECK_INTERVAL         Time between checks in ms (default 60000)
+ *   ALERT_WEBHOOK_URL            Webhook for alerts without their own URL
+ *   ALERT_WEBHOOK_TIMEOUT        Webhook request timeout in ms (default 5000)
+ */
+
+const CHECK_INTERVAL = parseInt(process.env.ALERT_CHECK_INTERVAL || '60000');
+const WEBHOOK_URL = process.env.ALERT_WEBHOOK_URL || null;
+const WEBHOOK_TIMEOUT = parseInt(process.env.ALERT_WEBHOOK_TIMEOUT || '5000');
+
+// RSI alerts read the latest value of a daily series long enough for any period
+const RSI_TIME_RANGE = '1y';
+
+const FIELDS = ['symbol', 'condition', 'threshold', 'params', 'webhookUrl', 'cooldownMinutes', 'enabled', 'note'];
+const STATE_FIELDS = ['lastValue', 'lastCheckedAt', 'lastTriggeredAt', 'createdAt', 'updatedAt'];
+
+let db = null;
+let timer = null;
+let running = false;
+let lastRun = null;
+
+/**
+ * Get the initialised database (loaded lazily, as in priceStore)
+ * @returns {Promise<Object>} Database module
+ */
+async function getDb() {
+  if (!db) {
+    db = require('../db');
+  }
+
+  await db.init();
+  return db;
+}
+
+/**
+ * Pick the public fields of a stored alert
+ * @param {Object} row - Alert row
+ * @returns {Object} Alert
+ */
+function toAlert(row) {
+  const alert = { id: row.id };
+
+  [...FIELDS, ...STATE_FIELDS].forEach(field => {
+    alert[field] = row[field] === undefined ? null : row[field];
+  });
+
+  return alert;
+}
+
+/**
+ * Normalize an alert definition for storage (the body must already be validated)
+ * @param {Object} definition - Raw alert definition
+ * @returns {Object} Stored fields
+ */
+function toFields(definition) {
+  const { condition, threshold, params } = resolveCondition(definition);
+
+  return {
+    symbol: definition.symbol,
+    condition,
+    threshold,
+    params,
+    webhookUrl: definition.webhookUrl || null,
+    cooldownMinutes: definition.cooldownMinutes === undefined ? 60 : definition.cooldownMinutes,
+    enabled: definition.enabled === undefined ? true : definition.enabled,
+    note: definition.note || null
+  };
+}
+
+/**
+ * List alerts
+ * @param {string} [symbol] - Only alerts on this symbol
+ * @returns {Promise<Array>} Alerts, oldest first
+ */
+async function listAlerts(symbol) {
+  const { Alert } = await getDb();
+
+  const rows = await Alert.findAll({
+    where: symbol ? { symbol } : {},
+    order: [['id', 'ASC']]
+  });
+
+  return rows.map(row => toAlert(row.get({ plain: true })));
+}
+
+/**
+ * Get an alert by id
+ * @param {number|string} id - Alert id
+ * @returns {Promise<Object|null>} Alert, or null when not found
+ */
+async function getAlert(id) {
+  const { Alert } = await getDb();
+
+  const row = await Alert.findByPk(id);
+  return row ? toAlert(row.get({ plain: true })) : null;
+}
+
+/**
+ * Create an alert
+ * @param {Object} definition - { symbol, condition, threshold, params, webhookUrl, cooldownMinutes, enabled, note }
+ * @returns {Promise<Object>} Created alert
+ */
+async function createAlert(definition) {
+  const { Alert } = await getDb();
+
+  const row = await Alert.create(toFields(definition));
+  logger.info(`Created alert ${row.id} (${row.symbol} ${row.condition})`);
+
+  return toAlert(row.get({ plain: true }));
+}
+
+/**
+ * Replace an alert's definition. Changing what is watched clears the value
+ * kept for crossing detection, so the new condition starts fresh.
+ * @param {number|string} id - Alert id
+ * @param {Object} definition - Alert definition, as for createAlert
+ * @returns {Promise<Object|null>} Updated alert, or null when not found
+ */
+async function updateAlert(id, definition) {
+  const { Alert } = await getDb();
+
+  const row = await Alert.findByPk(id);
+  if (!row) {
+    return null;
+  }
+
+  const fields = toFields(definition);
+  const watched = ['symbol', 'condition', 'params'];
+  if (watched.some(field => JSON.stringify(fields[field]) !== JSON.stringify(row[field]))) {
+    fields.lastValue = null;
+  }
+
+  await row.update(fields);
+  logger.info(`Updated alert ${id}`);
+
+  return toAlert(row.get({ plain: true }));
+}
+
+/**
+ * Delete an alert. Its history is kept.
+ * @param {number|string} id - Alert id
+ * @returns {Promise<boolean>} True when an alert was deleted
+ */
+async function deleteAlert(id) {
+  const { Alert } = await getDb();
+
+  const deleted = await Alert.destroy({ where: { id } });
+  if (deleted > 0) {
+    logger.info(`Deleted alert ${id}`);
+  }
+
+  return deleted > 0;
+}
+
+/**
+ * Get triggered alerts, newest first
+ * @param {Object} [filter] - Filter
+ * @param {number|string} [filter.alertId] - Only events of this alert
+ * @param {string} [filter.symbol] - Only events on this symbol
+ * @param {number} [filter.limit] - Maximum events returned (default 50)
+ * @returns {Promise<Array>} Alert events
+ */
+async function getHistory({ alertId, symbol, limit = 50 } = {}) {
+  const { AlertEvent } = await getDb();
+
+  const where = {};
+  if (alertId !== undefined) where.alertId = alertId;
+  if (symbol) where.symbol = symbol;
+
+  const rows = await AlertEvent.findAll({
+    where,
+    order: [['triggeredAt', 'DESC'], ['id', 'DESC']],
+    limit
+  });
+
+  return rows.map(row => row.get({ plain: true }));
+}
+
+/**
+ * Check every enabled alert once. Quotes and RSI series are fetched once per
+ * symbol; a check that is still running is not overlapped.
+ * @param {Date} [now] - Check time (defaults to the current time)
+ * @returns {Promise<Object|null>} Number of alerts checked and the events
+ *   triggered, or null when a check was already running
+ */
+async function checkAlerts(now = new Date()) {
+  if (running) {
+    return null;
+  }
+
+  running = true;
+
+  try {
+    const { Alert } = await getDb();
+    const alerts = await Alert.findAll({ where: { enabled: true } });
+    const bySymbol = new Map();
+    const triggered = [];
+
+    alerts.forEach(alert => {
+      if (!bySymbol.has(alert.symbol)) bySymbol.set(alert.symbol, []);
+      bySymbol.get(alert.symbol).push(alert);
+    });
+
+    for (const [symbol, symbolAlerts] of bySymbol) {
+      let quote;
+
+      try {
+        quote = await stockService.getCurrentQuote(symbol);
+      } catch (error) {
+        logger.warn(`Alert check skipped ${symbol}: ${error.message}`);
+        continue;
+      }
+
+      for (const alert of symbolAlerts) {
+        try {
+          const event = await checkAlert(alert, quote, now);
+          if (event) triggered.push(event);
+        } catch (error) {
+          logger.warn(`Alert ${alert.id} check failed: ${error.message}`);
+        }
+      }
+    }
+
+    lastRun = { at: now.toISOString(), checked: alerts.length, triggered: triggered.length };
+
+    return { checked: alerts.length, triggered };
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Check one alert, firing it when its condition holds outside the cooldown
+ * @param {Model} alert - Alert row
+ * @param {Object} quote - Latest quote for the alert's symbol
+ * @param {Date} now - Check time
+ * @returns {Promise<Object|null>} Alert event, or null when it did not fire
+ */
+async function checkAlert(alert, quote, now) {
+  const definition = CONDITIONS[alert.condition];
+  const value = await readValue(alert, definition, quote);
+
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return null;
+  }
+
+  const fired = definition.check(value, alert.lastValue, alert.threshold, quote);
+  const cooling = alert.lastTriggeredAt
+    && now - new Date(alert.lastTriggeredAt) < alert.cooldownMinutes * 60 * 1000;
+  const updates = { lastValue: value, lastCheckedAt: now };
+  let event = null;
+
+  if (fired && !cooling) {
+    event = await trigger(alert, definition, value, now);
+    updates.lastTriggeredAt = now;
+  } else if (fired) {
+    logger.debug(`Alert ${alert.id} is cooling down`);
+  }
+
+  await alert.update(updates);
+
+  return event;
+}
+
+/**
+ * Read the value an alert watches
+ * @param {Model} alert - Alert row
+ * @param {Object} definition - Condition definition
+ * @param {Object} quote - Latest quote
+ * @returns {Promise<number|null>} Current value
+ */
+async function readValue(alert, definition, quote) {
+  if (definition.source === 'rsi') {
+    // Indicator results are cached, so alerts sharing a symbol and period reuse one series
+    const { data } = await stockService.getStockIndicator(alert.symbol, 'rsi', RSI_TIME_RANGE, '1d', true, alert.params || {});
+    const latest = data[data.length - 1];
+    return latest ? latest.value : null;
+  }
+
+  return definition.value(quote);
+}
+
+/**
+ * Record a fired alert and deliver it to the webhook
+ * @param {Model} alert - Alert row
+ * @param {Object} definition - Condition definition
+ * @param {number} value - Value that fired the alert
+ * @param {Date} now - Trigger time
+ * @returns {Promise<Object>} Stored alert event
+ */
+async function trigger(alert, definition, value, now) {
+  const { AlertEvent } = await getDb();
+  const message = `${alert.symbol} ${definition.describe(value, alert.threshold)}`;
+  const payload = {
+    alert: {
+      id: alert.id,
+      symbol: alert.symbol,
+      condition: alert.condition,
+      threshold: alert.threshold,
+      params: alert.params,
+      note: alert.note
+    },
+    value,
+    message,
+    triggeredAt: now.toISOString()
+  };
+
+  const { delivery, deliveryError } = await deliver(alert.webhookUrl || WEBHOOK_URL, payload);
+  logger.info(`Alert ${alert.id} triggered: ${message} (webhook ${delivery})`);
+
+  const event = await AlertEvent.create({
+    alertId: alert.id,
+    symbol: alert.symbol,
+    condition: alert.condition,
+    threshold: alert.threshold,
+    value,
+    message,
+    triggeredAt: now,
+    delivery,
+    deliveryError
+  });
+
+  return event.get({ plain: true });
+}
+
+/**
+ * POST an alert payload to a webhook
+ * @param {string|null} url - Webhook URL
+ * @param {Object} payload - Alert payload
+ * @returns {Promise<Object>} `{ delivery, deliveryError }` with delivery one of
+ *   delivered, failed or skipped (no URL configured)
+ */
+async function deliver(url, payload) {
+  if (!url) {
+    return { delivery: 'skipped', deliveryError: null };
+  }
+
+  try {
+    await axios.post(url, payload, { timeout: WEBHOOK_TIMEOUT });
+    return { delivery: 'delivered', deliveryError: null };
+  } catch (error) {
+    logger.warn(`Alert webhook ${url} failed: ${error.message}`);
+    return { delivery: 'failed', deliveryError: error.message };
+  }
+}
+
+/**
+ * Start checking alerts on an interval (unless ALERTS_ENABLED=false)
+ */
+function start() {
+  if (timer || process.env.ALERTS_ENABLED === 'false') {
+    return;
+  }
+
+  timer = setInterval(() => {
+    checkAlerts().catch(error => logger.error('Alert check failed:', error));
+  }, CHECK_INTERVAL);
+  timer.unref();
+
+  logger.info(`Alert scheduler checking every ${CHECK_INTERVAL / 1000}s`);
+}
+
+/**
+ * Stop the alert scheduler
+ */
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+/**
+ * Get scheduler statistics
+ * @returns {Object} Whether the scheduler runs, its interval and the last check
+ */
+function getStats() {
+  return {
+    scheduled: Boolean(timer),
+    interval: CHECK_INTERVAL,
+    lastRun
+  };
+}
+
+module.exports = {
+  listAlerts,
+  getAlert,
+  createAlert,
+  updateAlert,
+  deleteAlert,
+  getHistory,
+  checkAlerts,
+  start,
+  stop,
+  getStats
+};
@@ -0,0 +1,41 @@
+const stockService = require('./stockService');
+const logger = require('../utils/logger');
+const { runBacktest } = require('../utils/backtester');
+const { getDefaultInterval, getPeriodsPerYear } = require('../utils/timeRange');
+
+/**
+ * Backtest a strategy over a symbol's price history
+ * @param {string} symbol - Stock symbol
+ * @param {Object} strategy - Strategy definition (see utils/backtester)
+ * @param {string} [timeRange] - Time range replayed (default 1y)
+ * @param {string} [interval] - Bar interval (defaults to one suited to the time range)
+ * @param {boolean} [adjusted] - Replay split/dividend-adjusted prices (default true)
+ * @returns {Promise<Object>} Trades, equity curve against buy-and-hold, and performance metrics
+ */
+async function backtest(symbol, strategy, timeRange = '1y', interval = getDefaultInterval(timeRange), adjusted = true) {
+  try {
+    const { provider, data: historicalData } = await stockService.getStockData(symbol, timeRange, interval, adjusted);
+
+    if (!historicalData || historicalData.length < 2) {
+      throw new Error(`Not enough historical data to backtest ${symbol}`);
+    }
+
+    const result = runBacktest(historicalData, strategy, { periodsPerYear: getPeriodsPerYear(interval) });
+
+    return {
+      symbol,
+      timeRange,
+      interval,
+      adjusted,
+      provider,
+      ...result
+    };
+  } catch (error) {
+    logger.error(`Error backtesting ${symbol}:`, error);
+    throw new Error(`Failed to backtest ${symbol}`);
+  }
+}
+
+module.exports = {
+  backtest
+};
@@ -0,0 +1,308 @@
+const stockService = require('./stockService');
+const logger = require('../utils/logger');
+const {
+  normalizeTransaction,
+  replayTransactions,
+  valuePositions,
+  measurePerformance
+} = require('../utils/portfolio');
+const { getTimeRangeCovering } = require('../utils/timeRange');
+
+/**
+ * Portfolios and their transactions
+ *
+ * Only transactions are stored; positions, P&L and returns are derived from
+ * them on request (see utils/portfolio).
+ */
+
+const TRANSACTION_FIELDS = ['type', 'date', 'symbol', 'quantity', 'price', 'amount', 'ratio', 'fees', 'note'];
+
+let db = null;
+
+/**
+ * Get the initialised database (loaded lazily, as in priceStore)
+ * @returns {Promise<Object>} Database module
+ */
+async function getDb() {
+  if (!db) {
+    db = require('../db');
+  }
+
+  await db.init();
+  return db;
+}
+
+/**
+ * Pick the public fields of a stored portfolio
+ * @param {Object} row - Portfolio row
+ * @returns {Object} Portfolio
+ */
+function toPortfolio(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    costBasisMethod: row.costBasisMethod,
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt
+  };
+}
+
+/**
+ * Pick the public fields of a stored transaction
+ * @param {Object} row - PortfolioTransaction row
+ * @returns {Object} Transaction
+ */
+function toTransaction(row) {
+  const transaction = { id: row.id };
+  TRANSACTION_FIELDS.forEach(field => {
+    transaction[field] = row[field] === undefined ? null : row[field];
+  });
+  return transaction;
+}
+
+/**
+ * List portfolios
+ * @returns {Promise<Array>} Portfolios ordered by name
+ */
+async function listPortfolios() {
+  const { Portfolio } = await getDb();
+
+  const rows = await Portfolio.findAll({ order: [['name', 'ASC']] });
+  return rows.map(row => toPortfolio(row.get({ plain: true })));
+}
+
+/**
+ * Get a portfolio by id
+ * @param {number|string} id - Portfolio id
+ * @returns {Promise<Object|null>} Portfolio, or null when not found
+ */
+async function getPortfolio(id) {
+  const { Portfolio } = await getDb();
+
+  const row = await Portfolio.findByPk(id);
+  return row ? toPortfolio(row.get({ plain: true })) : null;
+}
+
+/**
+ * Get a portfolio by name
+ * @param {string} name - Portfolio name
+ * @returns {Promise<Object|null>} Portfolio, or null when not found
+ */
+async function findPortfolioByName(name) {
+  const { Portfolio } = await getDb();
+
+  const row = await Portfolio.findOne({ where: { name } });
+  return row ? toPortfolio(row.get({ plain: true })) : null;
+}
+
+/**
+ * Create a portfolio
+ * @param {Object} portfolio - { name, costBasisMethod }
+ * @returns {Promise<Object>} Created portfolio
+ */
+async function createPortfolio({ name, costBasisMethod = 'fifo' }) {
+  const { Portfolio } = await getDb();
+
+  const row = await Portfolio.create({ name, costBasisMethod });
+  logger.info(`Created portfolio ${row.id} (${name})`);
+
+  return toPortfolio(row.get({ plain: true }));
+}
+
+/**
+ * Rename a portfolio and/or change its cost basis method
+ * @param {number|string} id - Portfolio id
+ * @param {Object} changes - { name, costBasisMethod }; fields left out are kept
+ * @returns {Promise<Object|null>} Updated portfolio, or null when not found
+ */
+async function updatePortfolio(id, { name, costBasisMethod }) {
+  const { Portfolio } = await getDb();
+
+  const row = await Portfolio.findByPk(id);
+  if (!row) {
+    return null;
+  }
+
+  await row.update({
+    name: name === undefined ? row.name : name,
+    costBasisMethod: costBasisMethod === undefined ? row.costBasisMethod : costBasisMethod
+  });
+
+  return toPortfolio(row.get({ plain: true }));
+}
+
+/**
+ * Delete a portfolio and its transactions
+ * @param {number|string} id - Portfolio id
+ * @returns {Promise<boolean>} True when a portfolio was deleted
+ */
+async function deletePortfolio(id) {
+  const { sequelize, Portfolio, PortfolioTransaction } = await getDb();
+
+  const deleted = await sequelize.transaction(async (transaction) => {
+    await PortfolioTransaction.destroy({ where: { portfolioId: id }, transaction });
+    return Portfolio.destroy({ where: { id }, transaction });
+  });
+
+  if (deleted > 0) {
+    logger.info(`Deleted portfolio ${id}`);
+  }
+
+  return deleted > 0;
+}
+
+/**
+ * List a portfolio's transactions
+ * @param {number|string} id - Portfolio id
+ * @returns {Promise<Array>} Transactions by date, in the order they were recorded within a day
+ */
+async function listTransactions(id) {
+  const { PortfolioTransaction } = await getDb();
+
+  const rows = await PortfolioTransaction.findAll({
+    where: { portfolioId: id },
+    order: [['date', 'ASC'], ['id', 'ASC']]
+  });
+
+  return rows.map(row => toTransaction(row.get({ plain: true })));
+}
+
+/**
+ * Check a change to a portfolio's transactions still replays, i.e. no sale
+ * or withdrawal would exceed what is held at its date
+ * @param {number|string} id - Portfolio id
+ * @param {Object} change - Change to check
+ * @param {Object} [change.add] - Transaction to add
+ * @param {number|string} [change.remove] - Id of a transaction to remove
+ * @returns {Promise<string|null>} Problem with the change, or null when it is fine
+ */
+async function checkTransactions(id, { add, remove }) {
+  const transactions = (await listTransactions(id))
+    .filter(transaction => String(transaction.id) !== String(remove));
+
+  try {
+    replayTransactions(add ? [...transactions, normalizeTransaction(add)] : transactions);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Record a transaction (it must already be checked with checkTransactions)
+ * @param {number|string} id - Portfolio id
+ * @param {Object} transaction - Transaction (see utils/portfolio normalizeTransaction)
+ * @returns {Promise<Object>} Stored transaction
+ */
+async function addTransaction(id, transaction) {
+  const { PortfolioTransaction } = await getDb();
+
+  const row = await PortfolioTransaction.create({ ...normalizeTransaction(transaction), portfolioId: id });
+  logger.info(`Recorded ${row.type} in portfolio ${id}`);
+
+  return toTransaction(row.get({ plain: true }));
+}
+
+/**
+ * Delete a transaction
+ * @param {number|string} id - Portfolio id
+ * @param {number|string} transactionId - Transaction id
+ * @returns {Promise<boolean>} True when a transaction was deleted
+ */
+async function deleteTransaction(id, transactionId) {
+  const { PortfolioTransaction } = await getDb();
+
+  const deleted = await PortfolioTransaction.destroy({ where: { id: transactionId, portfolioId: id } });
+  return deleted > 0;
+}
+
+/**
+ * Get a portfolio's positions marked to current quotes
+ * @param {number|string} id - Portfolio id
+ * @param {string} [method] - Cost basis method (defaults to the portfolio's)
+ * @returns {Promise<Object|null>} Open and closed positions with realized and
+ *   unrealized P&L and portfolio totals, or null when not found
+ */
+async function getHoldings(id, method) {
+  const portfolio = await getPortfolio(id);
+  if (!portfolio) {
+    return null;
+  }
+
+  try {
+    const costBasisMethod = method || portfolio.costBasisMethod;
+    const ledger = replayTransactions(await listTransactions(id), costBasisMethod);
+    const symbols = [...ledger.holdings.keys()];
+    const prices = {};
+
+    // A missing quote leaves the position at cost rather than failing the portfolio
+    await Promise.all(symbols.map(async symbol => {
+      try {
+        prices[symbol] = (await stockService.getCurrentQuote(symbol)).price;
+      } catch (error) {
+        logger.warn(`No quote for ${symbol} in portfolio ${id}: ${error.message}`);
+      }
+    }));
+
+    return {
+      portfolio,
+      costBasisMethod,
+      ...valuePositions(ledger, prices),
+      asOf: new Date().toISOString()
+    };
+  } catch (error) {
+    logger.error(`Error valuing portfolio ${id}:`, error);
+    throw new Error(`Failed to value portfolio ${id}`);
+  }
+}
+
+/**
+ * Get a portfolio's time- and money-weighted returns since its first transaction
+ * @param {number|string} id - Portfolio id
+ * @returns {Promise<Object|null>} Returns and the daily value history, or null when not found
+ */
+async function getPerformance(id) {
+  const portfolio = await getPortfolio(id);
+  if (!portfolio) {
+    return null;
+  }
+
+  try {
+    const transactions = (await listTransactions(id)).map(normalizeTransaction);
+    const symbols = [...new Set(transactions.map(transaction => transaction.symbol).filter(Boolean))];
+    const closes = {};
+
+    if (transactions.length > 0) {
+      const timeRange = getTimeRangeCovering(transactions[0].date);
+
+      // As-traded prices, matching the as-traded quantities of the transactions
+      await Promise.all(symbols.map(async symbol => {
+        const { data } = await stockService.getStockData(symbol, timeRange, '1d', false);
+        closes[symbol] = data;
+      }));
+    }
+
+    return {
+      portfolio,
+      ...measurePerformance(transactions, closes)
+    };
+  } catch (error) {
+    logger.error(`Error measuring portfolio ${id}:`, error);
+    throw new Error(`Failed to measure performance of portfolio ${id}`);
+  }
+}
+
+module.exports = {
+  listPortfolios,
+  getPortfolio,
+  findPortfolioByName,
+  createPortfolio,
+  updatePortfolio,
+  deletePortfolio,
+  listTransactions,
+  checkTransactions,
+  addTransaction,
+  deleteTransaction,
+  getHoldings,
+  getPerformance
+};
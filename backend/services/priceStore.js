@@ -0,0 +1,188 @@
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { addDays } = require('../utils/timeRange');
+
+/**
+ * Persistent daily price-history store
+ *
+ * Keeps OHLCV bars and the date ranges already fetched for each symbol, so
+ * only missing ranges are requested upstream. Set PRICE_STORE=off to disable.
+ */
+
+const PRICE_STORE_ENABLED = process.env.PRICE_STORE !== 'off';
+
+let db = null;
+
+/**
+ * Check whether the store is enabled
+ * @returns {boolean} True unless PRICE_STORE=off
+ */
+function isEnabled() {
+  return PRICE_STORE_ENABLED;
+}
+
+/**
+ * Get the initialised database (loaded lazily so a missing driver only
+ * disables the store instead of the whole service)
+ * @returns {Promise<Object>} Database module
+ */
+async function getDb() {
+  if (!db) {
+    db = require('../db');
+  }
+
+  await db.init();
+  return db;
+}
+
+/**
+ * Read stored bars for a symbol between two dates (inclusive)
+ * @param {string} symbol - Stock symbol
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Chronological OHLCV bars
+ */
+async function getBars(symbol, from, to) {
+  const { PriceBar } = await getDb();
+
+  const rows = await PriceBar.findAll({
+    where: { symbol, date: { [Op.between]: [from, to] } },
+    order: [['date', 'ASC']],
+    raw: true
+  });
+
+  return rows.map(row => ({
+    date: row.date,
+    open: row.open,
+    high: row.high,
+    low: row.low,
+    close: row.close,
+    volume: Number(row.volume) || 0
+  }));
+}
+
+/**
+ * Insert or update bars and record the range they were fetched for
+ * @param {string} symbol - Stock symbol
+ * @param {Array} bars - OHLCV bars
+ * @param {string} provider - Provider that served the bars
+ * @param {Object} range - Fetched range { from, to }; today is never marked
+ *   as covered because its bar is still changing
+ * @returns {Promise<void>}
+ */
+async function saveBars(symbol, bars, provider, range) {
+  const { sequelize, PriceBar } = await getDb();
+
+  // Daily bars only; intraday timestamps would collide on the date key
+  const rows = bars
+    .filter(bar => /^\d{4}-\d{2}-\d{2}$/.test(bar.date))
+    .map(bar => ({ symbol, provider, ...bar }));
+
+  await sequelize.transaction(async (transaction) => {
+    if (rows.length > 0) {
+      await PriceBar.bulkCreate(rows, {
+        transaction,
+        conflictAttributes: ['symbol', 'date'],
+        updateOnDuplicate: ['open', 'high', 'low', 'close', 'volume', 'provider', 'updatedAt']
+      });
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    const coveredTo = range.to >= today ? addDays(today, -1) : range.to;
+
+    if (range.from <= coveredTo) {
+      await markCovered(symbol, range.from, coveredTo, transaction);
+    }
+  });
+
+  logger.info(`Stored ${rows.length} bars for ${symbol} (${range.from} to ${range.to}) from ${provider}`);
+}
+
+/**
+ * Work out which parts of a date range have not been fetched yet
+ * @param {string} symbol - Stock symbol
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array<Object>>} Missing ranges { from, to }, oldest first
+ */
+async function getMissingRanges(symbol, from, to) {
+  const { PriceCoverage } = await getDb();
+
+  const covered = await PriceCoverage.findAll({
+    where: { symbol, to: { [Op.gte]: from }, from: { [Op.lte]: to } },
+    order: [['from', 'ASC']],
+    raw: true
+  });
+
+  const missing = [];
+  let cursor = from;
+
+  covered.forEach(range => {
+    if (range.from > cursor) {
+      missing.push({ from: cursor, to: addDays(range.from, -1) });
+    }
+    if (range.to >= cursor) {
+      cursor = addDays(range.to, 1);
+    }
+  });
+
+  if (cursor <= to) {
+    missing.push({ from: cursor, to });
+  }
+
+  return missing;
+}
+
+/**
+ * Get the stored date span and bar count for a symbol
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object>} { symbol, firstDate, lastDate, bars }
+ */
+async function getSummary(symbol) {
+  const { PriceBar } = await getDb();
+
+  const [firstDate, lastDate, bars] = await Promise.all([
+    PriceBar.min('date', { where: { symbol } }),
+    PriceBar.max('date', { where: { symbol } }),
+    PriceBar.count({ where: { symbol } })
+  ]);
+
+  return { symbol, firstDate: firstDate || null, lastDate: lastDate || null, bars };
+}
+
+/**
+ * Record a fetched range, merging it with overlapping or adjacent ranges
+ * @param {string} symbol - Stock symbol
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @param {Transaction} transaction - Open transaction
+ * @returns {Promise<void>}
+ */
+async function markCovered(symbol, from, to, transaction) {
+  const { PriceCoverage } = db;
+
+  const touching = await PriceCoverage.findAll({
+    where: { symbol, to: { [Op.gte]: addDays(from, -1) }, from: { [Op.lte]: addDays(to, 1) } },
+    transaction,
+    raw: true
+  });
+
+  const merged = touching.reduce((range, existing) => ({
+    from: existing.from < range.from ? existing.from : range.from,
+    to: existing.to > range.to ? existing.to : range.to
+  }), { from, to });
+
+  if (touching.length > 0) {
+    await PriceCoverage.destroy({ where: { id: touching.map(range => range.id) }, transaction });
+  }
+
+  await PriceCoverage.create({ symbol, ...merged }, { transaction });
+}
+
+module.exports = {
+  isEnabled,
+  getBars,
+  saveBars,
+  getMissingRanges,
+  getSummary
+};
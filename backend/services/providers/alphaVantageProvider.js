@@ -0,0 +1,281 @@
+const {
+  getNumDaysFromTimeRange,
+  getStartDateFromTimeRange,
+  getIntervalMinutes,
+  toDateKey,
+  addDays
+} = require('../../utils/timeRange');
+const { parseSymbol, EXCHANGES } = require('../../utils/symbols');
+
+/**
+ * Alpha Vantage market data provider (requires ALPHA_VANTAGE_API_KEY)
+ */
+
+const ALPHA_VANTAGE_API_KEY = process.env.ALPHA_VANTAGE_API_KEY;
+
+// Initialize Alpha Vantage only if API key is provided
+let alpha = null;
+if (ALPHA_VANTAGE_API_KEY) {
+  alpha = require('alphavantage')({ key: ALPHA_VANTAGE_API_KEY });
+}
+
+/**
+ * Convert a canonical symbol to Alpha Vantage's form (RELIANCE.BO is
+ * RELIANCE.BSE). Only equities and ETFs go through the endpoints used here;
+ * other symbols are refused so the next provider serves them.
+ * @param {string} symbol - Canonical symbol
+ * @returns {string} Alpha Vantage symbol
+ * @throws {Error} When Alpha Vantage cannot serve the symbol here
+ */
+function toVendorSymbol(symbol) {
+  const { assetClass, base, exchange } = parseSymbol(symbol);
+
+  if (assetClass !== 'equity' && assetClass !== 'etf') {
+    throw new Error(`Alpha Vantage does not serve ${assetClass} symbols such as ${symbol}`);
+  }
+  if (!exchange) {
+    return symbol;
+  }
+  if (!EXCHANGES[exchange].alphaVantage) {
+    throw new Error(`Alpha Vantage does not list ${EXCHANGES[exchange].name} symbols such as ${symbol}`);
+  }
+
+  return `${base}.${EXCHANGES[exchange].alphaVantage}`;
+}
+
+/**
+ * Fetch price history from Alpha Vantage
+ * @param {string} symbol - Stock symbol
+ * @param {Object} options - History options
+ * @param {string} options.timeRange - Time range
+ * @param {string} [options.interval] - Bar interval (default 1d)
+ * @param {string} [options.from] - First date (YYYY-MM-DD), overrides timeRange
+ * @param {string} [options.to] - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Stock data array
+ */
+async function getHistory(symbol, { timeRange, interval = '1d', from, to }) {
+  let data;
+
+  // The compact series only holds the latest 100 bars
+  const needsFullSeries = from && from < addDays(toDateKey(new Date()), -140);
+  const minutes = getIntervalMinutes(interval);
+
+  // Choose appropriate Alpha Vantage function based on interval and time range
+  if (minutes) {
+    const size = getNumDaysFromTimeRange(timeRange) * (390 / minutes) > 100 ? 'full' : 'compact';
+    data = await alpha.data.intraday(toVendorSymbol(symbol), size, 'json', `${minutes}min`);
+  } else if (['1w', '1m'].includes(timeRange) && !needsFullSeries) {
+    data = await alpha.data.daily(toVendorSymbol(symbol), 'compact', 'json');
+  } else {
+    data = await alpha.data.daily(toVendorSymbol(symbol), 'full', 'json');
+  }
+
+  const timeSeriesKey = Object.keys(data || {}).find(key => key.startsWith('Time Series'));
+
+  if (!timeSeriesKey) {
+    throw new Error(`No data found for symbol ${symbol} from Alpha Vantage`);
+  }
+
+  // Extract time series data
+  const timeSeries = data[timeSeriesKey];
+
+  // Intraday timestamps are exchange wall-clock times; the registry wants ISO UTC
+  const timeZone = (data['Meta Data'] && data['Meta Data']['6. Time Zone']) || 'US/Eastern';
+
+  // Convert Alpha Vantage format to our standard format
+  const result = Object.entries(timeSeries).map(([date, values]) => ({
+    date: minutes ? toIsoTimestamp(date, timeZone) : date,
+    open: parseFloat(values['1. open']),
+    high: parseFloat(values['2. high']),
+    low: parseFloat(values['3. low']),
+    close: parseFloat(values['4. close']),
+    volume: parseInt(values['5. volume'])
+  }));
+
+  // Sort chronologically and limit based on the requested dates or timeRange
+  const sorted = result.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  if (from) {
+    return sorted.filter(bar => bar.date >= from && (!to || bar.date <= to));
+  }
+
+  if (minutes) {
+    const start = toDateKey(getStartDateFromTimeRange(timeRange));
+    return sorted.filter(bar => bar.date >= start);
+  }
+
+  const numDays = getNumDaysFromTimeRange(timeRange);
+  return sorted.slice(-numDays);
+}
+
+/**
+ * Get splits and dividends from the adjusted daily series
+ * @param {string} symbol - Stock symbol
+ * @param {Object} [options] - Date filter
+ * @param {string} [options.from] - First date (YYYY-MM-DD)
+ * @param {string} [options.to] - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Corporate-action events, oldest first
+ */
+async function getEvents(symbol, { from, to } = {}) {
+  const data = await alpha.data.daily_adjusted(toVendorSymbol(symbol), 'full', 'json');
+  const timeSeries = data && data['Time Series (Daily)'];
+
+  if (!timeSeries) {
+    throw new Error(`No adjusted series found for symbol ${symbol} from Alpha Vantage`);
+  }
+
+  const events = [];
+
+  Object.entries(timeSeries).forEach(([date, values]) => {
+    const dividend = parseFloat(values['7. dividend amount']);
+    const split = parseFloat(values['8. split coefficient']);
+
+    if (dividend > 0) {
+      events.push({ date, type: 'dividend', amount: dividend });
+    }
+    if (split > 0 && split !== 1) {
+      events.push({ date, type: 'split', ratio: split });
+    }
+  });
+
+  return events
+    .filter(event => (!from || event.date >= from) && (!to || event.date <= to))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Get the latest price quote from the GLOBAL_QUOTE endpoint
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object>} Quote fields
+ */
+async function getQuote(symbol) {
+  const data = await alpha.data.quote(toVendorSymbol(symbol));
+  const quote = data && data['Global Quote'];
+
+  if (!quote || !quote['05. price']) {
+    throw new Error(`No quote found for symbol ${symbol} from Alpha Vantage`);
+  }
+
+  return {
+    price: parseFloat(quote['05. price']),
+    change: parseFloat(quote['09. change']),
+    changePercent: parseFloat(quote['10. change percent']),
+    previousClose: parseFloat(quote['08. previous close']),
+    open: parseFloat(quote['02. open']),
+    dayHigh: parseFloat(quote['03. high']),
+    dayLow: parseFloat(quote['04. low']),
+    volume: parseInt(quote['06. volume'])
+  };
+}
+
+/**
+ * Get 52-week high/low from the company overview
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object>} 52-week data
+ */
+async function get52Week(symbol) {
+  const overview = await getOverview(symbol);
+
+  return {
+    fiftyTwoWeekHigh: parseNumber(overview['52WeekHigh']),
+    fiftyTwoWeekLow: parseNumber(overview['52WeekLow'])
+  };
+}
+
+/**
+ * Get valuation statistics from the company overview
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object>} Fundamentals
+ */
+async function getFundamentals(symbol) {
+  const overview = await getOverview(symbol);
+
+  return {
+    marketCap: parseNumber(overview.MarketCapitalization),
+    peRatio: parseNumber(overview.PERatio),
+    pegRatio: parseNumber(overview.PEGRatio),
+    priceToBook: parseNumber(overview.PriceToBookRatio),
+    beta: parseNumber(overview.Beta),
+    earningsPerShare: parseNumber(overview.EPS),
+    dividendYield: parseNumber(overview.DividendYield)
+  };
+}
+
+/**
+ * Fetch the OVERVIEW document for a symbol
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object>} Company overview
+ */
+async function getOverview(symbol) {
+  const overview = await alpha.fundamental.company_overview(toVendorSymbol(symbol));
+
+  if (!overview || !overview.Symbol) {
+    throw new Error(`No company overview found for symbol ${symbol} from Alpha Vantage`);
+  }
+
+  return overview;
+}
+
+/**
+ * Convert a "YYYY-MM-DD HH:MM:SS" wall-clock time in a time zone to an ISO
+ * UTC timestamp, following the zone's daylight saving rules
+ * @param {string} dateTime - Local date and time
+ * @param {string} timeZone - IANA time zone, e.g. US/Eastern
+ * @returns {string} ISO timestamp
+ */
+function toIsoTimestamp(dateTime, timeZone) {
+  const wallClock = Date.parse(`${dateTime.replace(' ', 'T')}Z`);
+
+  // The offset at the first guess is right except within an hour of a DST change
+  let time = wallClock - getZoneOffset(wallClock, timeZone);
+  time = wallClock - getZoneOffset(time, timeZone);
+
+  return new Date(time).toISOString();
+}
+
+/**
+ * Get a time zone's offset from UTC at a moment
+ * @param {number} time - Milliseconds since the epoch
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in milliseconds (negative west of Greenwich)
+ */
+function getZoneOffset(time, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(new Date(time)).map(part => [part.type, part.value])
+  );
+
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return local - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Parse an Alpha Vantage numeric string ("None" and "-" become null)
+ * @param {string} value - Raw value
+ * @returns {number|null} Parsed number
+ */
+function parseNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+module.exports = {
+  name: 'alphavantage',
+  priority: { history: 50, quote: 50, fiftyTwoWeek: 50, fundamentals: 50, events: 50 },
+  cacheTtl: 60,
+  persist: true,
+  isAvailable: () => alpha !== null,
+  getHistory,
+  getQuote,
+  get52Week,
+  getFundamentals,
+  getEvents
+};
@@ -0,0 +1,348 @@
+const fs = require('fs');
+const path = require('path');
+const { getStartDateFromTimeRange } = require('../../utils/timeRange');
+const { parseCsv } = require('../../utils/csv');
+
+/**
+ * Offline market data provider reading OHLCV history from local files
+ *
+ * Each symbol lives in `<DATA_DIR>/<SYMBOL>.csv` or `<DATA_DIR>/<SYMBOL>.json`.
+ * CSV files need a header row; JSON files hold an array of bars (or an object
+ * with a `data`, `bars` or `prices` array). Columns are matched by common
+ * names (Date, Open, High, Low, Close / Adj Close, Volume) unless mapped
+ * explicitly.
+ *
+ * Time ranges are counted back from the last bar in the file, so a snapshot
+ * exported months ago still answers "1m" with its final month.
+ *
+ * Configuration (environment):
+ *   MARKET_DATA_DIR            Data directory (default backend/data/prices)
+ *   FILE_PROVIDER_COLUMNS      Column mapping, e.g. "date:Trade Date,close:Adj Close"
+ *   FILE_PROVIDER_DATE_FORMAT  How to read slash/dot dates: "mdy" (default) or "dmy"
+ */
+
+const DATA_DIR = path.resolve(
+  __dirname, '../..', process.env.MARKET_DATA_DIR || 'data/prices'
+);
+const DATE_FORMAT = process.env.FILE_PROVIDER_DATE_FORMAT || 'mdy';
+
+const FIELDS = ['date', 'open', 'high', 'low', 'close', 'volume'];
+
+// Header names recognised for each field, in order of preference
+const COLUMN_ALIASES = {
+  date: ['date', 'timestamp', 'datetime', 'time', 'day'],
+  open: ['open', 'o', 'open price'],
+  high: ['high', 'h', 'high price'],
+  low: ['low', 'l', 'low price'],
+  close: ['close', 'c', 'close price', 'last', 'price', 'adj close', 'adjclose', 'adjusted close'],
+  volume: ['volume', 'vol', 'v', 'vol.']
+};
+
+// Parsed files keyed by path, invalidated when the file changes
+const fileCache = new Map();
+
+/**
+ * Read price history for a symbol from the data directory
+ * @param {string} symbol - Stock symbol
+ * @param {Object} options - History options
+ * @param {string} options.timeRange - Time range
+ * @param {string} [options.interval] - Bar interval; files hold daily bars only
+ * @param {string} [options.from] - First date (YYYY-MM-DD), overrides timeRange
+ * @param {string} [options.to] - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Stock data array
+ */
+async function getHistory(symbol, { timeRange, interval = '1d', from, to }) {
+  if (interval !== '1d') {
+    throw new Error(`File data only holds daily bars (requested ${interval})`);
+  }
+
+  const bars = await loadBars(symbol);
+
+  if (from) {
+    return bars.filter(bar => bar.date >= from && (!to || bar.date <= to));
+  }
+
+  return filterByTimeRange(bars, timeRange);
+}
+
+/**
+ * Derive a quote from the last two bars in the file
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object>} Quote fields
+ */
+async function getQuote(symbol) {
+  const bars = await loadBars(symbol);
+  const last = bars[bars.length - 1];
+  const previous = bars[bars.length - 2] || last;
+  const change = last.close - previous.close;
+
+  return {
+    price: last.close,
+    change: parseFloat(change.toFixed(2)),
+    changePercent: parseFloat(((change / previous.close) * 100).toFixed(2)),
+    previousClose: previous.close,
+    open: last.open,
+    dayHigh: last.high,
+    dayLow: last.low,
+    volume: last.volume
+  };
+}
+
+/**
+ * Get the 52-week high/low ending at the last bar in the file
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object>} 52-week data
+ */
+async function get52Week(symbol) {
+  const yearData = filterByTimeRange(await loadBars(symbol), '1y');
+
+  return {
+    fiftyTwoWeekHigh: Math.max(...yearData.map(d => d.high)),
+    fiftyTwoWeekLow: Math.min(...yearData.map(d => d.low))
+  };
+}
+
+/**
+ * Load, parse and sort the bars for a symbol
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Array>} Chronological bars
+ */
+async function loadBars(symbol) {
+  const filePath = findFile(symbol);
+
+  if (!filePath) {
+    throw new Error(`No data file for symbol ${symbol} in ${DATA_DIR}`);
+  }
+
+  const { mtimeMs } = await fs.promises.stat(filePath);
+  const cached = fileCache.get(filePath);
+
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.bars;
+  }
+
+  const content = await fs.promises.readFile(filePath, 'utf8');
+  const rows = filePath.endsWith('.json') ? parseJson(content) : parseCsv(content);
+  const bars = toBars(rows);
+
+  if (bars.length === 0) {
+    throw new Error(`No usable rows for symbol ${symbol} in ${path.basename(filePath)}`);
+  }
+
+  fileCache.set(filePath, { mtimeMs, bars });
+
+  return bars;
+}
+
+/**
+ * Find the data file for a symbol
+ * @param {string} symbol - Stock symbol
+ * @returns {string|null} File path
+ */
+function findFile(symbol) {
+  const names = [symbol, symbol.toUpperCase(), symbol.toLowerCase()];
+
+  for (const name of names) {
+    for (const extension of ['.csv', '.json']) {
+      const filePath = path.join(DATA_DIR, `${name}${extension}`);
+      if (fs.existsSync(filePath)) {
+        return filePath;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse JSON content into row objects
+ * @param {string} content - File content
+ * @returns {Array<Object>} Rows
+ */
+function parseJson(content) {
+  const json = JSON.parse(content);
+
+  if (Array.isArray(json)) {
+    return json;
+  }
+
+  const rows = json.data || json.bars || json.prices;
+  if (!Array.isArray(rows)) {
+    throw new Error('JSON price file must be an array or have a data, bars or prices array');
+  }
+
+  return rows;
+}
+
+/**
+ * Map raw rows to standard OHLCV bars, sorted chronologically
+ * @param {Array<Object>} rows - Raw rows
+ * @returns {Array} Bars
+ */
+function toBars(rows) {
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const columns = resolveColumns(Object.keys(rows[0]));
+
+  if (!columns.date || !columns.close) {
+    throw new Error('Price file needs at least a date and a close column');
+  }
+
+  const bars = [];
+
+  rows.forEach(row => {
+    const date = parseDate(row[columns.date]);
+    const close = parseNumber(row[columns.close]);
+
+    // Skip rows without a usable date or close (e.g. "null" rows in Yahoo exports)
+    if (!date || close === null) {
+      return;
+    }
+
+    const open = columns.open ? parseNumber(row[columns.open]) : null;
+    const high = columns.high ? parseNumber(row[columns.high]) : null;
+    const low = columns.low ? parseNumber(row[columns.low]) : null;
+    const volume = columns.volume ? parseNumber(row[columns.volume]) : null;
+
+    bars.push({
+      date,
+      open: open ?? close,
+      high: high ?? Math.max(open ?? close, close),
+      low: low ?? Math.min(open ?? close, close),
+      close,
+      volume: volume !== null ? Math.round(volume) : 0
+    });
+  });
+
+  bars.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+  // Keep the last row when a date appears more than once
+  return bars.filter((bar, index) => index === bars.length - 1 || bars[index + 1].date !== bar.date);
+}
+
+/**
+ * Work out which source column feeds each field
+ * @param {Array<string>} headers - Source column names
+ * @returns {Object} Field to column name
+ */
+function resolveColumns(headers) {
+  const configured = parseColumnMapping(process.env.FILE_PROVIDER_COLUMNS);
+  const columns = {};
+
+  FIELDS.forEach(field => {
+    if (configured[field]) {
+      columns[field] = configured[field];
+      return;
+    }
+
+    const aliases = COLUMN_ALIASES[field];
+    for (const alias of aliases) {
+      const match = headers.find(header => header.trim().toLowerCase() === alias);
+      if (match) {
+        columns[field] = match;
+        return;
+      }
+    }
+  });
+
+  return columns;
+}
+
+/**
+ * Parse a "field:Column,field:Column" mapping
+ * @param {string} value - Raw mapping
+ * @returns {Object} Field to column name
+ */
+function parseColumnMapping(value) {
+  const mapping = {};
+
+  (value || '').split(',').forEach(entry => {
+    const separator = entry.indexOf(':');
+    if (separator > 0) {
+      const field = entry.slice(0, separator).trim().toLowerCase();
+      if (FIELDS.includes(field)) {
+        mapping[field] = entry.slice(separator + 1).trim();
+      }
+    }
+  });
+
+  return mapping;
+}
+
+/**
+ * Parse the date formats found in common exports into YYYY-MM-DD
+ * (ISO dates and datetimes, YYYYMMDD, MM/DD/YYYY or DD/MM/YYYY, and Unix
+ * timestamps in seconds or milliseconds)
+ * @param {string|number} value - Raw date
+ * @returns {string|null} Date key
+ */
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const text = String(value).trim();
+  let date = null;
+
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+    return text.slice(0, 10);
+  } else if (/^\d{8}$/.test(text)) {
+    return `${text.slice(0, 4)}-${text.slice(4, 6)}-${text.slice(6, 8)}`;
+  } else if (/^\d{9,10}$/.test(text)) {
+    date = new Date(parseInt(text) * 1000);
+  } else if (/^\d{12,13}$/.test(text)) {
+    date = new Date(parseInt(text));
+  } else {
+    const parts = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+    if (parts) {
+      const [first, second] = [parseInt(parts[1]), parseInt(parts[2])];
+      const [month, day] = DATE_FORMAT === 'dmy' ? [second, first] : [first, second];
+      let year = parseInt(parts[3]);
+      if (year < 100) year += year < 70 ? 2000 : 1900;
+      date = new Date(Date.UTC(year, month - 1, day));
+    } else {
+      date = new Date(text);
+    }
+  }
+
+  return date && !isNaN(date.getTime()) ? date.toISOString().split('T')[0] : null;
+}
+
+/**
+ * Parse a numeric cell, ignoring thousands separators
+ * @param {string|number} value - Raw value
+ * @returns {number|null} Number
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+
+  const number = parseFloat(String(value ?? '').replace(/,/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Keep the bars inside a time range that ends at the last bar
+ * @param {Array} bars - Chronological bars
+ * @param {string} timeRange - Time range
+ * @returns {Array} Filtered bars
+ */
+function filterByTimeRange(bars, timeRange) {
+  const lastDate = new Date(`${bars[bars.length - 1].date}T00:00:00Z`);
+  const from = getStartDateFromTimeRange(timeRange, lastDate).toISOString().split('T')[0];
+
+  return bars.filter(bar => bar.date >= from);
+}
+
+module.exports = {
+  name: 'file',
+  priority: { history: 150, quote: 150, fiftyTwoWeek: 150 },
+  cacheTtl: 300,
+  isAvailable: () => fs.existsSync(DATA_DIR),
+  getHistory,
+  getQuote,
+  get52Week
+};
@@ -0,0 +1,193 @@
+const path = require('path');
+const cache = require('../../middleware/cache');
+const logger = require('../../utils/logger');
+
+/**
+ * Market data provider registry
+ *
+ * A provider is a plain object with a unique `name`, an `isAvailable()`
+ * check, a `priority` map (higher runs first), an optional `persist` flag
+ * (true when its history may be kept in the price store) and one method per
+ * capability it supports:
+ *
+ *   history      getHistory(symbol, { timeRange, interval, from, to }) -> [{ date, open, high, low, close, volume }]
+ *   quote        getQuote(symbol)            -> { price, change, changePercent, ... }
+ *   fiftyTwoWeek get52Week(symbol)           -> { fiftyTwoWeekHigh, fiftyTwoWeekLow }
+ *   fundamentals getFundamentals(symbol)     -> { marketCap, peRatio, beta, ... }
+ *   events       getEvents(symbol, { from, to }) -> [{ date, type: 'split', ratio } | { date, type: 'dividend', amount }]
+ *
+ * History is asked for daily bars (interval "1d" or omitted) or intraday bars
+ * (1m, 5m, 15m, 30m, 1h, dated with ISO timestamps); weekly and monthly bars
+ * are resampled from the daily series by the stock service. Prices are as
+ * traded (not adjusted for splits or dividends); the stock service adjusts
+ * them with the same provider's events.
+ *
+ * Configuration (environment):
+ *   MARKET_DATA_PROVIDERS         Enabled providers, in tie-break order
+ *                                 (default "file,yahoo,alphavantage,mock",
+ *                                 or "file,mock" when USE_LIVE_DATA=false)
+ *   MARKET_DATA_<CAP>_PROVIDERS   Explicit order for one capability, e.g.
+ *                                 MARKET_DATA_QUOTE_PROVIDERS=alphavantage,mock
+ *   MARKET_DATA_PROVIDER_MODULES  Extra provider modules to register, as
+ *                                 paths relative to the backend directory
+ */
+
+const CAPABILITIES = {
+  history: 'getHistory',
+  quote: 'getQuote',
+  fiftyTwoWeek: 'get52Week',
+  fundamentals: 'getFundamentals',
+  events: 'getEvents'
+};
+
+const DEFAULT_PROVIDERS = process.env.USE_LIVE_DATA === 'false'
+  ? 'file,mock'
+  : 'file,yahoo,alphavantage,mock';
+
+const providers = new Map();
+
+/**
+ * Register a market data provider (replaces any provider with the same name)
+ * @param {Object} provider - Provider implementation
+ */
+function registerProvider(provider) {
+  if (!provider || !provider.name) {
+    throw new Error('Market data provider must have a name');
+  }
+
+  const capabilities = Object.keys(CAPABILITIES).filter(
+    capability => typeof provider[CAPABILITIES[capability]] === 'function'
+  );
+
+  if (capabilities.length === 0) {
+    throw new Error(`Market data provider ${provider.name} implements no capabilities`);
+  }
+
+  providers.set(provider.name, provider);
+  logger.debug(`Registered market data provider ${provider.name} (${capabilities.join(', ')})`);
+}
+
+/**
+ * Get a registered provider by name
+ * @param {string} name - Provider name
+ * @returns {Object|undefined} Provider
+ */
+function getProvider(name) {
+  return providers.get(name);
+}
+
+/**
+ * Get enabled, available providers for a capability, best first
+ * @param {string} capability - Capability name (history, quote, ...)
+ * @returns {Array<Object>} Ordered providers
+ */
+function getProvidersFor(capability) {
+  const method = CAPABILITIES[capability];
+
+  if (!method) {
+    throw new Error(`Unknown market data capability: ${capability}`);
+  }
+
+  const enabled = parseList(process.env.MARKET_DATA_PROVIDERS || DEFAULT_PROVIDERS);
+  const override = parseList(process.env[`MARKET_DATA_${toEnvName(capability)}_PROVIDERS`]);
+
+  const candidates = (override.length > 0 ? override : enabled)
+    .filter(name => enabled.includes(name))
+    .map(name => providers.get(name))
+    .filter(provider => provider && typeof provider[method] === 'function' && provider.isAvailable());
+
+  if (override.length > 0) {
+    return candidates;
+  }
+
+  // Stable sort keeps the configured order for equal priorities
+  return candidates.sort(
+    (a, b) => (b.priority?.[capability] || 0) - (a.priority?.[capability] || 0)
+  );
+}
+
+/**
+ * Run a capability against each provider in priority order until one succeeds.
+ * Identical calls made while one is in flight share its result.
+ * @param {string} capability - Capability name (history, quote, ...)
+ * @param {...any} args - Arguments passed to the provider method
+ * @returns {Promise<Object>} { provider, data, cacheTtl }
+ */
+function fetchFrom(capability, ...args) {
+  return cache.coalesce(
+    `fetch_${capability}_${JSON.stringify(args)}`,
+    () => fetchFromProviders(capability, args)
+  );
+}
+
+/**
+ * Try each provider for a capability in priority order
+ * @param {string} capability - Capability name
+ * @param {Array} args - Arguments passed to the provider method
+ * @returns {Promise<Object>} { provider, data, cacheTtl }
+ */
+async function fetchFromProviders(capability, args) {
+  const method = CAPABILITIES[capability];
+  const candidates = getProvidersFor(capability);
+  const symbol = args[0];
+
+  if (candidates.length === 0) {
+    throw new Error(`No market data provider enabled for ${capability}`);
+  }
+
+  const failures = [];
+
+  for (const provider of candidates) {
+    try {
+      const data = await provider[method](...args);
+      logger.info(`Served ${capability} for ${symbol} from ${provider.name}`);
+      return { provider: provider.name, data, cacheTtl: provider.cacheTtl };
+    } catch (error) {
+      logger.warn(`${provider.name} failed ${capability} for ${symbol}: ${error.message}`);
+      failures.push(`${provider.name}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`All providers failed ${capability} for ${symbol} (${failures.join('; ')})`);
+}
+
+/**
+ * Parse a comma-separated list
+ * @param {string} value - Raw list
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Convert a capability name to its environment variable form
+ * @param {string} capability - Capability name, e.g. fiftyTwoWeek
+ * @returns {string} e.g. FIFTY_TWO_WEEK
+ */
+function toEnvName(capability) {
+  return capability.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+// Built-in providers
+registerProvider(require('./fileProvider'));
+registerProvider(require('./yahooProvider'));
+registerProvider(require('./alphaVantageProvider'));
+registerProvider(require('./mockProvider'));
+
+// Vendor adapters configured outside the codebase
+parseList(process.env.MARKET_DATA_PROVIDER_MODULES).forEach(modulePath => {
+  try {
+    registerProvider(require(path.resolve(__dirname, '../..', modulePath)));
+  } catch (error) {
+    logger.error(`Failed to load market data provider ${modulePath}: ${error.message}`);
+  }
+});
+
+module.exports = {
+  CAPABILITIES,
+  registerProvider,
+  getProvider,
+  getProvidersFor,
+  fetchFrom
+};
@@ -0,0 +1,94 @@
+const simulator = require('../../utils/marketSimulator');
+const { getStartDateFromTimeRange, getIntervalMinutes } = require('../../utils/timeRange');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Mock market data provider for development/testing and as the last-resort
+ * fallback when every live provider fails. Backed by the deterministic
+ * market simulator, so history, quotes and 52-week figures agree.
+ */
+
+/**
+ * Get simulated stock data
+ * @param {string} symbol - Stock symbol
+ * @param {Object} options - History options
+ * @param {string} options.timeRange - Time range
+ * @param {string} [options.interval] - Bar interval (default 1d)
+ * @param {string} [options.from] - First date (YYYY-MM-DD), overrides timeRange
+ * @param {string} [options.to] - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Simulated stock data
+ */
+async function getHistory(symbol, { timeRange, interval = '1d', from, to }) {
+  const minutes = getIntervalMinutes(interval);
+
+  if (minutes) {
+    // Count back from the latest session so weekends still show the last day traded
+    const now = new Date();
+    const lastDay = simulator.getBars(symbol, new Date(now.getTime() - 7 * DAY_MS)).pop();
+    const end = new Date(Math.min(now.getTime(), new Date(`${lastDay.date}T23:59:59Z`).getTime()));
+
+    return simulator.getIntradayBars(symbol, getStartDateFromTimeRange(timeRange, end), end, minutes);
+  }
+
+  return simulator.getBars(
+    symbol,
+    from ? new Date(`${from}T00:00:00Z`) : getStartDateFromTimeRange(timeRange),
+    to ? new Date(`${to}T00:00:00Z`) : undefined
+  );
+}
+
+/**
+ * Get simulated current quote
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object>} Simulated quote fields
+ */
+async function getQuote(symbol) {
+  return simulator.getQuote(symbol);
+}
+
+/**
+ * Get simulated 52-week high/low
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object>} Simulated 52-week data
+ */
+async function get52Week(symbol) {
+  return simulator.get52Week(symbol);
+}
+
+/**
+ * Get simulated fundamentals
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object>} Simulated fundamentals
+ */
+async function getFundamentals(symbol) {
+  return simulator.getFundamentals(symbol);
+}
+
+/**
+ * Get simulated splits and dividends
+ * @param {string} symbol - Stock symbol
+ * @param {Object} [options] - Date filter
+ * @param {string} [options.from] - First date (YYYY-MM-DD)
+ * @param {string} [options.to] - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Corporate-action events, oldest first
+ */
+async function getEvents(symbol, { from, to } = {}) {
+  return simulator.getEvents(
+    symbol,
+    from ? new Date(`${from}T00:00:00Z`) : undefined,
+    to ? new Date(`${to}T00:00:00Z`) : undefined
+  );
+}
+
+module.exports = {
+  name: 'mock',
+  priority: { history: 0, quote: 0, fiftyTwoWeek: 0, fundamentals: 0, events: 0 },
+  cacheTtl: 300,
+  isAvailable: () => true,
+  getHistory,
+  getQuote,
+  get52Week,
+  getFundamentals,
+  getEvents
+};
@@ -0,0 +1,229 @@
+const yahooFinance = require('yahoo-finance2').default;
+const cache = require('../../middleware/cache');
+const { getStartDateFromTimeRange, isIntradayInterval, addDays } = require('../../utils/timeRange');
+const { unadjustSplits, parseSplitRatio } = require('../../utils/corporateActions');
+const { parseSymbol } = require('../../utils/symbols');
+
+/**
+ * Yahoo Finance market data provider (free, no API key required)
+ */
+
+/**
+ * Convert a canonical symbol to Yahoo's form. They match except for US
+ * share classes, which Yahoo writes with a dash (BRK.B is BRK-B).
+ * @param {string} symbol - Canonical symbol
+ * @returns {string} Yahoo symbol
+ */
+function toYahooSymbol(symbol) {
+  const { assetClass, exchange } = parseSymbol(symbol);
+  return (assetClass === 'equity' || assetClass === 'etf') && !exchange ? symbol.replace('.', '-') : symbol;
+}
+
+/**
+ * Fetch price history from Yahoo Finance
+ * @param {string} symbol - Stock symbol
+ * @param {Object} options - History options
+ * @param {string} options.timeRange - Time range
+ * @param {string} [options.interval] - Bar interval (default 1d)
+ * @param {string} [options.from] - First date (YYYY-MM-DD), overrides timeRange
+ * @param {string} [options.to] - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Stock data array
+ */
+async function getHistory(symbol, { timeRange, interval = '1d', from, to }) {
+  const now = new Date();
+  const start = from ? new Date(`${from}T00:00:00Z`) : getStartDateFromTimeRange(timeRange, now);
+  const end = to ? new Date(`${addDays(to, 1)}T00:00:00Z`) : now;
+
+  const queryOptions = {
+    period1: Math.floor(start.getTime() / 1000),
+    period2: Math.floor(Math.min(end.getTime(), now.getTime()) / 1000),
+    interval
+  };
+
+  // Intraday bars are only served by the chart endpoint
+  const intraday = isIntradayInterval(interval);
+  const result = intraday
+    ? (await yahooFinance.chart(toYahooSymbol(symbol), queryOptions)).quotes.filter(item => item.close !== null)
+    : await yahooFinance.historical(toYahooSymbol(symbol), queryOptions);
+
+  if (!result || result.length === 0) {
+    // An explicit date range may legitimately hold no trading days
+    if (from) {
+      return [];
+    }
+    throw new Error(`No data found for symbol ${symbol}`);
+  }
+
+  // Convert Yahoo Finance format to our standard format
+  const bars = result.map(item => ({
+    date: intraday ? item.date.toISOString() : item.date.toISOString().split('T')[0],
+    open: parseFloat(item.open?.toFixed(2) || 0),
+    high: parseFloat(item.high?.toFixed(2) || 0),
+    low: parseFloat(item.low?.toFixed(2) || 0),
+    close: parseFloat(item.close?.toFixed(2) || 0),
+    volume: item.volume || 0
+  }));
+
+  // Both endpoints return bars oldest first; sort anyway so adjustment can rely on it
+  const chronological = bars.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+  // Yahoo restates prices for later splits; return them as traded
+  const events = await getEvents(symbol).catch(() => []);
+  return unadjustSplits(chronological, events);
+}
+
+/**
+ * Get splits and dividends (dividend amounts are as paid)
+ * @param {string} symbol - Stock symbol
+ * @param {Object} [options] - Date filter
+ * @param {string} [options.from] - First date (YYYY-MM-DD)
+ * @param {string} [options.to] - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Corporate-action events, oldest first
+ */
+async function getEvents(symbol, { from, to } = {}) {
+  const cacheKey = `yahoo_events_${symbol}`;
+  let events = cache.get(cacheKey);
+
+  if (!events) {
+    events = await cache.coalesce(cacheKey, async () => {
+      const queryOptions = { period1: '1970-01-01', period2: new Date() };
+      const [dividends, splits] = await Promise.all([
+        yahooFinance.historical(toYahooSymbol(symbol), { ...queryOptions, events: 'dividends' }),
+        yahooFinance.historical(toYahooSymbol(symbol), { ...queryOptions, events: 'split' })
+      ]);
+
+      const result = [
+        ...dividends.map(item => ({
+          date: item.date.toISOString().split('T')[0],
+          type: 'dividend',
+          amount: item.dividends
+        })),
+        ...splits.map(item => ({
+          date: item.date.toISOString().split('T')[0],
+          type: 'split',
+          ratio: parseSplitRatio(item.stockSplits)
+        })).filter(event => event.ratio)
+      ].sort((a, b) => a.date.localeCompare(b.date));
+
+      // Corporate actions rarely change; keep them for an hour
+      cache.set(cacheKey, result, 3600);
+      return result;
+    });
+  }
+
+  return events.filter(event => (!from || event.date >= from) && (!to || event.date <= to));
+}
+
+/**
+ * Get the latest price quote
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object>} Quote fields
+ */
+async function getQuote(symbol) {
+  const { price } = await getQuoteSummary(symbol);
+
+  if (!price || price.regularMarketPrice === undefined) {
+    throw new Error(`No quote found for symbol ${symbol}`);
+  }
+
+  return {
+    price: price.regularMarketPrice,
+    change: price.regularMarketChange,
+    changePercent: price.regularMarketChangePercent,
+    previousClose: price.regularMarketPreviousClose,
+    open: price.regularMarketOpen,
+    dayHigh: price.regularMarketDayHigh,
+    dayLow: price.regularMarketDayLow,
+    volume: price.regularMarketVolume
+  };
+}
+
+/**
+ * Get 52-week high/low, preferring Yahoo's summary and falling back to a
+ * year of history
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object>} 52-week data
+ */
+async function get52Week(symbol) {
+  const { summaryDetail } = await getQuoteSummary(symbol);
+
+  if (summaryDetail?.fiftyTwoWeekHigh && summaryDetail?.fiftyTwoWeekLow) {
+    return {
+      fiftyTwoWeekHigh: summaryDetail.fiftyTwoWeekHigh,
+      fiftyTwoWeekLow: summaryDetail.fiftyTwoWeekLow
+    };
+  }
+
+  const yearData = await getHistory(symbol, { timeRange: '1y' });
+  const highs = yearData.map(d => d.high).filter(h => h > 0);
+  const lows = yearData.map(d => d.low).filter(l => l > 0);
+
+  return {
+    fiftyTwoWeekHigh: Math.max(...highs),
+    fiftyTwoWeekLow: Math.min(...lows)
+  };
+}
+
+/**
+ * Get valuation and volume statistics
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object>} Fundamentals
+ */
+async function getFundamentals(symbol) {
+  const { summaryDetail: details, defaultKeyStatistics: keyStats } = await getQuoteSummary(symbol);
+
+  if (!details) {
+    throw new Error(`No fundamentals found for symbol ${symbol}`);
+  }
+
+  return {
+    marketCap: details.marketCap,
+    avgVolume: details.averageVolume,
+    avgVolume10Day: details.averageDailyVolume10Day,
+    peRatio: keyStats?.trailingPE,
+    pegRatio: keyStats?.pegRatio,
+    priceToBook: keyStats?.priceToBook,
+    beta: keyStats?.beta,
+    earningsPerShare: keyStats?.trailingEps,
+    dividendYield: keyStats?.dividendYield
+  };
+}
+
+/**
+ * Fetch the quoteSummary modules shared by the quote, 52-week and
+ * fundamentals capabilities, so one quote request hits Yahoo once
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object>} quoteSummary result
+ */
+async function getQuoteSummary(symbol) {
+  const cacheKey = `yahoo_summary_${symbol}`;
+  const cachedData = cache.get(cacheKey);
+
+  if (cachedData) {
+    return cachedData;
+  }
+
+  // The three capabilities usually ask at the same moment
+  return cache.coalesce(cacheKey, async () => {
+    const summary = await yahooFinance.quoteSummary(toYahooSymbol(symbol), {
+      modules: ['price', 'summaryDetail', 'defaultKeyStatistics']
+    });
+
+    cache.set(cacheKey, summary, 30);
+
+    return summary;
+  });
+}
+
+module.exports = {
+  name: 'yahoo',
+  priority: { history: 100, quote: 100, fiftyTwoWeek: 100, fundamentals: 100, events: 100 },
+  cacheTtl: 60,
+  persist: true,
+  isAvailable: () => true,
+  getHistory,
+  getQuote,
+  get52Week,
+  getFundamentals,
+  getEvents
+};
@@ -0,0 +1,281 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const stockService = require('./stockService');
+const { isValidSymbol, normalizeSymbol } = require('../utils/symbols');
+const logger = require('../utils/logger');
+
+/**
+ * WebSocket quote stream (ws://host/ws/quotes)
+ *
+ * Clients send `{ "type": "subscribe", "symbols": ["AAPL"] }` and
+ * `{ "type": "unsubscribe", "symbols": ["AAPL"] }`; the server pushes
+ * `{ "type": "quote", "symbol": "AAPL", "data": {...} }` whenever a quote
+ * changes, or `{ "type": "error", "symbol": "AAPL", "message": "..." }` when
+ * it cannot be refreshed. Each symbol is polled upstream once, however many
+ * clients watch it, even under different spellings ('btc' and 'BTC-USD');
+ * messages name the symbol the way the client subscribed to it.
+ *
+ * Configuration (environment):
+ *   QUOTE_STREAM_INTERVAL        Poll interval per symbol in ms (default 15000)
+ *   QUOTE_STREAM_MAX_SYMBOLS     Subscriptions allowed per client (default 50)
+ */
+
+const STREAM_PATH = '/ws/quotes';
+const POLL_INTERVAL = parseInt(process.env.QUOTE_STREAM_INTERVAL || '15000');
+const MAX_SYMBOLS_PER_CLIENT = parseInt(process.env.QUOTE_STREAM_MAX_SYMBOLS || '50');
+const HEARTBEAT_INTERVAL = 30000;
+
+// symbol -> { clients: Set<WebSocket>, timer, lastQuote, lastError }
+const feeds = new Map();
+
+let wss = null;
+
+/**
+ * Attach the quote stream to an HTTP server
+ * @param {http.Server} server - Server returned by app.listen()
+ * @returns {WebSocketServer} WebSocket server
+ */
+function attach(server) {
+  wss = new WebSocketServer({ server, path: STREAM_PATH });
+
+  wss.on('connection', (socket) => {
+    // Canonical symbol -> the spellings this client subscribed with
+    socket.symbols = new Map();
+    socket.isAlive = true;
+
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+    socket.on('message', (message) => {
+      // An exception thrown in a ws listener would take down the process
+      try {
+        handleMessage(socket, message);
+      } catch (error) {
+        logger.error('Error handling quote stream message:', error);
+        send(socket, { type: 'error', message: 'Failed to handle message' });
+      }
+    });
+    socket.on('close', () => {
+      [...socket.symbols.keys()].forEach(symbol => unsubscribe(socket, symbol));
+    });
+  });
+
+  // Drop clients that stopped answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(socket => {
+      if (!socket.isAlive) {
+        return socket.terminate();
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_INTERVAL);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  logger.info(`Quote stream listening on ${STREAM_PATH}`);
+
+  return wss;
+}
+
+/**
+ * Handle a client message
+ * @param {WebSocket} socket - Client socket
+ * @param {Buffer} message - Raw message
+ */
+function handleMessage(socket, message) {
+  let request;
+
+  try {
+    request = JSON.parse(message.toString());
+  } catch (error) {
+    return send(socket, { type: 'error', message: 'Messages must be JSON' });
+  }
+
+  if (!request || typeof request !== 'object' || Array.isArray(request)) {
+    return send(socket, { type: 'error', message: 'Messages must be JSON objects' });
+  }
+
+  const requested = Array.isArray(request.symbols) ? request.symbols : [request.symbol];
+  const invalid = requested.filter(symbol => !isValidSymbol(symbol));
+
+  if (invalid.length > 0) {
+    return send(socket, { type: 'error', message: `Invalid stock symbol: ${invalid.join(', ')}` });
+  }
+
+  // Feeds are keyed by canonical symbol, so 'aapl' and 'AAPL' share one poller
+  const symbols = requested.map(normalizeSymbol);
+
+  switch (request.type) {
+    case 'subscribe':
+      if (socket.symbols.size + new Set(symbols.filter(s => !socket.symbols.has(s))).size > MAX_SYMBOLS_PER_CLIENT) {
+        return send(socket, {
+          type: 'error',
+          message: `A connection can watch at most ${MAX_SYMBOLS_PER_CLIENT} symbols`
+        });
+      }
+      symbols.forEach((symbol, i) => subscribe(socket, symbol, requested[i]));
+      break;
+    case 'unsubscribe':
+      symbols.forEach((symbol, i) => unsubscribe(socket, symbol, requested[i]));
+      break;
+    default:
+      return send(socket, { type: 'error', message: `Unknown message type: ${request.type}` });
+  }
+
+  send(socket, { type: 'subscribed', symbols: [...socket.symbols.values()].flatMap(aliases => [...aliases]) });
+}
+
+/**
+ * Add a client to a symbol's feed, starting the poller for the first client
+ * @param {WebSocket} socket - Client socket
+ * @param {string} symbol - Canonical stock symbol
+ * @param {string} alias - Symbol as the client spelled it
+ */
+function subscribe(socket, symbol, alias) {
+  let aliases = socket.symbols.get(symbol);
+
+  if (aliases && aliases.has(alias)) {
+    return;
+  }
+  if (!aliases) {
+    aliases = new Set();
+    socket.symbols.set(symbol, aliases);
+  }
+
+  aliases.add(alias);
+
+  let feed = feeds.get(symbol);
+
+  if (!feed) {
+    feed = { clients: new Set(), timer: null, lastQuote: null, lastError: null };
+    feeds.set(symbol, feed);
+    feed.timer = setInterval(() => poll(symbol), POLL_INTERVAL);
+    poll(symbol);
+    logger.debug(`Started quote feed for ${symbol}`);
+  } else if (feed.lastError) {
+    send(socket, { type: 'error', symbol: alias, message: feed.lastError });
+  } else if (feed.lastQuote) {
+    // Late joiners get the latest quote straight away
+    send(socket, { type: 'quote', symbol: alias, data: feed.lastQuote });
+  }
+
+  feed.clients.add(socket);
+}
+
+/**
+ * Drop one of a client's spellings of a symbol, or all of them, removing the
+ * client from the feed once none is left and stopping the poller for the
+ * last client
+ * @param {WebSocket} socket - Client socket
+ * @param {string} symbol - Canonical stock symbol
+ * @param {string} [alias] - Spelling to drop (default: every spelling)
+ */
+function unsubscribe(socket, symbol, alias) {
+  const aliases = socket.symbols.get(symbol);
+  if (!aliases) {
+    return;
+  }
+
+  if (alias !== undefined) {
+    aliases.delete(alias);
+    if (aliases.size > 0) {
+      return;
+    }
+  }
+
+  socket.symbols.delete(symbol);
+
+  const feed = feeds.get(symbol);
+  if (!feed) {
+    return;
+  }
+
+  feed.clients.delete(socket);
+
+  if (feed.clients.size === 0) {
+    clearInterval(feed.timer);
+    feeds.delete(symbol);
+    logger.debug(`Stopped quote feed for ${symbol}`);
+  }
+}
+
+/**
+ * Fetch the latest quote for a symbol and push it if it changed, or tell
+ * the feed's clients that it could not be refreshed
+ * @param {string} symbol - Stock symbol
+ */
+async function poll(symbol) {
+  let quote;
+
+  try {
+    quote = await stockService.getCurrentQuote(symbol);
+  } catch (error) {
+    logger.warn(`Quote stream failed to refresh ${symbol}: ${error.message}`);
+
+    const feed = feeds.get(symbol);
+    if (feed) {
+      feed.lastError = `Failed to fetch quote for ${symbol}`;
+      feed.clients.forEach(socket => sendFeed(socket, symbol, { type: 'error', message: feed.lastError }));
+    }
+    return;
+  }
+
+  const feed = feeds.get(symbol);
+
+  // The feed may have been closed while the quote was loading
+  if (!feed || (!feed.lastError && feed.lastQuote && !hasChanged(feed.lastQuote, quote))) {
+    return;
+  }
+
+  feed.lastQuote = quote;
+  feed.lastError = null;
+  feed.clients.forEach(socket => sendFeed(socket, symbol, { type: 'quote', data: quote }));
+}
+
+/**
+ * Compare the fields clients display; the timestamp changes on every fetch
+ * @param {Object} previous - Last pushed quote
+ * @param {Object} quote - Latest quote
+ * @returns {boolean} True when the quote moved
+ */
+function hasChanged(previous, quote) {
+  return ['price', 'change', 'changePercent', 'volume', 'dayHigh', 'dayLow']
+    .some(field => previous[field] !== quote[field]);
+}
+
+/**
+ * Send a message if the socket is still open
+ * @param {WebSocket} socket - Client socket
+ * @param {Object} message - Message
+ */
+function send(socket, message) {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Send a feed message to a client once for each spelling it subscribed with
+ * @param {WebSocket} socket - Client socket
+ * @param {string} symbol - Canonical stock symbol
+ * @param {Object} message - Message, without its symbol
+ */
+function sendFeed(socket, symbol, message) {
+  (socket.symbols.get(symbol) || []).forEach(alias => send(socket, { ...message, symbol: alias }));
+}
+
+/**
+ * Get stream statistics
+ * @returns {Object} Connected clients and watched symbols
+ */
+function getStats() {
+  return {
+    clients: wss ? wss.clients.size : 0,
+    symbols: [...feeds.keys()]
+  };
+}
+
+module.exports = {
+  attach,
+  getStats
+};
@@ -0,0 +1,116 @@
+const stockService = require('./stockService');
+const logger = require('../utils/logger');
+const { analyzeRisk, correlateReturns } = require('../utils/risk');
+const { getPeriodsPerYear } = require('../utils/timeRange');
+
+const DEFAULT_BENCHMARK = 'SPY';
+
+/**
+ * Analyze the risk of weighted holdings from their daily history
+ * @param {Array} holdings - `{ symbol, weight }`; weights are normalized to sum to 1
+ * @param {Object} [options] - Options
+ * @param {string} [options.benchmark] - Benchmark symbol for beta (default SPY)
+ * @param {string} [options.timeRange] - History the statistics are computed over (default 1y)
+ * @param {number} [options.confidence] - VaR confidence level (default 0.95)
+ * @param {number} [options.value] - Portfolio value, to also express VaR/CVaR in currency
+ * @returns {Promise<Object>} Volatility, beta, VaR/CVaR, max drawdown and
+ *   each position's contribution to risk (see utils/risk)
+ */
+async function getRisk(holdings, { benchmark = DEFAULT_BENCHMARK, timeRange = '1y', confidence = 0.95, value } = {}) {
+  const symbols = [...new Set([...holdings.map(holding => holding.symbol), benchmark])];
+
+  try {
+    const series = {};
+
+    // Split/dividend-adjusted closes, so corporate actions are not read as returns
+    await Promise.all(symbols.map(async symbol => {
+      const { data } = await stockService.getStockData(symbol, timeRange, '1d', true);
+      series[symbol] = data;
+    }));
+
+    const risk = analyzeRisk(series, holdings, benchmark, {
+      confidence,
+      periodsPerYear: getPeriodsPerYear('1d')
+    });
+
+    return {
+      timeRange,
+      ...risk,
+      ...(value > 0 ? { value, valueAtRisk: toAmounts(risk.portfolio.var, value) } : {})
+    };
+  } catch (error) {
+    logger.error(`Error analyzing risk of ${symbols.join(', ')}:`, error);
+    throw new Error(`Failed to analyze risk: ${error.message}`);
+  }
+}
+
+/**
+ * Analyze the risk of a portfolio's open positions, weighted by market value
+ * @param {Object} holdings - Valued portfolio with open positions (see portfolioService.getHoldings)
+ * @param {Object} [options] - benchmark, timeRange and confidence (see getRisk)
+ * @returns {Promise<Object>} The portfolio and its risk analysis, with VaR/CVaR also in currency
+ */
+async function getPortfolioRisk(holdings, options = {}) {
+  const weighted = holdings.positions.map(position => ({
+    symbol: position.symbol,
+    weight: position.marketValue
+  }));
+
+  // Cash carries no risk, so VaR in currency is on the invested value
+  return {
+    portfolio: holdings.portfolio,
+    risk: await getRisk(weighted, { ...options, value: holdings.totals.marketValue })
+  };
+}
+
+/**
+ * Correlate symbols' daily log returns
+ * @param {Array<string>} symbols - Symbols to correlate
+ * @param {string} [timeRange] - History the correlations are computed over (default 1m)
+ * @param {number} [window] - Also return rolling correlations over this many returns
+ * @returns {Promise<Object>} Correlation matrix and optional rolling correlations (see utils/risk)
+ */
+async function getCorrelation(symbols, timeRange = '1m', window) {
+  try {
+    const series = {};
+
+    await Promise.all(symbols.map(async symbol => {
+      const { data } = await stockService.getStockData(symbol, timeRange, '1d', true);
+      series[symbol] = data;
+    }));
+
+    return {
+      timeRange,
+      ...correlateReturns(series, symbols, { window })
+    };
+  } catch (error) {
+    logger.error(`Error correlating ${symbols.join(', ')}:`, error);
+    throw new Error(`Failed to correlate ${symbols.join(', ')}: ${error.message}`);
+  }
+}
+
+/**
+ * Express percentage VaR/CVaR as amounts of a portfolio value
+ * @param {Object} percentages - Historical and parametric VaR/CVaR in percent
+ * @param {number} value - Portfolio value
+ * @returns {Object} The same measures in currency
+ */
+function toAmounts(percentages, value) {
+  const amounts = {};
+
+  Object.entries(percentages).forEach(([method, measures]) => {
+    amounts[method] = {
+      var: parseFloat((measures.var / 100 * value).toFixed(2)),
+      cvar: parseFloat((measures.cvar / 100 * value).toFixed(2))
+    };
+  });
+
+  return amounts;
+}
+
+module.exports = {
+  DEFAULT_BENCHMARK,
+  getRisk,
+  getPortfolioRisk,
+  getCorrelation
+};
@@ -0,0 +1,288 @@
+const stockService = require('./stockService');
+const securityMaster = require('./securityMaster');
+const logger = require('../utils/logger');
+const { FIELDS, matchesFilter, columnName } = require('../utils/screener');
+
+/**
+ * Stock screener
+ *
+ * Runs screens (see utils/screener) over the listed securities of the
+ * security master, cheapest data first: security fields narrow the universe,
+ * then each remaining symbol's quote is loaded, then indicator series for the
+ * symbols still left. Symbols whose data cannot be loaded are left out and
+ * reported as skipped. Screens can be saved by name and run again later.
+ */
+
+const DEFAULT_LIMIT = 25;
+
+// Symbols whose quotes or indicators are loaded at once
+const BATCH_SIZE = 5;
+
+// Quote columns every result carries
+const QUOTE_COLUMNS = ['price', 'changePercent', 'marketCap', 'peRatio', 'beta', 'dividendYield', 'fromHigh', 'fromLow'];
+
+let db = null;
+
+/**
+ * Get the initialised database (loaded lazily, as in priceStore)
+ * @returns {Promise<Object>} Database module
+ */
+async function getDb() {
+  if (!db) {
+    db = require('../db');
+  }
+
+  await db.init();
+  return db;
+}
+
+/**
+ * Run a screen
+ * @param {Object} screen - Resolved screen (see utils/screener resolveScreen)
+ * @param {Object} [paging] - `{ limit, offset }`
+ * @returns {Promise<Object>} Total matches, the page of results (security
+ *   fields plus a value per column), the columns, and the skipped symbols
+ */
+async function runScreen({ filters, sort }, { limit = DEFAULT_LIMIT, offset = 0 } = {}) {
+  try {
+    const filtersFrom = source => filters.filter(filter => FIELDS[filter.field].source === source);
+    const skipped = [];
+
+    let candidates = securityMaster.listSecurities()
+      .filter(security => filtersFrom('security').every(filter =>
+        matchesFilter(filter, FIELDS[filter.field].value(security))))
+      .map(security => ({ security, row: toRow(security) }));
+
+    candidates = await loadInBatches(candidates, skipped, async ({ security, row }) => {
+      const quote = await stockService.getCurrentQuote(security.symbol);
+      QUOTE_COLUMNS.forEach(field => {
+        row[field] = FIELDS[field].value(quote);
+      });
+    });
+    candidates = candidates.filter(({ row }) => filtersFrom('quote').every(filter => matchesFilter(filter, row[filter.field])));
+
+    // Indicator columns come from the filters and the sort, once per field and period
+    const indicatorColumns = [...filtersFrom('indicator'), ...(FIELDS[sort.field] && FIELDS[sort.field].source === 'indicator' ? [sort] : [])]
+      .filter((column, i, columns) => columns.findIndex(other => columnName(other) === columnName(column)) === i);
+
+    if (indicatorColumns.length > 0) {
+      candidates = await loadInBatches(candidates, skipped, async ({ security, row }) => {
+        for (const column of indicatorColumns) {
+          row[columnName(column)] = await getIndicatorValue(security.symbol, column);
+        }
+      });
+      candidates = candidates.filter(({ row }) => filtersFrom('indicator').every(filter =>
+        matchesFilter(filter, row[columnName(filter)])));
+    }
+
+    const rows = candidates.map(candidate => candidate.row).sort(compareRows(columnName(sort), sort.direction));
+
+    return {
+      total: rows.length,
+      limit,
+      offset,
+      filters,
+      sort,
+      columns: [...QUOTE_COLUMNS, ...indicatorColumns.map(columnName)],
+      results: rows.slice(offset, offset + limit),
+      skipped,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    logger.error('Error running screen:', error);
+    throw new Error('Failed to run screen');
+  }
+}
+
+/**
+ * Security fields shown with every result
+ * @param {Object} security - Security master record
+ * @returns {Object} Result row
+ */
+function toRow(security) {
+  const { symbol, name, assetClass, exchange, sector, industry, currency } = security;
+  return { symbol, name, assetClass, exchange, sector, industry, currency };
+}
+
+/**
+ * Load data for candidates a few at a time, dropping those that fail
+ * @param {Array<Object>} candidates - `{ security, row }`
+ * @param {Array<string>} skipped - Receives the symbols that failed
+ * @param {Function} load - Async loader filling in a candidate's row
+ * @returns {Promise<Array<Object>>} Candidates that loaded
+ */
+async function loadInBatches(candidates, skipped, load) {
+  const loaded = [];
+
+  for (let i = 0; i < candidates.length; i += BATCH_SIZE) {
+    const batch = await Promise.all(candidates.slice(i, i + BATCH_SIZE).map(candidate =>
+      load(candidate)
+        .then(() => candidate)
+        .catch(error => {
+          logger.warn(`Screener skipped ${candidate.security.symbol}: ${error.message}`);
+          skipped.push(candidate.security.symbol);
+          return null;
+        })));
+    loaded.push(...batch.filter(Boolean));
+  }
+
+  return loaded;
+}
+
+/**
+ * Latest value of an indicator field
+ * @param {string} symbol - Symbol
+ * @param {Object} column - Filter or sort naming the field and its params
+ * @returns {Promise<number|null>} Value, or null before the indicator warms up
+ */
+async function getIndicatorValue(symbol, { field, params }) {
+  const definition = FIELDS[field];
+  // A year of daily bars covers the usual periods; longer ones need more history
+  const timeRange = params.period > 200 ? '5y' : '1y';
+
+  const { data } = await stockService.getStockIndicator(symbol, definition.indicator, timeRange, '1d', true, params);
+  const latest = data[data.length - 1];
+
+  return latest && latest.value !== null && latest.value !== undefined ? definition.value(latest) : null;
+}
+
+/**
+ * Compare result rows on a column; missing values sort last either way
+ * @param {string} column - Column name
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {Function} Comparator
+ */
+function compareRows(column, direction) {
+  const sign = direction === 'asc' ? 1 : -1;
+
+  return (a, b) => {
+    const x = a[column];
+    const y = b[column];
+
+    if (x === null || x === undefined || y === null || y === undefined) {
+      return (x === null || x === undefined) - (y === null || y === undefined) || a.symbol.localeCompare(b.symbol);
+    }
+
+    const order = typeof x === 'string' ? x.localeCompare(y) : x - y;
+    return sign * order || a.symbol.localeCompare(b.symbol);
+  };
+}
+
+/**
+ * Pick the public fields of a stored screen
+ * @param {Object} row - Screen row
+ * @returns {Object} Screen
+ */
+function toScreen(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description || null,
+    filters: row.filters || [],
+    sort: row.sort,
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt
+  };
+}
+
+/**
+ * List saved screens
+ * @returns {Promise<Array>} Screens ordered by name
+ */
+async function listScreens() {
+  const { Screen } = await getDb();
+
+  const rows = await Screen.findAll({ order: [['name', 'ASC']] });
+  return rows.map(row => toScreen(row.get({ plain: true })));
+}
+
+/**
+ * Get a saved screen by id
+ * @param {number|string} id - Screen id
+ * @returns {Promise<Object|null>} Screen, or null when not found
+ */
+async function getScreen(id) {
+  const { Screen } = await getDb();
+
+  const row = await Screen.findByPk(id);
+  return row ? toScreen(row.get({ plain: true })) : null;
+}
+
+/**
+ * Get a saved screen by name
+ * @param {string} name - Screen name
+ * @returns {Promise<Object|null>} Screen, or null when not found
+ */
+async function findScreenByName(name) {
+  const { Screen } = await getDb();
+
+  const row = await Screen.findOne({ where: { name } });
+  return row ? toScreen(row.get({ plain: true })) : null;
+}
+
+/**
+ * Save a screen
+ * @param {Object} screen - `{ name, description, filters, sort }`, resolved
+ * @returns {Promise<Object>} Created screen
+ */
+async function createScreen({ name, description = null, filters, sort }) {
+  const { Screen } = await getDb();
+
+  const row = await Screen.create({ name, description, filters, sort });
+  logger.info(`Created screen ${row.id} (${name})`);
+
+  return toScreen(row.get({ plain: true }));
+}
+
+/**
+ * Update a saved screen
+ * @param {number|string} id - Screen id
+ * @param {Object} changes - `{ name, description, filters, sort }`; fields left out are kept
+ * @returns {Promise<Object|null>} Updated screen, or null when not found
+ */
+async function updateScreen(id, changes) {
+  const { Screen } = await getDb();
+
+  const row = await Screen.findByPk(id);
+  if (!row) {
+    return null;
+  }
+
+  const updates = {};
+  ['name', 'description', 'filters', 'sort'].forEach(field => {
+    if (changes[field] !== undefined) {
+      updates[field] = changes[field];
+    }
+  });
+
+  await row.update(updates);
+
+  return toScreen(row.get({ plain: true }));
+}
+
+/**
+ * Delete a saved screen
+ * @param {number|string} id - Screen id
+ * @returns {Promise<boolean>} True when a screen was deleted
+ */
+async function deleteScreen(id) {
+  const { Screen } = await getDb();
+
+  const deleted = await Screen.destroy({ where: { id } });
+  if (deleted > 0) {
+    logger.info(`Deleted screen ${id}`);
+  }
+
+  return deleted > 0;
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  runScreen,
+  listScreens,
+  getScreen,
+  findScreenByName,
+  createScreen,
+  updateScreen,
+  deleteScreen
+};
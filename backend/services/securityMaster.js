@@ -0,0 +1,418 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { parseCsv } = require('../utils/csv');
+const { buildSearchIndex, searchIndex } = require('../utils/search');
+const { ASSET_CLASSES, EXCHANGES, parseSymbol, normalizeSymbol } = require('../utils/symbols');
+
+/**
+ * Security master: reference data for every listing, loaded from local files
+ *
+ *   <dir>/listings/*.csv|json  One row per security under its current symbol:
+ *                              symbol, name, exchange, sector, industry,
+ *                              currency, and optionally assetClass, country,
+ *                              isin, figi, website, description. Files load in
+ *                              name order; a later row for a symbol replaces
+ *                              an earlier one.
+ *   <dir>/changes.csv|json     Symbol history: date, type (rename or
+ *                              delisting), symbol, newSymbol, note
+ *
+ * Renames point former symbols at the security now listed under the new one;
+ * delistings mark a security inactive from their date. Rows that fail
+ * validation are skipped with a warning, so one bad line never hides the rest.
+ * The files are read on first use and again on reload().
+ *
+ * Configuration (environment):
+ *   SECURITY_MASTER_DIR   Directory of the files (default backend/reference/securities)
+ */
+
+const MASTER_DIR = path.resolve(
+  __dirname, '..', process.env.SECURITY_MASTER_DIR || 'reference/securities'
+);
+
+const CHANGE_TYPES = ['rename', 'delisting'];
+
+const FIELDS = ['name', 'exchange', 'sector', 'industry', 'currency', 'country', 'isin', 'figi', 'website', 'description'];
+
+let master = null;
+
+/**
+ * Get the loaded master, reading the files on first use
+ * @returns {Object} Securities by symbol, renames by former symbol and changes
+ */
+function getMaster() {
+  if (!master) {
+    master = load();
+  }
+
+  return master;
+}
+
+/**
+ * Re-read the master files, replacing the securities in memory
+ * @returns {Object} Statistics of the new master (see getStats)
+ */
+function reload() {
+  master = load();
+  return getStats();
+}
+
+/**
+ * Read the listing and change files
+ * @returns {Object} Loaded master
+ */
+function load() {
+  const files = [];
+  const securities = new Map();
+  let skipped = 0;
+
+  const listingsDir = path.join(MASTER_DIR, 'listings');
+  const listingFiles = fs.existsSync(listingsDir)
+    ? fs.readdirSync(listingsDir).filter(isDataFile).sort().map(name => path.join(listingsDir, name))
+    : [];
+
+  listingFiles.forEach(file => {
+    readRows(file).forEach((row, index) => {
+      try {
+        const security = toSecurity(row);
+        securities.set(security.symbol, security);
+      } catch (error) {
+        skipped++;
+        logger.warn(`Security master: skipping ${path.basename(file)} row ${index + 1}: ${error.message}`);
+      }
+    });
+    files.push(file);
+  });
+
+  const changesFile = ['changes.csv', 'changes.json']
+    .map(name => path.join(MASTER_DIR, name))
+    .find(file => fs.existsSync(file));
+  const changes = [];
+
+  if (changesFile) {
+    readRows(changesFile).forEach((row, index) => {
+      try {
+        changes.push(toChange(row));
+      } catch (error) {
+        skipped++;
+        logger.warn(`Security master: skipping ${path.basename(changesFile)} row ${index + 1}: ${error.message}`);
+      }
+    });
+    files.push(changesFile);
+  }
+
+  changes.sort((a, b) => a.date.localeCompare(b.date));
+
+  const renames = new Map();
+  changes.filter(change => change.type === 'rename').forEach(change => renames.set(change.symbol, change));
+
+  // Attach each change to the security now listed under the symbol it leads to
+  const applied = changes.filter(change => {
+    const security = securities.get(followRenames(renames, change.newSymbol || change.symbol));
+
+    if (!security) {
+      skipped++;
+      logger.warn(`Security master: no listing for the ${change.type} of ${change.symbol} on ${change.date}`);
+      renames.delete(change.symbol);
+      return false;
+    }
+
+    if (change.type === 'rename') {
+      security.formerSymbols.push({ symbol: change.symbol, until: change.date });
+    } else {
+      security.status = 'delisted';
+      security.delistedDate = change.date;
+    }
+    return true;
+  });
+
+  logger.info(`Security master: loaded ${securities.size} securities and ${applied.length} symbol changes from ${MASTER_DIR}`);
+
+  return {
+    securities,
+    renames,
+    changes: applied,
+    index: buildSearchIndex([...securities.values()]),
+    files: files.map(file => path.relative(MASTER_DIR, file)),
+    skipped,
+    loadedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Check whether a file is a CSV or JSON data file
+ * @param {string} name - File name
+ * @returns {boolean} True for .csv and .json files
+ */
+function isDataFile(name) {
+  return name.endsWith('.csv') || name.endsWith('.json');
+}
+
+/**
+ * Read the rows of a CSV or JSON file. An unreadable file is logged and
+ * contributes no rows.
+ * @param {string} file - File path
+ * @returns {Array<Object>} Rows
+ */
+function readRows(file) {
+  try {
+    const content = fs.readFileSync(file, 'utf8');
+
+    if (!file.endsWith('.json')) {
+      return parseCsv(content);
+    }
+
+    const json = JSON.parse(content);
+    const rows = Array.isArray(json) ? json : json.securities || json.changes || json.data;
+    if (!Array.isArray(rows)) {
+      throw new Error('JSON file must be an array or have a securities, changes or data array');
+    }
+    return rows;
+  } catch (error) {
+    logger.warn(`Security master: could not read ${path.basename(file)}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Key a row by lower-cased column name, dropping empty values
+ * @param {Object} row - Raw row
+ * @returns {Object} Trimmed string values by lower-cased column
+ */
+function normalizeRow(row) {
+  const values = {};
+
+  Object.entries(row).forEach(([key, value]) => {
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    if (text !== '') {
+      values[key.trim().toLowerCase()] = text;
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Validate a listing row
+ * @param {Object} row - Raw row
+ * @returns {Object} Security
+ * @throws {Error} When the symbol, name or asset class is invalid
+ */
+function toSecurity(row) {
+  const values = normalizeRow(row);
+  const parsed = parseSymbol(values.symbol);
+
+  if (!values.name) {
+    throw new Error(`${parsed.symbol} has no name`);
+  }
+
+  const assetClass = values.assetclass ? values.assetclass.toLowerCase() : parsed.assetClass;
+  if (!ASSET_CLASSES.includes(assetClass)) {
+    throw new Error(`${parsed.symbol} has unknown asset class ${values.assetclass}`);
+  }
+
+  const security = { symbol: parsed.symbol, assetClass };
+  FIELDS.forEach(field => {
+    security[field] = values[field] || null;
+  });
+
+  security.exchange = security.exchange || (parsed.exchange ? EXCHANGES[parsed.exchange].name : null);
+  security.currency = security.currency ? security.currency.toUpperCase() : parsed.quote;
+  security.isin = security.isin && security.isin.toUpperCase();
+  security.figi = security.figi && security.figi.toUpperCase();
+
+  // A malformed identifier is dropped rather than the whole listing
+  if (security.isin && !isValidIsin(security.isin)) {
+    logger.warn(`Security master: ignoring invalid ISIN ${security.isin} for ${parsed.symbol}`);
+    security.isin = null;
+  }
+  if (security.figi && !/^[B-DF-HJ-NP-TV-Z]{2}G[B-DF-HJ-NP-TV-Z0-9]{8}\d$/.test(security.figi)) {
+    logger.warn(`Security master: ignoring invalid FIGI ${security.figi} for ${parsed.symbol}`);
+    security.figi = null;
+  }
+
+  return {
+    ...security,
+    status: 'active',
+    delistedDate: null,
+    formerSymbols: []
+  };
+}
+
+/**
+ * Validate a change row
+ * @param {Object} row - Raw row
+ * @returns {Object} `{ date, type, symbol, newSymbol, note }`
+ * @throws {Error} When the date, type or symbols are invalid
+ */
+function toChange(row) {
+  const values = normalizeRow(row);
+  const type = (values.type || '').toLowerCase();
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(values.date || '') || isNaN(new Date(`${values.date}T00:00:00Z`))) {
+    throw new Error('Change date must be a YYYY-MM-DD date');
+  }
+  if (!CHANGE_TYPES.includes(type)) {
+    throw new Error(`Change type must be one of: ${CHANGE_TYPES.join(', ')}`);
+  }
+
+  const symbol = normalizeSymbol(values.symbol);
+  const newSymbol = type === 'rename' ? normalizeSymbol(values.newsymbol) : null;
+
+  if (newSymbol === symbol) {
+    throw new Error(`Rename of ${symbol} needs a different new symbol`);
+  }
+
+  return { date: values.date, type, symbol, newSymbol, note: values.note || null };
+}
+
+/**
+ * Check an ISIN's format and check digit
+ * @param {string} isin - Upper-cased ISIN
+ * @returns {boolean} True when valid
+ */
+function isValidIsin(isin) {
+  if (!/^[A-Z]{2}[A-Z0-9]{9}\d$/.test(isin)) {
+    return false;
+  }
+
+  // Letters become two digits (A=10), then the Luhn check runs over all digits
+  const digits = isin.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+  const sum = digits.split('').reverse().reduce((total, digit, i) => {
+    const value = i % 2 === 1 ? Number(digit) * 2 : Number(digit);
+    return total + (value > 9 ? value - 9 : value);
+  }, 0);
+
+  return sum % 10 === 0;
+}
+
+/**
+ * Follow renames from a symbol to the one it trades under now
+ * @param {Map} renames - Rename changes by former symbol
+ * @param {string} symbol - Symbol
+ * @returns {string} Current symbol
+ */
+function followRenames(renames, symbol) {
+  const seen = new Set();
+  let current = symbol;
+
+  while (renames.has(current) && !seen.has(current)) {
+    seen.add(current);
+    current = renames.get(current).newSymbol;
+  }
+
+  return current;
+}
+
+/**
+ * Get the current symbol for a symbol that may since have been renamed
+ * @param {string} symbol - Canonical symbol
+ * @returns {string} Current symbol (the symbol itself when never renamed)
+ */
+function resolveSymbol(symbol) {
+  const { securities, renames } = getMaster();
+  return securities.has(symbol) ? symbol : followRenames(renames, symbol);
+}
+
+/**
+ * Get a security by its current or a former symbol
+ * @param {string} symbol - Canonical symbol
+ * @returns {Object|null} Security, or null when unknown
+ */
+function getSecurity(symbol) {
+  return getMaster().securities.get(resolveSymbol(symbol)) || null;
+}
+
+/**
+ * List securities, by default those listed today. With `asOf`, the
+ * securities not delisted by that date are listed under the symbols they
+ * had then (listing dates are not tracked, so later IPOs are included).
+ * @param {Object} [options] - Filters
+ * @param {boolean} [options.includeDelisted] - Include delisted securities
+ * @param {string} [options.assetClass] - Only this asset class
+ * @param {string} [options.exchange] - Only this exchange (case-insensitive)
+ * @param {string} [options.asOf] - Date (YYYY-MM-DD) to list the market as of
+ * @returns {Array<Object>} Securities sorted by symbol
+ */
+function listSecurities({ includeDelisted = false, assetClass, exchange, asOf } = {}) {
+  return [...getMaster().securities.values()]
+    .filter(security => !assetClass || security.assetClass === assetClass)
+    .filter(security => !exchange || (security.exchange || '').toLowerCase() === exchange.toLowerCase())
+    .filter(security => {
+      if (asOf) {
+        return !security.delistedDate || security.delistedDate > asOf;
+      }
+      return includeDelisted || security.status === 'active';
+    })
+    .map(security => (asOf ? symbolAsOf(security, asOf) : security))
+    .sort((a, b) => a.symbol.localeCompare(b.symbol));
+}
+
+/**
+ * Show a security under the symbol it traded under on a date
+ * @param {Object} security - Security
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Object} Security, with `currentSymbol` when the symbol differed
+ */
+function symbolAsOf(security, date) {
+  const former = security.formerSymbols
+    .filter(entry => entry.until > date)
+    .sort((a, b) => a.until.localeCompare(b.until))[0];
+
+  return former ? { ...security, symbol: former.symbol, currentSymbol: security.symbol } : security;
+}
+
+/**
+ * Search securities, ranked from exact symbol matches down to names with
+ * typos (see utils/search)
+ * @param {string} query - Search text
+ * @param {Object} [options] - Paging: `{ limit, offset }`
+ * @returns {Object} `{ total, results }` with highlighted match ranges
+ */
+function searchSecurities(query, options) {
+  return searchIndex(getMaster().index, query, options);
+}
+
+/**
+ * Get the symbol changes and delisting of a security
+ * @param {string} symbol - Current or former symbol
+ * @returns {Array<Object>|null} Chronological changes, or null when the symbol is unknown
+ */
+function getSymbolHistory(symbol) {
+  const security = getSecurity(symbol);
+  if (!security) {
+    return null;
+  }
+
+  const symbols = [security.symbol, ...security.formerSymbols.map(entry => entry.symbol)];
+  return getMaster().changes.filter(change => symbols.includes(change.symbol));
+}
+
+/**
+ * Get security master statistics
+ * @returns {Object} Source directory and files, counts and load time
+ */
+function getStats() {
+  const { securities, changes, files, skipped, loadedAt } = getMaster();
+  const all = [...securities.values()];
+
+  return {
+    directory: MASTER_DIR,
+    files,
+    securities: all.length,
+    delisted: all.filter(security => security.status === 'delisted').length,
+    changes: changes.length,
+    skipped,
+    loadedAt
+  };
+}
+
+module.exports = {
+  reload,
+  resolveSymbol,
+  getSecurity,
+  listSecurities,
+  searchSecurities,
+  getSymbolHistory,
+  getStats
+};
@@ -0,0 +1,187 @@
+const stockService = require('./stockService');
+const logger = require('../utils/logger');
+const { compileExpression, findExpressionEvents } = require('../utils/signalExpression');
+const { getDefaultInterval } = require('../utils/timeRange');
+
+/**
+ * User-defined signals
+ *
+ * Teams save named signals written in the signal expression language; a
+ * signal fires on each bar where its expression becomes true.
+ */
+
+const FIELDS = ['name', 'expression', 'type', 'description', 'team'];
+
+let db = null;
+
+/**
+ * Get the initialised database (loaded lazily, as in priceStore)
+ * @returns {Promise<Object>} Database module
+ */
+async function getDb() {
+  if (!db) {
+    db = require('../db');
+  }
+
+  await db.init();
+  return db;
+}
+
+/**
+ * Pick the public fields of a stored signal
+ * @param {Object} row - SignalDefinition row
+ * @returns {Object} Signal definition
+ */
+function toDefinition(row) {
+  const definition = {};
+  FIELDS.forEach(field => {
+    definition[field] = row[field] === undefined ? null : row[field];
+  });
+  definition.updatedAt = row.updatedAt;
+  return definition;
+}
+
+/**
+ * List saved signals
+ * @param {string} [team] - Only signals owned by this team
+ * @returns {Promise<Array>} Signal definitions ordered by name
+ */
+async function listSignals(team) {
+  const { SignalDefinition } = await getDb();
+
+  const rows = await SignalDefinition.findAll({
+    where: team ? { team } : {},
+    order: [['name', 'ASC']]
+  });
+
+  return rows.map(row => toDefinition(row.get({ plain: true })));
+}
+
+/**
+ * Get a saved signal by name
+ * @param {string} name - Signal name
+ * @returns {Promise<Object|null>} Signal definition, or null when not found
+ */
+async function getSignal(name) {
+  const { SignalDefinition } = await getDb();
+
+  const row = await SignalDefinition.findOne({ where: { name } });
+  return row ? toDefinition(row.get({ plain: true })) : null;
+}
+
+/**
+ * Save a new signal (the expression must already be validated)
+ * @param {Object} definition - { name, expression, type, description, team }
+ * @returns {Promise<Object>} Saved signal definition
+ */
+async function createSignal(definition) {
+  const { SignalDefinition } = await getDb();
+
+  const row = await SignalDefinition.create(pick(definition));
+  logger.info(`Created signal ${row.name}`);
+
+  return toDefinition(row.get({ plain: true }));
+}
+
+/**
+ * Replace a saved signal's expression and details
+ * @param {string} name - Signal name
+ * @param {Object} definition - { expression, type, description, team }
+ * @returns {Promise<Object|null>} Updated signal definition, or null when not found
+ */
+async function updateSignal(name, definition) {
+  const { SignalDefinition } = await getDb();
+
+  const row = await SignalDefinition.findOne({ where: { name } });
+  if (!row) {
+    return null;
+  }
+
+  await row.update({ ...pick(definition), name });
+  logger.info(`Updated signal ${name}`);
+
+  return toDefinition(row.get({ plain: true }));
+}
+
+/**
+ * Delete a saved signal
+ * @param {string} name - Signal name
+ * @returns {Promise<boolean>} True when a signal was deleted
+ */
+async function deleteSignal(name) {
+  const { SignalDefinition } = await getDb();
+
+  const deleted = await SignalDefinition.destroy({ where: { name } });
+  if (deleted > 0) {
+    logger.info(`Deleted signal ${name}`);
+  }
+
+  return deleted > 0;
+}
+
+/**
+ * Evaluate an expression over a stock's history
+ * @param {string} symbol - Stock symbol
+ * @param {string} expression - Signal expression
+ * @param {string} [timeRange] - Time range scanned (default 1y)
+ * @param {string} [interval] - Bar interval (defaults to one suited to the time range)
+ * @param {Object} [signal] - Saved signal the expression belongs to, echoed in the result
+ * @returns {Promise<Object>} Whether the expression holds on the latest bar and the
+ *   dated events where it became true, newest first
+ */
+async function evaluateExpression(symbol, expression, timeRange = '1y', interval = getDefaultInterval(timeRange), signal = null) {
+  // Parse errors surface as-is; validators reject bad expressions before this point
+  const compiled = compileExpression(expression);
+
+  try {
+    const { provider, data: historicalData } = await stockService.getStockData(symbol, timeRange, interval);
+
+    if (!historicalData || historicalData.length === 0) {
+      throw new Error(`No historical data available for ${symbol}`);
+    }
+
+    const { active, events } = findExpressionEvents(historicalData, compiled);
+
+    return {
+      symbol,
+      timeRange,
+      interval,
+      provider,
+      signal: signal || { name: null, expression, type: null },
+      asOf: historicalData[historicalData.length - 1].date,
+      active,
+      data: events.map(event => ({
+        signal: signal ? signal.name : null,
+        type: signal ? signal.type : null,
+        ...event
+      }))
+    };
+  } catch (error) {
+    logger.error(`Error evaluating signal for ${symbol}:`, error);
+    throw new Error(`Failed to evaluate signal for ${symbol}`);
+  }
+}
+
+/**
+ * Keep only the stored fields of a definition
+ * @param {Object} definition - Raw definition
+ * @returns {Object} Stored fields (missing optional fields become null)
+ */
+function pick(definition) {
+  const fields = {};
+  FIELDS.forEach(field => {
+    if (field !== 'name' || definition.name !== undefined) {
+      fields[field] = definition[field] === undefined ? null : definition[field];
+    }
+  });
+  return fields;
+}
+
+module.exports = {
+  listSignals,
+  getSignal,
+  createSignal,
+  updateSignal,
+  deleteSignal,
+  evaluateExpression
+};
@@ -0,0 +1,175 @@
+const logger = require('../utils/logger');
+
+/**
+ * Named watchlists
+ *
+ * Each watchlist keeps an ordered list of symbols; the order is the one the
+ * sidebar and the compare tab show.
+ */
+
+let db = null;
+
+/**
+ * Get the initialised database (loaded lazily, as in priceStore)
+ * @returns {Promise<Object>} Database module
+ */
+async function getDb() {
+  if (!db) {
+    db = require('../db');
+  }
+
+  await db.init();
+  return db;
+}
+
+/**
+ * Pick the public fields of a stored watchlist
+ * @param {Object} row - Watchlist row
+ * @returns {Object} Watchlist
+ */
+function toWatchlist(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    symbols: row.symbols || [],
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt
+  };
+}
+
+/**
+ * List watchlists
+ * @returns {Promise<Array>} Watchlists ordered by name
+ */
+async function listWatchlists() {
+  const { Watchlist } = await getDb();
+
+  const rows = await Watchlist.findAll({ order: [['name', 'ASC']] });
+  return rows.map(row => toWatchlist(row.get({ plain: true })));
+}
+
+/**
+ * Get a watchlist by id
+ * @param {number|string} id - Watchlist id
+ * @returns {Promise<Object|null>} Watchlist, or null when not found
+ */
+async function getWatchlist(id) {
+  const { Watchlist } = await getDb();
+
+  const row = await Watchlist.findByPk(id);
+  return row ? toWatchlist(row.get({ plain: true })) : null;
+}
+
+/**
+ * Get a watchlist by name
+ * @param {string} name - Watchlist name
+ * @returns {Promise<Object|null>} Watchlist, or null when not found
+ */
+async function findWatchlistByName(name) {
+  const { Watchlist } = await getDb();
+
+  const row = await Watchlist.findOne({ where: { name } });
+  return row ? toWatchlist(row.get({ plain: true })) : null;
+}
+
+/**
+ * Create a watchlist
+ * @param {string} name - Watchlist name
+ * @param {Array<string>} [symbols] - Initial symbols in order
+ * @returns {Promise<Object>} Created watchlist
+ */
+async function createWatchlist(name, symbols = []) {
+  const { Watchlist } = await getDb();
+
+  const row = await Watchlist.create({ name, symbols });
+  logger.info(`Created watchlist ${row.id} (${name})`);
+
+  return toWatchlist(row.get({ plain: true }));
+}
+
+/**
+ * Rename a watchlist and/or replace its symbols, e.g. to reorder them
+ * @param {number|string} id - Watchlist id
+ * @param {Object} changes - { name, symbols }; fields left out are kept
+ * @returns {Promise<Object|null>} Updated watchlist, or null when not found
+ */
+async function updateWatchlist(id, { name, symbols }) {
+  return modify(id, watchlist => ({
+    name: name === undefined ? watchlist.name : name,
+    symbols: symbols === undefined ? watchlist.symbols : symbols
+  }));
+}
+
+/**
+ * Add a symbol to a watchlist
+ * @param {number|string} id - Watchlist id
+ * @param {string} symbol - Stock symbol (must not already be listed)
+ * @param {number} [position] - Zero-based position (default: the end)
+ * @returns {Promise<Object|null>} Updated watchlist, or null when not found
+ */
+async function addSymbol(id, symbol, position) {
+  return modify(id, watchlist => {
+    const symbols = [...watchlist.symbols];
+    symbols.splice(position === undefined ? symbols.length : position, 0, symbol);
+    return { symbols };
+  });
+}
+
+/**
+ * Remove a symbol from a watchlist
+ * @param {number|string} id - Watchlist id
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object|null>} Updated watchlist, or null when not found
+ */
+async function removeSymbol(id, symbol) {
+  return modify(id, watchlist => ({
+    symbols: watchlist.symbols.filter(listed => listed !== symbol)
+  }));
+}
+
+/**
+ * Delete a watchlist
+ * @param {number|string} id - Watchlist id
+ * @returns {Promise<boolean>} True when a watchlist was deleted
+ */
+async function deleteWatchlist(id) {
+  const { Watchlist } = await getDb();
+
+  const deleted = await Watchlist.destroy({ where: { id } });
+  if (deleted > 0) {
+    logger.info(`Deleted watchlist ${id}`);
+  }
+
+  return deleted > 0;
+}
+
+/**
+ * Apply a change to a stored watchlist
+ * @param {number|string} id - Watchlist id
+ * @param {Function} change - Gets the current watchlist, returns the fields to update
+ * @returns {Promise<Object|null>} Updated watchlist, or null when not found
+ */
+async function modify(id, change) {
+  const { Watchlist } = await getDb();
+
+  const row = await Watchlist.findByPk(id);
+  if (!row) {
+    return null;
+  }
+
+  // JSON columns are only saved when a new array is assigned
+  await row.update(change(toWatchlist(row.get({ plain: true }))));
+
+  return toWatchlist(row.get({ plain: true }));
+}
+
+module.exports = {
+  listWatchlists,
+  getWatchlist,
+  findWatchlistByName,
+  createWatchlist,
+  updateWatchlist,
+  addSymbol,
+  removeSymbol,
+  deleteWatchlist
+};
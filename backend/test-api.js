@@ -14,9 +14,9 @@ async function testAPI() {
     // Test 2: Get historical data for AAPL
     console.log('2. Testing historical data for AAPL (1 week):');
     const historyResponse = await axios.get('http://localhost:5000/api/stocks/AAPL?timeRange=1w');
-    console.log(`Received ${historyResponse.data.length} data points`);
+    console.log(`Received ${historyResponse.data.data.length} data points from ${historyResponse.data.provider}`);
     console.log('First few data points:');
-    console.log(JSON.stringify(historyResponse.data.slice(0, 3), null, 2));
+    console.log(JSON.stringify(historyResponse.data.data.slice(0, 3), null, 2));
     
     console.log('\n' + '='.repeat(50) + '\n');
     
@@ -24,7 +24,7 @@ async function testAPI() {
     console.log('3. Testing stock comparison (AAPL vs MSFT):');
     const compareResponse = await axios.get('http://localhost:5000/api/stocks/compare?symbols=AAPL,MSFT&timeRange=1w');
     console.log('Comparison data structure:');
-    console.log(Object.keys(compareResponse.data));
+    console.log(Object.keys(compareResponse.data.data), compareResponse.data.providers);
     
   } catch (error) {
     console.error('Error testing API:', error.response?.data || error.message);
@@ -0,0 +1,53 @@
+const { CONDITIONS, resolveCondition, describeConditions } = require('../alertConditions');
+
+describe('resolveCondition', () => {
+  test('keeps the threshold and fills in RSI params', () => {
+    expect(resolveCondition({ condition: 'price-crosses-above', threshold: 150 }))
+      .toEqual({ condition: 'price-crosses-above', threshold: 150, params: null });
+    expect(resolveCondition({ condition: 'rsi-crosses-below', threshold: 30 }))
+      .toEqual({ condition: 'rsi-crosses-below', threshold: 30, params: { period: 14 } });
+  });
+
+  test.each([
+    [{ condition: 'volume-spike' }, 'Unsupported alert condition: volume-spike'],
+    [{ condition: 'price-crosses-below' }, 'Condition price-crosses-below needs a numeric threshold'],
+    [{ condition: 'rsi-crosses-above', threshold: 120 }, 'Condition rsi-crosses-above needs a threshold between 0 and 100'],
+    [{ condition: 'new-52w-high', threshold: 10 }, 'Condition new-52w-high does not take a threshold'],
+    [{ condition: 'change-beyond', threshold: 5, params: [14] }, 'Alert params must be an object']
+  ])('rejects %j', (alert, message) => {
+    expect(() => resolveCondition(alert)).toThrow(message);
+  });
+
+  test('validates RSI params against the indicator schema', () => {
+    expect(() => resolveCondition({ condition: 'rsi-crosses-above', threshold: 70, params: { period: 0 } })).toThrow();
+  });
+});
+
+describe('conditions', () => {
+  const check = (condition, value, previous, threshold, quote) => CONDITIONS[condition].check(value, previous, threshold, quote);
+
+  test('crossings fire once, on the check that crosses the level', () => {
+    expect(check('price-crosses-above', 101, null, 100)).toBe(false);
+    expect(check('price-crosses-above', 101, 99, 100)).toBe(true);
+    expect(check('price-crosses-above', 102, 101, 100)).toBe(false);
+    expect(check('rsi-crosses-below', 30, 31, 30)).toBe(true);
+    expect(check('rsi-crosses-below', 25, 29, 30)).toBe(false);
+  });
+
+  test('daily change fires beyond the level in either direction', () => {
+    expect(check('change-beyond', -5.5, null, 5)).toBe(true);
+    expect(check('change-beyond', 4.9, null, -5)).toBe(false);
+  });
+
+  test('52-week extremes compare against the quote', () => {
+    expect(check('new-52w-high', 200, null, null, { fiftyTwoWeekHigh: 200 })).toBe(true);
+    expect(check('new-52w-low', 90, null, null, { fiftyTwoWeekLow: null })).toBe(false);
+  });
+
+  test('are all described for discovery', () => {
+    const described = describeConditions();
+
+    expect(described.map(condition => condition.condition)).toEqual(Object.keys(CONDITIONS));
+    expect(described.find(condition => condition.condition === 'rsi-crosses-above').range).toEqual([0, 100]);
+  });
+});
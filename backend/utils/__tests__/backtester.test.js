@@ -0,0 +1,82 @@
+const { normalizeStrategy, runBacktest } = require('../backtester');
+
+// Opens sit half a point above closes, so next-bar fills are easy to tell apart
+const makeBars = closes => closes.map((close, i) => ({
+  date: new Date(Date.UTC(2024, 0, 1 + i)).toISOString().slice(0, 10),
+  open: close + 0.5,
+  high: close + 1,
+  low: close - 1,
+  close,
+  volume: 1000
+}));
+
+// SMA2/SMA3 cross up on 2024-01-09 (close 10) and down on 2024-01-13 (close 11)
+const CLOSES = [10, 10, 10, 10, 9, 8, 7, 8, 10, 12, 14, 13, 11, 9, 8, 8];
+const RULE = { rule: 'sma-cross', params: { fast: 2, slow: 3 } };
+
+describe('normalizeStrategy', () => {
+  test('fills in defaults and uses the entry rules to exit', () => {
+    const strategy = normalizeStrategy({ entry: [RULE] });
+
+    expect(strategy.initialCapital).toBe(10000);
+    expect(strategy.sizing).toEqual({ method: 'percent', value: 100 });
+    expect(strategy.exit).toEqual(strategy.entry);
+  });
+
+  test.each([
+    [{ entry: [] }, 'at least one signal rule'],
+    [{ entry: ['unknown-rule'] }, 'Unknown signal rule'],
+    [{ entry: [RULE], sizing: { method: 'percent', value: 150 } }, 'at most 100'],
+    [{ entry: [RULE], slippage: 11 }, 'Slippage'],
+    [{ entry: [RULE], initialCapital: 0 }, 'Initial capital']
+  ])('rejects %j', (strategy, message) => {
+    expect(() => normalizeStrategy(strategy)).toThrow(message);
+  });
+});
+
+describe('runBacktest', () => {
+  test('fills orders at the open of the bar after the signal', () => {
+    const { trades, metrics } = runBacktest(makeBars(CLOSES), { entry: [RULE], initialCapital: 1000 });
+
+    expect(trades).toHaveLength(1);
+    expect(trades[0]).toMatchObject({
+      entryDate: '2024-01-10',
+      entryPrice: 12.5,
+      entrySignal: 'Golden Cross',
+      exitDate: '2024-01-14',
+      exitPrice: 9.5,
+      exitSignal: 'Death Cross',
+      shares: 80,
+      pnl: -240,
+      barsHeld: 4
+    });
+    expect(metrics).toMatchObject({ finalEquity: 760, totalReturn: -24, trades: 1, winRate: 0, exposure: 25 });
+  });
+
+  test('applies slippage against the order and commission to both fills', () => {
+    const { trades } = runBacktest(makeBars(CLOSES), { entry: [RULE], initialCapital: 1000, commission: 1, slippage: 1 });
+
+    expect(trades[0].entryPrice).toBe(12.625);
+    expect(trades[0].exitPrice).toBe(9.405);
+    expect(trades[0].shares).toBe(79);
+    expect(trades[0].pnl).toBe(-256.38);
+  });
+
+  test('marks a position still open at the end to the last close', () => {
+    const bars = makeBars(CLOSES.slice(0, 12));
+    const { trades, metrics, equity } = runBacktest(bars, { entry: [RULE], initialCapital: 1000 });
+
+    expect(trades).toHaveLength(1);
+    expect(trades[0]).toMatchObject({ open: true, exitPrice: 13, exitSignal: null });
+    expect(metrics.trades).toBe(0);
+    expect(equity[equity.length - 1]).toMatchObject({ equity: 1040, inPosition: true });
+  });
+
+  test('never trades on the bar of the last signal', () => {
+    // The cross-up happens on the final bar, so there is no next bar to fill it
+    const { trades, equity } = runBacktest(makeBars(CLOSES.slice(0, 9)), { entry: [RULE], initialCapital: 1000 });
+
+    expect(trades).toHaveLength(0);
+    expect(equity.every(point => point.equity === 1000)).toBe(true);
+  });
+});
@@ -0,0 +1,56 @@
+const { rebaseBars, relativeStrength } = require('../bars');
+
+const series = {
+  AAPL: [
+    { date: '2024-01-02', close: 50 },
+    { date: '2024-01-03', close: 100 },
+    { date: '2024-01-04', close: 110 },
+    { date: '2024-01-05', close: 121 }
+  ],
+  // Lists a day later and skips 2024-01-04
+  NEWCO: [
+    { date: '2024-01-03', close: 20 },
+    { date: '2024-01-05', close: 25 }
+  ],
+  SPY: [
+    { date: '2024-01-02', close: 400 },
+    { date: '2024-01-03', close: 400 },
+    { date: '2024-01-04', close: 440 },
+    { date: '2024-01-05', close: 440 }
+  ]
+};
+
+describe('rebaseBars', () => {
+  test('starts every line at 100 on the first date all symbols share', () => {
+    const { startDate, dates, series: rebased } = rebaseBars(series, ['AAPL', 'NEWCO']);
+
+    expect(startDate).toBe('2024-01-03');
+    expect(dates).toEqual(['2024-01-03', '2024-01-04', '2024-01-05']);
+    expect(rebased.AAPL.map(point => point.value)).toEqual([100, 110, 121]);
+  });
+
+  test('carries the last close over a missing date and marks it filled', () => {
+    const { series: rebased } = rebaseBars(series, ['AAPL', 'NEWCO']);
+
+    expect(rebased.NEWCO).toEqual([
+      { date: '2024-01-03', value: 100 },
+      { date: '2024-01-04', value: 100, filled: true },
+      { date: '2024-01-05', value: 125 }
+    ]);
+  });
+
+  test('gives up when a symbol has no bars or no positive base', () => {
+    expect(rebaseBars({ ...series, EMPTY: [] }, ['AAPL', 'EMPTY'])).toBeNull();
+    expect(rebaseBars({ ZERO: [{ date: '2024-01-02', close: 0 }] }, ['ZERO'])).toBeNull();
+  });
+});
+
+describe('relativeStrength', () => {
+  test('divides each line by the benchmark, leaving the benchmark out', () => {
+    const { series: rebased } = rebaseBars(series, ['AAPL', 'SPY']);
+    const lines = relativeStrength(rebased, 'SPY');
+
+    expect(Object.keys(lines)).toEqual(['AAPL']);
+    expect(lines.AAPL.map(point => point.value)).toEqual([100, 200, 200, 220]);
+  });
+});
@@ -0,0 +1,85 @@
+const { adjustBars, unadjustSplits, parseSplitRatio, describeEvent } = require('../corporateActions');
+
+const bar = (date, close, volume = 1000) => ({ date, open: close, high: close, low: close, close, volume });
+
+const BARS = [
+  bar('2024-01-02', 100),
+  bar('2024-01-03', 102),
+  bar('2024-01-04', 101),
+  bar('2024-01-05', 50)
+];
+const SPLIT = { date: '2024-01-05', type: 'split', ratio: 2 };
+const DIVIDEND = { date: '2024-01-04', type: 'dividend', amount: 1.02 };
+
+describe('adjustBars', () => {
+  test('divides prices and multiplies volume before a split', () => {
+    expect(adjustBars(BARS, [SPLIT])).toEqual([
+      bar('2024-01-02', 50, 2000),
+      bar('2024-01-03', 51, 2000),
+      bar('2024-01-04', 50.5, 2000),
+      bar('2024-01-05', 50)
+    ]);
+  });
+
+  test('scales bars before an ex-date by the dividend over the previous close', () => {
+    const adjusted = adjustBars(BARS, [DIVIDEND]);
+
+    // 1.02 / 102 = 1%
+    expect(adjusted.map(b => b.close)).toEqual([99, 100.98, 101, 50]);
+    expect(adjusted[0].volume).toBe(1000);
+  });
+
+  test('combines events and can leave dividends out', () => {
+    expect(adjustBars(BARS, [DIVIDEND, SPLIT]).map(b => b.close)).toEqual([49.5, 50.49, 50.5, 50]);
+    expect(adjustBars(BARS, [DIVIDEND, SPLIT], { dividends: false }).map(b => b.close)).toEqual([50, 51, 50.5, 50]);
+  });
+
+  test('ignores events on or before the first bar and leaves the input alone', () => {
+    const copy = JSON.parse(JSON.stringify(BARS));
+
+    expect(adjustBars(BARS, [{ date: '2024-01-02', type: 'split', ratio: 3 }])).toEqual(BARS);
+    adjustBars(BARS, [SPLIT, DIVIDEND]);
+    expect(BARS).toEqual(copy);
+  });
+
+  test('adjusts intraday bars by the day they fall on', () => {
+    const intraday = [bar('2024-01-04T20:55:00.000Z', 100), bar('2024-01-05T14:30:00.000Z', 50)];
+
+    expect(adjustBars(intraday, [SPLIT]).map(b => b.close)).toEqual([50, 50]);
+  });
+});
+
+describe('unadjustSplits', () => {
+  test('restores as-traded prices from split-adjusted ones', () => {
+    const adjusted = adjustBars(BARS, [SPLIT]);
+
+    expect(unadjustSplits(adjusted, [SPLIT, DIVIDEND])).toEqual(BARS);
+  });
+
+  test('handles reverse splits', () => {
+    const reverse = { date: '2024-01-05', type: 'split', ratio: 0.1 };
+
+    expect(unadjustSplits([bar('2024-01-04', 20, 10000), bar('2024-01-05', 20, 1000)], [reverse]))
+      .toEqual([bar('2024-01-04', 2, 100000), bar('2024-01-05', 20, 1000)]);
+  });
+});
+
+describe('parseSplitRatio', () => {
+  test.each([
+    ['4:1', 4],
+    ['3/2', 1.5],
+    ['1:10', 0.1],
+    ['1:1', null],
+    ['n/a', null]
+  ])('%s -> %p', (value, ratio) => {
+    expect(parseSplitRatio(value)).toBe(ratio);
+  });
+});
+
+describe('describeEvent', () => {
+  test('names splits, reverse splits and dividends', () => {
+    expect(describeEvent(SPLIT)).toBe('2:1 split');
+    expect(describeEvent({ type: 'split', ratio: 0.1 })).toBe('1:10 reverse split');
+    expect(describeEvent({ type: 'dividend', amount: 0.24 })).toBe('$0.24 dividend');
+  });
+});
@@ -0,0 +1,76 @@
+const {
+  resolveIndicator,
+  calculateIndicator,
+  describeIndicators,
+  formatParams
+} = require('../indicatorDefinitions');
+
+const bars = closes => closes.map((close, index) => ({
+  date: `2024-01-${String(index + 1).padStart(2, '0')}`,
+  open: close,
+  high: close + 1,
+  low: close - 1,
+  close,
+  volume: 1000
+}));
+
+describe('resolveIndicator', () => {
+  test('fills in defaults and parses query-string values', () => {
+    expect(resolveIndicator('sma')).toEqual({ indicator: 'sma', params: { period: 20 } });
+    expect(resolveIndicator('BOLLINGER', { period: '10', stddev: '2.5', timeRange: '1y' }))
+      .toEqual({ indicator: 'bollinger', params: { period: 10, stddev: 2.5 } });
+  });
+
+  test('maps legacy names to parameters, which explicit values override', () => {
+    expect(resolveIndicator('sma50')).toEqual({ indicator: 'sma', params: { period: 50 } });
+    expect(resolveIndicator('ema26', { period: '30' })).toEqual({ indicator: 'ema', params: { period: 30 } });
+    expect(resolveIndicator('bb')).toEqual({ indicator: 'bollinger', params: { period: 20, stddev: 2 } });
+  });
+
+  test.each([
+    ['rsi', { period: '1' }, 'Invalid rsi parameter "period". Must be an integer between 2 and 100'],
+    ['sma', { period: '20.5' }, 'Must be an integer'],
+    ['sma', { period: '20abc' }, 'Must be an integer'],
+    ['bollinger', { stddev: '9' }, 'Must be a number between 0.1 and 5'],
+    ['bollinger', { stddev: '' }, 'Must be a number'],
+    ['macd', { fast: '26', slow: '12' }, 'Invalid macd parameters: fast must be less than slow'],
+    ['fibonacci', {}, 'Unsupported indicator: fibonacci']
+  ])('rejects %s with %j', (name, options, message) => {
+    expect(() => resolveIndicator(name, options)).toThrow(message);
+  });
+});
+
+describe('calculateIndicator', () => {
+  test('right-aligns values with the bars and pads the warm-up with nulls', () => {
+    const rows = calculateIndicator(bars([1, 2, 3, 4, 5]), 'sma', { period: 3 });
+
+    expect(rows.map(row => row.value)).toEqual([null, null, 2, 3, 4]);
+    expect(rows[4]).toEqual({ date: '2024-01-05', value: 4, price: 5 });
+  });
+
+  test('spreads multi-output indicators into named fields', () => {
+    const rows = calculateIndicator(bars([10, 10, 10, 10]), 'bollinger', { period: 2, stddev: 2 });
+
+    expect(rows[0]).toEqual({ date: '2024-01-01', upper: null, middle: null, lower: null, price: 10 });
+    expect(rows[3]).toEqual({ date: '2024-01-04', upper: 10, middle: 10, lower: 10, price: 10 });
+  });
+
+  test('returns no rows for no bars', () => {
+    expect(calculateIndicator([], 'rsi', { period: 14 })).toEqual([]);
+  });
+});
+
+describe('describeIndicators and formatParams', () => {
+  test('lists each parameter with its bounds', () => {
+    const { indicators, aliases } = describeIndicators();
+    const macd = indicators.find(indicator => indicator.name === 'macd');
+
+    expect(macd.outputs).toEqual(['macd', 'signal', 'histogram']);
+    expect(macd.params[0]).toEqual({ name: 'fast', type: 'integer', default: 12, min: 1, max: 200, description: 'Fast EMA period' });
+    expect(aliases.sma20).toEqual({ indicator: 'sma', params: { period: 20 } });
+  });
+
+  test('formats parameters in declaration order', () => {
+    expect(formatParams(resolveIndicator('macd').params)).toBe('fast=12,slow=26,signal=9');
+  });
+});
@@ -0,0 +1,76 @@
+const simulator = require('../marketSimulator');
+
+const AS_OF = new Date('2024-06-28T00:00:00Z');
+
+describe('marketSimulator', () => {
+  test('produces the same bars for a symbol every time', () => {
+    const first = simulator.getBars('AAPL', new Date('2024-01-01T00:00:00Z'), AS_OF);
+    simulator.configure({});
+    const second = simulator.getBars('AAPL', new Date('2024-01-01T00:00:00Z'), AS_OF);
+
+    expect(second).toEqual(first);
+    expect(first.every(bar => bar.low <= Math.min(bar.open, bar.close) && bar.high >= Math.max(bar.open, bar.close))).toBe(true);
+  });
+
+  test('skips weekends', () => {
+    const bars = simulator.getBars('MSFT', new Date('2024-06-01T00:00:00Z'), new Date('2024-06-09T00:00:00Z'));
+
+    expect(bars.map(bar => bar.date)).toEqual(['2024-06-03', '2024-06-04', '2024-06-05', '2024-06-06', '2024-06-07']);
+  });
+
+  test('the quote is the last bar', () => {
+    const bars = simulator.getBars('IBM', undefined, AS_OF);
+    const quote = simulator.getQuote('IBM', AS_OF);
+
+    expect(quote.price).toBe(bars[bars.length - 1].close);
+    expect(quote.previousClose).toBe(bars[bars.length - 2].close);
+  });
+
+  test.each(['AAPL', 'ELV', 'GOOGL', 'TSLA', 'ZZZZ'])('keeps the market cap of %s plausible', symbol => {
+    const { marketCap } = simulator.getFundamentals(symbol, AS_OF);
+
+    expect(marketCap).toBeGreaterThan(5e8);
+    expect(marketCap).toBeLessThan(5e12);
+  });
+
+  test('evicting a path does not change it', () => {
+    const before = simulator.getBars('NVDA', undefined, AS_OF);
+
+    simulator.configure({ maxPaths: 2 });
+    ['AMD', 'INTC', 'QCOM'].forEach(symbol => simulator.getBars(symbol, undefined, AS_OF));
+
+    expect(simulator.getBars('NVDA', undefined, AS_OF)).toEqual(before);
+    simulator.configure({ maxPaths: simulator.DEFAULT_OPTIONS.maxPaths });
+  });
+});
+
+describe('SIMULATOR_REGIMES', () => {
+  const loadWith = value => {
+    process.env.SIMULATOR_REGIMES = value;
+    try {
+      let loaded;
+      jest.isolateModules(() => {
+        loaded = require('../marketSimulator');
+      });
+      return loaded;
+    } finally {
+      delete process.env.SIMULATOR_REGIMES;
+    }
+  };
+
+  test('merges overrides over the default regimes', () => {
+    const { regimes } = loadWith('{"bear":{"drift":-0.4}}').DEFAULT_OPTIONS;
+
+    expect(regimes.bear).toMatchObject({ drift: -0.4, volatility: 1.3 });
+    expect(regimes.bull.drift).toBe(0.12);
+  });
+
+  test.each([
+    ['not json', 'not valid JSON'],
+    ['{"bear":{"next":{"crash":1}}}', 'invalid transitions'],
+    ['{"bull":{"next":{"bull":0.8,"bear":0.8}}}', 'invalid transitions'],
+    ['{"crash":{"drift":-1}}', 'positive volatility']
+  ])('rejects %s', (value, message) => {
+    expect(() => loadWith(value)).toThrow(message);
+  });
+});
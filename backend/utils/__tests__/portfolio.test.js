@@ -0,0 +1,147 @@
+const {
+  normalizeTransaction,
+  replayTransactions,
+  valuePositions,
+  measurePerformance
+} = require('../portfolio');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const buy = (date, quantity, price, extra = {}) =>
+  normalizeTransaction({ type: 'BUY', date, symbol: 'AAPL', quantity, price, ...extra });
+const sell = (date, quantity, price, extra = {}) =>
+  normalizeTransaction({ type: 'SELL', date, symbol: 'AAPL', quantity, price, ...extra });
+
+// 10 @ 100, then 10 @ 120, then 15 sold @ 130
+const TRADES = [
+  buy('2024-01-02', 10, 100),
+  buy('2024-02-01', 10, 120),
+  sell('2024-03-01', 15, 130)
+];
+
+describe('normalizeTransaction', () => {
+  test('nulls the fields a type does not use and defaults fees', () => {
+    expect(normalizeTransaction({ type: 'DEPOSIT', date: '2024-01-02', amount: 500, symbol: 'AAPL' })).toEqual({
+      type: 'DEPOSIT',
+      date: '2024-01-02',
+      symbol: null,
+      quantity: null,
+      price: null,
+      amount: 500,
+      ratio: null,
+      fees: 0,
+      note: null
+    });
+  });
+
+  test.each([
+    [{ type: 'SWAP', date: '2024-01-02' }, 'Invalid transaction type'],
+    [{ type: 'BUY', date: '02/01/2024', symbol: 'AAPL', quantity: 1, price: 1 }, 'YYYY-MM-DD'],
+    [{ type: 'BUY', date: '2999-01-01', symbol: 'AAPL', quantity: 1, price: 1 }, 'future'],
+    [{ type: 'BUY', date: '2024-01-02', symbol: 'AAPL', quantity: 0, price: 1 }, 'positive quantity'],
+    [{ type: 'SPLIT', date: '2024-01-02', symbol: 'AAPL' }, 'positive ratio'],
+    [{ type: 'DEPOSIT', date: '2024-01-02', amount: 1, fees: -1 }, 'Fees']
+  ])('rejects %j', (transaction, message) => {
+    expect(() => normalizeTransaction(transaction)).toThrow(message);
+  });
+});
+
+describe('cost basis', () => {
+  test.each([
+    ['fifo', 350, [{ date: '2024-02-01', quantity: 5, cost: 600 }]],
+    ['lifo', 250, [{ date: '2024-01-02', quantity: 5, cost: 500 }]],
+    ['average', 300, [{ date: '2024-01-02', quantity: 5, cost: 550 }]]
+  ])('%s closes the right lots', (method, realized, lots) => {
+    const { positions, totals } = valuePositions(replayTransactions(TRADES, method), { AAPL: 140 });
+
+    expect(totals.realized).toBe(realized);
+    expect(positions[0].lots).toEqual(lots);
+    expect(positions[0].unrealized).toBe(700 - lots[0].cost);
+  });
+
+  test('fees add to the cost of a buy and come off the proceeds of a sale', () => {
+    const ledger = replayTransactions([
+      buy('2024-01-02', 10, 100, { fees: 5 }),
+      sell('2024-03-01', 10, 110, { fees: 5 })
+    ]);
+
+    expect(ledger.realized).toBeCloseTo(90);
+    expect(ledger.fees).toBe(10);
+  });
+
+  test('a split changes the share count but not the cost', () => {
+    const ledger = replayTransactions([
+      buy('2024-01-02', 10, 100),
+      normalizeTransaction({ type: 'SPLIT', date: '2024-02-01', symbol: 'AAPL', ratio: 2 })
+    ]);
+    const { positions } = valuePositions(ledger, { AAPL: 55 });
+
+    expect(positions[0]).toMatchObject({ quantity: 20, costBasis: 1000, averageCost: 50, marketValue: 1100 });
+  });
+
+  test('replays transactions in date order whatever order they were recorded in', () => {
+    const ledger = replayTransactions([...TRADES].reverse());
+
+    expect(ledger.realized).toBe(350);
+  });
+
+  test('rejects selling more than is held at that date', () => {
+    expect(() => replayTransactions([buy('2024-01-02', 5, 100), sell('2024-01-03', 6, 100)]))
+      .toThrow('Cannot sell 6 AAPL on 2024-01-03: only 5 held');
+  });
+
+  test('buying without cash counts as a contribution', () => {
+    const ledger = replayTransactions([
+      normalizeTransaction({ type: 'DEPOSIT', date: '2024-01-01', amount: 600 }),
+      buy('2024-01-02', 10, 100)
+    ]);
+    const { totals } = valuePositions(ledger, { AAPL: 110 });
+
+    expect(totals).toMatchObject({ cash: 0, contributions: 1000, totalValue: 1100, totalReturn: 100 });
+  });
+});
+
+describe('measurePerformance', () => {
+  test('time- and money-weighted returns agree without intermediate flows', () => {
+    const result = measurePerformance([buy('2022-01-01', 10, 100)], { AAPL: [{ date: '2024-01-01', close: 121 }] });
+
+    expect(result.twr).toBe(21);
+    expect(result.twrAnnualized).toBeCloseTo(10, 0);
+    expect(result.mwr).toBeCloseTo(10, 1);
+  });
+
+  test('leaves short periods unannualized', () => {
+    const result = measurePerformance([buy('2023-01-01', 10, 100)], { AAPL: [{ date: '2024-01-01', close: 110 }] });
+
+    expect(result).toMatchObject({ twr: 10, twrAnnualized: null, mwr: 10 });
+  });
+
+  test('money-weighted return converges on the rate that zeroes the flows', () => {
+    // Doubling up at the top: the price round-trips, so TWR is flat but more money rode the fall
+    const transactions = [buy('2023-01-01', 10, 100), buy('2023-07-02', 10, 200)];
+    const closes = { AAPL: [{ date: '2023-07-02', close: 200 }, { date: '2024-01-01', close: 100 }] };
+    const result = measurePerformance(transactions, closes);
+
+    expect(result.twr).toBe(0);
+    expect(result.history.map(point => point.value)).toEqual([1000, 4000, 2000]);
+
+    const rate = result.mwr / 100;
+    const years = date => (new Date(`${date}T00:00:00Z`) - new Date('2023-01-01T00:00:00Z')) / (365 * DAY_MS);
+    const presentValue = -1000 - 2000 / Math.pow(1 + rate, years('2023-07-02')) + 2000 / Math.pow(1 + rate, years('2024-01-01'));
+
+    expect(result.mwr).toBeLessThan(0);
+    // mwr is rounded to 0.01%, which moves the present value by a few dollars at most
+    expect(Math.abs(presentValue)).toBeLessThan(5);
+  });
+
+  test('returns nulls for an empty portfolio', () => {
+    expect(measurePerformance([], {})).toEqual({
+      startDate: null,
+      endDate: null,
+      twr: null,
+      twrAnnualized: null,
+      mwr: null,
+      history: []
+    });
+  });
+});
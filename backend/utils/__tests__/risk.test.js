@@ -0,0 +1,137 @@
+const { analyzeRisk, alignReturns, correlateReturns } = require('../risk');
+
+// Two bad days, then small alternating moves: the 5% tail of 40 returns is the two worst
+const RETURNS = [-0.06, -0.04, ...Array.from({ length: 38 }, (_, i) => (i % 2 ? 0.01 : -0.005))];
+
+const toBars = returns => {
+  let close = 100;
+  const bars = [{ date: 'd000', close }];
+  returns.forEach((value, i) => {
+    close *= 1 + value;
+    bars.push({ date: `d${String(i + 1).padStart(3, '0')}`, close });
+  });
+  return bars;
+};
+
+// AAPL moves twice as far as the benchmark; CASH never moves
+const SERIES = {
+  SPY: toBars(RETURNS),
+  AAPL: toBars(RETURNS.map(value => 2 * value)),
+  CASH: toBars(RETURNS.map(() => 0))
+};
+
+const HOLDINGS = [{ symbol: 'AAPL', weight: 1 }, { symbol: 'CASH', weight: 1 }];
+
+describe('analyzeRisk', () => {
+  const result = analyzeRisk(SERIES, HOLDINGS, 'SPY');
+
+  test('normalizes weights and measures betas against the benchmark', () => {
+    expect(result.observations).toBe(40);
+    expect(result.positions.map(position => [position.symbol, position.weight, position.beta]))
+      .toEqual([['AAPL', 50, 2], ['CASH', 50, 0]]);
+    // Half in a 2x position and half in cash tracks the benchmark exactly
+    expect(result.portfolio).toMatchObject({ beta: 1, correlation: 1 });
+  });
+
+  test('attributes all the risk to the position that moves', () => {
+    const [aapl, cash] = result.positions;
+
+    expect(aapl.contributionPercent).toBe(100);
+    expect(cash.contributionPercent).toBe(0);
+    expect(aapl.contribution).toBeCloseTo(result.portfolio.volatility, 1);
+  });
+
+  test('historical VaR is the tail cutoff and CVaR the mean beyond it', () => {
+    expect(result.portfolio.var.historical).toEqual({ var: 4, cvar: 5 });
+  });
+
+  test('parametric VaR and CVaR follow the normal distribution', () => {
+    const mu = RETURNS.reduce((sum, value) => sum + value, 0) / RETURNS.length;
+    const sigma = Math.sqrt(RETURNS.reduce((sum, value) => sum + (value - mu) ** 2, 0) / (RETURNS.length - 1));
+    const z = 1.6448536;
+    const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+
+    expect(result.portfolio.var.parametric.var).toBeCloseTo((z * sigma - mu) * 100, 3);
+    expect(result.portfolio.var.parametric.cvar).toBeCloseTo((sigma * density / 0.05 - mu) * 100, 3);
+  });
+
+  test('a higher confidence level reaches further into the tail', () => {
+    const strict = analyzeRisk(SERIES, HOLDINGS, 'SPY', { confidence: 0.99 });
+
+    expect(strict.portfolio.var.historical).toEqual({ var: 6, cvar: 6 });
+    expect(strict.portfolio.var.parametric.var).toBeGreaterThan(result.portfolio.var.parametric.var);
+  });
+
+  test('rejects series that overlap on too few dates', () => {
+    const short = { SPY: SERIES.SPY.slice(0, 10), AAPL: SERIES.AAPL };
+
+    expect(() => analyzeRisk(short, [{ symbol: 'AAPL', weight: 1 }], 'SPY'))
+      .toThrow('Only 9 overlapping returns; at least 20 are needed');
+  });
+});
+
+describe('alignReturns', () => {
+  test('measures every return across the same dates when calendars differ', () => {
+    const series = {
+      SPY: [{ date: 'd1', close: 100 }, { date: 'd2', close: 110 }, { date: 'd3', close: 121 }],
+      // Closed on d2, so its only return runs from d1 to d3
+      EWJ: [{ date: 'd1', close: 50 }, { date: 'd3', close: 60 }]
+    };
+
+    const { dates, returns } = alignReturns(series, ['SPY', 'EWJ']);
+
+    expect(dates).toEqual(['d3']);
+    expect(returns.SPY[0]).toBeCloseTo(0.21, 10);
+    expect(returns.EWJ[0]).toBeCloseTo(0.2, 10);
+  });
+
+  test('skips returns from a non-positive close', () => {
+    const series = {
+      SPY: [{ date: 'd1', close: 0 }, { date: 'd2', close: 100 }, { date: 'd3', close: 105 }],
+      QQQ: [{ date: 'd1', close: 10 }, { date: 'd2', close: 10 }, { date: 'd3', close: 11 }]
+    };
+
+    expect(alignReturns(series, ['SPY', 'QQQ']).dates).toEqual(['d3']);
+  });
+
+  test('can return log returns', () => {
+    const series = { SPY: [{ date: 'd1', close: 100 }, { date: 'd2', close: 200 }] };
+
+    expect(alignReturns(series, ['SPY'], { log: true }).returns.SPY[0]).toBeCloseTo(Math.log(2), 10);
+  });
+});
+
+describe('correlateReturns', () => {
+  test('builds a symmetric matrix with ones on the diagonal', () => {
+    const inverse = toBars(RETURNS.map(value => -value / 2));
+    const { matrix, observations } = correlateReturns({ ...SERIES, INV: inverse }, ['SPY', 'AAPL', 'INV']);
+
+    expect(observations).toBe(40);
+    expect(matrix[0][0]).toBe(1);
+    expect(matrix[0][1]).toBeCloseTo(1, 2);
+    expect(matrix[0][2]).toBeCloseTo(-1, 2);
+    expect(matrix[2][0]).toBe(matrix[0][2]);
+  });
+
+  test('returns one rolling value per full window', () => {
+    const { rolling } = correlateReturns(SERIES, ['SPY', 'AAPL'], { window: 10 });
+
+    expect(rolling.pairs).toHaveLength(1);
+    expect(rolling.pairs[0].values).toHaveLength(31);
+    expect(rolling.pairs[0].values[0].date).toBe('d010');
+  });
+
+  test('keeps perfectly linked series correlated when one skips dates', () => {
+    // A market closed on every fifth date still moves with SPY across each gap
+    const closedDates = SERIES.SPY.filter((bar, i) => i % 5 !== 2);
+    const { matrix, observations } = correlateReturns({ SPY: SERIES.SPY, EWJ: closedDates }, ['SPY', 'EWJ']);
+
+    expect(observations).toBe(closedDates.length - 1);
+    expect(matrix[0][1]).toBe(1);
+  });
+
+  test('rejects series that overlap on fewer than three dates', () => {
+    expect(() => correlateReturns({ SPY: SERIES.SPY, AAPL: SERIES.AAPL.slice(-3) }, ['SPY', 'AAPL']))
+      .toThrow('Only 2 overlapping returns; at least 3 are needed');
+  });
+});
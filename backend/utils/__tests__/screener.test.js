@@ -0,0 +1,130 @@
+const {
+  FIELDS,
+  resolveScreen,
+  parseScreenQuery,
+  matchesFilter,
+  columnName,
+  describeFields
+} = require('../screener');
+
+describe('resolveScreen', () => {
+  test('defaults to no filters sorted by market cap', () => {
+    expect(resolveScreen({})).toEqual({ filters: [], sort: { field: 'marketCap', direction: 'desc' } });
+  });
+
+  test('fills in indicator params and keeps only the keys a field uses', () => {
+    const screen = resolveScreen({
+      filters: [
+        { field: 'rsi', max: 30 },
+        { field: 'priceVsSma', min: 0, params: { period: 50 } },
+        { field: 'sector', in: [' Technology '], min: 3 },
+        { field: 'marketCap', min: 1e10, max: null }
+      ],
+      sort: { field: 'rsi', direction: 'asc' }
+    });
+
+    expect(screen.filters).toEqual([
+      { field: 'rsi', max: 30, params: { period: 14 } },
+      { field: 'priceVsSma', min: 0, params: { period: 50 } },
+      { field: 'sector', in: ['Technology'] },
+      { field: 'marketCap', min: 1e10 }
+    ]);
+    // A sort on an indicator field takes the params of its filter
+    expect(screen.sort).toEqual({ field: 'rsi', direction: 'asc', params: { period: 14 } });
+  });
+
+  test.each([
+    [{ filters: 'marketCap' }, 'Filters must be a list'],
+    [{ filters: [{ field: 'nope', min: 1 }] }, 'Unsupported screener field: nope'],
+    [{ filters: [{ field: 'price' }] }, 'needs a numeric min and/or max'],
+    [{ filters: [{ field: 'price', min: '5' }] }, 'needs a numeric min and/or max'],
+    [{ filters: [{ field: 'price', min: 5, max: 1 }] }, 'min greater than max'],
+    [{ filters: [{ field: 'rsi', max: 120 }] }, 'between 0 and 100'],
+    [{ filters: [{ field: 'rsi', max: 30, params: { period: 0 } }] }, 'Invalid rsi parameter'],
+    [{ filters: [{ field: 'sector', in: [] }] }, 'needs an "in" list'],
+    [{ sort: { field: 'sector' } }, 'Invalid sort field: sector'],
+    [{ sort: { field: 'price', direction: 'up' } }, 'Invalid sort direction']
+  ])('rejects %j', (screen, message) => {
+    expect(() => resolveScreen(screen)).toThrow(message);
+  });
+});
+
+describe('parseScreenQuery', () => {
+  test('reads bounds, periods, value lists and the sort', () => {
+    const screen = parseScreenQuery({
+      'marketCap.min': '1e10',
+      'rsi.max': '30',
+      'rsi.period': '7',
+      sector: 'Technology, Energy',
+      'exchange.in': 'NYSE',
+      sort: '-rsi'
+    });
+
+    expect(screen).toEqual({
+      filters: [
+        { field: 'sector', in: ['Technology', 'Energy'] },
+        { field: 'exchange', in: ['NYSE'] },
+        { field: 'marketCap', min: 1e10, max: undefined },
+        { field: 'rsi', min: undefined, max: 30, params: { period: 7 } }
+      ],
+      sort: { field: 'rsi', direction: 'desc' }
+    });
+    expect(resolveScreen(screen).sort).toEqual({ field: 'rsi', direction: 'desc', params: { period: 7 } });
+  });
+
+  test('sorts ascending without a leading dash', () => {
+    expect(parseScreenQuery({ sort: 'name' }).sort).toEqual({ field: 'name', direction: 'asc' });
+  });
+
+  test('rejects numbers that do not parse', () => {
+    expect(() => parseScreenQuery({ 'price.min': 'abc' })).toThrow('price.min must be a number');
+  });
+});
+
+describe('matchesFilter', () => {
+  test('bounds are inclusive', () => {
+    const filter = { field: 'price', min: 10, max: 20 };
+
+    expect([9.99, 10, 15, 20, 20.01].map(value => matchesFilter(filter, value))).toEqual([false, true, true, true, false]);
+  });
+
+  test('text values match case-insensitively', () => {
+    expect(matchesFilter({ field: 'sector', in: ['Technology'] }, 'technology')).toBe(true);
+    expect(matchesFilter({ field: 'sector', in: ['Technology'] }, 'Energy')).toBe(false);
+  });
+
+  test('missing values never match', () => {
+    expect(matchesFilter({ field: 'peRatio', max: 100 }, null)).toBe(false);
+    expect(matchesFilter({ field: 'peRatio', max: 100 }, NaN)).toBe(false);
+  });
+});
+
+describe('fields', () => {
+  test('derive quote values from the enhanced quote', () => {
+    const quote = { price: 90, fiftyTwoWeekHigh: 120, fiftyTwoWeekLow: 60 };
+
+    expect(FIELDS.fromHigh.value(quote)).toBe(-25);
+    expect(FIELDS.fromLow.value(quote)).toBe(50);
+    expect(FIELDS.fromHigh.value({ price: 90 })).toBeNull();
+  });
+
+  test('price vs SMA is the percentage above the average', () => {
+    expect(FIELDS.priceVsSma.value({ price: 105, value: 100 })).toBe(5);
+  });
+
+  test('indicator columns carry their period', () => {
+    expect(columnName({ field: 'rsi', params: { period: 14 } })).toBe('rsi14');
+    expect(columnName({ field: 'marketCap' })).toBe('marketCap');
+  });
+
+  test('are described with their default params', () => {
+    expect(describeFields().find(field => field.field === 'rsi')).toEqual({
+      field: 'rsi',
+      label: 'RSI',
+      type: 'number',
+      source: 'indicator',
+      range: [0, 100],
+      params: { period: 14 }
+    });
+  });
+});
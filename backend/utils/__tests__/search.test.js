@@ -0,0 +1,72 @@
+const { buildSearchIndex, searchIndex } = require('../search');
+
+const security = (symbol, name, extra = {}) => ({
+  symbol,
+  name,
+  formerSymbols: [],
+  isin: null,
+  figi: null,
+  status: 'listed',
+  ...extra
+});
+
+const INDEX = buildSearchIndex([
+  security('AAPL', 'Apple Inc.', { isin: 'US0378331005' }),
+  security('AMZN', 'Amazon.com Inc.'),
+  security('META', 'Meta Platforms Inc.', { formerSymbols: [{ symbol: 'FB', date: '2022-06-09' }] }),
+  security('MSFT', 'Microsoft Corporation'),
+  security('TWTR', 'Twitter Inc.', { status: 'delisted' }),
+  security('TWXZ', 'Twix Holdings'),
+  security('T', 'AT&T Inc.'),
+  security('APP', 'AppLovin Corporation'),
+  security('NESN.SW', 'Nestlé S.A.')
+]);
+
+const search = (query, options) => searchIndex(INDEX, query, options);
+const symbols = (query, options) => search(query, options).results.map(result => result.symbol);
+
+describe('searchIndex', () => {
+  test('ranks an exact symbol above fuzzy name matches', () => {
+    const { results } = search('aapl');
+
+    expect(results.map(result => [result.symbol, result.match])).toEqual([['AAPL', 'exact'], ['APP', 'fuzzy']]);
+    expect(results[0].highlights).toEqual({ symbol: [[0, 4]], name: [] });
+  });
+
+  test('finds securities by former symbol and by ISIN', () => {
+    expect(search('fb').results[0]).toMatchObject({ symbol: 'META', match: 'exact' });
+    expect(search('us0378331005').results[0]).toMatchObject({ symbol: 'AAPL', match: 'exact' });
+  });
+
+  test('ranks symbol prefixes above name prefixes', () => {
+    expect(search('ap').results.map(result => [result.symbol, result.match]))
+      .toEqual([['APP', 'symbolPrefix'], ['AAPL', 'namePrefix']]);
+  });
+
+  test('matches every query word to the start of a different name word', () => {
+    const { results } = search('micro corp');
+
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ symbol: 'MSFT', match: 'namePrefix' });
+    expect(results[0].highlights.name).toEqual([[0, 5], [10, 14]]);
+  });
+
+  test('tolerates typos and ignores accents', () => {
+    expect(search('mircosoft').results[0]).toMatchObject({ symbol: 'MSFT', match: 'fuzzy' });
+    expect(symbols('nestle')).toEqual(['NESN.SW']);
+  });
+
+  test('does not match short words with typos', () => {
+    expect(symbols('zz')).toEqual([]);
+  });
+
+  test('puts listed securities before delisted ones in the same tier', () => {
+    expect(symbols('tw')).toEqual(['TWXZ', 'TWTR']);
+  });
+
+  test('pages results while reporting the total', () => {
+    expect(search('inc')).toMatchObject({ total: 5 });
+    expect(symbols('inc', { limit: 2 })).toEqual(['AAPL', 'T']);
+    expect(symbols('inc', { limit: 2, offset: 2 })).toEqual(['AMZN', 'META']);
+  });
+});
@@ -0,0 +1,60 @@
+const { detectSignals } = require('../signalEngine');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toBars = closes => closes.map((close, index) => ({
+  date: new Date(Date.UTC(2024, 0, 1) + index * DAY_MS).toISOString().split('T')[0],
+  open: close,
+  high: close + 0.5,
+  low: close - 0.5,
+  close,
+  volume: 1000
+}));
+
+// 60 sessions down a point a day, then 40 up three points a day
+const V_SHAPE = toBars([
+  ...Array.from({ length: 60 }, (_, i) => 200 - i),
+  ...Array.from({ length: 40 }, (_, i) => 143 + 3 * i)
+]);
+
+describe('detectSignals', () => {
+  test('needs at least two bars', () => {
+    expect(detectSignals([])).toEqual([]);
+    expect(detectSignals(toBars([100]))).toEqual([]);
+  });
+
+  test('dates a golden cross once the recovery pulls SMA20 over SMA50', () => {
+    const crosses = detectSignals(V_SHAPE).filter(event => event.rule === 'sma-cross');
+
+    expect(crosses).toHaveLength(1);
+    expect(crosses[0]).toMatchObject({ type: 'BUY', signal: 'Golden Cross', strength: 'Strong' });
+    expect(crosses[0].date > V_SHAPE[59].date).toBe(true);
+  });
+
+  test('reports each event with its close and distance from the last bar, newest first', () => {
+    const events = detectSignals(V_SHAPE);
+
+    expect(events.length).toBeGreaterThan(1);
+    events.forEach(event => {
+      const index = V_SHAPE.findIndex(bar => bar.date === event.date);
+      expect(event.price).toBe(V_SHAPE[index].close);
+      expect(event.barsAgo).toBe(V_SHAPE.length - 1 - index);
+      expect(event.daysAgo).toBe(event.barsAgo);
+    });
+    expect(events.map(event => event.barsAgo)).toEqual([...events.map(event => event.barsAgo)].sort((a, b) => a - b));
+  });
+
+  test('flags RSI leaving oversold and then turning overbought on the way up', () => {
+    const rsi = detectSignals(V_SHAPE).filter(event => event.rule === 'rsi-zone').reverse();
+
+    expect(rsi.map(event => event.signal)).toEqual(['RSI Left Oversold', 'RSI Overbought']);
+    expect(rsi[0].date > V_SHAPE[59].date).toBe(true);
+  });
+
+  test('flags a close through the upper Bollinger Band on the bar it happens', () => {
+    const bars = toBars([...Array(30).fill(100), 120]);
+    const breach = detectSignals(bars).find(event => event.rule === 'bollinger-breach');
+
+    expect(breach).toMatchObject({ type: 'SELL', signal: 'Bollinger Upper Breach', price: 120, barsAgo: 0 });
+  });
+});
@@ -0,0 +1,73 @@
+const { ExpressionError, compileExpression, findExpressionEvents } = require('../signalExpression');
+
+const CLOSES = [10, 11, 9, 12, 13, 8, 14];
+const BARS = CLOSES.map((close, i) => ({
+  date: new Date(Date.UTC(2024, 0, 1 + i)).toISOString().slice(0, 10),
+  open: close,
+  high: close + 1,
+  low: close - 1,
+  close,
+  volume: 100 * (i + 1)
+}));
+
+const evaluate = source => compileExpression(source).evaluate(BARS);
+
+describe('compileExpression', () => {
+  test.each([
+    ['close > prev(close)', [false, true, false, true, true, false, true]],
+    ['crosses_above(close, 10)', [false, true, false, true, false, false, true]],
+    ['close > 10 and not (volume > 500)', [false, true, false, true, true, false, false]],
+    ['(close + 2) / 2 >= 6', [true, true, false, true, true, false, true]],
+    ['sma(2) > 11', [false, false, false, false, true, false, false]]
+  ])('evaluates %s bar by bar', (source, expected) => {
+    expect(evaluate(source)).toEqual(expected);
+  });
+
+  test.each([
+    ['', 'Expression is empty', 1],
+    ['rsi(14) <', 'Expected a value but found end of expression', 10],
+    ['close > > 3', "Expected a value but found '>'", 9],
+    ['(close > 1', "Expected ')' but found end of expression", 11],
+    ['1 < 2 < 3', 'Comparisons cannot be chained', 7],
+    ['close > "1"', "Unexpected character '\"'", 9],
+    ['foo > 1', "Unknown name 'foo'", 1],
+    ['rsi(14, 3) < 30', 'rsi takes at most 1 argument', 1],
+    ['rsi(x) < 30', 'Arguments to rsi must be numbers', 5],
+    ['crosses_above(close)', 'crosses_above takes 2 arguments', 1],
+    ['close', 'Expression must be a condition', 1]
+  ])('rejects %j', (source, message, position) => {
+    let error;
+    try {
+      compileExpression(source);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(ExpressionError);
+    expect(error.message).toContain(message);
+    expect(error.position).toBe(position);
+  });
+
+  test('rejects expressions that are not text', () => {
+    expect(() => compileExpression(42)).toThrow(ExpressionError);
+  });
+});
+
+describe('findExpressionEvents', () => {
+  test('reports the bars where the expression becomes true, newest first', () => {
+    const { active, events } = findExpressionEvents(BARS, compileExpression('close > 10 and not (volume > 500)'));
+
+    expect(active).toBe(false);
+    expect(events).toEqual([
+      { date: '2024-01-04', price: 12, barsAgo: 3, daysAgo: 3 },
+      { date: '2024-01-02', price: 11, barsAgo: 5, daysAgo: 5 }
+    ]);
+  });
+
+  test('does not count a condition that already held on the first bar', () => {
+    const { active, events } = findExpressionEvents(BARS, compileExpression('(close + 2) / 2 >= 6'));
+
+    expect(active).toBe(true);
+    expect(events.map(event => event.date)).toEqual(['2024-01-07', '2024-01-04']);
+  });
+});
@@ -0,0 +1,71 @@
+const { parseSymbol, normalizeSymbol, isValidSymbol, getAssetClass } = require('../symbols');
+
+describe('normalizeSymbol', () => {
+  test.each([
+    ['aapl', 'AAPL'],
+    [' msft ', 'MSFT'],
+    ['brk.b', 'BRK.B'],
+    ['BRK-B', 'BRK.B'],
+    ['bf-b', 'BF.B'],
+    ['reliance.ns', 'RELIANCE.NS'],
+    ['spx', '^GSPC'],
+    ['btc', 'BTC-USD'],
+    ['btc/usd', 'BTC-USD'],
+    ['ETHUSDT', 'ETH-USDT'],
+    ['EUR/USD', 'EURUSD=X'],
+    ['eur-usd', 'EURUSD=X'],
+    ['GBPJPY', 'GBPJPY=X'],
+    ['sol/usd', 'SOL-USD'],
+    ['LINKUSD', 'LINK-USD']
+  ])('%j is %s', (input, expected) => {
+    expect(normalizeSymbol(input)).toBe(expected);
+  });
+
+  test('gives both spellings of a share class the same parse', () => {
+    expect(parseSymbol('BRK-B')).toEqual(parseSymbol('BRK.B'));
+  });
+});
+
+describe('parseSymbol', () => {
+  test('reads the currencies of pairs and exchange-listed equities', () => {
+    expect(parseSymbol('BTC-EUR')).toMatchObject({ assetClass: 'crypto', base: 'BTC', quote: 'EUR' });
+    expect(parseSymbol('USDJPY=X')).toMatchObject({ assetClass: 'fx', base: 'USD', quote: 'JPY' });
+    expect(parseSymbol('SAP.DE')).toMatchObject({ assetClass: 'equity', base: 'SAP', quote: 'EUR', exchange: 'DE' });
+  });
+
+  test.each([
+    ['', 'Symbol is required'],
+    ['ABCDEFGHIJKLMNOPQRSTU', 'at most 20 characters'],
+    ['AAPL.XX', 'Unknown exchange suffix .XX'],
+    ['TOOLONG', 'US tickers have 1-5 letters'],
+    ['BRK-B.B', 'Give the share class once'],
+    ['EUREUR=X', 'Invalid FX pair'],
+    ['BTC-ABC', 'Invalid crypto pair'],
+    ['^TOOLONGINDEX', 'Invalid index symbol']
+  ])('rejects %j', (input, message) => {
+    expect(() => parseSymbol(input)).toThrow(message);
+  });
+});
+
+describe('asset classes', () => {
+  test.each([
+    ['AAPL', 'equity'],
+    ['SPY', 'etf'],
+    ['^DJI', 'index'],
+    ['ETH', 'crypto'],
+    ['SOL-USD', 'crypto'],
+    ['EURUSD=X', 'fx'],
+    ['not a symbol', 'equity']
+  ])('%s is %s', (symbol, assetClass) => {
+    expect(getAssetClass(symbol)).toBe(assetClass);
+  });
+
+  test.each(['SOL', 'ADA', 'DOT', 'LINK', 'LTC'])('bare %s is the listed ticker, not the coin', symbol => {
+    expect(parseSymbol(symbol)).toMatchObject({ symbol, assetClass: 'equity' });
+  });
+
+  test('isValidSymbol never throws', () => {
+    expect(isValidSymbol(null)).toBe(false);
+    expect(isValidSymbol('AAPL')).toBe(true);
+  });
+});
@@ -0,0 +1,121 @@
+const TechnicalIndicators = require('../technicalIndicators');
+
+// Bars moving up (or down) one point a session with a two-point range
+const trend = (length, direction = 1) => {
+  const mid = Array.from({ length }, (_, i) => 100 + direction * i);
+  return {
+    high: mid.map(value => value + 1),
+    low: mid.map(value => value - 1),
+    close: mid
+  };
+};
+
+describe('ADX', () => {
+  test('a steady uptrend is all +DI and an ADX of 100 once warmed up', () => {
+    const result = TechnicalIndicators.ADX.calculate({ ...trend(10), period: 3 });
+
+    expect(result).toHaveLength(7);
+    expect(result.slice(0, 2).map(point => point.adx)).toEqual([null, null]);
+    result.forEach(point => {
+      expect(point.plusDI).toBeCloseTo(50);
+      expect(point.minusDI).toBe(0);
+    });
+    expect(result[2].adx).toBeCloseTo(100);
+    expect(result[6].adx).toBeCloseTo(100);
+  });
+
+  test('a downtrend shows up in -DI', () => {
+    const last = TechnicalIndicators.ADX.calculate({ ...trend(10, -1), period: 3 }).pop();
+
+    expect(last.plusDI).toBe(0);
+    expect(last.minusDI).toBeCloseTo(50);
+    expect(last.adx).toBeCloseTo(100);
+  });
+});
+
+describe('PSAR', () => {
+  test('trails below a rising market, then flips to the extreme point', () => {
+    const result = TechnicalIndicators.PSAR.calculate({
+      high: [10, 11, 12, 13, 14, 10],
+      low: [9, 10, 11, 12, 13, 8]
+    });
+
+    expect(result).toHaveLength(5);
+    // Held at the prior lows, then accelerating (0.06, 0.08) towards the highs
+    [9, 9, 9.18, 9.4856].forEach((value, index) => expect(result[index]).toBeCloseTo(value));
+    expect(result[4]).toBe(14);
+  });
+
+  test('needs two bars', () => {
+    expect(TechnicalIndicators.PSAR.calculate({ high: [1], low: [1] })).toEqual([]);
+  });
+});
+
+describe('Ichimoku', () => {
+  test('shifts the leading spans forward and the lagging span back', () => {
+    const prices = [1, 2, 3, 4, 5, 6];
+    const result = TechnicalIndicators.Ichimoku.calculate({
+      high: prices,
+      low: prices,
+      close: prices,
+      conversionPeriod: 2,
+      basePeriod: 3,
+      spanPeriod: 4,
+      displacement: 2
+    });
+
+    expect(result.map(point => point.conversion)).toEqual([null, 1.5, 2.5, 3.5, 4.5, 5.5]);
+    expect(result.map(point => point.base)).toEqual([null, null, 2, 3, 4, 5]);
+    expect(result.map(point => point.spanA)).toEqual([null, null, null, null, 2.25, 3.25]);
+    expect(result.map(point => point.spanB)).toEqual([null, null, null, null, null, 2.5]);
+    expect(result.map(point => point.lagging)).toEqual([3, 4, 5, 6, null, null]);
+  });
+});
+
+describe('MFI', () => {
+  const flat = typical => ({ high: typical, low: typical, close: typical, volume: typical.map(() => 1) });
+
+  test('weighs positive against negative money flow', () => {
+    const result = TechnicalIndicators.MFI.calculate({ ...flat([10, 11, 10.5, 12]), period: 2 });
+
+    // 11 up vs 10.5 down, then 12 up vs 10.5 down
+    expect(result[0]).toBeCloseTo(100 - 100 / (1 + 11 / 10.5));
+    expect(result[1]).toBeCloseTo(100 - 100 / (1 + 12 / 10.5));
+  });
+
+  test('pins one-way markets to 100 and 0', () => {
+    expect(TechnicalIndicators.MFI.calculate({ ...flat([1, 2, 3, 4]), period: 2 })).toEqual([100, 100]);
+    expect(TechnicalIndicators.MFI.calculate({ ...flat([4, 3, 2, 1]), period: 2 })).toEqual([0, 0]);
+  });
+});
+
+describe('volume and range oscillators', () => {
+  test('VWAP restarts with each session', () => {
+    const prices = [10, 20, 30];
+    const result = TechnicalIndicators.VWAP.calculate({
+      high: prices,
+      low: prices,
+      close: prices,
+      volume: [1, 3, 5],
+      sessions: ['2024-01-02', '2024-01-02', '2024-01-03']
+    });
+
+    expect(result).toEqual([10, 17.5, 30]);
+  });
+
+  test('OBV adds volume on up closes and subtracts it on down closes', () => {
+    expect(TechnicalIndicators.OBV.calculate({ close: [1, 2, 1, 1], volume: [10, 20, 30, 40] })).toEqual([0, 20, -10, -10]);
+  });
+
+  test('Williams %R places the close within the recent range', () => {
+    const result = TechnicalIndicators.WilliamsR.calculate({ high: [2, 3, 4], low: [0, 1, 2], close: [1, 2, 2], period: 2 });
+
+    expect(result[0]).toBeCloseTo(-33.33, 2);
+    expect(result[1]).toBeCloseTo(-66.67, 2);
+  });
+
+  test('CCI is zero when prices do not move', () => {
+    const prices = [5, 5, 5, 5];
+    expect(TechnicalIndicators.CCI.calculate({ high: prices, low: prices, close: prices, period: 3 })).toEqual([0, 0]);
+  });
+});
@@ -0,0 +1,39 @@
+const {
+  getStartDateFromTimeRange,
+  getDefaultInterval,
+  getIntervalsForTimeRange,
+  isIntradayInterval,
+  addDays
+} = require('../timeRange');
+
+describe('timeRange', () => {
+  test('does not offer daily bars for ranges that can fall on a weekend', () => {
+    expect(getIntervalsForTimeRange('1d')).toEqual(['1m', '5m', '15m', '30m', '1h']);
+    expect(getIntervalsForTimeRange('5d')).not.toContain('1d');
+    expect(getIntervalsForTimeRange('1w')).toContain('1d');
+  });
+
+  test('offers every range its default interval', () => {
+    ['1d', '5d', '1w', '1m', '3m', '6m', '1y', '5y', 'max'].forEach(range => {
+      expect(getIntervalsForTimeRange(range)).toContain(getDefaultInterval(range));
+    });
+  });
+
+  test('tells intraday intervals apart', () => {
+    expect(isIntradayInterval('1h')).toBe(true);
+    expect(isIntradayInterval('1d')).toBe(false);
+    expect(isIntradayInterval('2h')).toBe(false);
+  });
+
+  test('counts ranges back from a reference date', () => {
+    const now = new Date('2024-03-31T12:00:00Z');
+
+    expect(getStartDateFromTimeRange('1w', now).toISOString()).toBe('2024-03-24T12:00:00.000Z');
+    expect(getStartDateFromTimeRange('1y', now).toISOString()).toBe('2023-03-31T12:00:00.000Z');
+  });
+
+  test('shifts date keys across month ends', () => {
+    expect(addDays('2024-02-28', 2)).toBe('2024-03-01');
+    expect(addDays('2024-01-01', -1)).toBe('2023-12-31');
+  });
+});
@@ -0,0 +1,144 @@
+const { resolveIndicator } = require('./indicatorDefinitions');
+
+/**
+ * Alert conditions
+ *
+ * Each condition reads one value per check from the latest quote or an
+ * indicator series and decides whether it fires. Crossing conditions compare
+ * against the value seen on the previous check, so they fire once per cross
+ * rather than on every check the value stays past the level.
+ *
+ * `source` is 'quote' (value read from getCurrentQuote) or 'rsi' (latest
+ * value of the RSI series); `threshold` says whether a level is required.
+ */
+const CONDITIONS = {
+  'price-crosses-above': {
+    label: 'Price crosses above a level',
+    source: 'quote',
+    threshold: true,
+    value: quote => quote.price,
+    check: (value, previous, threshold) => previous !== null && previous < threshold && value >= threshold,
+    describe: (value, threshold) => `price crossed above ${threshold} (now ${round(value)})`
+  },
+
+  'price-crosses-below': {
+    label: 'Price crosses below a level',
+    source: 'quote',
+    threshold: true,
+    value: quote => quote.price,
+    check: (value, previous, threshold) => previous !== null && previous > threshold && value <= threshold,
+    describe: (value, threshold) => `price crossed below ${threshold} (now ${round(value)})`
+  },
+
+  'change-beyond': {
+    label: 'Daily % change beyond a level (either direction)',
+    source: 'quote',
+    threshold: true,
+    value: quote => quote.changePercent,
+    check: (value, previous, threshold) => Math.abs(value) >= Math.abs(threshold),
+    describe: value => `price moved ${value > 0 ? '+' : ''}${round(value)}% today`
+  },
+
+  'rsi-crosses-above': {
+    label: 'RSI crosses above a level',
+    source: 'rsi',
+    threshold: true,
+    range: [0, 100],
+    check: (value, previous, threshold) => previous !== null && previous < threshold && value >= threshold,
+    describe: (value, threshold) => `RSI crossed above ${threshold} (now ${round(value)})`
+  },
+
+  'rsi-crosses-below': {
+    label: 'RSI crosses below a level',
+    source: 'rsi',
+    threshold: true,
+    range: [0, 100],
+    check: (value, previous, threshold) => previous !== null && previous > threshold && value <= threshold,
+    describe: (value, threshold) => `RSI crossed below ${threshold} (now ${round(value)})`
+  },
+
+  'new-52w-high': {
+    label: 'New 52-week high',
+    source: 'quote',
+    threshold: false,
+    value: quote => quote.price,
+    check: (value, previous, threshold, quote) => quote.fiftyTwoWeekHigh !== null && value >= quote.fiftyTwoWeekHigh,
+    describe: value => `new 52-week high at ${round(value)}`
+  },
+
+  'new-52w-low': {
+    label: 'New 52-week low',
+    source: 'quote',
+    threshold: false,
+    value: quote => quote.price,
+    check: (value, previous, threshold, quote) => quote.fiftyTwoWeekLow !== null && value <= quote.fiftyTwoWeekLow,
+    describe: value => `new 52-week low at ${round(value)}`
+  }
+};
+
+/**
+ * Validate an alert's condition, threshold and params
+ * @param {Object} alert - Alert definition
+ * @param {string} alert.condition - Condition id
+ * @param {number} [alert.threshold] - Level, required by most conditions
+ * @param {Object} [alert.params] - Indicator parameters for RSI conditions (e.g. { period: 14 })
+ * @returns {Object} `{ condition, threshold, params }` with RSI params filled in
+ * @throws {Error} When the condition is unknown or its threshold or params are invalid
+ */
+function resolveCondition({ condition, threshold = null, params = null }) {
+  const definition = CONDITIONS[condition];
+
+  if (!definition) {
+    throw new Error(`Unsupported alert condition: ${condition}. Must be one of: ${Object.keys(CONDITIONS).join(', ')}`);
+  }
+
+  if (definition.threshold) {
+    const [min, max] = definition.range || [-Infinity, Infinity];
+    if (typeof threshold !== 'number' || !Number.isFinite(threshold) || threshold < min || threshold > max) {
+      throw new Error(definition.range
+        ? `Condition ${condition} needs a threshold between ${min} and ${max}`
+        : `Condition ${condition} needs a numeric threshold`);
+    }
+  } else if (threshold !== null) {
+    throw new Error(`Condition ${condition} does not take a threshold`);
+  }
+
+  if (params !== null && (typeof params !== 'object' || Array.isArray(params))) {
+    throw new Error('Alert params must be an object');
+  }
+
+  return {
+    condition,
+    threshold: definition.threshold ? threshold : null,
+    params: definition.source === 'rsi' ? resolveIndicator('rsi', params || {}).params : null
+  };
+}
+
+/**
+ * Describe the supported conditions for API discovery
+ * @returns {Array} Conditions with their label, source and whether they take a threshold
+ */
+function describeConditions() {
+  return Object.entries(CONDITIONS).map(([id, definition]) => ({
+    condition: id,
+    label: definition.label,
+    source: definition.source,
+    threshold: definition.threshold,
+    ...(definition.range ? { range: definition.range } : {})
+  }));
+}
+
+/**
+ * Round to two decimals for messages
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+module.exports = {
+  CONDITIONS,
+  resolveCondition,
+  describeConditions
+};
@@ -0,0 +1,290 @@
+const { resolveRule, detectSignals } = require('./signalEngine');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Strategy backtester
+ *
+ * Replays a long-only strategy over chronological bars. The strategy enters
+ * on a BUY event from any of its entry rules and exits on a SELL event from
+ * any of its exit rules (see signalEngine). Orders are filled at the next
+ * bar's open so a signal never trades on the close that produced it.
+ */
+
+const DEFAULT_STRATEGY = {
+  entry: null,
+  exit: null, // defaults to the entry rules
+  initialCapital: 10000,
+  sizing: { method: 'percent', value: 100 },
+  commission: 0,
+  commissionPercent: 0,
+  slippage: 0
+};
+
+/**
+ * Validate a strategy and fill in defaults
+ * @param {Object} strategy - Strategy definition
+ * @param {Array} strategy.entry - Rule ids or `{ rule, params }` references that open a position on BUY events
+ * @param {Array} [strategy.exit] - Rule references that close the position on SELL events (default: the entry rules)
+ * @param {number} [strategy.initialCapital] - Starting cash (default 10000)
+ * @param {Object} [strategy.sizing] - `{ method: 'percent', value }` of equity or `{ method: 'fixed', value }` in cash
+ * @param {number} [strategy.commission] - Flat commission per fill in cash (default 0)
+ * @param {number} [strategy.commissionPercent] - Commission as a percentage of each fill's value (default 0)
+ * @param {number} [strategy.slippage] - Percentage the fill price moves against the order (default 0)
+ * @returns {Object} Normalized strategy
+ * @throws {Error} When the strategy is invalid
+ */
+function normalizeStrategy(strategy) {
+  if (!strategy || typeof strategy !== 'object') {
+    throw new Error('Strategy is required');
+  }
+
+  const normalized = { ...DEFAULT_STRATEGY, ...strategy };
+
+  if (!Array.isArray(normalized.entry) || normalized.entry.length === 0) {
+    throw new Error('Strategy entry must list at least one signal rule');
+  }
+  if (normalized.exit !== null && (!Array.isArray(normalized.exit) || normalized.exit.length === 0)) {
+    throw new Error('Strategy exit must list at least one signal rule');
+  }
+
+  normalized.entry = normalized.entry.map(resolveRule);
+  normalized.exit = normalized.exit ? normalized.exit.map(resolveRule) : normalized.entry;
+
+  const { method, value } = normalized.sizing || {};
+  if (!['percent', 'fixed'].includes(method)) {
+    throw new Error('Sizing method must be percent or fixed');
+  }
+  const sizeLimit = method === 'percent' ? 100 : Infinity;
+  if (!isNumberInRange(value, 0, sizeLimit) || value === 0) {
+    throw new Error(method === 'percent'
+      ? 'Sizing value must be a percentage above 0 and at most 100'
+      : 'Sizing value must be a cash amount above 0');
+  }
+  normalized.sizing = { method, value };
+
+  if (!isNumberInRange(normalized.initialCapital, 1, Infinity)) {
+    throw new Error('Initial capital must be a number of at least 1');
+  }
+  if (!isNumberInRange(normalized.commission, 0, Infinity)) {
+    throw new Error('Commission must be a non-negative number');
+  }
+  if (!isNumberInRange(normalized.commissionPercent, 0, 10)) {
+    throw new Error('Commission percent must be between 0 and 10');
+  }
+  if (!isNumberInRange(normalized.slippage, 0, 10)) {
+    throw new Error('Slippage must be a percentage between 0 and 10');
+  }
+
+  return normalized;
+}
+
+/**
+ * Run a backtest
+ * @param {Array} bars - Chronological OHLCV bars
+ * @param {Object} strategy - Strategy definition (see normalizeStrategy)
+ * @param {Object} [options] - Options
+ * @param {number} [options.periodsPerYear] - Bars per year, for annualizing Sharpe (default 252)
+ * @returns {Object} Trades, equity curve, and strategy and buy-and-hold metrics
+ */
+function runBacktest(bars, strategy, { periodsPerYear = 252 } = {}) {
+  const config = normalizeStrategy(strategy);
+  const lastIndex = bars.length - 1;
+
+  // First BUY entry event and first SELL exit event on each bar
+  const byBar = (rules, type) => {
+    const events = new Map();
+    detectSignals(bars, rules)
+      .filter(event => event.type === type)
+      .forEach(event => {
+        const index = lastIndex - event.barsAgo;
+        if (!events.has(index)) events.set(index, event);
+      });
+    return events;
+  };
+  const entries = byBar(config.entry, 'BUY');
+  const exits = byBar(config.exit, 'SELL');
+
+  const slip = config.slippage / 100;
+  const fees = (notional) => config.commission + notional * config.commissionPercent / 100;
+
+  let cash = config.initialCapital;
+  let shares = 0;
+  let openTrade = null;
+  let pending = null;
+  let barsInMarket = 0;
+  const trades = [];
+  const equity = [];
+
+  bars.forEach((bar, index) => {
+    // Fill yesterday's order at today's open
+    if (pending && pending.side === 'BUY') {
+      const price = bar.open * (1 + slip);
+      // Flat between trades, so equity is all cash
+      const budget = Math.min(
+        cash,
+        config.sizing.method === 'percent' ? cash * config.sizing.value / 100 : config.sizing.value
+      );
+      const quantity = Math.floor((budget - config.commission) / (price * (1 + config.commissionPercent / 100)));
+
+      if (quantity > 0) {
+        const commission = fees(quantity * price);
+        cash -= quantity * price + commission;
+        shares = quantity;
+        openTrade = {
+          entryDate: bar.date,
+          entryPrice: round(price, 4),
+          entrySignal: pending.signal,
+          shares: quantity,
+          cost: quantity * price + commission,
+          entryIndex: index
+        };
+      }
+    } else if (pending && pending.side === 'SELL' && shares > 0) {
+      const price = bar.open * (1 - slip);
+      const proceeds = shares * price - fees(shares * price);
+      cash += proceeds;
+      trades.push(closeTrade(openTrade, bar.date, price, pending.signal, proceeds, index));
+      shares = 0;
+      openTrade = null;
+    }
+    pending = null;
+
+    // Orders for the next bar from this bar's signals
+    if (shares === 0 && entries.has(index)) {
+      pending = { side: 'BUY', signal: entries.get(index).signal };
+    } else if (shares > 0 && exits.has(index)) {
+      pending = { side: 'SELL', signal: exits.get(index).signal };
+    }
+
+    if (shares > 0) barsInMarket++;
+
+    equity.push({
+      date: bar.date,
+      equity: round(cash + shares * bar.close),
+      benchmark: round(config.initialCapital * bar.close / bars[0].close),
+      inPosition: shares > 0
+    });
+  });
+
+  // Mark any open position to the last close
+  if (openTrade) {
+    const last = bars[lastIndex];
+    const value = shares * last.close;
+    trades.push({ ...closeTrade(openTrade, last.date, last.close, null, value, lastIndex), open: true });
+  }
+
+  const closedTrades = trades.filter(trade => !trade.open);
+  const wins = closedTrades.filter(trade => trade.pnl > 0).length;
+
+  return {
+    strategy: config,
+    metrics: {
+      ...summarize(equity.map(point => point.equity), bars, periodsPerYear),
+      trades: closedTrades.length,
+      winRate: closedTrades.length > 0 ? round(wins / closedTrades.length * 100) : null,
+      exposure: bars.length > 0 ? round(barsInMarket / bars.length * 100) : 0
+    },
+    benchmark: summarize(equity.map(point => point.benchmark), bars, periodsPerYear),
+    trades,
+    equity
+  };
+}
+
+/**
+ * Build a trade record for a closed (or marked) position
+ * @param {Object} trade - Open trade
+ * @param {string} date - Exit date
+ * @param {number} price - Exit fill price
+ * @param {string|null} signal - Exit signal name (null when marked to market)
+ * @param {number} proceeds - Cash received after commission
+ * @param {number} index - Exit bar index
+ * @returns {Object} Trade record
+ */
+function closeTrade(trade, date, price, signal, proceeds, index) {
+  const pnl = proceeds - trade.cost;
+
+  return {
+    entryDate: trade.entryDate,
+    entryPrice: trade.entryPrice,
+    entrySignal: trade.entrySignal,
+    exitDate: date,
+    exitPrice: round(price, 4),
+    exitSignal: signal,
+    shares: trade.shares,
+    pnl: round(pnl),
+    returnPercent: round(pnl / trade.cost * 100),
+    barsHeld: index - trade.entryIndex
+  };
+}
+
+/**
+ * Performance metrics for an equity curve
+ * @param {Array<number>} curve - Equity per bar
+ * @param {Array} bars - Bars the curve was sampled on (for dates)
+ * @param {number} periodsPerYear - Bars per year
+ * @returns {Object} Final equity and total return, CAGR, max drawdown and
+ *   annualized volatility as percentages, and the annualized Sharpe ratio
+ */
+function summarize(curve, bars, periodsPerYear) {
+  if (curve.length === 0) {
+    return { finalEquity: null, totalReturn: null, cagr: null, maxDrawdown: null, volatility: null, sharpe: null };
+  }
+
+  const start = curve[0];
+  const end = curve[curve.length - 1];
+  const years = (new Date(bars[bars.length - 1].date) - new Date(bars[0].date)) / (365.25 * DAY_MS);
+
+  let peak = start;
+  let maxDrawdown = 0;
+  const returns = [];
+
+  curve.forEach((value, index) => {
+    peak = Math.max(peak, value);
+    maxDrawdown = Math.max(maxDrawdown, peak > 0 ? (peak - value) / peak : 0);
+    if (index > 0 && curve[index - 1] > 0) {
+      returns.push(value / curve[index - 1] - 1);
+    }
+  });
+
+  const mean = returns.reduce((a, b) => a + b, 0) / (returns.length || 1);
+  const variance = returns.length > 1
+    ? returns.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / (returns.length - 1)
+    : 0;
+  const deviation = Math.sqrt(variance);
+
+  return {
+    finalEquity: round(end),
+    totalReturn: round((end / start - 1) * 100),
+    cagr: years > 0 && end > 0 ? round((Math.pow(end / start, 1 / years) - 1) * 100) : null,
+    maxDrawdown: round(maxDrawdown * 100),
+    volatility: round(deviation * Math.sqrt(periodsPerYear) * 100),
+    sharpe: deviation > 0 ? round(mean / deviation * Math.sqrt(periodsPerYear)) : null
+  };
+}
+
+/**
+ * Check a value is a finite number within [min, max]
+ * @param {*} value - Value
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {boolean} True when in range
+ */
+function isNumberInRange(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+/**
+ * Round to a fixed number of decimals
+ * @param {number} value - Value
+ * @param {number} [decimals] - Decimal places (default 2)
+ * @returns {number} Rounded value
+ */
+function round(value, decimals = 2) {
+  return parseFloat(value.toFixed(decimals));
+}
+
+module.exports = {
+  normalizeStrategy,
+  runBacktest
+};
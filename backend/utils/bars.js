@@ -0,0 +1,134 @@
+/**
+ * Helpers for working with OHLCV bar arrays
+ */
+
+/**
+ * Combine chronological daily bars into weekly or monthly bars. Each bar is
+ * dated by the first trading day it contains.
+ * @param {Array} bars - Chronological daily bars (date as YYYY-MM-DD)
+ * @param {string} interval - Target interval ('1wk' or '1mo')
+ * @returns {Array} Resampled bars
+ */
+function resampleBars(bars, interval) {
+  if (interval !== '1wk' && interval !== '1mo') {
+    return bars;
+  }
+
+  const periodOf = interval === '1wk' ? getWeekKey : date => date.slice(0, 7);
+  const result = [];
+  let current = null;
+  let currentPeriod = null;
+
+  bars.forEach(bar => {
+    const period = periodOf(bar.date);
+
+    if (period !== currentPeriod) {
+      current = { ...bar };
+      currentPeriod = period;
+      result.push(current);
+      return;
+    }
+
+    current.high = Math.max(current.high, bar.high);
+    current.low = Math.min(current.low, bar.low);
+    current.close = bar.close;
+    current.volume += bar.volume;
+  });
+
+  return result;
+}
+
+/**
+ * Rebase several symbols' closes to 100 on a common start date. The start is
+ * the first date by which every symbol has traded; from there the dates are
+ * the union of all symbols' dates, and a symbol without a bar on a date
+ * carries its last close forward (marked `filled`), so every line has a
+ * point on every date.
+ * @param {Object} series - Chronological bars (`{ date, close }`) per symbol
+ * @param {Array<string>} symbols - Symbols to rebase
+ * @returns {Object|null} `{ startDate, dates, series }` with `{ date, value }`
+ *   points per symbol, or null when a symbol has no bars
+ */
+function rebaseBars(series, symbols) {
+  const firstDates = symbols.map(symbol => (series[symbol] && series[symbol].length > 0 ? series[symbol][0].date : null));
+  if (firstDates.includes(null)) {
+    return null;
+  }
+
+  const startDate = firstDates.reduce((latest, date) => (date > latest ? date : latest));
+  const dates = [...new Set(symbols.flatMap(symbol => series[symbol].map(bar => bar.date)))]
+    .filter(date => date >= startDate)
+    .sort();
+
+  const rebased = {};
+
+  for (const symbol of symbols) {
+    const closes = new Map(series[symbol].map(bar => [bar.date, bar.close]));
+    const base = series[symbol].filter(bar => bar.date <= startDate).pop().close;
+    if (!(base > 0)) {
+      return null;
+    }
+
+    let last = base;
+    rebased[symbol] = dates.map(date => {
+      const close = closes.get(date);
+      if (close === undefined) {
+        return { date, value: round(last / base * 100), filled: true };
+      }
+      last = close;
+      return { date, value: round(close / base * 100) };
+    });
+  }
+
+  return { startDate, dates, series: rebased };
+}
+
+/**
+ * Relative strength of rebased lines against a benchmark line: each symbol's
+ * value divided by the benchmark's, so 100 at the start, rising while the
+ * symbol outperforms
+ * @param {Object} rebased - Rebased points per symbol (see rebaseBars), including the benchmark
+ * @param {string} benchmark - Benchmark symbol
+ * @returns {Object} `{ date, value }` points per non-benchmark symbol
+ */
+function relativeStrength(rebased, benchmark) {
+  const reference = rebased[benchmark];
+  const lines = {};
+
+  Object.keys(rebased)
+    .filter(symbol => symbol !== benchmark)
+    .forEach(symbol => {
+      lines[symbol] = rebased[symbol].map((point, i) => ({
+        date: point.date,
+        value: round(point.value / reference[i].value * 100)
+      }));
+    });
+
+  return lines;
+}
+
+/**
+ * Round to 4 decimals
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return parseFloat(value.toFixed(4));
+}
+
+/**
+ * Get the Monday that starts a date's week
+ * @param {string} dateKey - Date (YYYY-MM-DD)
+ * @returns {string} Monday of that week (YYYY-MM-DD)
+ */
+function getWeekKey(dateKey) {
+  const date = new Date(`${dateKey.slice(0, 10)}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().split('T')[0];
+}
+
+module.exports = {
+  resampleBars,
+  rebaseBars,
+  relativeStrength
+};
@@ -0,0 +1,123 @@
+/**
+ * Corporate-action helpers
+ *
+ * Events are `{ date, type: 'split', ratio }` (ratio 4 for a 4:1 split) or
+ * `{ date, type: 'dividend', amount }` (cash per share), dated by the ex-date.
+ * Bars are as-traded unless they went through adjustBars.
+ */
+
+/**
+ * Back-adjust bars for splits and dividends so the series is continuous with
+ * the latest prices. Bars before a split are divided by its ratio (volume
+ * multiplied); bars before an ex-dividend date are scaled by
+ * (1 - dividend / previous close).
+ * @param {Array} bars - Chronological as-traded OHLCV bars
+ * @param {Array} events - Corporate-action events
+ * @param {Object} [options] - Which events to apply
+ * @param {boolean} [options.splits] - Apply splits (default true)
+ * @param {boolean} [options.dividends] - Apply dividends (default true)
+ * @returns {Array} Adjusted bars (the input is not modified)
+ */
+function adjustBars(bars, events, { splits = true, dividends = true } = {}) {
+  const applicable = events
+    .filter(event => (event.type === 'split' && splits) || (event.type === 'dividend' && dividends))
+    .sort((a, b) => b.date.localeCompare(a.date));
+
+  if (applicable.length === 0 || bars.length === 0) {
+    return bars;
+  }
+
+  const result = new Array(bars.length);
+  let priceFactor = 1;
+  let volumeFactor = 1;
+  let next = 0;
+
+  // Walk backwards, picking up each event once the bars move before its date
+  for (let i = bars.length - 1; i >= 0; i--) {
+    const bar = bars[i];
+    const day = bar.date.slice(0, 10);
+
+    while (next < applicable.length && applicable[next].date > day) {
+      const event = applicable[next];
+
+      if (event.type === 'split') {
+        priceFactor /= event.ratio;
+        volumeFactor *= event.ratio;
+      } else if (bar.close > 0 && event.amount < bar.close) {
+        // bar is the last session before the ex-date; use its as-traded close
+        priceFactor *= 1 - event.amount / bar.close;
+      }
+
+      next++;
+    }
+
+    result[i] = priceFactor === 1 && volumeFactor === 1 ? bar : {
+      ...bar,
+      open: round(bar.open * priceFactor),
+      high: round(bar.high * priceFactor),
+      low: round(bar.low * priceFactor),
+      close: round(bar.close * priceFactor),
+      volume: Math.round(bar.volume * volumeFactor)
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Undo split adjustment, for sources whose prices are already split-adjusted
+ * @param {Array} bars - Chronological split-adjusted bars
+ * @param {Array} events - Corporate-action events (only splits are used)
+ * @returns {Array} As-traded bars
+ */
+function unadjustSplits(bars, events) {
+  const inverse = events
+    .filter(event => event.type === 'split')
+    .map(event => ({ ...event, ratio: 1 / event.ratio }));
+
+  return adjustBars(bars, inverse, { dividends: false });
+}
+
+/**
+ * Parse a split ratio written as "4:1" or "4/1"
+ * @param {string} value - Ratio text
+ * @returns {number|null} New shares per old share
+ */
+function parseSplitRatio(value) {
+  const [numerator, denominator] = String(value).split(/[:/]/).map(parseFloat);
+  const ratio = numerator / (denominator || 1);
+
+  return Number.isFinite(ratio) && ratio > 0 && ratio !== 1 ? ratio : null;
+}
+
+/**
+ * Describe an event for display, e.g. "4:1 split" or "$0.24 dividend"
+ * @param {Object} event - Corporate-action event
+ * @returns {string} Description
+ */
+function describeEvent(event) {
+  if (event.type === 'split') {
+    return event.ratio >= 1
+      ? `${round(event.ratio, 4)}:1 split`
+      : `1:${round(1 / event.ratio, 4)} reverse split`;
+  }
+
+  return `$${event.amount.toFixed(2)} dividend`;
+}
+
+/**
+ * Round to a fixed number of decimals
+ * @param {number} value - Value
+ * @param {number} [decimals] - Decimal places (default 2)
+ * @returns {number} Rounded value
+ */
+function round(value, decimals = 2) {
+  return parseFloat(value.toFixed(decimals));
+}
+
+module.exports = {
+  adjustBars,
+  unadjustSplits,
+  parseSplitRatio,
+  describeEvent
+};
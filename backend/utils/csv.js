@@ -0,0 +1,81 @@
+/**
+ * Minimal CSV reading for local data files (price history, security master)
+ */
+
+/**
+ * Parse CSV content into row objects keyed by header
+ * @param {string} content - File content
+ * @returns {Array<Object>} Rows
+ */
+function parseCsv(content) {
+  const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
+
+  if (lines.length < 2) {
+    return [];
+  }
+
+  const delimiter = detectDelimiter(lines[0]);
+  const headers = splitCsvLine(lines[0], delimiter);
+
+  return lines.slice(1).map(line => {
+    const values = splitCsvLine(line, delimiter);
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = values[index];
+    });
+    return row;
+  });
+}
+
+/**
+ * Split one CSV line, honouring double-quoted fields
+ * @param {string} line - CSV line
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<string>} Fields
+ */
+function splitCsvLine(line, delimiter) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Guess the delimiter from the header line
+ * @param {string} header - Header line
+ * @returns {string} Delimiter
+ */
+function detectDelimiter(header) {
+  const candidates = [',', ';', '\t'];
+  return candidates.reduce((best, candidate) =>
+    header.split(candidate).length > header.split(best).length ? candidate : best
+  );
+}
+
+module.exports = {
+  parseCsv
+};
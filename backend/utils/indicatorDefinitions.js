@@ -0,0 +1,363 @@
+const TechnicalIndicators = require('./technicalIndicators');
+
+/**
+ * Technical indicator definitions
+ *
+ * Each indicator declares its parameters (type, default and bounds), the
+ * fields it outputs and how to calculate it from OHLCV series. Calculations
+ * return one value per bar once the indicator has warmed up; results are
+ * right-aligned with the bars so the last value always lines up with the
+ * last bar, whatever the parameters.
+ */
+const INDICATORS = {
+  sma: {
+    label: 'Simple Moving Average',
+    params: {
+      period: { type: 'integer', default: 20, min: 1, max: 500, description: 'Bars averaged' }
+    },
+    outputs: ['value'],
+    calculate: (series, { period }) => TechnicalIndicators.SMA.calculate({ period, values: series.close })
+  },
+
+  ema: {
+    label: 'Exponential Moving Average',
+    params: {
+      period: { type: 'integer', default: 12, min: 1, max: 500, description: 'Bars in the smoothing window' }
+    },
+    outputs: ['value'],
+    calculate: (series, { period }) => TechnicalIndicators.EMA.calculate({ period, values: series.close })
+  },
+
+  rsi: {
+    label: 'Relative Strength Index',
+    params: {
+      period: { type: 'integer', default: 14, min: 2, max: 100, description: 'Bars in the smoothing window' }
+    },
+    outputs: ['value'],
+    calculate: (series, { period }) => TechnicalIndicators.RSI.calculate({ period, values: series.close })
+  },
+
+  macd: {
+    label: 'Moving Average Convergence Divergence',
+    params: {
+      fast: { type: 'integer', default: 12, min: 1, max: 200, description: 'Fast EMA period' },
+      slow: { type: 'integer', default: 26, min: 2, max: 500, description: 'Slow EMA period' },
+      signal: { type: 'integer', default: 9, min: 1, max: 100, description: 'Signal line EMA period' }
+    },
+    outputs: ['macd', 'signal', 'histogram'],
+    check: ({ fast, slow }) => (fast < slow ? null : 'fast must be less than slow'),
+    calculate: (series, { fast, slow, signal }) => TechnicalIndicators.MACD.calculate({
+      values: series.close,
+      fastPeriod: fast,
+      slowPeriod: slow,
+      signalPeriod: signal
+    }).map(point => ({ macd: point.MACD, signal: point.signal, histogram: point.histogram }))
+  },
+
+  bollinger: {
+    label: 'Bollinger Bands',
+    params: {
+      period: { type: 'integer', default: 20, min: 2, max: 500, description: 'Bars in the moving average' },
+      stddev: { type: 'number', default: 2, min: 0.1, max: 5, description: 'Band width in standard deviations' }
+    },
+    outputs: ['upper', 'middle', 'lower'],
+    decimals: 2,
+    calculate: (series, { period, stddev }) => TechnicalIndicators.BollingerBands.calculate({
+      period,
+      values: series.close,
+      stdDev: stddev
+    })
+  },
+
+  stochastic: {
+    label: 'Stochastic Oscillator',
+    params: {
+      period: { type: 'integer', default: 14, min: 1, max: 200, description: 'Look-back period for %K' },
+      signal: { type: 'integer', default: 3, min: 1, max: 50, description: 'Moving average period for %D' }
+    },
+    outputs: ['k', 'd'],
+    decimals: 2,
+    calculate: (series, { period, signal }) => TechnicalIndicators.Stochastic.calculate({
+      high: series.high,
+      low: series.low,
+      close: series.close,
+      period,
+      signalPeriod: signal
+    })
+  },
+
+  atr: {
+    label: 'Average True Range',
+    params: {
+      period: { type: 'integer', default: 14, min: 1, max: 200, description: 'Bars averaged' }
+    },
+    outputs: ['value'],
+    calculate: (series, { period }) => TechnicalIndicators.ATR.calculate({
+      high: series.high,
+      low: series.low,
+      close: series.close,
+      period
+    })
+  },
+
+  vwap: {
+    label: 'Volume Weighted Average Price',
+    params: {},
+    outputs: ['value'],
+    // Intraday bars restart each session; daily bars anchor to the first bar
+    calculate: (series) => TechnicalIndicators.VWAP.calculate({
+      high: series.high,
+      low: series.low,
+      close: series.close,
+      volume: series.volume,
+      sessions: series.date[0] && series.date[0].length > 10
+        ? series.date.map(date => date.slice(0, 10))
+        : null
+    })
+  },
+
+  obv: {
+    label: 'On-Balance Volume',
+    params: {},
+    outputs: ['value'],
+    decimals: 0,
+    calculate: (series) => TechnicalIndicators.OBV.calculate({ close: series.close, volume: series.volume })
+  },
+
+  mfi: {
+    label: 'Money Flow Index',
+    params: {
+      period: { type: 'integer', default: 14, min: 2, max: 100, description: 'Bars summed' }
+    },
+    outputs: ['value'],
+    decimals: 2,
+    calculate: (series, { period }) => TechnicalIndicators.MFI.calculate({
+      high: series.high,
+      low: series.low,
+      close: series.close,
+      volume: series.volume,
+      period
+    })
+  },
+
+  adx: {
+    label: 'Average Directional Index (+DI/-DI)',
+    params: {
+      period: { type: 'integer', default: 14, min: 2, max: 100, description: 'Wilder smoothing period' }
+    },
+    outputs: ['adx', 'plusDI', 'minusDI'],
+    decimals: 2,
+    calculate: (series, { period }) => TechnicalIndicators.ADX.calculate({
+      high: series.high,
+      low: series.low,
+      close: series.close,
+      period
+    })
+  },
+
+  psar: {
+    label: 'Parabolic SAR',
+    params: {
+      step: { type: 'number', default: 0.02, min: 0.001, max: 0.5, description: 'Acceleration factor step' },
+      max: { type: 'number', default: 0.2, min: 0.01, max: 1, description: 'Maximum acceleration factor' }
+    },
+    outputs: ['value'],
+    check: ({ step, max }) => (step <= max ? null : 'step must not exceed max'),
+    calculate: (series, { step, max }) => TechnicalIndicators.PSAR.calculate({
+      high: series.high,
+      low: series.low,
+      step,
+      max
+    })
+  },
+
+  ichimoku: {
+    label: 'Ichimoku Cloud',
+    params: {
+      conversion: { type: 'integer', default: 9, min: 1, max: 100, description: 'Conversion line (Tenkan-sen) period' },
+      base: { type: 'integer', default: 26, min: 1, max: 200, description: 'Base line (Kijun-sen) period' },
+      span: { type: 'integer', default: 52, min: 1, max: 400, description: 'Leading span B (Senkou span B) period' },
+      displacement: { type: 'integer', default: 26, min: 1, max: 200, description: 'Bars the spans are shifted' }
+    },
+    outputs: ['conversion', 'base', 'spanA', 'spanB', 'lagging'],
+    decimals: 2,
+    calculate: (series, { conversion, base, span, displacement }) => TechnicalIndicators.Ichimoku.calculate({
+      high: series.high,
+      low: series.low,
+      close: series.close,
+      conversionPeriod: conversion,
+      basePeriod: base,
+      spanPeriod: span,
+      displacement
+    })
+  },
+
+  cci: {
+    label: 'Commodity Channel Index',
+    params: {
+      period: { type: 'integer', default: 20, min: 2, max: 200, description: 'Bars averaged' }
+    },
+    outputs: ['value'],
+    decimals: 2,
+    calculate: (series, { period }) => TechnicalIndicators.CCI.calculate({
+      high: series.high,
+      low: series.low,
+      close: series.close,
+      period
+    })
+  },
+
+  williamsr: {
+    label: 'Williams %R',
+    params: {
+      period: { type: 'integer', default: 14, min: 1, max: 200, description: 'Look-back period' }
+    },
+    outputs: ['value'],
+    decimals: 2,
+    calculate: (series, { period }) => TechnicalIndicators.WilliamsR.calculate({
+      high: series.high,
+      low: series.low,
+      close: series.close,
+      period
+    })
+  }
+};
+
+// Names accepted before indicators took parameters
+const ALIASES = {
+  sma20: { indicator: 'sma', params: { period: 20 } },
+  sma50: { indicator: 'sma', params: { period: 50 } },
+  ema12: { indicator: 'ema', params: { period: 12 } },
+  ema26: { indicator: 'ema', params: { period: 26 } },
+  bb: { indicator: 'bollinger', params: {} },
+  dmi: { indicator: 'adx', params: {} },
+  willr: { indicator: 'williamsr', params: {} }
+};
+
+/**
+ * Resolve an indicator name (or alias) and validate its parameters
+ * @param {string} name - Indicator name, e.g. 'sma' or 'sma20'
+ * @param {Object} [options] - Raw parameter values, e.g. from the query string; unknown keys are ignored
+ * @returns {Object} `{ indicator, params }` with every parameter filled in
+ * @throws {Error} When the indicator is unknown or a parameter is invalid
+ */
+function resolveIndicator(name, options = {}) {
+  const key = String(name || '').toLowerCase();
+  const alias = ALIASES[key];
+  const indicator = alias ? alias.indicator : key;
+  const definition = INDICATORS[indicator];
+
+  if (!definition) {
+    throw new Error(`Unsupported indicator: ${name}. Must be one of: ${Object.keys(INDICATORS).join(', ')}`);
+  }
+
+  const params = {};
+
+  for (const [param, schema] of Object.entries(definition.params)) {
+    const raw = options[param] !== undefined ? options[param] : (alias && alias.params[param]);
+    params[param] = raw === undefined ? schema.default : parseParam(indicator, param, schema, raw);
+  }
+
+  const problem = definition.check ? definition.check(params) : null;
+  if (problem) {
+    throw new Error(`Invalid ${indicator} parameters: ${problem}`);
+  }
+
+  return { indicator, params };
+}
+
+/**
+ * Parse and bounds-check one parameter value
+ * @param {string} indicator - Indicator name, for the error message
+ * @param {string} param - Parameter name
+ * @param {Object} schema - Parameter schema
+ * @param {string|number} raw - Raw value
+ * @returns {number} Parsed value
+ */
+function parseParam(indicator, param, schema, raw) {
+  const pattern = schema.type === 'integer' ? /^-?\d+$/ : /^-?(\d+\.?\d*|\.\d+)$/;
+  const value = Number(raw);
+
+  if (!pattern.test(String(raw).trim()) || value < schema.min || value > schema.max) {
+    const kind = schema.type === 'integer' ? 'an integer' : 'a number';
+    throw new Error(`Invalid ${indicator} parameter "${param}". Must be ${kind} between ${schema.min} and ${schema.max}`);
+  }
+
+  return value;
+}
+
+/**
+ * Calculate an indicator over OHLCV bars
+ * @param {Array} bars - Chronological OHLCV bars
+ * @param {string} indicator - Canonical indicator name
+ * @param {Object} params - Validated parameters (see resolveIndicator)
+ * @returns {Array} One row per bar: date, the indicator's outputs (null while warming up) and the close
+ */
+function calculateIndicator(bars, indicator, params) {
+  const definition = INDICATORS[indicator];
+  const series = {
+    date: bars.map(bar => bar.date),
+    open: bars.map(bar => bar.open),
+    high: bars.map(bar => bar.high),
+    low: bars.map(bar => bar.low),
+    close: bars.map(bar => bar.close),
+    volume: bars.map(bar => bar.volume)
+  };
+
+  const values = bars.length > 0 ? definition.calculate(series, params) : [];
+  const offset = bars.length - values.length;
+  const decimals = definition.decimals !== undefined ? definition.decimals : 4;
+
+  return bars.map((bar, index) => {
+    const point = index >= offset ? values[index - offset] : undefined;
+    const row = { date: bar.date };
+
+    definition.outputs.forEach(output => {
+      const value = typeof point === 'number' ? point : point?.[output];
+      row[output] = Number.isFinite(value) ? parseFloat(value.toFixed(decimals)) : null;
+    });
+
+    row.price = bar.close;
+    return row;
+  });
+}
+
+/**
+ * Describe every indicator and its parameters, for API discovery
+ * @returns {Object} Indicators and legacy aliases
+ */
+function describeIndicators() {
+  return {
+    indicators: Object.entries(INDICATORS).map(([name, definition]) => ({
+      name,
+      label: definition.label,
+      outputs: definition.outputs,
+      params: Object.entries(definition.params).map(([param, schema]) => ({
+        name: param,
+        type: schema.type,
+        default: schema.default,
+        min: schema.min,
+        max: schema.max,
+        description: schema.description
+      }))
+    })),
+    aliases: ALIASES
+  };
+}
+
+/**
+ * Stable text form of resolved parameters, for cache keys
+ * @param {Object} params - Resolved parameters
+ * @returns {string} e.g. "period=20,stddev=2"
+ */
+function formatParams(params) {
+  return Object.entries(params).map(([key, value]) => `${key}=${value}`).join(',');
+}
+
+module.exports = {
+  INDICATORS,
+  resolveIndicator,
+  calculateIndicator,
+  describeIndicators,
+  formatParams
+};
@@ -0,0 +1,646 @@
+/**
+ * Deterministic market simulator
+ *
+ * Generates daily OHLCV bars with geometric Brownian motion, plus intraday
+ * bars that stay inside each day's range, quarterly dividends for payers and
+ * stock splits once a price runs high. Bars are as-traded (unadjusted), like
+ * an exchange tape. Each asset class (see utils/symbols) keeps its own
+ * calendar: crypto trades every day around the clock, FX around the clock
+ * on weekdays, and equities, ETFs and indices in the weekday New York session. Every random draw comes from a PRNG
+ * seeded by (seed, symbol, date), and each symbol's path runs forward from a
+ * fixed start date, so the same symbol always produces the same bars, quotes
+ * and 52-week figures - today's quote is the last bar on the chart.
+ *
+ * Configuration (environment):
+ *   SIMULATOR_SEED             Global seed salt (default "jarnox")
+ *   SIMULATOR_START            First simulated trading day (default 2015-01-02)
+ *   SIMULATOR_DRIFT            Annual drift (default 0.07)
+ *   SIMULATOR_VOLATILITY       Annual volatility (default 0.25)
+ *   SIMULATOR_GAP_PROBABILITY  Chance of an overnight gap per day (default 0.02)
+ *   SIMULATOR_GAP_SIZE         Standard deviation of a gap (default 0.04)
+ *   SIMULATOR_SPLIT_PRICE      Price above which splits may happen (default 800)
+ *   SIMULATOR_REGIMES          JSON regime overrides merged over the defaults,
+ *                              e.g. {"bear":{"drift":-0.4}}
+ *   SIMULATOR_MAX_PATHS        Symbol paths kept in memory (default 200)
+ */
+
+const { adjustBars } = require('./corporateActions');
+const { parseSymbol } = require('./symbols');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Trading calendars: whether weekends trade, and the session's UTC start
+ * and length in minutes. The exchange session is 09:30-16:00 New York,
+ * ignoring daylight saving.
+ */
+const CALENDARS = {
+  exchange: { weekends: false, openMinute: 14 * 60 + 30, sessionMinutes: 390, daysPerYear: 252 },
+  fx: { weekends: false, openMinute: 0, sessionMinutes: 24 * 60, daysPerYear: 260 },
+  crypto: { weekends: true, openMinute: 0, sessionMinutes: 24 * 60, daysPerYear: 365 }
+};
+
+/**
+ * Market regimes. Drift is added to the base drift, volatility multiplies the
+ * base volatility, and `next` holds the daily transition probabilities.
+ */
+const DEFAULT_REGIMES = {
+  bull: { drift: 0.12, volatility: 0.8, next: { bull: 0.985, bear: 0.005, volatile: 0.01 } },
+  bear: { drift: -0.25, volatility: 1.3, next: { bull: 0.02, bear: 0.97, volatile: 0.01 } },
+  volatile: { drift: -0.05, volatility: 2.0, next: { bull: 0.03, bear: 0.02, volatile: 0.95 } }
+};
+
+const DEFAULT_OPTIONS = {
+  seed: process.env.SIMULATOR_SEED || 'jarnox',
+  startDate: process.env.SIMULATOR_START || '2015-01-02',
+  drift: parseFloat(process.env.SIMULATOR_DRIFT || '0.07'),
+  volatility: parseFloat(process.env.SIMULATOR_VOLATILITY || '0.25'),
+  gapProbability: parseFloat(process.env.SIMULATOR_GAP_PROBABILITY || '0.02'),
+  gapSize: parseFloat(process.env.SIMULATOR_GAP_SIZE || '0.04'),
+  splitPrice: parseFloat(process.env.SIMULATOR_SPLIT_PRICE || '800'),
+  regimes: parseRegimes(process.env.SIMULATOR_REGIMES),
+  maxPaths: parseInt(process.env.SIMULATOR_MAX_PATHS || '200')
+};
+
+let options = { ...DEFAULT_OPTIONS };
+
+// Simulated paths per symbol, extended as the calendar moves on. Map order
+// doubles as recency: the least recently used path is evicted first.
+const paths = new Map();
+
+/**
+ * Merge regime overrides (JSON) over the default regimes
+ * @param {string} [json] - Overrides keyed by regime name
+ * @returns {Object} Regimes
+ */
+function parseRegimes(json) {
+  if (!json) {
+    return DEFAULT_REGIMES;
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`SIMULATOR_REGIMES is not valid JSON: ${error.message}`);
+  }
+
+  const regimes = { ...DEFAULT_REGIMES };
+  Object.entries(overrides).forEach(([name, override]) => {
+    regimes[name] = { ...regimes[name], ...override };
+  });
+
+  Object.entries(regimes).forEach(([name, regime]) => {
+    const next = Object.entries(regime.next || {});
+    const total = next.reduce((sum, [, probability]) => sum + probability, 0);
+
+    if (!Number.isFinite(regime.drift) || !(regime.volatility > 0)) {
+      throw new Error(`Simulator regime ${name} needs a numeric drift and a positive volatility`);
+    }
+    if (next.some(([target, probability]) => !regimes[target] || !(probability >= 0)) || total > 1 + 1e-9) {
+      throw new Error(`Simulator regime ${name} has invalid transitions`);
+    }
+  });
+
+  return regimes;
+}
+
+/**
+ * Override simulator options (clears previously generated paths)
+ * @param {Object} overrides - Options to change
+ */
+function configure(overrides = {}) {
+  options = { ...options, ...overrides };
+  paths.clear();
+}
+
+/**
+ * Get simulated daily bars for a symbol between two dates (inclusive)
+ * @param {string} symbol - Stock symbol
+ * @param {Date} [from] - First date (defaults to the start of the simulation)
+ * @param {Date} [to] - Last date (defaults to today)
+ * @returns {Array} OHLCV bars
+ */
+function getBars(symbol, from, to = new Date()) {
+  const bars = getPath(symbol, to);
+  const fromKey = from ? toDateKey(from) : '';
+  const toKey = toDateKey(to);
+
+  return bars.filter(bar => bar.date >= fromKey && bar.date <= toKey);
+}
+
+/**
+ * Get simulated intraday bars for a symbol. Each session runs from its daily
+ * bar's open to its close without leaving the day's high/low, and bars that
+ * start after `to` are left out.
+ * @param {string} symbol - Stock symbol
+ * @param {Date} from - First moment
+ * @param {Date} [to] - Last moment (defaults to now)
+ * @param {number} minutes - Bar size in minutes
+ * @returns {Array} OHLCV bars with ISO timestamps
+ */
+function getIntradayBars(symbol, from, to = new Date(), minutes) {
+  const days = getBars(symbol, new Date(from.getTime() - DAY_MS), to);
+
+  return days
+    .flatMap(day => simulateSession(symbol, day, minutes))
+    .filter(bar => {
+      const time = new Date(bar.date).getTime();
+      return time >= from.getTime() && time <= to.getTime();
+    });
+}
+
+/**
+ * Split a daily bar into intraday bars along a seeded Brownian bridge
+ * @param {string} symbol - Stock symbol
+ * @param {Object} day - Daily OHLCV bar
+ * @param {number} minutes - Bar size in minutes
+ * @returns {Array} Intraday bars for the session
+ */
+function simulateSession(symbol, day, minutes) {
+  const random = createRandom(`${options.seed}:${symbol}:${day.date}:${minutes}m`);
+  const calendar = getCalendar(symbol);
+  const { decimals } = getProfile(symbol);
+  const count = Math.ceil(calendar.sessionMinutes / minutes);
+  const sessionStart = parseDateKey(day.date).getTime() + calendar.openMinute * MINUTE_MS;
+
+  // Random walk pinned to the open and close
+  const walk = [0];
+  for (let i = 1; i <= count; i++) {
+    walk.push(walk[i - 1] + normal(random));
+  }
+  const spread = Math.max(...walk.map(Math.abs)) || 1;
+  const scale = (day.high - day.low) / (2 * spread);
+  const points = walk.map((step, i) => {
+    const bridge = step - (walk[count] * i) / count;
+    const price = day.open + ((day.close - day.open) * i) / count + bridge * scale;
+    return Math.min(day.high, Math.max(day.low, price));
+  });
+
+  // U-shaped volume curve on exchanges (busy open and close, quiet lunch); flat around the clock
+  const weights = points.slice(1).map((_, i) => {
+    const t = (i + 0.5) / count;
+    const shape = calendar === CALENDARS.exchange ? 1 + 3 * Math.pow(2 * t - 1, 2) : 1;
+    return shape * (0.7 + 0.6 * random());
+  });
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  const bars = weights.map((weight, i) => {
+    const open = points[i];
+    const close = points[i + 1];
+    const wick = Math.abs(close - open) * random() * 0.5;
+
+    return {
+      date: new Date(sessionStart + i * minutes * MINUTE_MS).toISOString(),
+      open: round(open, decimals),
+      high: round(Math.min(day.high, Math.max(open, close) + wick), decimals),
+      low: round(Math.max(day.low, Math.min(open, close) - wick), decimals),
+      close: round(close, decimals),
+      volume: Math.round((day.volume * weight) / totalWeight)
+    };
+  });
+
+  // The session has to touch the day's extremes somewhere
+  bars.reduce((top, bar) => (bar.high > top.high ? bar : top)).high = day.high;
+  bars.reduce((bottom, bar) => (bar.low < bottom.low ? bar : bottom)).low = day.low;
+
+  return bars;
+}
+
+/**
+ * Get the simulated quote for a symbol, derived from its last two bars
+ * @param {string} symbol - Stock symbol
+ * @param {Date} [asOf] - Quote date (defaults to today)
+ * @returns {Object} Quote fields
+ */
+function getQuote(symbol, asOf = new Date()) {
+  const bars = getPath(symbol, asOf);
+  const last = bars[bars.length - 1];
+  const previous = bars[bars.length - 2] || last;
+
+  // A split today restates yesterday's close in today's shares
+  const split = paths.get(symbol).events.find(event => event.type === 'split' && event.date === last.date);
+  const { decimals } = getProfile(symbol);
+  const previousClose = split ? round(previous.close / split.ratio, decimals) : previous.close;
+  const change = last.close - previousClose;
+
+  return {
+    price: last.close,
+    change: round(change, decimals),
+    changePercent: round((change / previousClose) * 100),
+    previousClose,
+    open: last.open,
+    dayHigh: last.high,
+    dayLow: last.low,
+    volume: last.volume
+  };
+}
+
+/**
+ * Get simulated splits and dividends between two dates (inclusive)
+ * @param {string} symbol - Stock symbol
+ * @param {Date} [from] - First date (defaults to the start of the simulation)
+ * @param {Date} [to] - Last date (defaults to today)
+ * @returns {Array} Corporate-action events, oldest first
+ */
+function getEvents(symbol, from, to = new Date()) {
+  getPath(symbol, to);
+  const fromKey = from ? toDateKey(from) : '';
+  const toKey = toDateKey(to);
+
+  return paths.get(symbol).events.filter(event => event.date >= fromKey && event.date <= toKey);
+}
+
+/**
+ * Get the 52-week high and low from the simulated path (split-adjusted)
+ * @param {string} symbol - Stock symbol
+ * @param {Date} [asOf] - Reference date (defaults to today)
+ * @returns {Object} 52-week data
+ */
+function get52Week(symbol, asOf = new Date()) {
+  const from = new Date(asOf.getTime() - 365 * DAY_MS);
+  const bars = adjustBars(getBars(symbol, from, asOf), getEvents(symbol, from, asOf), { dividends: false });
+
+  return {
+    fiftyTwoWeekHigh: Math.max(...bars.map(bar => bar.high)),
+    fiftyTwoWeekLow: Math.min(...bars.map(bar => bar.low))
+  };
+}
+
+/**
+ * Get simulated fundamentals. Static ratios are seeded by symbol only; size
+ * and volume statistics follow the simulated path.
+ * @param {string} symbol - Stock symbol
+ * @param {Date} [asOf] - Reference date (defaults to today)
+ * @returns {Object} Fundamentals
+ */
+function getFundamentals(symbol, asOf = new Date()) {
+  const path = getPath(symbol, asOf);
+  const profile = getProfile(symbol);
+  const price = path[path.length - 1].close;
+  const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  // Split-adjusted past year, in today's shares
+  const year = path.slice(-252);
+  const bars = adjustBars(year, getEvents(symbol, parseDateKey(year[0].date), asOf), { dividends: false });
+
+  // Indices, currencies and coins have no shares or earnings
+  if (!profile.listed) {
+    return {
+      marketCap: null,
+      avgVolume: Math.round(average(bars.slice(-63).map(bar => bar.volume))),
+      avgVolume10Day: Math.round(average(bars.slice(-10).map(bar => bar.volume))),
+      peRatio: null,
+      pegRatio: null,
+      priceToBook: null,
+      beta: null,
+      earningsPerShare: null,
+      dividendYield: null
+    };
+  }
+
+  // Size the share count off the past year's prices, so a path that ran far
+  // from its start price still lands near the profile's market cap
+  const sharesOutstanding = profile.marketCap / average(bars.map(bar => bar.close));
+
+  return {
+    marketCap: Math.round(price * sharesOutstanding),
+    avgVolume: Math.round(average(bars.slice(-63).map(bar => bar.volume))),
+    avgVolume10Day: Math.round(average(bars.slice(-10).map(bar => bar.volume))),
+    peRatio: round(profile.peRatio),
+    pegRatio: round(profile.pegRatio),
+    priceToBook: round(profile.priceToBook),
+    beta: round(profile.beta),
+    earningsPerShare: round(price / profile.peRatio),
+    dividendYield: round(profile.dividendYield, 4)
+  };
+}
+
+/**
+ * Get (and extend if needed) the simulated path of a symbol up to a date
+ * @param {string} symbol - Stock symbol
+ * @param {Date} to - Last date required
+ * @returns {Array} Bars from the start of the simulation to `to`
+ */
+function getPath(symbol, to) {
+  const toKey = toDateKey(to);
+  let path = paths.get(symbol);
+
+  if (path) {
+    paths.delete(symbol);
+    paths.set(symbol, path);
+  } else {
+    const profile = getProfile(symbol);
+    path = {
+      bars: [],
+      cursor: parseDateKey(options.startDate),
+      close: profile.startPrice,
+      regime: 'bull',
+      events: [],
+      splitFactor: 1,
+      lastDividend: null
+    };
+    paths.set(symbol, path);
+
+    if (paths.size > options.maxPaths) {
+      paths.delete(paths.keys().next().value);
+    }
+  }
+
+  const calendar = getCalendar(symbol);
+
+  while (toDateKey(path.cursor) <= toKey) {
+    if (isTradingDay(path.cursor, calendar)) {
+      const bar = simulateBar(symbol, path);
+      path.bars.push(bar);
+      path.close = bar.close;
+    }
+    path.cursor = new Date(path.cursor.getTime() + DAY_MS);
+  }
+
+  // Dates before the cursor are final, so only slice when asking for the past
+  const lastBar = path.bars[path.bars.length - 1];
+  if (lastBar && lastBar.date > toKey) {
+    return path.bars.filter(bar => bar.date <= toKey);
+  }
+
+  return path.bars;
+}
+
+/**
+ * Simulate one trading day
+ * @param {string} symbol - Stock symbol
+ * @param {Object} path - Path state (previous close, regime, cursor)
+ * @returns {Object} OHLCV bar
+ */
+function simulateBar(symbol, path) {
+  const date = toDateKey(path.cursor);
+  const random = createRandom(`${options.seed}:${symbol}:${date}`);
+  const profile = getProfile(symbol);
+  const { decimals } = profile;
+
+  path.regime = nextRegime(path.regime, random());
+  const regime = options.regimes[path.regime];
+
+  const dt = 1 / getCalendar(symbol).daysPerYear;
+  const drift = options.drift + profile.drift + regime.drift;
+  const sigma = options.volatility * profile.volatility * regime.volatility;
+
+  // Corporate actions move the reference price before the session opens
+  const base = applyCorporateActions(symbol, path, date, profile);
+
+  // Overnight gap, then the session's GBM step
+  let open = base;
+  if (random() < options.gapProbability) {
+    open *= Math.exp(normal(random) * options.gapSize);
+  }
+  const close = open * Math.exp((drift - (sigma * sigma) / 2) * dt + sigma * Math.sqrt(dt) * normal(random));
+
+  const range = sigma * Math.sqrt(dt);
+  const high = Math.max(open, close) * (1 + Math.abs(normal(random)) * range * 0.5);
+  const low = Math.min(open, close) * (1 - Math.abs(normal(random)) * range * 0.5);
+
+  // Volume rises with the size of the move
+  const move = Math.abs(Math.log(close / base)) / (range || 1);
+  const volume = Math.round(
+    profile.baseVolume * path.splitFactor * (0.6 + 0.4 * move) * Math.exp(normal(random) * 0.25)
+  );
+
+  return {
+    date,
+    open: round(open, decimals),
+    high: round(high, decimals),
+    low: round(Math.max(low, Math.pow(10, -decimals)), decimals),
+    close: round(close, decimals),
+    volume
+  };
+}
+
+/**
+ * Record any split or dividend going ex on a date and return the price the
+ * session starts from. Uses its own PRNG so the price path keeps its draws.
+ * @param {string} symbol - Stock symbol
+ * @param {Object} path - Path state (previous close, events, split factor)
+ * @param {string} date - Session date (YYYY-MM-DD)
+ * @param {Object} profile - Symbol profile
+ * @returns {number} Previous close restated for the day's events
+ */
+function applyCorporateActions(symbol, path, date, profile) {
+  let base = path.close;
+
+  // Splits: once a share price runs past the threshold, about one chance in 100 a day
+  if (profile.listed && path.close >= options.splitPrice) {
+    const random = createRandom(`${options.seed}:${symbol}:${date}:split`);
+    if (random() < 0.01) {
+      const ratio = Math.min(4, Math.max(2, Math.round(path.close / 400)));
+      path.events.push({ date, type: 'split', ratio });
+      path.splitFactor *= ratio;
+      base /= ratio;
+    }
+  }
+
+  // Dividends: quarterly, from the 10th of Feb/May/Aug/Nov
+  const month = date.slice(0, 7);
+  const monthIndex = parseInt(date.slice(5, 7)) - 1;
+  if (profile.dividendYield > 0 && monthIndex % 3 === 1 && date.slice(8) >= '10' && path.lastDividend !== month) {
+    const amount = Math.max(0.01, round((base * profile.dividendYield) / 4));
+    path.events.push({ date, type: 'dividend', amount });
+    path.lastDividend = month;
+    base -= amount;
+  }
+
+  return base;
+}
+
+/**
+ * Pick the next regime from the current regime's transition probabilities
+ * @param {string} current - Current regime name
+ * @param {number} draw - Uniform random number in [0, 1)
+ * @returns {string} Next regime name
+ */
+function nextRegime(current, draw) {
+  const transitions = Object.entries(options.regimes[current].next);
+  let cumulative = 0;
+
+  for (const [name, probability] of transitions) {
+    cumulative += probability;
+    if (draw < cumulative) {
+      return name;
+    }
+  }
+
+  return current;
+}
+
+/**
+ * Get the static, symbol-seeded profile of a simulated security. Indices,
+ * currencies and coins start at their usual price levels, move at their
+ * usual volatility and pay no dividends.
+ * @param {string} symbol - Stock symbol
+ * @returns {Object} Profile
+ */
+function getProfile(symbol) {
+  const random = createRandom(`${options.seed}:${symbol}:profile`);
+  const between = (min, max) => min + random() * (max - min);
+  const { assetClass, quote } = describeSymbol(symbol);
+
+  const profile = {
+    startPrice: getBasePrice(symbol),
+    drift: between(-0.04, 0.06),
+    volatility: between(0.7, 1.6),
+    baseVolume: Math.round(between(1000000, 20000000)),
+    // Log-uniform between $2B and $2T
+    marketCap: Math.exp(between(Math.log(2e9), Math.log(2e12))),
+    peRatio: between(12, 40),
+    pegRatio: between(0.5, 2.5),
+    priceToBook: between(1, 9),
+    beta: between(0.5, 2),
+    dividendYield: random() < 0.3 ? 0 : between(0.002, 0.05),
+    listed: assetClass === 'equity' || assetClass === 'etf',
+    decimals: 2
+  };
+
+  if (assetClass === 'etf') {
+    profile.volatility *= 0.7;
+  } else if (assetClass === 'index') {
+    profile.startPrice *= 20;
+    profile.volatility *= 0.6;
+    profile.dividendYield = 0;
+  } else if (assetClass === 'fx') {
+    profile.startPrice = quote === 'JPY' || quote === 'INR' || quote === 'KRW' ? between(80, 160) : between(0.6, 1.8);
+    profile.volatility *= 0.35;
+    profile.dividendYield = 0;
+    profile.decimals = 4;
+  } else if (assetClass === 'crypto') {
+    profile.startPrice = Math.exp(between(Math.log(0.05), Math.log(40000)));
+    profile.volatility *= 3;
+    profile.dividendYield = 0;
+    profile.decimals = profile.startPrice < 1 ? 6 : 2;
+  }
+
+  return profile;
+}
+
+/**
+ * Get the asset class and quote currency of a symbol (see utils/symbols);
+ * anything that does not parse is simulated as an equity
+ * @param {string} symbol - Symbol
+ * @returns {Object} `{ assetClass, quote }`
+ */
+function describeSymbol(symbol) {
+  try {
+    return parseSymbol(symbol);
+  } catch (error) {
+    return { assetClass: 'equity', quote: 'USD' };
+  }
+}
+
+/**
+ * Get the trading calendar of a symbol's asset class
+ * @param {string} symbol - Symbol
+ * @returns {Object} Calendar (see CALENDARS)
+ */
+function getCalendar(symbol) {
+  const { assetClass } = describeSymbol(symbol);
+  return CALENDARS[assetClass] || CALENDARS.exchange;
+}
+
+/**
+ * Get starting price for a simulated stock
+ * @param {string} symbol - Stock symbol
+ * @returns {number} Base price
+ */
+function getBasePrice(symbol) {
+  // Generate consistent but semi-random base price from symbol
+  let baseValue = 0;
+  for (let i = 0; i < symbol.length; i++) {
+    baseValue += symbol.charCodeAt(i);
+  }
+
+  // Scale to a reasonable stock price range (10-500)
+  return 10 + (baseValue % 490);
+}
+
+/**
+ * Create a seeded uniform random number generator (mulberry32 over an FNV-1a hash)
+ * @param {string} key - Seed key
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+function createRandom(key) {
+  let hash = 2166136261;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+
+  let state = hash >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw a standard normal value (Box-Muller)
+ * @param {Function} random - Uniform generator
+ * @returns {number} Normally distributed value
+ */
+function normal(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Check whether a date is a trading day
+ * @param {Date} date - UTC date
+ * @param {Object} calendar - Trading calendar
+ * @returns {boolean} True on Monday-Friday, or every day when weekends trade
+ */
+function isTradingDay(date, calendar) {
+  const day = date.getUTCDay();
+  return calendar.weekends || (day !== 0 && day !== 6);
+}
+
+/**
+ * Format a date as a YYYY-MM-DD key (UTC)
+ * @param {Date} date - Date
+ * @returns {string} Date key
+ */
+function toDateKey(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Parse a YYYY-MM-DD key as UTC midnight
+ * @param {string} key - Date key
+ * @returns {Date} Date
+ */
+function parseDateKey(key) {
+  return new Date(`${key}T00:00:00Z`);
+}
+
+/**
+ * Round to a fixed number of decimals
+ * @param {number} value - Value
+ * @param {number} [decimals] - Decimal places (default 2)
+ * @returns {number} Rounded value
+ */
+function round(value, decimals = 2) {
+  return parseFloat(value.toFixed(decimals));
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  configure,
+  getBars,
+  getIntradayBars,
+  getEvents,
+  getQuote,
+  get52Week,
+  getFundamentals
+};
@@ -0,0 +1,506 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Quantities below this are treated as zero (fractional shares leave float dust)
+const EPSILON = 1e-9;
+
+/**
+ * Portfolio accounting
+ *
+ * Positions are derived by replaying a portfolio's transactions in date
+ * order. Buys open tax lots; sells close lots first-in-first-out,
+ * last-in-first-out or at the average cost of the position. Quantities and
+ * prices are as traded, so splits must be recorded as SPLIT transactions.
+ *
+ * Portfolios can be tracked without recording cash: a purchase larger than
+ * the cash balance counts as a contribution of the shortfall, just as an
+ * explicit DEPOSIT does. Contributions and withdrawals are the external
+ * flows that time- and money-weighted returns are measured against.
+ */
+
+const COST_BASIS_METHODS = ['fifo', 'lifo', 'average'];
+
+// Fields each transaction type requires, besides type and date
+const TRANSACTION_TYPES = {
+  BUY: { symbol: true, fields: ['quantity', 'price'] },
+  SELL: { symbol: true, fields: ['quantity', 'price'] },
+  DIVIDEND: { symbol: true, fields: ['amount'] },
+  SPLIT: { symbol: true, fields: ['ratio'] },
+  DEPOSIT: { symbol: false, fields: ['amount'] },
+  WITHDRAWAL: { symbol: false, fields: ['amount'] }
+};
+
+/**
+ * Validate a transaction and fill in defaults
+ * @param {Object} transaction - Transaction
+ * @param {string} transaction.type - BUY, SELL, DIVIDEND, SPLIT, DEPOSIT or WITHDRAWAL
+ * @param {string} transaction.date - Trade date (YYYY-MM-DD, not in the future)
+ * @param {string} [transaction.symbol] - Stock symbol (all but cash transactions)
+ * @param {number} [transaction.quantity] - Shares bought or sold
+ * @param {number} [transaction.price] - Price per share
+ * @param {number} [transaction.amount] - Cash amount of a dividend, deposit or withdrawal
+ * @param {number} [transaction.ratio] - New shares per old share for a split (2 for 2-for-1)
+ * @param {number} [transaction.fees] - Commission or withholding (default 0)
+ * @param {string} [transaction.note] - Free text
+ * @returns {Object} Normalized transaction; fields the type does not use are null
+ * @throws {Error} When the transaction is invalid
+ */
+function normalizeTransaction(transaction) {
+  if (!transaction || typeof transaction !== 'object') {
+    throw new Error('Transaction is required');
+  }
+
+  const { type, date, symbol, fees = 0, note = null } = transaction;
+  const definition = TRANSACTION_TYPES[type];
+
+  if (!definition) {
+    throw new Error(`Invalid transaction type. Must be one of: ${Object.keys(TRANSACTION_TYPES).join(', ')}`);
+  }
+  if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(`${date}T00:00:00Z`))) {
+    throw new Error('Transaction date must be a YYYY-MM-DD date');
+  }
+  if (date > new Date().toISOString().split('T')[0]) {
+    throw new Error('Transaction date cannot be in the future');
+  }
+  if (definition.symbol && typeof symbol !== 'string') {
+    throw new Error(`${type} transactions need a symbol`);
+  }
+
+  const normalized = {
+    type,
+    date,
+    symbol: definition.symbol ? symbol : null,
+    quantity: null,
+    price: null,
+    amount: null,
+    ratio: null,
+    fees,
+    note
+  };
+
+  definition.fields.forEach(field => {
+    const value = transaction[field];
+    // A price of zero is allowed for shares received for free
+    const positive = field === 'price' ? value >= 0 : value > 0;
+
+    if (typeof value !== 'number' || !Number.isFinite(value) || !positive) {
+      throw new Error(`${type} transactions need a ${field === 'price' ? 'non-negative' : 'positive'} ${field}`);
+    }
+    normalized[field] = value;
+  });
+
+  if (typeof fees !== 'number' || !Number.isFinite(fees) || fees < 0) {
+    throw new Error('Fees must be a non-negative number');
+  }
+  if (note !== null && (typeof note !== 'string' || note.length > 500)) {
+    throw new Error('Note must be text of at most 500 characters');
+  }
+
+  return normalized;
+}
+
+/**
+ * Create an empty ledger
+ * @returns {Object} Ledger
+ */
+function createLedger() {
+  return {
+    cash: 0,
+    contributions: 0,
+    realized: 0,
+    dividends: 0,
+    fees: 0,
+    // symbol -> { lots: [{ date, quantity, cost }], realized, dividends }
+    holdings: new Map()
+  };
+}
+
+/**
+ * Order transactions by date, keeping the recorded order within a day
+ * @param {Array} transactions - Transactions
+ * @returns {Array} Sorted copy
+ */
+function sortTransactions(transactions) {
+  return transactions
+    .map((transaction, index) => ({ transaction, index }))
+    .sort((a, b) => a.transaction.date.localeCompare(b.transaction.date) || a.index - b.index)
+    .map(({ transaction }) => transaction);
+}
+
+/**
+ * Apply one transaction to a ledger
+ * @param {Object} ledger - Ledger (modified in place)
+ * @param {Object} transaction - Normalized transaction
+ * @param {string} method - Cost basis method (fifo, lifo or average)
+ * @returns {number} External flow: cash contributed (positive) or withdrawn (negative)
+ * @throws {Error} When a sale or withdrawal exceeds what is held
+ */
+function applyTransaction(ledger, transaction, method) {
+  const { type, date, symbol, quantity, price, amount, ratio, fees } = transaction;
+  const holding = symbol ? getHolding(ledger, symbol) : null;
+  let flow = 0;
+
+  ledger.fees += fees;
+
+  switch (type) {
+    case 'BUY': {
+      const cost = quantity * price + fees;
+      // Buying with cash the portfolio does not have counts as a contribution
+      flow = Math.max(0, cost - ledger.cash);
+      ledger.cash += flow - cost;
+      holding.lots.push({ date, quantity, cost });
+      if (method === 'average') {
+        holding.lots = [poolLots(holding.lots)];
+      }
+      break;
+    }
+    case 'SELL': {
+      const held = sharesHeld(holding);
+      if (quantity > held + EPSILON) {
+        throw new Error(`Cannot sell ${quantity} ${symbol} on ${date}: only ${round(held, 6)} held`);
+      }
+      const proceeds = quantity * price - fees;
+      const cost = closeLots(holding, quantity, method);
+      holding.realized += proceeds - cost;
+      ledger.realized += proceeds - cost;
+      ledger.cash += proceeds;
+      break;
+    }
+    case 'DIVIDEND':
+      holding.dividends += amount - fees;
+      ledger.dividends += amount - fees;
+      ledger.cash += amount - fees;
+      break;
+    case 'SPLIT':
+      // Cost is unchanged; each lot holds more (or fewer) shares
+      holding.lots.forEach(lot => {
+        lot.quantity *= ratio;
+      });
+      ledger.cash -= fees;
+      break;
+    case 'DEPOSIT':
+      flow = amount;
+      ledger.cash += amount - fees;
+      break;
+    case 'WITHDRAWAL':
+      if (amount + fees > ledger.cash + EPSILON) {
+        throw new Error(`Cannot withdraw ${amount} on ${date}: the cash balance is only ${round(ledger.cash)}`);
+      }
+      flow = -amount;
+      ledger.cash -= amount + fees;
+      break;
+    default:
+      throw new Error(`Unknown transaction type: ${type}`);
+  }
+
+  ledger.contributions += flow;
+
+  return flow;
+}
+
+/**
+ * Replay transactions into a ledger
+ * @param {Array} transactions - Normalized transactions, in any order
+ * @param {string} [method] - Cost basis method (default fifo)
+ * @returns {Object} Ledger with cash, contributions, realized P&L, dividends, fees and lots per symbol
+ * @throws {Error} When a sale or withdrawal exceeds what is held at that date
+ */
+function replayTransactions(transactions, method = 'fifo') {
+  const ledger = createLedger();
+
+  sortTransactions(transactions).forEach(transaction => applyTransaction(ledger, transaction, method));
+
+  return ledger;
+}
+
+/**
+ * Value a ledger's positions at current prices
+ * @param {Object} ledger - Ledger from replayTransactions
+ * @param {Object} prices - Current price per symbol; a missing price values the position at cost
+ * @returns {Object} Open positions, closed positions and portfolio totals
+ */
+function valuePositions(ledger, prices) {
+  const positions = [];
+  const closed = [];
+
+  ledger.holdings.forEach((holding, symbol) => {
+    const quantity = sharesHeld(holding);
+
+    if (quantity <= EPSILON) {
+      if (holding.realized !== 0 || holding.dividends !== 0) {
+        closed.push({ symbol, realized: round(holding.realized), dividends: round(holding.dividends) });
+      }
+      return;
+    }
+
+    const costBasis = holding.lots.reduce((sum, lot) => sum + lot.cost, 0);
+    const price = typeof prices[symbol] === 'number' ? prices[symbol] : null;
+    const marketValue = price === null ? costBasis : quantity * price;
+
+    positions.push({
+      symbol,
+      quantity: round(quantity, 6),
+      averageCost: round(costBasis / quantity, 4),
+      costBasis: round(costBasis),
+      price,
+      marketValue: round(marketValue),
+      unrealized: round(marketValue - costBasis),
+      unrealizedPercent: costBasis > 0 ? round((marketValue - costBasis) / costBasis * 100) : null,
+      realized: round(holding.realized),
+      dividends: round(holding.dividends),
+      lots: holding.lots.map(lot => ({
+        date: lot.date,
+        quantity: round(lot.quantity, 6),
+        cost: round(lot.cost)
+      }))
+    });
+  });
+
+  const marketValue = positions.reduce((sum, position) => sum + position.marketValue, 0);
+  const totalValue = marketValue + ledger.cash;
+
+  positions.forEach(position => {
+    position.weight = totalValue > 0 ? round(position.marketValue / totalValue * 100) : null;
+  });
+  positions.sort((a, b) => b.marketValue - a.marketValue);
+
+  const costBasis = positions.reduce((sum, position) => sum + position.costBasis, 0);
+  const unrealized = marketValue - costBasis;
+
+  return {
+    positions,
+    closed,
+    totals: {
+      cash: round(ledger.cash),
+      marketValue: round(marketValue),
+      totalValue: round(totalValue),
+      costBasis: round(costBasis),
+      unrealized: round(unrealized),
+      realized: round(ledger.realized),
+      dividends: round(ledger.dividends),
+      fees: round(ledger.fees),
+      contributions: round(ledger.contributions),
+      totalReturn: round(totalValue - ledger.contributions)
+    }
+  };
+}
+
+/**
+ * Measure performance over daily closing prices
+ * @param {Array} transactions - Normalized transactions
+ * @param {Object} closes - Chronological daily bars per symbol (`{ date, close }`, as traded)
+ * @returns {Object} Time-weighted return (cumulative and, over a year or more,
+ *   annualized), money-weighted return (annualized IRR of the external flows)
+ *   as percentages, and the daily value history
+ */
+function measurePerformance(transactions, closes) {
+  const sorted = sortTransactions(transactions);
+
+  if (sorted.length === 0) {
+    return { startDate: null, endDate: null, twr: null, twrAnnualized: null, mwr: null, history: [] };
+  }
+
+  const startDate = sorted[0].date;
+  const dates = new Set(sorted.map(transaction => transaction.date));
+  const closeByDate = {};
+
+  Object.entries(closes).forEach(([symbol, bars]) => {
+    closeByDate[symbol] = new Map();
+    bars.forEach(bar => {
+      const date = bar.date.slice(0, 10);
+      closeByDate[symbol].set(date, bar.close);
+      if (date >= startDate) dates.add(date);
+    });
+  });
+
+  const ledger = createLedger();
+  const lastClose = {};
+  const flows = [];
+  const history = [];
+  let next = 0;
+  let previousValue = 0;
+  let growth = 1;
+
+  [...dates].sort().forEach(date => {
+    let flow = 0;
+
+    while (next < sorted.length && sorted[next].date <= date) {
+      flow += applyTransaction(ledger, sorted[next], 'fifo');
+      next++;
+    }
+
+    Object.keys(closeByDate).forEach(symbol => {
+      if (closeByDate[symbol].has(date)) lastClose[symbol] = closeByDate[symbol].get(date);
+    });
+
+    let value = ledger.cash;
+    ledger.holdings.forEach((holding, symbol) => {
+      const quantity = sharesHeld(holding);
+      if (quantity <= EPSILON) return;
+      // Until a symbol has a close, hold it at cost
+      value += lastClose[symbol] !== undefined
+        ? quantity * lastClose[symbol]
+        : holding.lots.reduce((sum, lot) => sum + lot.cost, 0);
+    });
+
+    // Flows land at the end of the day, so the day's return excludes them
+    if (previousValue > EPSILON) {
+      growth *= (value - flow) / previousValue;
+    }
+    if (flow !== 0) flows.push({ date, amount: flow });
+
+    history.push({ date, value: round(value), flow: round(flow), twr: round((growth - 1) * 100) });
+    previousValue = value;
+  });
+
+  const endDate = history[history.length - 1].date;
+  const endValue = history[history.length - 1].value;
+  const years = (toTime(endDate) - toTime(startDate)) / (365.25 * DAY_MS);
+  const irr = internalRateOfReturn([
+    ...flows.map(flow => ({ date: flow.date, amount: -flow.amount })),
+    { date: endDate, amount: endValue }
+  ]);
+
+  return {
+    startDate,
+    endDate,
+    twr: round((growth - 1) * 100),
+    twrAnnualized: years >= 1 && growth > 0 ? round((Math.pow(growth, 1 / years) - 1) * 100) : null,
+    mwr: irr === null ? null : round(irr * 100),
+    history
+  };
+}
+
+/**
+ * Annualized internal rate of return of dated cash flows (XIRR), by bisection
+ * @param {Array} cashFlows - `{ date, amount }`; money paid in is negative
+ * @returns {number|null} Rate as a fraction, or null when it is undefined
+ */
+function internalRateOfReturn(cashFlows) {
+  if (cashFlows.length < 2) {
+    return null;
+  }
+
+  const start = toTime(cashFlows[0].date);
+  const presentValue = (rate) => cashFlows.reduce((sum, flow) =>
+    sum + flow.amount / Math.pow(1 + rate, (toTime(flow.date) - start) / (365 * DAY_MS)), 0);
+
+  if (toTime(cashFlows[cashFlows.length - 1].date) - start < DAY_MS) {
+    return null;
+  }
+
+  let low = -0.9999;
+  let high = 10;
+  while (presentValue(high) > 0 && high < 1e6) {
+    high *= 10;
+  }
+
+  const lowValue = presentValue(low);
+  if (Math.sign(lowValue) === Math.sign(presentValue(high))) {
+    return null;
+  }
+
+  for (let i = 0; i < 200 && high - low > 1e-10; i++) {
+    const middle = (low + high) / 2;
+    if (Math.sign(presentValue(middle)) === Math.sign(lowValue)) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+/**
+ * Get (creating if needed) the holding for a symbol
+ * @param {Object} ledger - Ledger
+ * @param {string} symbol - Stock symbol
+ * @returns {Object} Holding
+ */
+function getHolding(ledger, symbol) {
+  if (!ledger.holdings.has(symbol)) {
+    ledger.holdings.set(symbol, { lots: [], realized: 0, dividends: 0 });
+  }
+  return ledger.holdings.get(symbol);
+}
+
+/**
+ * Shares held across a holding's lots
+ * @param {Object} holding - Holding
+ * @returns {number} Quantity
+ */
+function sharesHeld(holding) {
+  return holding.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+}
+
+/**
+ * Merge lots into one at their average cost
+ * @param {Array} lots - Lots
+ * @returns {Object} Pooled lot, dated by the first lot
+ */
+function poolLots(lots) {
+  return {
+    date: lots[0].date,
+    quantity: lots.reduce((sum, lot) => sum + lot.quantity, 0),
+    cost: lots.reduce((sum, lot) => sum + lot.cost, 0)
+  };
+}
+
+/**
+ * Close shares out of a holding's lots
+ * @param {Object} holding - Holding (lots modified in place)
+ * @param {number} quantity - Shares sold
+ * @param {string} method - fifo closes the oldest lots first, lifo the newest;
+ *   average holds a single pooled lot
+ * @returns {number} Cost of the shares closed
+ */
+function closeLots(holding, quantity, method) {
+  let remaining = quantity;
+  let cost = 0;
+
+  while (remaining > EPSILON && holding.lots.length > 0) {
+    const index = method === 'lifo' ? holding.lots.length - 1 : 0;
+    const lot = holding.lots[index];
+    const closed = Math.min(lot.quantity, remaining);
+    const closedCost = lot.cost * closed / lot.quantity;
+
+    cost += closedCost;
+    remaining -= closed;
+    lot.quantity -= closed;
+    lot.cost -= closedCost;
+
+    if (lot.quantity <= EPSILON) {
+      holding.lots.splice(index, 1);
+    }
+  }
+
+  return cost;
+}
+
+/**
+ * Milliseconds for a YYYY-MM-DD date
+ * @param {string} date - Date
+ * @returns {number} Time (UTC midnight)
+ */
+function toTime(date) {
+  return new Date(`${date}T00:00:00Z`).getTime();
+}
+
+/**
+ * Round to a fixed number of decimals
+ * @param {number} value - Value
+ * @param {number} [decimals] - Decimal places (default 2)
+ * @returns {number} Rounded value
+ */
+function round(value, decimals = 2) {
+  return parseFloat(value.toFixed(decimals));
+}
+
+module.exports = {
+  COST_BASIS_METHODS,
+  TRANSACTION_TYPES,
+  normalizeTransaction,
+  replayTransactions,
+  valuePositions,
+  measurePerformance
+};
@@ -0,0 +1,311 @@
+/**
+ * Portfolio risk analytics
+ *
+ * Works on close-to-close returns aligned on the dates every series shares.
+ * The portfolio is held at constant weights (rebalanced every bar), so its
+ * return on a bar is the weighted sum of its positions' returns. Value at
+ * Risk and CVaR are one-bar losses, as positive percentages of value.
+ */
+
+// Fewest aligned returns the statistics are computed from
+const MIN_OBSERVATIONS = 20;
+
+/**
+ * Analyze the risk of weighted positions against a benchmark
+ * @param {Object} series - Chronological bars (`{ date, close }`) per symbol, including the benchmark
+ * @param {Array} holdings - `{ symbol, weight }`; weights are normalized to sum to 1
+ * @param {string} benchmark - Benchmark symbol in `series`
+ * @param {Object} [options] - Options
+ * @param {number} [options.confidence] - VaR confidence level (default 0.95)
+ * @param {number} [options.periodsPerYear] - Bars per year, for annualizing (default 252)
+ * @returns {Object} Portfolio and benchmark statistics, historical and
+ *   parametric VaR/CVaR, and each position's beta and contribution to risk
+ * @throws {Error} When the series overlap on too few dates
+ */
+function analyzeRisk(series, holdings, benchmark, { confidence = 0.95, periodsPerYear = 252 } = {}) {
+  const totalWeight = holdings.reduce((sum, holding) => sum + holding.weight, 0);
+  const weights = holdings.map(holding => holding.weight / totalWeight);
+  const symbols = holdings.map(holding => holding.symbol);
+
+  const { dates, returns } = alignReturns(series, [...new Set([...symbols, benchmark])]);
+  if (dates.length < MIN_OBSERVATIONS) {
+    throw new Error(`Only ${dates.length} overlapping returns; at least ${MIN_OBSERVATIONS} are needed`);
+  }
+
+  const positionReturns = symbols.map(symbol => returns[symbol]);
+  const benchmarkReturns = returns[benchmark];
+  const portfolioReturns = dates.map((date, t) =>
+    positionReturns.reduce((sum, values, i) => sum + weights[i] * values[t], 0));
+
+  // Contribution to risk: marginal = (covariance x weights) / volatility
+  const covariances = positionReturns.map(a => positionReturns.map(b => covariance(a, b)));
+  const portfolioVariance = weights.reduce((sum, wi, i) =>
+    sum + weights.reduce((inner, wj, j) => inner + wi * wj * covariances[i][j], 0), 0);
+  const portfolioDeviation = Math.sqrt(portfolioVariance);
+  const annualize = Math.sqrt(periodsPerYear);
+  const benchmarkVariance = covariance(benchmarkReturns, benchmarkReturns);
+
+  const positions = holdings.map((holding, i) => {
+    const weightedCovariance = weights.reduce((sum, wj, j) => sum + wj * covariances[i][j], 0);
+    const marginal = portfolioDeviation > 0 ? weightedCovariance / portfolioDeviation : 0;
+    const contribution = weights[i] * marginal;
+
+    return {
+      symbol: holding.symbol,
+      weight: round(weights[i] * 100),
+      volatility: round(Math.sqrt(covariances[i][i]) * annualize * 100),
+      beta: benchmarkVariance > 0 ? round(covariance(positionReturns[i], benchmarkReturns) / benchmarkVariance, 4) : null,
+      marginalContribution: round(marginal * annualize * 100, 4),
+      contribution: round(contribution * annualize * 100, 4),
+      contributionPercent: portfolioDeviation > 0 ? round(contribution / portfolioDeviation * 100) : null
+    };
+  });
+
+  return {
+    startDate: dates[0],
+    endDate: dates[dates.length - 1],
+    observations: dates.length,
+    confidence,
+    portfolio: {
+      ...describeReturns(portfolioReturns, periodsPerYear),
+      beta: benchmarkVariance > 0 ? round(covariance(portfolioReturns, benchmarkReturns) / benchmarkVariance, 4) : null,
+      correlation: round(correlation(portfolioReturns, benchmarkReturns), 4),
+      var: valueAtRisk(portfolioReturns, confidence)
+    },
+    benchmark: {
+      symbol: benchmark,
+      ...describeReturns(benchmarkReturns, periodsPerYear),
+      var: valueAtRisk(benchmarkReturns, confidence)
+    },
+    positions
+  };
+}
+
+/**
+ * Convert each series to returns between the dates all of them share. Closes
+ * are aligned first, so a date one series skips (e.g. a holiday on another
+ * exchange) yields a single return spanning the gap for every symbol rather
+ * than pairing one symbol's two-day move with another's one-day move.
+ * @param {Object} series - Chronological bars per symbol
+ * @param {Array<string>} symbols - Symbols to align
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.log] - Log returns rather than simple returns
+ * @returns {Object} Shared return dates and the returns per symbol on those dates
+ */
+function alignReturns(series, symbols, { log = false } = {}) {
+  const closes = {};
+
+  symbols.forEach(symbol => {
+    closes[symbol] = new Map((series[symbol] || []).map(bar => [bar.date, bar.close]));
+  });
+
+  const [first, ...rest] = symbols;
+  const shared = [...closes[first].keys()].filter(date => rest.every(symbol => closes[symbol].has(date)));
+  const dates = [];
+  const returns = {};
+
+  symbols.forEach(symbol => {
+    returns[symbol] = [];
+  });
+
+  for (let i = 1; i < shared.length; i++) {
+    if (symbols.some(symbol => !(closes[symbol].get(shared[i - 1]) > 0))) {
+      continue;
+    }
+
+    dates.push(shared[i]);
+    symbols.forEach(symbol => {
+      const ratio = closes[symbol].get(shared[i]) / closes[symbol].get(shared[i - 1]);
+      returns[symbol].push(log ? Math.log(ratio) : ratio - 1);
+    });
+  }
+
+  return { dates, returns };
+}
+
+/**
+ * Pearson correlations of daily log returns, aligned on shared dates
+ * @param {Object} series - Chronological bars (`{ date, close }`) per symbol
+ * @param {Array<string>} symbols - Symbols to correlate
+ * @param {Object} [options] - Options
+ * @param {number} [options.window] - Also return each pair's rolling correlation over this many returns
+ * @returns {Object} Shared date span, the symmetric correlation matrix (rows
+ *   and columns in `symbols` order) and, with a window, rolling correlations per pair
+ * @throws {Error} When the series overlap on fewer than three dates
+ */
+function correlateReturns(series, symbols, { window } = {}) {
+  const { dates, returns } = alignReturns(series, symbols, { log: true });
+  if (dates.length < 3) {
+    throw new Error(`Only ${dates.length} overlapping returns; at least 3 are needed`);
+  }
+
+  const matrix = symbols.map(a => symbols.map(b =>
+    a === b ? 1 : round(correlation(returns[a], returns[b]), 4)));
+
+  const result = {
+    startDate: dates[0],
+    endDate: dates[dates.length - 1],
+    observations: dates.length,
+    symbols,
+    matrix
+  };
+
+  if (window) {
+    const pairs = [];
+
+    symbols.forEach((a, i) => {
+      symbols.slice(i + 1).forEach(b => {
+        const values = [];
+        for (let t = window; t <= dates.length; t++) {
+          values.push({
+            date: dates[t - 1],
+            value: round(correlation(returns[a].slice(t - window, t), returns[b].slice(t - window, t)), 4)
+          });
+        }
+        pairs.push({ symbols: [a, b], values });
+      });
+    });
+
+    result.rolling = { window, pairs };
+  }
+
+  return result;
+}
+
+/**
+ * Summary statistics of a return series
+ * @param {Array<number>} returns - Per-bar returns
+ * @param {number} periodsPerYear - Bars per year
+ * @returns {Object} Total return, annualized mean return and volatility, and
+ *   max drawdown, as percentages
+ */
+function describeReturns(returns, periodsPerYear) {
+  let growth = 1;
+  let peak = 1;
+  let maxDrawdown = 0;
+
+  returns.forEach(value => {
+    growth *= 1 + value;
+    peak = Math.max(peak, growth);
+    maxDrawdown = Math.max(maxDrawdown, (peak - growth) / peak);
+  });
+
+  return {
+    totalReturn: round((growth - 1) * 100),
+    meanReturn: round(mean(returns) * periodsPerYear * 100),
+    volatility: round(Math.sqrt(covariance(returns, returns) * periodsPerYear) * 100),
+    maxDrawdown: round(maxDrawdown * 100)
+  };
+}
+
+/**
+ * One-bar Value at Risk and Conditional VaR (expected shortfall)
+ * @param {Array<number>} returns - Per-bar returns
+ * @param {number} confidence - Confidence level, e.g. 0.95
+ * @returns {Object} Historical and parametric (normal) VaR and CVaR, as
+ *   positive percentages of value
+ */
+function valueAtRisk(returns, confidence) {
+  const tail = 1 - confidence;
+  const sorted = [...returns].sort((a, b) => a - b);
+  const cutoff = Math.max(1, Math.floor(sorted.length * tail));
+  const tailReturns = sorted.slice(0, cutoff);
+
+  const mu = mean(returns);
+  const sigma = Math.sqrt(covariance(returns, returns));
+  const z = inverseNormal(tail);
+  const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+
+  return {
+    historical: {
+      var: round(-sorted[cutoff - 1] * 100, 4),
+      cvar: round(-mean(tailReturns) * 100, 4)
+    },
+    parametric: {
+      var: round(-(mu + z * sigma) * 100, 4),
+      cvar: round(-(mu - sigma * density / tail) * 100, 4)
+    }
+  };
+}
+
+/**
+ * Inverse of the standard normal CDF (Acklam's rational approximation,
+ * relative error below 1.2e-9)
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} Quantile
+ */
+function inverseNormal(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -inverseNormal(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Arithmetic mean
+ * @param {Array<number>} values - Values
+ * @returns {number} Mean (0 for no values)
+ */
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+/**
+ * Sample covariance of two equally long series
+ * @param {Array<number>} a - First series
+ * @param {Array<number>} b - Second series
+ * @returns {number} Covariance
+ */
+function covariance(a, b) {
+  if (a.length < 2) {
+    return 0;
+  }
+
+  const meanA = mean(a);
+  const meanB = mean(b);
+  return a.reduce((sum, value, i) => sum + (value - meanA) * (b[i] - meanB), 0) / (a.length - 1);
+}
+
+/**
+ * Pearson correlation of two equally long series
+ * @param {Array<number>} a - First series
+ * @param {Array<number>} b - Second series
+ * @returns {number} Correlation (0 when either series is flat)
+ */
+function correlation(a, b) {
+  const deviation = Math.sqrt(covariance(a, a) * covariance(b, b));
+  return deviation > 0 ? covariance(a, b) / deviation : 0;
+}
+
+/**
+ * Round to a fixed number of decimals
+ * @param {number} value - Value
+ * @param {number} [decimals] - Decimal places (default 2)
+ * @returns {number} Rounded value
+ */
+function round(value, decimals = 2) {
+  return parseFloat(value.toFixed(decimals));
+}
+
+module.exports = {
+  MIN_OBSERVATIONS,
+  analyzeRisk,
+  correlateReturns,
+  alignReturns,
+  correlation
+};
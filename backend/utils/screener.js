@@ -0,0 +1,286 @@
+const { resolveIndicator } = require('./indicatorDefinitions');
+
+/**
+ * Stock screener fields and screen definitions
+ *
+ * A screen is a list of filters over the security master, all of which must
+ * hold, plus a sort order:
+ *
+ *   { filters: [{ field: 'marketCap', min: 1e10 },
+ *               { field: 'rsi', max: 30, params: { period: 14 } },
+ *               { field: 'priceVsSma', min: 0, params: { period: 50 } },
+ *               { field: 'sector', in: ['Technology'] }],
+ *     sort: { field: 'marketCap', direction: 'desc' } }
+ *
+ * Numeric fields take a `min` and/or `max` (inclusive); text fields an `in`
+ * list (case-insensitive). `source` says where a field's value comes from:
+ * the security master record, the enhanced quote (getCurrentQuote) or the
+ * latest value of an indicator series, whose `params` are those of the
+ * indicator (see indicatorDefinitions).
+ */
+const FIELDS = {
+  sector: { label: 'Sector', type: 'text', source: 'security', value: security => security.sector },
+  industry: { label: 'Industry', type: 'text', source: 'security', value: security => security.industry },
+  exchange: { label: 'Exchange', type: 'text', source: 'security', value: security => security.exchange },
+  assetClass: { label: 'Asset class', type: 'text', source: 'security', value: security => security.assetClass },
+
+  price: { label: 'Price', type: 'number', source: 'quote', value: quote => quote.price },
+  changePercent: { label: 'Change %', type: 'number', source: 'quote', value: quote => quote.changePercent },
+  marketCap: { label: 'Market cap', type: 'number', source: 'quote', value: quote => quote.marketCap },
+  peRatio: { label: 'P/E ratio', type: 'number', source: 'quote', value: quote => quote.peRatio },
+  beta: { label: 'Beta', type: 'number', source: 'quote', value: quote => quote.beta },
+  dividendYield: { label: 'Dividend yield', type: 'number', source: 'quote', value: quote => quote.dividendYield },
+  fromHigh: {
+    label: '% from 52-week high',
+    type: 'number',
+    source: 'quote',
+    value: quote => percentFrom(quote.price, quote.fiftyTwoWeekHigh)
+  },
+  fromLow: {
+    label: '% from 52-week low',
+    type: 'number',
+    source: 'quote',
+    value: quote => percentFrom(quote.price, quote.fiftyTwoWeekLow)
+  },
+
+  rsi: {
+    label: 'RSI',
+    type: 'number',
+    source: 'indicator',
+    indicator: 'rsi',
+    range: [0, 100],
+    value: latest => latest.value
+  },
+  priceVsSma: {
+    label: '% above SMA',
+    type: 'number',
+    source: 'indicator',
+    indicator: 'sma',
+    value: latest => percentFrom(latest.price, latest.value)
+  }
+};
+
+// Columns results can be sorted by besides the numeric fields
+const SORT_FIELDS = ['symbol', 'name'];
+const SORT_DIRECTIONS = ['asc', 'desc'];
+const DEFAULT_SORT = { field: 'marketCap', direction: 'desc' };
+
+const MAX_FILTERS = 20;
+const MAX_VALUES = 50;
+
+/**
+ * Validate a screen definition and fill in defaults
+ * @param {Object} screen - `{ filters, sort }`
+ * @returns {Object} `{ filters, sort }` with indicator params resolved; a sort
+ *   on an indicator field takes the params of the filter on that field
+ * @throws {Error} When a filter or the sort is invalid
+ */
+function resolveScreen({ filters = [], sort } = {}) {
+  if (!Array.isArray(filters) || filters.length > MAX_FILTERS) {
+    throw new Error(`Filters must be a list of at most ${MAX_FILTERS} filters`);
+  }
+
+  const resolved = filters.map(resolveFilter);
+  return { filters: resolved, sort: resolveSort(sort || DEFAULT_SORT, resolved) };
+}
+
+/**
+ * Validate one filter
+ * @param {Object} filter - `{ field, min, max, in, params }`
+ * @returns {Object} Filter with only the keys its field uses
+ * @throws {Error} When the field is unknown or its bounds or values are invalid
+ */
+function resolveFilter(filter) {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new Error('Each filter must be an object with a field');
+  }
+
+  const { field, min, max, params } = filter;
+  const definition = FIELDS[field];
+
+  if (!definition) {
+    throw new Error(`Unsupported screener field: ${field}. Must be one of: ${Object.keys(FIELDS).join(', ')}`);
+  }
+
+  if (definition.type === 'text') {
+    const values = filter.in;
+    if (!Array.isArray(values) || values.length === 0 || values.length > MAX_VALUES ||
+      values.some(value => typeof value !== 'string' || value.trim() === '')) {
+      throw new Error(`Filter on ${field} needs an "in" list of 1 to ${MAX_VALUES} values`);
+    }
+    return { field, in: values.map(value => value.trim()) };
+  }
+
+  const isBound = value => value === undefined || value === null || (typeof value === 'number' && Number.isFinite(value));
+  if (!isBound(min) || !isBound(max) || ((min === undefined || min === null) && (max === undefined || max === null))) {
+    throw new Error(`Filter on ${field} needs a numeric min and/or max`);
+  }
+  if (typeof min === 'number' && typeof max === 'number' && min > max) {
+    throw new Error(`Filter on ${field} has min greater than max`);
+  }
+  if (definition.range && [min, max].some(value => typeof value === 'number' &&
+    (value < definition.range[0] || value > definition.range[1]))) {
+    throw new Error(`Filter on ${field} must stay between ${definition.range[0]} and ${definition.range[1]}`);
+  }
+
+  const result = { field };
+  if (typeof min === 'number') result.min = min;
+  if (typeof max === 'number') result.max = max;
+  if (definition.source === 'indicator') {
+    result.params = resolveIndicator(definition.indicator, params || {}).params;
+  }
+
+  return result;
+}
+
+/**
+ * Validate the sort order
+ * @param {Object} sort - `{ field, direction, params }`
+ * @param {Array<Object>} filters - Resolved filters, for indicator params
+ * @returns {Object} Sort
+ * @throws {Error} When the field or direction is invalid
+ */
+function resolveSort(sort, filters) {
+  const { field, direction = 'desc', params } = sort;
+  const definition = FIELDS[field];
+
+  if (!SORT_FIELDS.includes(field) && !(definition && definition.type === 'number')) {
+    const numeric = Object.keys(FIELDS).filter(name => FIELDS[name].type === 'number');
+    throw new Error(`Invalid sort field: ${field}. Must be one of: ${[...SORT_FIELDS, ...numeric].join(', ')}`);
+  }
+  if (!SORT_DIRECTIONS.includes(direction)) {
+    throw new Error(`Invalid sort direction. Must be one of: ${SORT_DIRECTIONS.join(', ')}`);
+  }
+
+  if (definition && definition.source === 'indicator') {
+    const filter = filters.find(candidate => candidate.field === field);
+    const sortParams = params || (filter ? filter.params : {});
+    return { field, direction, params: resolveIndicator(definition.indicator, sortParams).params };
+  }
+
+  return { field, direction };
+}
+
+/**
+ * Build a screen definition from query parameters:
+ * `<field>.min`, `<field>.max`, `<field>.period` and, for text fields,
+ * `<field>=a,b` (or `<field>.in`); `sort=-marketCap` sorts descending
+ * @param {Object} query - Query parameters
+ * @returns {Object} Unresolved screen definition
+ * @throws {Error} When a number does not parse
+ */
+function parseScreenQuery(query) {
+  const filters = [];
+
+  Object.entries(FIELDS).forEach(([field, definition]) => {
+    if (definition.type === 'text') {
+      const list = query[`${field}.in`] !== undefined ? query[`${field}.in`] : query[field];
+      if (list !== undefined) {
+        filters.push({ field, in: String(list).split(',').map(value => value.trim()).filter(Boolean) });
+      }
+      return;
+    }
+
+    const [min, max, period] = ['min', 'max', 'period'].map(key => parseNumber(query, `${field}.${key}`));
+    if (min !== undefined || max !== undefined) {
+      filters.push({ field, min, max, ...(period !== undefined ? { params: { period } } : {}) });
+    }
+  });
+
+  const screen = { filters };
+
+  if (query.sort !== undefined) {
+    const sort = String(query.sort);
+    screen.sort = sort.startsWith('-')
+      ? { field: sort.slice(1), direction: 'desc' }
+      : { field: sort, direction: 'asc' };
+  }
+
+  return screen;
+}
+
+/**
+ * Read a numeric query parameter
+ * @param {Object} query - Query parameters
+ * @param {string} key - Parameter name
+ * @returns {number|undefined} Number, or undefined when absent
+ * @throws {Error} When present but not a number
+ */
+function parseNumber(query, key) {
+  if (query[key] === undefined || query[key] === '') {
+    return undefined;
+  }
+
+  const value = Number(query[key]);
+  if (!Number.isFinite(value)) {
+    throw new Error(`${key} must be a number`);
+  }
+
+  return value;
+}
+
+/**
+ * Check a value against a resolved filter
+ * @param {Object} filter - Resolved filter
+ * @param {number|string|null} value - Field value
+ * @returns {boolean} True when the filter holds (never for a missing value)
+ */
+function matchesFilter(filter, value) {
+  if (value === null || value === undefined || (typeof value === 'number' && !Number.isFinite(value))) {
+    return false;
+  }
+
+  if (filter.in) {
+    return filter.in.some(candidate => candidate.toLowerCase() === String(value).toLowerCase());
+  }
+
+  return (filter.min === undefined || value >= filter.min) && (filter.max === undefined || value <= filter.max);
+}
+
+/**
+ * Name of the result column holding a field's value; indicator columns
+ * carry their period, e.g. rsi14 or priceVsSma50
+ * @param {Object} filter - Resolved filter or sort
+ * @returns {string} Column name
+ */
+function columnName({ field, params }) {
+  return params && params.period !== undefined ? `${field}${params.period}` : field;
+}
+
+/**
+ * Describe the fields for API discovery
+ * @returns {Array} Fields with their label, type and source
+ */
+function describeFields() {
+  return Object.entries(FIELDS).map(([field, definition]) => ({
+    field,
+    label: definition.label,
+    type: definition.type,
+    source: definition.source,
+    ...(definition.range ? { range: definition.range } : {}),
+    ...(definition.indicator ? { params: resolveIndicator(definition.indicator, {}).params } : {})
+  }));
+}
+
+/**
+ * Percentage of a value above (or below) a reference
+ * @param {number} value - Value
+ * @param {number} reference - Reference
+ * @returns {number|null} Rounded percentage, or null without a reference
+ */
+function percentFrom(value, reference) {
+  if (typeof value !== 'number' || !reference) {
+    return null;
+  }
+  return parseFloat(((value / reference - 1) * 100).toFixed(2));
+}
+
+module.exports = {
+  FIELDS,
+  DEFAULT_SORT,
+  resolveScreen,
+  parseScreenQuery,
+  matchesFilter,
+  columnName,
+  describeFields
+};
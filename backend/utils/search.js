@@ -0,0 +1,301 @@
+const { normalizeSymbol } = require('./symbols');
+
+/**
+ * Ranked security search
+ *
+ * Matches fall into tiers, best first:
+ *
+ *   exact         the symbol, a former symbol, the ISIN or the FIGI
+ *   symbolPrefix  the symbol starts with the query
+ *   namePrefix    every query word starts a different word of the name
+ *   fuzzy         as namePrefix (or against the symbol) allowing one typo
+ *                 per word, two for words of seven letters or more
+ *
+ * Within a tier, listed securities come before delisted ones, then closer
+ * matches (earlier name words, fewer typos) and shorter symbols. Results
+ * carry the `[start, end)` character ranges of their symbol and name that
+ * matched, for highlighting.
+ */
+
+const DEFAULT_LIMIT = 10;
+
+// Shortest query word matched with typos
+const MIN_FUZZY_LENGTH = 3;
+
+/**
+ * Build the search index of a set of securities
+ * @param {Array<Object>} securities - Securities (symbol, name, formerSymbols, isin, figi)
+ * @returns {Array<Object>} Index entries
+ */
+function buildSearchIndex(securities) {
+  return securities.map(security => ({
+    security,
+    symbol: security.symbol.toLowerCase(),
+    formerSymbols: security.formerSymbols.map(entry => entry.symbol.toLowerCase()),
+    words: tokenize(security.name)
+  }));
+}
+
+/**
+ * Search an index
+ * @param {Array<Object>} index - Index from buildSearchIndex
+ * @param {string} query - Search text
+ * @param {Object} [options] - Paging
+ * @param {number} [options.limit] - Results per page (default 10)
+ * @param {number} [options.offset] - Results to skip
+ * @returns {Object} `{ total, results }`; each result is the security with
+ *   its `match` tier and `highlights` ({ symbol, name } range lists)
+ */
+function searchIndex(index, query, { limit = DEFAULT_LIMIT, offset = 0 } = {}) {
+  const text = query.trim().toLowerCase();
+  const words = tokenize(query).map(word => word.text);
+  let canonical = null;
+
+  try {
+    canonical = normalizeSymbol(query).toLowerCase();
+  } catch (error) {
+    // Not a symbol (e.g. several words); only names can match
+  }
+
+  const matches = index
+    .map(entry => ({ entry, ...matchEntry(entry, { text, words, canonical }) }))
+    .filter(match => match.tier !== null)
+    .sort((a, b) =>
+      a.tier - b.tier ||
+      statusRank(a.entry.security) - statusRank(b.entry.security) ||
+      a.score - b.score ||
+      a.entry.symbol.length - b.entry.symbol.length ||
+      a.entry.symbol.localeCompare(b.entry.symbol));
+
+  return {
+    total: matches.length,
+    results: matches.slice(offset, offset + limit).map(({ entry, type, highlights }) => ({
+      ...entry.security,
+      match: type,
+      highlights
+    }))
+  };
+}
+
+/**
+ * Match one index entry against a query
+ * @param {Object} entry - Index entry
+ * @param {Object} query - Lower-cased text, its words and its canonical symbol (or null)
+ * @returns {Object} `{ tier, type, score, highlights }`; tier is null without a match
+ */
+function matchEntry(entry, { text, words, canonical }) {
+  const { security, symbol, formerSymbols } = entry;
+  const code = text.toUpperCase();
+
+  if (symbol === text || symbol === canonical) {
+    return result(0, 'exact', 0, [[0, symbol.length]], []);
+  }
+  if (formerSymbols.includes(text) || (canonical && formerSymbols.includes(canonical)) ||
+    security.isin === code || security.figi === code) {
+    return result(0, 'exact', 1, [], []);
+  }
+  if (text && symbol.startsWith(text)) {
+    return result(1, 'symbolPrefix', symbol.length - text.length, [[0, text.length]], []);
+  }
+
+  const prefixMatch = matchWords(entry.words, words, false);
+  if (prefixMatch) {
+    return result(2, 'namePrefix', prefixMatch.score, [], prefixMatch.ranges);
+  }
+
+  const fuzzyMatch = matchWords(entry.words, words, true);
+  if (fuzzyMatch) {
+    return result(3, 'fuzzy', fuzzyMatch.score, [], fuzzyMatch.ranges);
+  }
+
+  const symbolDistance = words.length === 1 ? fuzzyDistance(words[0], symbol.replace(/[^a-z0-9]/g, '')) : Infinity;
+  if (symbolDistance <= allowedTypos(words[0])) {
+    return result(3, 'fuzzy', symbolDistance, [[0, symbol.length]], []);
+  }
+
+  return { tier: null };
+}
+
+/**
+ * Build a match result
+ * @param {number} tier - Rank tier (0 is best)
+ * @param {string} type - Tier name
+ * @param {number} score - Rank within the tier (lower is better)
+ * @param {Array} symbolRanges - Matched ranges of the symbol
+ * @param {Array} nameRanges - Matched ranges of the name
+ * @returns {Object} Match
+ */
+function result(tier, type, score, symbolRanges, nameRanges) {
+  return {
+    tier,
+    type,
+    score,
+    highlights: { symbol: symbolRanges, name: mergeRanges(nameRanges) }
+  };
+}
+
+/**
+ * Match every query word to a different word of a name. Without typos a
+ * query word must start a name word; with typos its distance from the name
+ * word (or the start of it) may be up to allowedTypos.
+ * @param {Array<Object>} nameWords - Tokenized name
+ * @param {Array<string>} queryWords - Query words
+ * @param {boolean} typos - Allow typos
+ * @returns {Object|null} `{ score, ranges }`, or null when a query word has no match
+ */
+function matchWords(nameWords, queryWords, typos) {
+  if (queryWords.length === 0) {
+    return null;
+  }
+
+  const used = new Set();
+  const ranges = [];
+  let score = 0;
+
+  for (const queryWord of queryWords) {
+    let best = null;
+
+    nameWords.forEach((word, i) => {
+      if (used.has(i)) {
+        return;
+      }
+
+      const distance = word.text.startsWith(queryWord) ? 0 : typos ? fuzzyDistance(queryWord, word.text) : Infinity;
+      if (distance <= allowedTypos(queryWord) && (!best || distance < best.distance)) {
+        best = { i, word, distance };
+      }
+    });
+
+    if (!best) {
+      return null;
+    }
+
+    used.add(best.i);
+    // Prefix matches highlight the typed part; typo matches the whole word
+    ranges.push(best.distance === 0
+      ? [best.word.start, Math.min(best.word.end, best.word.start + queryWord.length)]
+      : [best.word.start, best.word.end]);
+    score += best.distance * 10 + best.i;
+  }
+
+  return { score, ranges };
+}
+
+/**
+ * Number of typos tolerated in a query word
+ * @param {string} word - Query word
+ * @returns {number} Allowed edit distance
+ */
+function allowedTypos(word) {
+  if (!word || word.length < MIN_FUZZY_LENGTH) {
+    return 0;
+  }
+  return word.length >= 7 ? 2 : 1;
+}
+
+/**
+ * Edit distance from a query word to a name word or to its start, so a
+ * partly typed word with a typo still matches
+ * @param {string} queryWord - Query word
+ * @param {string} word - Name word
+ * @returns {number} Smallest distance
+ */
+function fuzzyDistance(queryWord, word) {
+  if (queryWord.length < MIN_FUZZY_LENGTH) {
+    return Infinity;
+  }
+
+  let best = editDistance(queryWord, word);
+  for (let length = queryWord.length - 1; length <= queryWord.length + 1; length++) {
+    if (length > 0 && length < word.length) {
+      best = Math.min(best, editDistance(queryWord, word.slice(0, length)));
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps of
+ * adjacent letters (optimal string alignment)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Distance
+ */
+function editDistance(a, b) {
+  const rows = [];
+
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) {
+        rows[i].push(j);
+        continue;
+      }
+
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, rows[i - 2][j - 2] + 1);
+      }
+      rows[i].push(distance);
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+/**
+ * Split text into lower-cased, accent-free words with their positions
+ * @param {string} text - Text
+ * @returns {Array<Object>} `{ text, start, end }` per word
+ */
+function tokenize(text) {
+  const words = [];
+  const pattern = /[\p{L}\p{N}]+/gu;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    words.push({
+      text: match[0].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase(),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+
+  return words;
+}
+
+/**
+ * Sort and merge overlapping ranges
+ * @param {Array<Array<number>>} ranges - `[start, end)` ranges
+ * @returns {Array<Array<number>>} Merged ranges
+ */
+function mergeRanges(ranges) {
+  return [...ranges]
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+      return merged;
+    }, []);
+}
+
+/**
+ * Sort key putting listed securities first
+ * @param {Object} security - Security
+ * @returns {number} 0 for listed, 1 for delisted
+ */
+function statusRank(security) {
+  return security.status === 'delisted' ? 1 : 0;
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  buildSearchIndex,
+  searchIndex
+};
@@ -0,0 +1,190 @@
+const { resolveIndicator, calculateIndicator } = require('./indicatorDefinitions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Signal engine
+ *
+ * Scans a whole series of bars for the moments a condition started (a
+ * crossover, a zone being entered or left) rather than describing only the
+ * latest values. Each rule has default parameters, names the indicators it
+ * needs for a set of parameters and, given the indicator rows for the bar and
+ * the one before it, returns the event that bar triggers, if any.
+ */
+
+/**
+ * True when series a moves from at/below b to above it between two bars
+ */
+const crossesAbove = (prevA, prevB, a, b) =>
+  [prevA, prevB, a, b].every(value => value !== null && value !== undefined) && prevA <= prevB && a > b;
+
+const crossesBelow = (prevA, prevB, a, b) => crossesAbove(prevB, prevA, b, a);
+
+const RULES = {
+  'sma-cross': {
+    params: { fast: 20, slow: 50 },
+    indicators: ({ fast, slow }) => ({ fast: ['sma', { period: fast }], slow: ['sma', { period: slow }] }),
+    detect: ({ fast, slow }, prev, params) => {
+      if (crossesAbove(prev.fast.value, prev.slow.value, fast.value, slow.value)) {
+        return { type: 'BUY', signal: 'Golden Cross', strength: 'Strong', description: `SMA${params.fast} crossed above SMA${params.slow}` };
+      }
+      if (crossesBelow(prev.fast.value, prev.slow.value, fast.value, slow.value)) {
+        return { type: 'SELL', signal: 'Death Cross', strength: 'Strong', description: `SMA${params.fast} crossed below SMA${params.slow}` };
+      }
+      return null;
+    }
+  },
+  'ema-cross': {
+    params: { fast: 12, slow: 26 },
+    indicators: ({ fast, slow }) => ({ fast: ['ema', { period: fast }], slow: ['ema', { period: slow }] }),
+    detect: ({ fast, slow }, prev, params) => {
+      if (crossesAbove(prev.fast.value, prev.slow.value, fast.value, slow.value)) {
+        return { type: 'BUY', signal: 'EMA Bullish Cross', strength: 'Medium', description: `EMA${params.fast} crossed above EMA${params.slow}` };
+      }
+      if (crossesBelow(prev.fast.value, prev.slow.value, fast.value, slow.value)) {
+        return { type: 'SELL', signal: 'EMA Bearish Cross', strength: 'Medium', description: `EMA${params.fast} crossed below EMA${params.slow}` };
+      }
+      return null;
+    }
+  },
+  'macd-cross': {
+    params: { fast: 12, slow: 26, signal: 9 },
+    indicators: (params) => ({ macd: ['macd', params] }),
+    detect: ({ macd }, prev) => {
+      if (crossesAbove(prev.macd.macd, prev.macd.signal, macd.macd, macd.signal)) {
+        return { type: 'BUY', signal: 'MACD Bullish Cross', strength: 'Medium', description: 'MACD line crossed above its signal line' };
+      }
+      if (crossesBelow(prev.macd.macd, prev.macd.signal, macd.macd, macd.signal)) {
+        return { type: 'SELL', signal: 'MACD Bearish Cross', strength: 'Medium', description: 'MACD line crossed below its signal line' };
+      }
+      return null;
+    }
+  },
+  'rsi-zone': {
+    params: { period: 14, overbought: 70, oversold: 30 },
+    indicators: ({ period }) => ({ rsi: ['rsi', { period }] }),
+    detect: ({ rsi }, prev, { overbought, oversold }) => {
+      const value = rsi.value;
+      if (crossesAbove(prev.rsi.value, overbought, value, overbought)) {
+        return { type: 'SELL', signal: 'RSI Overbought', strength: 'Weak', description: `RSI rose above ${overbought} to ${value.toFixed(2)}` };
+      }
+      if (crossesBelow(prev.rsi.value, overbought, value, overbought)) {
+        return { type: 'SELL', signal: 'RSI Left Overbought', strength: 'Medium', description: `RSI fell back below ${overbought} to ${value.toFixed(2)}` };
+      }
+      if (crossesBelow(prev.rsi.value, oversold, value, oversold)) {
+        return { type: 'BUY', signal: 'RSI Oversold', strength: 'Weak', description: `RSI fell below ${oversold} to ${value.toFixed(2)}` };
+      }
+      if (crossesAbove(prev.rsi.value, oversold, value, oversold)) {
+        return { type: 'BUY', signal: 'RSI Left Oversold', strength: 'Medium', description: `RSI rose back above ${oversold} to ${value.toFixed(2)}` };
+      }
+      return null;
+    }
+  },
+  'bollinger-breach': {
+    params: { period: 20, stddev: 2 },
+    indicators: (params) => ({ bb: ['bollinger', params] }),
+    detect: ({ bb }, prev) => {
+      if (crossesAbove(prev.bb.price, prev.bb.upper, bb.price, bb.upper)) {
+        return { type: 'SELL', signal: 'Bollinger Upper Breach', strength: 'Medium', description: 'Price closed above the upper Bollinger Band' };
+      }
+      if (crossesBelow(prev.bb.price, prev.bb.lower, bb.price, bb.lower)) {
+        return { type: 'BUY', signal: 'Bollinger Lower Breach', strength: 'Medium', description: 'Price closed below the lower Bollinger Band' };
+      }
+      return null;
+    }
+  }
+};
+
+/**
+ * Resolve a rule reference and fill in its default parameters
+ * @param {string|Object} ref - Rule id, or `{ rule, params }`
+ * @returns {Object} `{ rule, params }`
+ * @throws {Error} When the rule is unknown or a parameter is not a finite number
+ */
+function resolveRule(ref) {
+  const { rule, params = {} } = typeof ref === 'string' ? { rule: ref } : (ref || {});
+  const definition = RULES[rule];
+
+  if (!definition) {
+    throw new Error(`Unknown signal rule: ${rule}. Must be one of: ${Object.keys(RULES).join(', ')}`);
+  }
+
+  const resolved = { ...definition.params };
+  Object.keys(definition.params).forEach(key => {
+    if (params[key] !== undefined) {
+      const value = Number(params[key]);
+      if (!Number.isFinite(value)) {
+        throw new Error(`Invalid ${rule} parameter "${key}". Must be a number`);
+      }
+      resolved[key] = value;
+    }
+  });
+
+  // Surfaces indicator parameter errors (e.g. fast >= slow) before any scan runs
+  Object.values(definition.indicators(resolved)).forEach(([indicator, indicatorParams]) => {
+    resolveIndicator(indicator, indicatorParams);
+  });
+
+  return { rule, params: resolved };
+}
+
+/**
+ * Scan bars for signal events
+ * @param {Array} bars - Chronological OHLCV bars
+ * @param {Array} [rules] - Rule ids or `{ rule, params }` references (default: every rule with its defaults)
+ * @returns {Array} Events, newest first, each with the rule id, date, close
+ *   price at the time and how many bars and calendar days ago it happened
+ */
+function detectSignals(bars, rules = Object.keys(RULES)) {
+  if (bars.length < 2) {
+    return [];
+  }
+
+  const lastBar = bars[bars.length - 1];
+  const computed = new Map();
+  const events = [];
+
+  rules.map(resolveRule).forEach(({ rule, params }) => {
+    const definition = RULES[rule];
+
+    // Rows for each named input, calculated once per distinct indicator
+    const inputs = {};
+    Object.entries(definition.indicators(params)).forEach(([name, [indicator, indicatorParams]]) => {
+      const resolved = resolveIndicator(indicator, indicatorParams);
+      const key = `${resolved.indicator}:${JSON.stringify(resolved.params)}`;
+      if (!computed.has(key)) {
+        computed.set(key, calculateIndicator(bars, resolved.indicator, resolved.params));
+      }
+      inputs[name] = computed.get(key);
+    });
+
+    for (let i = 1; i < bars.length; i++) {
+      const current = {};
+      const previous = {};
+      Object.keys(inputs).forEach(name => {
+        current[name] = inputs[name][i];
+        previous[name] = inputs[name][i - 1];
+      });
+
+      const event = definition.detect(current, previous, params);
+      if (event) {
+        events.push({
+          rule,
+          date: bars[i].date,
+          ...event,
+          price: bars[i].close,
+          barsAgo: bars.length - 1 - i,
+          daysAgo: Math.floor((new Date(lastBar.date) - new Date(bars[i].date)) / DAY_MS)
+        });
+      }
+    }
+  });
+
+  return events.sort((a, b) => a.barsAgo - b.barsAgo);
+}
+
+module.exports = {
+  RULES,
+  resolveRule,
+  detectSignals
+};
@@ -0,0 +1,500 @@
+const { resolveIndicator, calculateIndicator } = require('./indicatorDefinitions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Signal expression language
+ *
+ * A small, side-effect free language for user-defined signals, e.g.
+ *
+ *   rsi(14) < 30 and close > sma(200) and crosses_above(macd, macd_signal)
+ *
+ * Expressions combine price fields (open, high, low, close, volume),
+ * indicator series, numbers, arithmetic (+ - * /), comparisons
+ * (< <= > >= == !=), and/or/not, and the series functions crosses_above,
+ * crosses_below and prev. Indicator arguments must be numbers; leaving them
+ * out uses the indicator's defaults (so `macd` is `macd(12, 26, 9)`).
+ *
+ * Source text is never executed: it is tokenized, parsed into a tree and
+ * type-checked, then evaluated bar by bar over whole series. Errors carry the
+ * 1-based column where the problem starts.
+ */
+
+const PRICE_FIELDS = ['open', 'high', 'low', 'close', 'volume'];
+
+// Indicator series: the indicator, which output to read and its positional arguments
+const SERIES = {
+  sma: { indicator: 'sma', output: 'value', args: ['period'] },
+  ema: { indicator: 'ema', output: 'value', args: ['period'] },
+  rsi: { indicator: 'rsi', output: 'value', args: ['period'] },
+  atr: { indicator: 'atr', output: 'value', args: ['period'] },
+  cci: { indicator: 'cci', output: 'value', args: ['period'] },
+  mfi: { indicator: 'mfi', output: 'value', args: ['period'] },
+  williamsr: { indicator: 'williamsr', output: 'value', args: ['period'] },
+  vwap: { indicator: 'vwap', output: 'value', args: [] },
+  obv: { indicator: 'obv', output: 'value', args: [] },
+  psar: { indicator: 'psar', output: 'value', args: ['step', 'max'] },
+  macd: { indicator: 'macd', output: 'macd', args: ['fast', 'slow', 'signal'] },
+  macd_signal: { indicator: 'macd', output: 'signal', args: ['fast', 'slow', 'signal'] },
+  macd_histogram: { indicator: 'macd', output: 'histogram', args: ['fast', 'slow', 'signal'] },
+  bb_upper: { indicator: 'bollinger', output: 'upper', args: ['period', 'stddev'] },
+  bb_middle: { indicator: 'bollinger', output: 'middle', args: ['period', 'stddev'] },
+  bb_lower: { indicator: 'bollinger', output: 'lower', args: ['period', 'stddev'] },
+  stoch_k: { indicator: 'stochastic', output: 'k', args: ['period', 'signal'] },
+  stoch_d: { indicator: 'stochastic', output: 'd', args: ['period', 'signal'] },
+  adx: { indicator: 'adx', output: 'adx', args: ['period'] },
+  plus_di: { indicator: 'adx', output: 'plusDI', args: ['period'] },
+  minus_di: { indicator: 'adx', output: 'minusDI', args: ['period'] }
+};
+
+const FUNCTIONS = ['crosses_above', 'crosses_below', 'prev'];
+const KEYWORDS = ['and', 'or', 'not'];
+const COMPARISONS = ['<', '<=', '>', '>=', '==', '!='];
+const MAX_LENGTH = 1000;
+
+/**
+ * A problem with an expression, located at a 1-based column
+ */
+class ExpressionError extends Error {
+  constructor(message, position) {
+    super(`${message} at position ${position}`);
+    this.name = 'ExpressionError';
+    this.position = position;
+  }
+}
+
+/**
+ * Split source text into tokens
+ * @param {string} source - Expression text
+ * @returns {Array} Tokens `{ type, value, position }`, ending with an 'end' token
+ */
+function tokenize(source) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < source.length) {
+    const rest = source.slice(index);
+    const position = index + 1;
+    let match;
+
+    if ((match = rest.match(/^\s+/))) {
+      index += match[0].length;
+      continue;
+    }
+
+    if ((match = rest.match(/^(\d+\.?\d*|\.\d+)/))) {
+      tokens.push({ type: 'number', value: parseFloat(match[0]), position });
+    } else if ((match = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/))) {
+      const word = match[0].toLowerCase();
+      tokens.push({ type: KEYWORDS.includes(word) ? word : 'identifier', value: word, position });
+    } else if ((match = rest.match(/^(<=|>=|==|!=|<|>|\+|-|\*|\/|\(|\)|,)/))) {
+      tokens.push({ type: match[0], value: match[0], position });
+    } else {
+      throw new ExpressionError(`Unexpected character '${source[index]}'`, position);
+    }
+
+    index += match[0].length;
+  }
+
+  tokens.push({ type: 'end', value: null, position: source.length + 1 });
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser producing a syntax tree
+ * @param {string} source - Expression text
+ * @returns {Object} Root node
+ */
+function parse(source) {
+  const tokens = tokenize(source);
+  let current = 0;
+
+  const peek = () => tokens[current];
+  const next = () => tokens[current++];
+  const describe = (token) => (token.type === 'end' ? 'end of expression' : `'${token.value}'`);
+
+  const expect = (type, what) => {
+    const token = peek();
+    if (token.type !== type) {
+      throw new ExpressionError(`Expected ${what} but found ${describe(token)}`, token.position);
+    }
+    return next();
+  };
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (peek().type === 'or') {
+      const operator = next();
+      left = { type: 'binary', op: 'or', left, right: parseAnd(), position: operator.position, start: left.start };
+    }
+    return left;
+  };
+
+  const parseAnd = () => {
+    let left = parseNot();
+    while (peek().type === 'and') {
+      const operator = next();
+      left = { type: 'binary', op: 'and', left, right: parseNot(), position: operator.position, start: left.start };
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    if (peek().type === 'not') {
+      const operator = next();
+      return { type: 'unary', op: 'not', operand: parseNot(), position: operator.position, start: operator.position };
+    }
+    return parseComparison();
+  };
+
+  const parseComparison = () => {
+    const left = parseAdditive();
+    if (!COMPARISONS.includes(peek().type)) {
+      return left;
+    }
+
+    const operator = next();
+    const node = { type: 'binary', op: operator.type, left, right: parseAdditive(), position: operator.position, start: left.start };
+
+    if (COMPARISONS.includes(peek().type)) {
+      throw new ExpressionError('Comparisons cannot be chained; combine them with and', peek().position);
+    }
+    return node;
+  };
+
+  const parseAdditive = () => {
+    let left = parseTerm();
+    while (peek().type === '+' || peek().type === '-') {
+      const operator = next();
+      left = { type: 'binary', op: operator.type, left, right: parseTerm(), position: operator.position, start: left.start };
+    }
+    return left;
+  };
+
+  const parseTerm = () => {
+    let left = parseUnary();
+    while (peek().type === '*' || peek().type === '/') {
+      const operator = next();
+      left = { type: 'binary', op: operator.type, left, right: parseUnary(), position: operator.position, start: left.start };
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    if (peek().type === '-') {
+      const operator = next();
+      return { type: 'unary', op: '-', operand: parseUnary(), position: operator.position, start: operator.position };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+
+    if (token.type === 'number') {
+      next();
+      return { type: 'number', value: token.value, position: token.position, start: token.position };
+    }
+
+    if (token.type === '(') {
+      next();
+      const inner = parseOr();
+      expect(')', "')'");
+      return inner;
+    }
+
+    if (token.type === 'identifier') {
+      next();
+      const args = [];
+
+      if (peek().type === '(') {
+        next();
+        if (peek().type !== ')') {
+          args.push(parseOr());
+          while (peek().type === ',') {
+            next();
+            args.push(parseOr());
+          }
+        }
+        expect(')', "',' or ')'");
+      }
+
+      return { type: 'call', name: token.value, args, position: token.position, start: token.position };
+    }
+
+    throw new ExpressionError(`Expected a value but found ${describe(token)}`, token.position);
+  };
+
+  if (peek().type === 'end') {
+    throw new ExpressionError('Expression is empty', 1);
+  }
+
+  const tree = parseOr();
+  if (peek().type !== 'end') {
+    throw new ExpressionError(`Unexpected ${describe(peek())}`, peek().position);
+  }
+
+  return tree;
+}
+
+/**
+ * Read a numeric literal argument (allowing a leading minus)
+ * @param {Object} node - Argument node
+ * @param {string} name - Function name, for the error message
+ * @returns {number} Value
+ */
+function literalValue(node, name) {
+  if (node.type === 'number') return node.value;
+  if (node.type === 'unary' && node.op === '-' && node.operand.type === 'number') return -node.operand.value;
+  throw new ExpressionError(`Arguments to ${name} must be numbers`, node.start);
+}
+
+/**
+ * Type-check a tree and turn it into an evaluator over bars
+ * @param {Object} node - Syntax tree node
+ * @returns {Object} `{ kind: 'number' | 'boolean', evaluate(context) }`
+ */
+function compileNode(node) {
+  switch (node.type) {
+    case 'number':
+      return { kind: 'number', evaluate: ({ length }) => new Array(length).fill(node.value) };
+
+    case 'unary': {
+      const operand = compileNode(node.operand);
+      if (node.op === 'not') {
+        requireKind(operand, 'boolean', 'not', node.operand);
+        return { kind: 'boolean', evaluate: (context) => operand.evaluate(context).map(value => !value) };
+      }
+      requireKind(operand, 'number', '-', node.operand);
+      return { kind: 'number', evaluate: (context) => operand.evaluate(context).map(value => (value === null ? null : -value)) };
+    }
+
+    case 'binary': {
+      const left = compileNode(node.left);
+      const right = compileNode(node.right);
+
+      if (node.op === 'and' || node.op === 'or') {
+        requireKind(left, 'boolean', node.op, node.left);
+        requireKind(right, 'boolean', node.op, node.right);
+        const combine = node.op === 'and' ? (a, b) => a && b : (a, b) => a || b;
+        return { kind: 'boolean', evaluate: (context) => zip(left.evaluate(context), right.evaluate(context), combine) };
+      }
+
+      requireKind(left, 'number', node.op, node.left);
+      requireKind(right, 'number', node.op, node.right);
+
+      if (COMPARISONS.includes(node.op)) {
+        const compare = {
+          '<': (a, b) => a < b,
+          '<=': (a, b) => a <= b,
+          '>': (a, b) => a > b,
+          '>=': (a, b) => a >= b,
+          '==': (a, b) => a === b,
+          '!=': (a, b) => a !== b
+        }[node.op];
+        // Comparisons involving a warming-up (null) value are false
+        return {
+          kind: 'boolean',
+          evaluate: (context) => zip(left.evaluate(context), right.evaluate(context), (a, b) => a !== null && b !== null && compare(a, b))
+        };
+      }
+
+      const arithmetic = {
+        '+': (a, b) => a + b,
+        '-': (a, b) => a - b,
+        '*': (a, b) => a * b,
+        '/': (a, b) => (b === 0 ? null : a / b)
+      }[node.op];
+      return {
+        kind: 'number',
+        evaluate: (context) => zip(left.evaluate(context), right.evaluate(context), (a, b) => (a === null || b === null ? null : arithmetic(a, b)))
+      };
+    }
+
+    case 'call':
+      return compileCall(node);
+
+    default:
+      throw new ExpressionError('Unsupported expression', node.position);
+  }
+}
+
+/**
+ * Compile a price field, indicator series or series function
+ * @param {Object} node - Call node
+ * @returns {Object} Compiled node
+ */
+function compileCall(node) {
+  const { name, args } = node;
+
+  if (PRICE_FIELDS.includes(name)) {
+    if (args.length > 0) {
+      throw new ExpressionError(`${name} does not take arguments`, node.position);
+    }
+    return { kind: 'number', evaluate: ({ bars }) => bars.map(bar => bar[name]) };
+  }
+
+  if (SERIES[name]) {
+    const series = SERIES[name];
+    if (args.length > series.args.length) {
+      throw new ExpressionError(
+        series.args.length === 0
+          ? `${name} does not take arguments`
+          : `${name} takes at most ${series.args.length} argument${series.args.length > 1 ? 's' : ''} (${series.args.join(', ')})`,
+        node.position
+      );
+    }
+
+    const params = {};
+    args.forEach((arg, index) => {
+      params[series.args[index]] = literalValue(arg, name);
+    });
+
+    let resolved;
+    try {
+      resolved = resolveIndicator(series.indicator, params);
+    } catch (error) {
+      throw new ExpressionError(error.message, node.position);
+    }
+
+    const key = `${resolved.indicator}:${JSON.stringify(resolved.params)}`;
+    return {
+      kind: 'number',
+      evaluate: ({ bars, cache }) => {
+        if (!cache.has(key)) {
+          cache.set(key, calculateIndicator(bars, resolved.indicator, resolved.params));
+        }
+        return cache.get(key).map(row => row[series.output]);
+      }
+    };
+  }
+
+  if (name === 'crosses_above' || name === 'crosses_below') {
+    if (args.length !== 2) {
+      throw new ExpressionError(`${name} takes 2 arguments`, node.position);
+    }
+    const [a, b] = args.map(compileNode);
+    requireKind(a, 'number', name, args[0]);
+    requireKind(b, 'number', name, args[1]);
+
+    const above = name === 'crosses_above';
+    return {
+      kind: 'boolean',
+      evaluate: (context) => {
+        const first = a.evaluate(context);
+        const second = b.evaluate(context);
+        return first.map((value, i) => {
+          if (i === 0 || [value, second[i], first[i - 1], second[i - 1]].some(v => v === null || v === undefined)) {
+            return false;
+          }
+          return above
+            ? first[i - 1] <= second[i - 1] && value > second[i]
+            : first[i - 1] >= second[i - 1] && value < second[i];
+        });
+      }
+    };
+  }
+
+  if (name === 'prev') {
+    if (args.length < 1 || args.length > 2) {
+      throw new ExpressionError('prev takes a series and an optional number of bars', node.position);
+    }
+    const source = compileNode(args[0]);
+    const bars = args.length === 2 ? literalValue(args[1], name) : 1;
+    if (!Number.isInteger(bars) || bars < 1 || bars > 500) {
+      throw new ExpressionError('prev bars must be a whole number from 1 to 500', args[1].start);
+    }
+
+    const empty = source.kind === 'boolean' ? false : null;
+    return {
+      kind: source.kind,
+      evaluate: (context) => {
+        const values = source.evaluate(context);
+        return values.map((_, i) => (i >= bars ? values[i - bars] : empty));
+      }
+    };
+  }
+
+  const known = [...PRICE_FIELDS, ...Object.keys(SERIES), ...FUNCTIONS].join(', ');
+  throw new ExpressionError(`Unknown name '${name}'. Use one of: ${known}`, node.position);
+}
+
+/**
+ * Throw unless a compiled node has the expected kind, pointing at where the
+ * offending operand starts
+ */
+function requireKind(compiled, kind, operator, node) {
+  if (compiled.kind !== kind) {
+    const expected = kind === 'boolean' ? 'a condition' : 'a number';
+    throw new ExpressionError(`${operator} expects ${expected}`, node.start);
+  }
+}
+
+/**
+ * Combine two equal-length arrays element by element
+ */
+function zip(first, second, combine) {
+  return first.map((value, index) => combine(value, second[index]));
+}
+
+/**
+ * Parse and type-check an expression
+ * @param {string} source - Expression text
+ * @returns {Object} Compiled expression with `evaluate(bars)` returning one boolean per bar
+ * @throws {ExpressionError} When the expression is invalid
+ */
+function compileExpression(source) {
+  if (typeof source !== 'string') {
+    throw new ExpressionError('Expression must be text', 1);
+  }
+  if (source.length > MAX_LENGTH) {
+    throw new ExpressionError(`Expression is longer than ${MAX_LENGTH} characters`, MAX_LENGTH + 1);
+  }
+
+  const tree = parse(source);
+  const compiled = compileNode(tree);
+
+  if (compiled.kind !== 'boolean') {
+    throw new ExpressionError('Expression must be a condition (e.g. a comparison), not a number', tree.start);
+  }
+
+  return {
+    source,
+    evaluate: (bars) => compiled.evaluate({ bars, length: bars.length, cache: new Map() })
+  };
+}
+
+/**
+ * Find the bars where an expression becomes true
+ * @param {Array} bars - Chronological OHLCV bars
+ * @param {Object} expression - Compiled expression
+ * @returns {Object} `{ active, events }`: whether it holds on the last bar,
+ *   and the events (newest first) with date, close price and how long ago
+ */
+function findExpressionEvents(bars, expression) {
+  const values = expression.evaluate(bars);
+  const lastBar = bars[bars.length - 1];
+  const events = [];
+
+  for (let i = 1; i < bars.length; i++) {
+    if (values[i] && !values[i - 1]) {
+      events.push({
+        date: bars[i].date,
+        price: bars[i].close,
+        barsAgo: bars.length - 1 - i,
+        daysAgo: Math.floor((new Date(lastBar.date) - new Date(bars[i].date)) / DAY_MS)
+      });
+    }
+  }
+
+  return {
+    active: bars.length > 0 && Boolean(values[bars.length - 1]),
+    events: events.reverse()
+  };
+}
+
+module.exports = {
+  ExpressionError,
+  compileExpression,
+  findExpressionEvents
+};
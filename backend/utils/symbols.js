@@ -0,0 +1,237 @@
+/**
+ * Symbol model
+ *
+ * Symbols are kept in one canonical, Yahoo-style form per asset class:
+ *
+ *   equity  AAPL, BRK.B, RELIANCE.NS (ticker, optional share class or exchange suffix)
+ *   etf     SPY, QQQ (US-listed funds from a known list; otherwise like equities)
+ *   index   ^GSPC, ^NSEI
+ *   crypto  BTC-USD (coin, dash, quote currency)
+ *   fx      EURUSD=X (base and quote currency, then =X)
+ *
+ * Input is trimmed and upper-cased, common aliases are resolved (SPX,
+ * BTC, EUR/USD, ...) and each asset class is validated by its own rules.
+ */
+
+const ASSET_CLASSES = ['equity', 'etf', 'index', 'crypto', 'fx'];
+
+// Exchange suffixes (Yahoo) with the matching Alpha Vantage suffix, where it has one
+const EXCHANGES = {
+  NS: { name: 'National Stock Exchange of India', currency: 'INR' },
+  BO: { name: 'BSE (Bombay)', currency: 'INR', alphaVantage: 'BSE' },
+  L: { name: 'London Stock Exchange', currency: 'GBP', alphaVantage: 'LON' },
+  TO: { name: 'Toronto Stock Exchange', currency: 'CAD', alphaVantage: 'TRT' },
+  V: { name: 'TSX Venture Exchange', currency: 'CAD', alphaVantage: 'TRV' },
+  DE: { name: 'Xetra', currency: 'EUR', alphaVantage: 'DEX' },
+  F: { name: 'Frankfurt Stock Exchange', currency: 'EUR', alphaVantage: 'FRK' },
+  PA: { name: 'Euronext Paris', currency: 'EUR' },
+  AS: { name: 'Euronext Amsterdam', currency: 'EUR' },
+  MI: { name: 'Borsa Italiana', currency: 'EUR' },
+  MC: { name: 'Bolsa de Madrid', currency: 'EUR' },
+  SW: { name: 'SIX Swiss Exchange', currency: 'CHF' },
+  HK: { name: 'Hong Kong Stock Exchange', currency: 'HKD' },
+  T: { name: 'Tokyo Stock Exchange', currency: 'JPY' },
+  AX: { name: 'Australian Securities Exchange', currency: 'AUD' },
+  SS: { name: 'Shanghai Stock Exchange', currency: 'CNY', alphaVantage: 'SHH' },
+  SZ: { name: 'Shenzhen Stock Exchange', currency: 'CNY', alphaVantage: 'SHZ' },
+  KS: { name: 'Korea Exchange', currency: 'KRW' },
+  SA: { name: 'B3 (São Paulo)', currency: 'BRL', alphaVantage: 'SAO' }
+};
+
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD', 'NZD', 'CNY', 'HKD', 'SGD', 'INR', 'KRW', 'BRL', 'MXN', 'ZAR', 'SEK', 'NOK', 'DKK', 'PLN', 'TRY'];
+
+// Currencies (and coins) crypto pairs may be quoted in
+const CRYPTO_QUOTES = ['USD', 'USDT', 'USDC', 'EUR', 'GBP', 'JPY', 'BTC', 'ETH'];
+
+// Coins recognised without a quote currency (BTC, BTC/USD and BTCUSD all mean BTC-USD)
+const CRYPTO_COINS = ['BTC', 'ETH', 'SOL', 'XRP', 'ADA', 'DOGE', 'LTC', 'DOT', 'AVAX', 'LINK', 'BNB', 'MATIC'];
+
+// Coins whose bare name is also a US ticker: alone they stay equities, so
+// the coin needs its pair (SOL-USD, SOL/USD or SOLUSD)
+const EQUITY_TICKER_COINS = ['SOL', 'ADA', 'DOT', 'LINK', 'LTC'];
+
+const ETFS = [
+  'SPY', 'IVV', 'VOO', 'VTI', 'QQQ', 'DIA', 'IWM', 'EFA', 'EEM', 'VEA', 'VWO', 'AGG', 'BND', 'TLT', 'IEF',
+  'LQD', 'HYG', 'GLD', 'SLV', 'USO', 'XLK', 'XLF', 'XLE', 'XLV', 'XLI', 'XLY', 'XLP', 'XLU', 'XLB', 'XLRE', 'ARKK', 'VNQ'
+];
+
+// Common names for indices
+const ALIASES = {
+  SPX: '^GSPC',
+  'S&P500': '^GSPC',
+  GSPC: '^GSPC',
+  NDX: '^NDX',
+  DJI: '^DJI',
+  DJIA: '^DJI',
+  VIX: '^VIX',
+  RUT: '^RUT',
+  FTSE: '^FTSE',
+  N225: '^N225',
+  NIKKEI: '^N225',
+  NIFTY: '^NSEI',
+  NIFTY50: '^NSEI',
+  SENSEX: '^BSESN'
+};
+
+/**
+ * Parse a symbol into its canonical form and asset class
+ * @param {string} input - Symbol as typed, e.g. 'aapl', 'spx', 'btc/usd', 'EUR/USD', 'reliance.ns'
+ * @returns {Object} `{ symbol, assetClass, base, quote, exchange }`; quote is
+ *   the currency of crypto and FX pairs, exchange the suffix of an
+ *   exchange-listed equity (null for US listings)
+ * @throws {Error} When the symbol is not valid for any asset class
+ */
+function parseSymbol(input) {
+  if (typeof input !== 'string' || input.trim() === '') {
+    throw new Error('Symbol is required');
+  }
+
+  const raw = input.trim().toUpperCase();
+  if (raw.length > 20) {
+    throw new Error('Symbol must be at most 20 characters');
+  }
+
+  const value = ALIASES[raw] || raw;
+
+  if (value.startsWith('^')) {
+    if (!/^\^[A-Z0-9.]{1,10}$/.test(value)) {
+      throw new Error(`Invalid index symbol ${value}. Use ^ and 1-10 letters or numbers, e.g. ^GSPC`);
+    }
+    return { symbol: value, assetClass: 'index', base: value.slice(1), quote: null, exchange: null };
+  }
+
+  if (value.endsWith('=X')) {
+    return parseCurrencyPair(value.slice(0, -2), value);
+  }
+
+  // EUR/USD, EUR-USD and EURUSD are FX pairs; BTC/USD, BTCUSD and BTC are crypto
+  const pair = value.match(/^([A-Z0-9]{2,10})[/-]([A-Z]{3,4})$/);
+  if (pair && CURRENCIES.includes(pair[1]) && CURRENCIES.includes(pair[2])) {
+    return parseCurrencyPair(pair[1] + pair[2], value);
+  }
+  if (/^[A-Z]{6}$/.test(value) && CURRENCIES.includes(value.slice(0, 3)) && CURRENCIES.includes(value.slice(3))) {
+    return parseCurrencyPair(value, value);
+  }
+  if (pair) {
+    if (!CRYPTO_QUOTES.includes(pair[2])) {
+      throw new Error(`Invalid crypto pair ${value}. Quote it in one of: ${CRYPTO_QUOTES.join(', ')}`);
+    }
+    return { symbol: `${pair[1]}-${pair[2]}`, assetClass: 'crypto', base: pair[1], quote: pair[2], exchange: null };
+  }
+  if (CRYPTO_COINS.includes(value) && !EQUITY_TICKER_COINS.includes(value)) {
+    return { symbol: `${value}-USD`, assetClass: 'crypto', base: value, quote: 'USD', exchange: null };
+  }
+  const coin = CRYPTO_COINS.find(name => CRYPTO_QUOTES.some(quote => value === name + quote));
+  if (coin) {
+    return { symbol: `${coin}-${value.slice(coin.length)}`, assetClass: 'crypto', base: coin, quote: value.slice(coin.length), exchange: null };
+  }
+
+  return parseEquity(value);
+}
+
+/**
+ * Parse an FX pair
+ * @param {string} currencies - Six-letter base and quote currency, e.g. EURUSD
+ * @param {string} value - Symbol as given, for error messages
+ * @returns {Object} Parsed FX symbol
+ * @throws {Error} When either currency is unknown
+ */
+function parseCurrencyPair(currencies, value) {
+  const base = currencies.slice(0, 3);
+  const quote = currencies.slice(3);
+
+  if (currencies.length !== 6 || !CURRENCIES.includes(base) || !CURRENCIES.includes(quote) || base === quote) {
+    throw new Error(`Invalid FX pair ${value}. Use two different currencies, e.g. EURUSD=X (known: ${CURRENCIES.join(', ')})`);
+  }
+
+  return { symbol: `${currencies}=X`, assetClass: 'fx', base, quote, exchange: null };
+}
+
+/**
+ * Parse an equity or ETF ticker, with an optional share class (BRK.B) or
+ * exchange suffix (RELIANCE.NS). The dash spelling of a US share class
+ * (BRK-B) is normalized to the dot form, so both share one canonical symbol
+ * @param {string} value - Upper-cased symbol
+ * @returns {Object} Parsed equity symbol
+ * @throws {Error} When the ticker or its suffix is invalid
+ */
+function parseEquity(value) {
+  const match = value.match(/^([A-Z0-9][A-Z0-9&-]*)(?:\.([A-Z]{1,3}))?$/);
+
+  if (!match) {
+    throw new Error(`Invalid symbol ${value}. Use a ticker (AAPL, BRK.B, RELIANCE.NS), an index (^GSPC), a crypto pair (BTC-USD) or an FX pair (EURUSD=X)`);
+  }
+
+  const [, base, suffix] = match;
+
+  if (suffix && EXCHANGES[suffix]) {
+    if (base.length > 12) {
+      throw new Error(`Invalid symbol ${value}. Exchange-listed tickers have at most 12 characters before the suffix`);
+    }
+    return { symbol: value, assetClass: 'equity', base, quote: EXCHANGES[suffix].currency, exchange: suffix };
+  }
+
+  // A single letter after the dot is a US share class; anything longer must be a known exchange
+  if (suffix && suffix.length > 1) {
+    throw new Error(`Unknown exchange suffix .${suffix}. Use one of: ${Object.keys(EXCHANGES).map(key => `.${key}`).join(', ')}`);
+  }
+  const us = base.match(/^([A-Z0-9]{1,5})(?:-([A-Z]))?$/);
+  if (!us) {
+    throw new Error(`Invalid symbol ${value}. US tickers have 1-5 letters or numbers (add an exchange suffix such as .NS for other markets)`);
+  }
+
+  const [, ticker, dashClass] = us;
+  if (dashClass && suffix) {
+    throw new Error(`Invalid symbol ${value}. Give the share class once, e.g. ${ticker}.${dashClass}`);
+  }
+
+  const symbol = dashClass ? `${ticker}.${dashClass}` : value;
+  return { symbol, assetClass: ETFS.includes(symbol) ? 'etf' : 'equity', base: dashClass ? ticker : base, quote: 'USD', exchange: null };
+}
+
+/**
+ * Normalize a symbol to its canonical form
+ * @param {string} input - Symbol as typed
+ * @returns {string} Canonical symbol
+ * @throws {Error} When the symbol is invalid (see parseSymbol)
+ */
+function normalizeSymbol(input) {
+  return parseSymbol(input).symbol;
+}
+
+/**
+ * Check whether a symbol is valid for its asset class
+ * @param {string} input - Symbol as typed
+ * @returns {boolean} True when the symbol parses
+ */
+function isValidSymbol(input) {
+  try {
+    parseSymbol(input);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the asset class of a symbol
+ * @param {string} symbol - Symbol
+ * @returns {string} Asset class ('equity' when the symbol does not parse)
+ */
+function getAssetClass(symbol) {
+  try {
+    return parseSymbol(symbol).assetClass;
+  } catch (error) {
+    return 'equity';
+  }
+}
+
+module.exports = {
+  ASSET_CLASSES,
+  EXCHANGES,
+  CURRENCIES,
+  parseSymbol,
+  normalizeSymbol,
+  isValidSymbol,
+  getAssetClass
+};
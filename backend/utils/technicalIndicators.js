@@ -219,6 +219,283 @@ class TechnicalIndicators {
       });
     }
   };
+  /**
+   * Volume Weighted Average Price
+   * Restarts whenever the session key changes; without sessions it is
+   * anchored to the first bar
+   */
+  static VWAP = {
+    calculate: ({ high, low, close, volume, sessions }) => {
+      const result = [];
+      let cumulativeValue = 0;
+      let cumulativeVolume = 0;
+      
+      for (let i = 0; i < close.length; i++) {
+        if (sessions && i > 0 && sessions[i] !== sessions[i - 1]) {
+          cumulativeValue = 0;
+          cumulativeVolume = 0;
+        }
+        
+        const typicalPrice = (high[i] + low[i] + close[i]) / 3;
+        cumulativeValue += typicalPrice * volume[i];
+        cumulativeVolume += volume[i];
+        
+        result.push(cumulativeVolume > 0 ? cumulativeValue / cumulativeVolume : typicalPrice);
+      }
+      
+      return result;
+    }
+  };
+
+  /**
+   * On-Balance Volume
+   */
+  static OBV = {
+    calculate: ({ close, volume }) => {
+      const result = [];
+      let obv = 0;
+      
+      for (let i = 0; i < close.length; i++) {
+        if (i > 0) {
+          if (close[i] > close[i - 1]) obv += volume[i];
+          else if (close[i] < close[i - 1]) obv -= volume[i];
+        }
+        result.push(obv);
+      }
+      
+      return result;
+    }
+  };
+
+  /**
+   * Average Directional Index with the Directional Movement Index (+DI/-DI)
+   * Uses Wilder's smoothing; +DI/-DI start after one period, ADX after two
+   */
+  static ADX = {
+    calculate: ({ high, low, close, period = 14 }) => {
+      const result = [];
+      let smoothedTR = 0;
+      let smoothedPlusDM = 0;
+      let smoothedMinusDM = 0;
+      let adx = null;
+      const dxValues = [];
+      
+      for (let i = 1; i < close.length; i++) {
+        const upMove = high[i] - high[i - 1];
+        const downMove = low[i - 1] - low[i];
+        const plusDM = upMove > downMove && upMove > 0 ? upMove : 0;
+        const minusDM = downMove > upMove && downMove > 0 ? downMove : 0;
+        const tr = Math.max(
+          high[i] - low[i],
+          Math.abs(high[i] - close[i - 1]),
+          Math.abs(low[i] - close[i - 1])
+        );
+        
+        // The first smoothed values are plain sums over the first period
+        if (i <= period) {
+          smoothedTR += tr;
+          smoothedPlusDM += plusDM;
+          smoothedMinusDM += minusDM;
+          if (i < period) continue;
+        } else {
+          smoothedTR = smoothedTR - (smoothedTR / period) + tr;
+          smoothedPlusDM = smoothedPlusDM - (smoothedPlusDM / period) + plusDM;
+          smoothedMinusDM = smoothedMinusDM - (smoothedMinusDM / period) + minusDM;
+        }
+        
+        const plusDI = smoothedTR > 0 ? (smoothedPlusDM / smoothedTR) * 100 : 0;
+        const minusDI = smoothedTR > 0 ? (smoothedMinusDM / smoothedTR) * 100 : 0;
+        const diSum = plusDI + minusDI;
+        const dx = diSum > 0 ? (Math.abs(plusDI - minusDI) / diSum) * 100 : 0;
+        
+        if (adx === null) {
+          dxValues.push(dx);
+          if (dxValues.length === period) {
+            adx = dxValues.reduce((a, b) => a + b, 0) / period;
+          }
+        } else {
+          adx = ((adx * (period - 1)) + dx) / period;
+        }
+        
+        result.push({
+          adx: adx,
+          plusDI: plusDI,
+          minusDI: minusDI
+        });
+      }
+      
+      return result;
+    }
+  };
+
+  /**
+   * Ichimoku Cloud
+   * Returns one value per bar: the leading spans are shifted forward and the
+   * lagging span back by `displacement`, so each entry is what is plotted on
+   * that bar
+   */
+  static Ichimoku = {
+    calculate: ({ high, low, close, conversionPeriod = 9, basePeriod = 26, spanPeriod = 52, displacement = 26 }) => {
+      // Midpoint of the highest high and lowest low over a window ending at i
+      const midpoint = (i, period) => {
+        if (i < period - 1) return null;
+        let highestHigh = high[i];
+        let lowestLow = low[i];
+        for (let j = 1; j < period; j++) {
+          if (high[i - j] > highestHigh) highestHigh = high[i - j];
+          if (low[i - j] < lowestLow) lowestLow = low[i - j];
+        }
+        return (highestHigh + lowestLow) / 2;
+      };
+      
+      const conversion = close.map((_, i) => midpoint(i, conversionPeriod));
+      const base = close.map((_, i) => midpoint(i, basePeriod));
+      const result = [];
+      
+      for (let i = 0; i < close.length; i++) {
+        const source = i - displacement;
+        const spanA = source >= 0 && conversion[source] !== null && base[source] !== null
+          ? (conversion[source] + base[source]) / 2
+          : null;
+        
+        result.push({
+          conversion: conversion[i],
+          base: base[i],
+          spanA: spanA,
+          spanB: source >= 0 ? midpoint(source, spanPeriod) : null,
+          lagging: i + displacement < close.length ? close[i + displacement] : null
+        });
+      }
+      
+      return result;
+    }
+  };
+
+  /**
+   * Parabolic SAR
+   */
+  static PSAR = {
+    calculate: ({ high, low, step = 0.02, max = 0.2 }) => {
+      const result = [];
+      if (high.length < 2) return result;
+      
+      let rising = high[1] >= high[0];
+      let sar = rising ? low[0] : high[0];
+      let extremePoint = rising ? high[0] : low[0];
+      let acceleration = step;
+      
+      for (let i = 1; i < high.length; i++) {
+        sar = sar + acceleration * (extremePoint - sar);
+        
+        if (rising) {
+          // SAR may not rise above the prior two lows
+          sar = Math.min(sar, low[i - 1], i > 1 ? low[i - 2] : low[i - 1]);
+          
+          if (low[i] < sar) {
+            rising = false;
+            sar = extremePoint;
+            extremePoint = low[i];
+            acceleration = step;
+          } else if (high[i] > extremePoint) {
+            extremePoint = high[i];
+            acceleration = Math.min(acceleration + step, max);
+          }
+        } else {
+          // SAR may not fall below the prior two highs
+          sar = Math.max(sar, high[i - 1], i > 1 ? high[i - 2] : high[i - 1]);
+          
+          if (high[i] > sar) {
+            rising = true;
+            sar = extremePoint;
+            extremePoint = high[i];
+            acceleration = step;
+          } else if (low[i] < extremePoint) {
+            extremePoint = low[i];
+            acceleration = Math.min(acceleration + step, max);
+          }
+        }
+        
+        result.push(sar);
+      }
+      
+      return result;
+    }
+  };
+
+  /**
+   * Commodity Channel Index
+   */
+  static CCI = {
+    calculate: ({ high, low, close, period = 20 }) => {
+      const result = [];
+      const typicalPrices = close.map((c, i) => (high[i] + low[i] + c) / 3);
+      
+      for (let i = period - 1; i < typicalPrices.length; i++) {
+        const window = typicalPrices.slice(i - period + 1, i + 1);
+        const mean = window.reduce((a, b) => a + b, 0) / period;
+        const meanDeviation = window.reduce((a, b) => a + Math.abs(b - mean), 0) / period;
+        
+        result.push(meanDeviation > 0 ? (typicalPrices[i] - mean) / (0.015 * meanDeviation) : 0);
+      }
+      
+      return result;
+    }
+  };
+
+  /**
+   * Williams %R
+   */
+  static WilliamsR = {
+    calculate: ({ high, low, close, period = 14 }) => {
+      const result = [];
+      
+      for (let i = period - 1; i < close.length; i++) {
+        let highestHigh = high[i];
+        let lowestLow = low[i];
+        
+        for (let j = 1; j < period; j++) {
+          if (high[i - j] > highestHigh) highestHigh = high[i - j];
+          if (low[i - j] < lowestLow) lowestLow = low[i - j];
+        }
+        
+        const range = highestHigh - lowestLow;
+        result.push(range > 0 ? ((highestHigh - close[i]) / range) * -100 : -50);
+      }
+      
+      return result;
+    }
+  };
+
+  /**
+   * Money Flow Index
+   */
+  static MFI = {
+    calculate: ({ high, low, close, volume, period = 14 }) => {
+      const result = [];
+      const typicalPrices = close.map((c, i) => (high[i] + low[i] + c) / 3);
+      const positiveFlow = [];
+      const negativeFlow = [];
+      
+      for (let i = 1; i < typicalPrices.length; i++) {
+        const moneyFlow = typicalPrices[i] * volume[i];
+        positiveFlow.push(typicalPrices[i] > typicalPrices[i - 1] ? moneyFlow : 0);
+        negativeFlow.push(typicalPrices[i] < typicalPrices[i - 1] ? moneyFlow : 0);
+      }
+      
+      for (let i = period - 1; i < positiveFlow.length; i++) {
+        let positive = 0;
+        let negative = 0;
+        for (let j = 0; j < period; j++) {
+          positive += positiveFlow[i - j];
+          negative += negativeFlow[i - j];
+        }
+        
+        result.push(negative > 0 ? 100 - (100 / (1 + positive / negative)) : 100);
+      }
+      
+      return result;
+    }
+  };
 }
 
 module.exports = TechnicalIndicators;
@@ -0,0 +1,190 @@
+/**
+ * Helpers for working with the dashboard's time range strings
+ * (1d, 5d, 1w, 1m, 3m, 6m, 1y, 5y, max) and bar intervals
+ * (1m, 5m, 15m, 30m, 1h, 1d, 1wk, 1mo)
+ */
+
+const TIME_RANGES = ['1d', '5d', '1w', '1m', '3m', '6m', '1y', '5y', 'max'];
+
+/**
+ * Bar intervals with their length in minutes (intraday only) and the time
+ * ranges they may be requested for. The intraday limits follow Yahoo's: 1m
+ * bars for the last week, up to 30m for about 60 days and 1h for two years.
+ * Daily bars start at the 1w range: a day or five counted back from a
+ * weekend or holiday can hold no session at all.
+ */
+const INTERVALS = {
+  '1m': { minutes: 1, ranges: ['1d', '5d', '1w'] },
+  '5m': { minutes: 5, ranges: ['1d', '5d', '1w', '1m'] },
+  '15m': { minutes: 15, ranges: ['1d', '5d', '1w', '1m'] },
+  '30m': { minutes: 30, ranges: ['1d', '5d', '1w', '1m'] },
+  '1h': { minutes: 60, ranges: ['1d', '5d', '1w', '1m', '3m', '6m', '1y'] },
+  '1d': { ranges: ['1w', '1m', '3m', '6m', '1y', '5y', 'max'] },
+  '1wk': { ranges: ['1m', '3m', '6m', '1y', '5y', 'max'] },
+  '1mo': { ranges: ['3m', '6m', '1y', '5y', 'max'] }
+};
+
+/**
+ * Convert time range string to number of days
+ * @param {string} timeRange - Time range string (1d, 1w, 1m, etc.)
+ * @returns {number} Number of days
+ */
+function getNumDaysFromTimeRange(timeRange) {
+  switch (timeRange) {
+    case '1d': return 1;
+    case '5d': return 5;
+    case '1w': return 7;
+    case '1m': return 30;
+    case '3m': return 90;
+    case '6m': return 180;
+    case '1y': return 365;
+    case '5y': return 365 * 5;
+    case 'max': return 365 * 10;
+    default: return 30; // Default to 1 month
+  }
+}
+
+/**
+ * Get the start date for a time range, counted back from a reference date
+ * @param {string} timeRange - Time range string
+ * @param {Date} [now] - Reference date (defaults to the current time)
+ * @returns {Date} Start date of the range
+ */
+function getStartDateFromTimeRange(timeRange, now = new Date()) {
+  const from = new Date(now);
+
+  switch (timeRange) {
+    case '1d':
+      from.setDate(now.getDate() - 1);
+      break;
+    case '5d':
+      from.setDate(now.getDate() - 5);
+      break;
+    case '1w':
+      from.setDate(now.getDate() - 7);
+      break;
+    case '1m':
+      from.setMonth(now.getMonth() - 1);
+      break;
+    case '3m':
+      from.setMonth(now.getMonth() - 3);
+      break;
+    case '6m':
+      from.setMonth(now.getMonth() - 6);
+      break;
+    case '1y':
+      from.setFullYear(now.getFullYear() - 1);
+      break;
+    case '5y':
+      from.setFullYear(now.getFullYear() - 5);
+      break;
+    case 'max':
+      from.setFullYear(now.getFullYear() - 10);
+      break;
+    default:
+      from.setMonth(now.getMonth() - 1);
+  }
+
+  return from;
+}
+
+/**
+ * Get the shortest time range whose history reaches back to a date
+ * @param {string} dateKey - Earliest date needed (YYYY-MM-DD)
+ * @param {Date} [now] - Reference date (defaults to the current time)
+ * @returns {string} Time range ('max' when even that starts later)
+ */
+function getTimeRangeCovering(dateKey, now = new Date()) {
+  return TIME_RANGES.find(timeRange => toDateKey(getStartDateFromTimeRange(timeRange, now)) <= dateKey) || 'max';
+}
+
+/**
+ * Get the interval used when a request does not name one
+ * @param {string} timeRange - Time range string
+ * @returns {string} Interval (intraday bars for ranges shorter than two weeks)
+ */
+function getDefaultInterval(timeRange) {
+  switch (timeRange) {
+    case '1d': return '5m';
+    case '5d': return '15m';
+    case '1w': return '30m';
+    default: return '1d';
+  }
+}
+
+/**
+ * Get the intervals that may be requested for a time range
+ * @param {string} timeRange - Time range string
+ * @returns {Array<string>} Allowed intervals
+ */
+function getIntervalsForTimeRange(timeRange) {
+  return Object.keys(INTERVALS).filter(interval => INTERVALS[interval].ranges.includes(timeRange));
+}
+
+/**
+ * Check whether an interval produces intraday bars
+ * @param {string} interval - Interval string
+ * @returns {boolean} True for minute and hour bars
+ */
+function isIntradayInterval(interval) {
+  return Boolean(INTERVALS[interval] && INTERVALS[interval].minutes);
+}
+
+/**
+ * Get the length of an intraday interval
+ * @param {string} interval - Interval string
+ * @returns {number|null} Minutes per bar, or null for daily and longer bars
+ */
+function getIntervalMinutes(interval) {
+  return (INTERVALS[interval] && INTERVALS[interval].minutes) || null;
+}
+
+/**
+ * Get how many bars of an interval make up a trading year, for annualizing
+ * returns (252 sessions of 390 minutes)
+ * @param {string} interval - Interval string
+ * @returns {number} Bars per year
+ */
+function getPeriodsPerYear(interval) {
+  if (interval === '1wk') return 52;
+  if (interval === '1mo') return 12;
+
+  const minutes = getIntervalMinutes(interval);
+  return minutes ? 252 * Math.ceil(390 / minutes) : 252;
+}
+
+/**
+ * Format a date as a YYYY-MM-DD key (UTC)
+ * @param {Date} date - Date
+ * @returns {string} Date key
+ */
+function toDateKey(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Shift a YYYY-MM-DD key by a number of days
+ * @param {string} dateKey - Date key
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Shifted date key
+ */
+function addDays(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateKey(date);
+}
+
+module.exports = {
+  TIME_RANGES,
+  INTERVALS,
+  getNumDaysFromTimeRange,
+  getStartDateFromTimeRange,
+  getTimeRangeCovering,
+  getDefaultInterval,
+  getIntervalsForTimeRange,
+  isIntradayInterval,
+  getIntervalMinutes,
+  getPeriodsPerYear,
+  toDateKey,
+  addDays
+};
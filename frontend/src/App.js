@@ -5,10 +5,13 @@ import StockChart from './components/StockChart';
 import StockInfo from './components/StockInfo';
 import LiveQuote from './components/LiveQuote';
 import TechnicalAnalysis from './components/TechnicalAnalysis';
+import Backtest from './components/Backtest';
 import StockComparison from './components/StockComparison';
+import Portfolio from './components/Portfolio';
+import Screener from './components/Screener';
 import LoadingSpinner from './components/LoadingSpinner';
 import ErrorMessage from './components/ErrorMessage';
-import { fetchCompanies, fetchStockData } from './services/stockService';
+import { fetchCompanies, fetchStockData, fetchStockEvents } from './services/stockService';
 import './styles/App.css';
 
 function App() {
@@ -16,6 +19,10 @@ function App() {
   const [selectedCompany, setSelectedCompany] = useState(null);
   const [stockData, setStockData] = useState(null);
   const [timeRange, setTimeRange] = useState('1m'); // Default time range (1 month)
+  const [barInterval, setBarInterval] = useState(''); // Bar interval ('' lets the API choose)
+  const [seriesInterval, setSeriesInterval] = useState('1d'); // Interval actually served
+  const [adjusted, setAdjusted] = useState(true); // Split/dividend-adjusted prices
+  const [stockEvents, setStockEvents] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('overview'); // New state for tab navigation
@@ -44,8 +51,14 @@ function App() {
     const loadStockData = async () => {
       try {
         setLoading(true);
-        const data = await fetchStockData(selectedCompany.symbol, timeRange);
-        setStockData(data);
+        const [series, events] = await Promise.all([
+          fetchStockData(selectedCompany.symbol, timeRange, barInterval || undefined, adjusted),
+          // Event markers are optional; the chart still works without them
+          fetchStockEvents(selectedCompany.symbol, timeRange).catch(() => null)
+        ]);
+        setStockData(series.data);
+        setSeriesInterval(series.interval);
+        setStockEvents(events ? events.data : []);
         setLoading(false);
       } catch (err) {
         setError(`Failed to load stock data for ${selectedCompany.name}. Please try again later.`);
@@ -54,15 +67,22 @@ function App() {
     };
     
     loadStockData();
-  }, [selectedCompany, timeRange]);
+  }, [selectedCompany, timeRange, barInterval, adjusted]);
 
   const handleCompanySelect = (company) => {
     setSelectedCompany(company);
     setError(null); // Clear any previous errors
   };
 
+  // Open a company picked from the screener on its overview
+  const handleScreenerSelect = (company) => {
+    handleCompanySelect(company);
+    setActiveTab('overview');
+  };
+
   const handleTimeRangeChange = (range) => {
     setTimeRange(range);
+    setBarInterval(''); // Not every interval is available for every range
   };
 
   return (
@@ -93,6 +113,10 @@ function App() {
                 company={selectedCompany}
                 timeRange={timeRange}
                 onTimeRangeChange={handleTimeRangeChange}
+                interval={barInterval}
+                onIntervalChange={setBarInterval}
+                adjusted={adjusted}
+                onAdjustedChange={setAdjusted}
               />
               
               {/* Tab Navigation */}
@@ -115,12 +139,30 @@ function App() {
                 >
                   🔬 Technical Analysis
                 </button>
+                <button 
+                  className={`tab-button ${activeTab === 'backtest' ? 'active' : ''}`}
+                  onClick={() => setActiveTab('backtest')}
+                >
+                  🧪 Backtest
+                </button>
                 <button 
                   className={`tab-button ${activeTab === 'compare' ? 'active' : ''}`}
                   onClick={() => setActiveTab('compare')}
                 >
                   ⚖️ Compare Stocks
                 </button>
+                <button 
+                  className={`tab-button ${activeTab === 'portfolio' ? 'active' : ''}`}
+                  onClick={() => setActiveTab('portfolio')}
+                >
+                  💼 Portfolio
+                </button>
+                <button 
+                  className={`tab-button ${activeTab === 'screener' ? 'active' : ''}`}
+                  onClick={() => setActiveTab('screener')}
+                >
+                  🔎 Screener
+                </button>
               </div>
 
               {/* Tab Content */}
@@ -133,6 +175,7 @@ function App() {
                         <StockChart
                           data={stockData}
                           company={selectedCompany}
+                          interval={seriesInterval}
                           mini={true}
                         />
                       </div>
@@ -145,6 +188,10 @@ function App() {
                     <StockChart
                       data={stockData}
                       company={selectedCompany}
+                      interval={seriesInterval}
+                      timeRange={timeRange}
+                      adjusted={adjusted}
+                      events={stockEvents}
                     />
                   </div>
                 )}
@@ -155,11 +202,29 @@ function App() {
                   </div>
                 )}
 
+                {activeTab === 'backtest' && (
+                  <div className="backtest-tab">
+                    <Backtest key={selectedCompany.symbol} symbol={selectedCompany.symbol} adjusted={adjusted} />
+                  </div>
+                )}
+
                 {activeTab === 'compare' && (
                   <div className="compare-tab">
                     <StockComparison />
                   </div>
                 )}
+
+                {activeTab === 'portfolio' && (
+                  <div className="portfolio-tab">
+                    <Portfolio />
+                  </div>
+                )}
+
+                {activeTab === 'screener' && (
+                  <div className="screener-tab">
+                    <Screener onSelectCompany={handleScreenerSelect} />
+                  </div>
+                )}
               </div>
             </>
           ) : (
@@ -179,6 +244,18 @@ function App() {
                 >
                   ⚖️ Compare Stocks
                 </button>
+                <button 
+                  className="compare-mode-btn"
+                  onClick={() => setActiveTab('portfolio')}
+                >
+                  💼 Portfolio
+                </button>
+                <button 
+                  className="compare-mode-btn"
+                  onClick={() => setActiveTab('screener')}
+                >
+                  🔎 Screener
+                </button>
               </div>
               
               {/* Show comparison component if activeTab is compare */}
@@ -187,6 +264,16 @@ function App() {
                   <StockComparison />
                 </div>
               )}
+              {activeTab === 'portfolio' && (
+                <div className="global-comparison">
+                  <Portfolio />
+                </div>
+              )}
+              {activeTab === 'screener' && (
+                <div className="global-comparison">
+                  <Screener onSelectCompany={handleScreenerSelect} />
+                </div>
+              )}
             </div>
           )}
         </section>
@@ -0,0 +1,258 @@
+import React, { useState } from 'react';
+import { Line } from 'react-chartjs-2';
+import { runBacktest } from '../services/stockService';
+import '../styles/Backtest.css';
+
+// Signal rules the backend can trade on (see backend/utils/signalEngine.js)
+const RULES = [
+  { value: 'sma-cross', label: 'SMA 20/50 Cross' },
+  { value: 'ema-cross', label: 'EMA 12/26 Cross' },
+  { value: 'macd-cross', label: 'MACD Signal Cross' },
+  { value: 'rsi-zone', label: 'RSI 30/70 Zones' },
+  { value: 'bollinger-breach', label: 'Bollinger Breach' },
+];
+
+const TIME_RANGES = [
+  { value: '6m', label: '6 Months' },
+  { value: '1y', label: '1 Year' },
+  { value: '5y', label: '5 Years' },
+  { value: 'max', label: 'Max' },
+];
+
+function Backtest({ symbol, adjusted = true }) {
+  const [entry, setEntry] = useState(['macd-cross']);
+  const [exit, setExit] = useState([]);
+  const [timeRange, setTimeRange] = useState('1y');
+  const [initialCapital, setInitialCapital] = useState(10000);
+  const [positionSize, setPositionSize] = useState(100);
+  const [commission, setCommission] = useState(0);
+  const [slippage, setSlippage] = useState(0.05);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const toggle = (list, setList, rule) => {
+    setList(list.includes(rule) ? list.filter(item => item !== rule) : [...list, rule]);
+  };
+
+  const handleRun = async (e) => {
+    e.preventDefault();
+
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await runBacktest(symbol, {
+        entry,
+        // No exit rules means exit on the entry rules' SELL events
+        exit: exit.length > 0 ? exit : undefined,
+        initialCapital: Number(initialCapital),
+        sizing: { method: 'percent', value: Number(positionSize) },
+        commission: Number(commission),
+        slippage: Number(slippage),
+      }, timeRange, adjusted);
+      setResult(data);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+      console.error('Error running backtest:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const chartData = result && {
+    datasets: [
+      {
+        label: 'Strategy',
+        data: result.equity.map(point => ({ x: point.date, y: point.equity })),
+        borderColor: 'rgb(33, 150, 243)',
+        backgroundColor: 'rgba(33, 150, 243, 0.1)',
+        borderWidth: 2,
+        pointRadius: 0,
+        fill: true,
+      },
+      {
+        label: 'Buy & Hold',
+        data: result.equity.map(point => ({ x: point.date, y: point.benchmark })),
+        borderColor: 'rgb(158, 158, 158)',
+        borderWidth: 1.5,
+        borderDash: [5, 5],
+        pointRadius: 0,
+        fill: false,
+      },
+    ],
+  };
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    scales: {
+      x: {
+        type: 'time',
+        ticks: {
+          maxRotation: 0,
+          autoSkipPadding: 20,
+        },
+      },
+      y: {
+        title: {
+          display: true,
+          text: 'Equity ($)',
+        },
+        ticks: {
+          callback: (value) => `$${value.toLocaleString()}`,
+        },
+      },
+    },
+    plugins: {
+      tooltip: {
+        callbacks: {
+          label: (context) => `${context.dataset.label}: $${context.parsed.y.toLocaleString()}`,
+        },
+      },
+    },
+    interaction: {
+      mode: 'index',
+      intersect: false,
+    },
+  };
+
+  return (
+    <div className="backtest">
+      <div className="backtest-header">
+        <h3>Backtest - {symbol}</h3>
+      </div>
+
+      <form className="backtest-form" onSubmit={handleRun}>
+        <div className="rule-group">
+          <span className="form-label">Enter on BUY from</span>
+          {RULES.map(rule => (
+            <label key={rule.value} className="rule-option">
+              <input
+                type="checkbox"
+                checked={entry.includes(rule.value)}
+                onChange={() => toggle(entry, setEntry, rule.value)}
+              />
+              {rule.label}
+            </label>
+          ))}
+        </div>
+
+        <div className="rule-group">
+          <span className="form-label">Exit on SELL from</span>
+          {RULES.map(rule => (
+            <label key={rule.value} className="rule-option">
+              <input
+                type="checkbox"
+                checked={exit.includes(rule.value)}
+                onChange={() => toggle(exit, setExit, rule.value)}
+              />
+              {rule.label}
+            </label>
+          ))}
+          {exit.length === 0 && <span className="form-hint">(same as entry)</span>}
+        </div>
+
+        <div className="form-fields">
+          <label>
+            Period
+            <select value={timeRange} onChange={(e) => setTimeRange(e.target.value)}>
+              {TIME_RANGES.map(range => (
+                <option key={range.value} value={range.value}>{range.label}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Capital ($)
+            <input type="number" min="1" value={initialCapital} onChange={(e) => setInitialCapital(e.target.value)} />
+          </label>
+          <label>
+            Position (% of equity)
+            <input type="number" min="1" max="100" value={positionSize} onChange={(e) => setPositionSize(e.target.value)} />
+          </label>
+          <label>
+            Commission ($ per fill)
+            <input type="number" min="0" step="0.01" value={commission} onChange={(e) => setCommission(e.target.value)} />
+          </label>
+          <label>
+            Slippage (%)
+            <input type="number" min="0" max="10" step="0.01" value={slippage} onChange={(e) => setSlippage(e.target.value)} />
+          </label>
+          <button type="submit" className="run-button" disabled={loading || entry.length === 0}>
+            {loading ? 'Running...' : 'Run Backtest'}
+          </button>
+        </div>
+      </form>
+
+      {error && <div className="backtest-error">Error: {error}</div>}
+
+      {result && (
+        <>
+          <div className="metrics-grid">
+            <Metric label="Total Return" value={result.metrics.totalReturn} benchmark={result.benchmark.totalReturn} suffix="%" />
+            <Metric label="CAGR" value={result.metrics.cagr} benchmark={result.benchmark.cagr} suffix="%" />
+            <Metric label="Max Drawdown" value={result.metrics.maxDrawdown} benchmark={result.benchmark.maxDrawdown} suffix="%" />
+            <Metric label="Sharpe" value={result.metrics.sharpe} benchmark={result.benchmark.sharpe} />
+            <Metric label="Win Rate" value={result.metrics.winRate} suffix="%" />
+            <Metric label="Exposure" value={result.metrics.exposure} suffix="%" />
+            <Metric label="Trades" value={result.metrics.trades} />
+          </div>
+
+          <div className="equity-chart">
+            <Line options={chartOptions} data={chartData} />
+          </div>
+
+          <div className="trades-section">
+            <h4>Trades</h4>
+            {result.trades.length === 0 ? (
+              <p className="form-hint">No trades were triggered in this period.</p>
+            ) : (
+              <table className="trades-table">
+                <thead>
+                  <tr>
+                    <th>Entry</th>
+                    <th>Signal</th>
+                    <th>Exit</th>
+                    <th>Signal</th>
+                    <th>Shares</th>
+                    <th>P&amp;L</th>
+                    <th>Return</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[...result.trades].reverse().map(trade => (
+                    <tr key={trade.entryDate}>
+                      <td>{trade.entryDate.slice(0, 10)} @ ${trade.entryPrice.toFixed(2)}</td>
+                      <td>{trade.entrySignal}</td>
+                      <td>{trade.exitDate.slice(0, 10)} @ ${trade.exitPrice.toFixed(2)}</td>
+                      <td>{trade.open ? 'Open' : trade.exitSignal}</td>
+                      <td>{trade.shares}</td>
+                      <td className={trade.pnl >= 0 ? 'positive' : 'negative'}>${trade.pnl.toFixed(2)}</td>
+                      <td className={trade.pnl >= 0 ? 'positive' : 'negative'}>{trade.returnPercent.toFixed(2)}%</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function Metric({ label, value, benchmark, suffix = '' }) {
+  const format = (number) => (number === null || number === undefined ? 'N/A' : `${number}${suffix}`);
+
+  return (
+    <div className="metric-card">
+      <div className="metric-label">{label}</div>
+      <div className="metric-value">{format(value)}</div>
+      {benchmark !== undefined && (
+        <div className="metric-benchmark">Buy &amp; hold: {format(benchmark)}</div>
+      )}
+    </div>
+  );
+}
+
+export default Backtest;
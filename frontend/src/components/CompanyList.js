@@ -1,37 +1,127 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import Watchlist from './Watchlist';
+import CompanySearch from './CompanySearch';
+import { fetchWatchlists, createWatchlist, updateWatchlist, deleteWatchlist } from '../services/stockService';
 import '../styles/CompanyList.css';
 
+const ALL_COMPANIES = 'all';
+
 function CompanyList({ companies, selectedCompany, onSelectCompany }) {
-  const [searchTerm, setSearchTerm] = useState('');
-  
-  // Filter companies based on search term
-  const filteredCompanies = companies.filter(company => 
-    company.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    company.symbol.toLowerCase().includes(searchTerm.toLowerCase())
-  );
-  
+  const [watchlists, setWatchlists] = useState([]);
+  const [view, setView] = useState(ALL_COMPANIES); // 'all' or a watchlist id
+  const [editing, setEditing] = useState(null); // null, 'create' or 'rename'
+  const [listName, setListName] = useState('');
+  const [listError, setListError] = useState(null);
+
+  useEffect(() => {
+    fetchWatchlists()
+      .then(setWatchlists)
+      .catch(() => setWatchlists([]));
+  }, []);
+
+  const activeWatchlist = watchlists.find(watchlist => String(watchlist.id) === String(view));
+
+  const replaceWatchlist = (updated) => {
+    setWatchlists(current => current.map(watchlist => (watchlist.id === updated.id ? updated : watchlist)));
+  };
+
+  const startEditing = (mode) => {
+    setEditing(mode);
+    setListName(mode === 'rename' ? activeWatchlist.name : '');
+    setListError(null);
+  };
+
+  const handleSaveList = async (e) => {
+    e.preventDefault();
+    if (!listName.trim()) return;
+
+    try {
+      if (editing === 'create') {
+        const created = await createWatchlist(listName.trim());
+        setWatchlists(current => [...current, created].sort((a, b) => a.name.localeCompare(b.name)));
+        setView(String(created.id));
+      } else {
+        replaceWatchlist(await updateWatchlist(activeWatchlist.id, { name: listName.trim() }));
+      }
+      setEditing(null);
+    } catch (err) {
+      setListError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleDeleteList = async () => {
+    if (!window.confirm(`Delete watchlist "${activeWatchlist.name}"?`)) return;
+
+    try {
+      await deleteWatchlist(activeWatchlist.id);
+      setWatchlists(current => current.filter(watchlist => watchlist.id !== activeWatchlist.id));
+      setView(ALL_COMPANIES);
+    } catch (err) {
+      setListError(err.response?.data?.message || err.message);
+    }
+  };
+
   return (
     <div className="company-list">
       <div className="company-list-header">
-        <h2>Companies</h2>
-        <div className="search-box">
-          <input
-            type="text"
-            placeholder="Search companies..."
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-            className="company-search"
-          />
+        <div className="watchlist-switcher">
+          <select
+            value={activeWatchlist ? String(activeWatchlist.id) : ALL_COMPANIES}
+            onChange={(e) => {
+              setView(e.target.value);
+              setEditing(null);
+            }}
+            className="watchlist-select"
+          >
+            <option value={ALL_COMPANIES}>All Companies</option>
+            {watchlists.map(watchlist => (
+              <option key={watchlist.id} value={String(watchlist.id)}>
+                {watchlist.name} ({watchlist.symbols.length})
+              </option>
+            ))}
+          </select>
+          <button className="watchlist-button" title="New watchlist" onClick={() => startEditing('create')}>+</button>
+          {activeWatchlist && (
+            <>
+              <button className="watchlist-button" title="Rename watchlist" onClick={() => startEditing('rename')}>✎</button>
+              <button className="watchlist-button" title="Delete watchlist" onClick={handleDeleteList}>🗑</button>
+            </>
+          )}
         </div>
+
+        {editing && (
+          <form className="watchlist-name-form" onSubmit={handleSaveList}>
+            <input
+              type="text"
+              value={listName}
+              onChange={(e) => setListName(e.target.value)}
+              placeholder={editing === 'create' ? 'New watchlist name' : 'Watchlist name'}
+              maxLength="64"
+              className="company-search"
+              autoFocus
+            />
+            <button type="submit" className="watchlist-button">Save</button>
+            <button type="button" className="watchlist-button" onClick={() => setEditing(null)}>Cancel</button>
+          </form>
+        )}
+        {listError && <div className="watchlist-error">{listError}</div>}
+
+        {!activeWatchlist && <CompanySearch onSelectCompany={onSelectCompany} />}
       </div>
-      
-      {companies.length === 0 ? (
+
+      {activeWatchlist ? (
+        <Watchlist
+          watchlist={activeWatchlist}
+          companies={companies}
+          selectedCompany={selectedCompany}
+          onSelectCompany={onSelectCompany}
+          onChange={replaceWatchlist}
+        />
+      ) : companies.length === 0 ? (
         <div className="company-list-message">Loading companies...</div>
-      ) : filteredCompanies.length === 0 ? (
-        <div className="company-list-message">No companies match your search.</div>
       ) : (
         <ul className="companies">
-          {filteredCompanies.map(company => (
+          {companies.map(company => (
             <li 
               key={company.symbol}
               className={`company-item ${selectedCompany && selectedCompany.symbol === company.symbol ? 'selected' : ''}`}
@@ -44,11 +134,6 @@ function CompanyList({ companies, selectedCompany, onSelectCompany }) {
                 <h3 className="company-name">{company.name}</h3>
                 <span className="company-symbol">{company.symbol}</span>
               </div>
-              {company.change && (
-                <div className={`company-change ${company.change >= 0 ? 'positive' : 'negative'}`}>
-                  {company.change >= 0 ? '+' : ''}{company.change}%
-                </div>
-              )}
             </li>
           ))}
         </ul>
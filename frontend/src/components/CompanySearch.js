@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import { searchCompanies } from '../services/stockService';
+
+// Wait this long after the last keystroke before searching
+const DEBOUNCE_MS = 250;
+const PAGE_SIZE = 10;
+
+// Render text with its matched [start, end) ranges marked
+function Highlighted({ text, ranges = [] }) {
+  const parts = [];
+  let position = 0;
+
+  ranges.forEach(([start, end]) => {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    position = end;
+  });
+  parts.push(text.slice(position));
+
+  return <>{parts}</>;
+}
+
+function CompanySearch({ onSelectCompany }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Debounced search; a newer query cancels the pending one and ignores stale responses
+  useEffect(() => {
+    const text = query.trim();
+    if (!text) {
+      setResults([]);
+      setTotal(0);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        setLoading(true);
+        const page = await searchCompanies(text, { limit: PAGE_SIZE });
+        if (cancelled) return;
+        setResults(page.results);
+        setTotal(page.total);
+        setActiveIndex(page.results.length > 0 ? 0 : -1);
+        setError(null);
+      } catch (err) {
+        if (!cancelled) setError(err.response?.data?.message || err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  const loadMore = async () => {
+    try {
+      setLoading(true);
+      const page = await searchCompanies(query.trim(), { limit: PAGE_SIZE, offset: results.length });
+      setResults(current => [...current, ...page.results]);
+      setTotal(page.total);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const select = (result) => {
+    const { match, highlights, ...company } = result;
+    onSelectCompany(company);
+    setQuery('');
+    setOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setOpen(true);
+      setActiveIndex(index => Math.min(index + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(index => Math.max(index - 1, 0));
+    } else if (e.key === 'Enter' && results[activeIndex]) {
+      e.preventDefault();
+      select(results[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  const showDropdown = open && query.trim() !== '';
+
+  return (
+    <div className="search-box">
+      <input
+        type="text"
+        placeholder="Search symbol, name or ISIN..."
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={handleKeyDown}
+        className="company-search"
+        role="combobox"
+        aria-expanded={showDropdown}
+        aria-controls="company-search-results"
+        aria-autocomplete="list"
+      />
+
+      {showDropdown && (
+        // Keep focus in the input while clicking inside the dropdown
+        <div className="search-results" id="company-search-results" onMouseDown={(e) => e.preventDefault()}>
+          {error ? (
+            <div className="search-message">{error}</div>
+          ) : results.length === 0 ? (
+            <div className="search-message">{loading ? 'Searching...' : 'No matches'}</div>
+          ) : (
+            <ul role="listbox">
+              {results.map((result, index) => (
+                <li
+                  key={result.symbol}
+                  role="option"
+                  aria-selected={index === activeIndex}
+                  className={`search-result ${index === activeIndex ? 'active' : ''}`}
+                  onMouseEnter={() => setActiveIndex(index)}
+                  onClick={() => select(result)}
+                >
+                  <span className="search-result-symbol">
+                    <Highlighted text={result.symbol} ranges={result.highlights.symbol} />
+                  </span>
+                  <span className="search-result-name">
+                    <Highlighted text={result.name} ranges={result.highlights.name} />
+                  </span>
+                  {result.status === 'delisted' && <span className="search-result-badge">Delisted</span>}
+                </li>
+              ))}
+            </ul>
+          )}
+          {results.length > 0 && results.length < total && (
+            <button type="button" className="search-more" onClick={loadMore} disabled={loading}>
+              {loading ? 'Loading...' : `Show more (${total - results.length})`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CompanySearch;
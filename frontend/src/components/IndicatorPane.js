@@ -0,0 +1,171 @@
+import React from 'react';
+import { Chart } from 'react-chartjs-2';
+
+// Oscillators drawn in their own pane under the price chart
+export const PANES = {
+  rsi: {
+    label: 'RSI (14)',
+    lines: [{ key: 'value', label: 'RSI', color: 'rgb(156, 39, 176)' }],
+    guides: [30, 70],
+    min: 0,
+    max: 100,
+  },
+  macd: {
+    label: 'MACD (12, 26, 9)',
+    lines: [
+      { key: 'macd', label: 'MACD', color: 'rgb(33, 150, 243)' },
+      { key: 'signal', label: 'Signal', color: 'rgb(255, 152, 0)' },
+    ],
+    histogram: 'histogram',
+  },
+  stochastic: {
+    label: 'Stochastic (14, 3)',
+    lines: [
+      { key: 'k', label: '%K', color: 'rgb(33, 150, 243)' },
+      { key: 'd', label: '%D', color: 'rgb(255, 152, 0)' },
+    ],
+    guides: [20, 80],
+    min: 0,
+    max: 100,
+  },
+  atr: {
+    label: 'ATR (14)',
+    lines: [{ key: 'value', label: 'ATR', color: 'rgb(0, 150, 136)' }],
+  },
+  adx: {
+    label: 'ADX / DMI (14)',
+    lines: [
+      { key: 'adx', label: 'ADX', color: 'rgb(96, 125, 139)' },
+      { key: 'plusDI', label: '+DI', color: 'rgb(76, 175, 80)' },
+      { key: 'minusDI', label: '-DI', color: 'rgb(244, 67, 54)' },
+    ],
+    guides: [25],
+  },
+  obv: {
+    label: 'OBV',
+    lines: [{ key: 'value', label: 'OBV', color: 'rgb(63, 81, 181)' }],
+  },
+  mfi: {
+    label: 'MFI (14)',
+    lines: [{ key: 'value', label: 'MFI', color: 'rgb(121, 85, 72)' }],
+    guides: [20, 80],
+    min: 0,
+    max: 100,
+  },
+  cci: {
+    label: 'CCI (20)',
+    lines: [{ key: 'value', label: 'CCI', color: 'rgb(255, 87, 34)' }],
+    guides: [-100, 100],
+  },
+  williamsr: {
+    label: 'Williams %R (14)',
+    lines: [{ key: 'value', label: '%R', color: 'rgb(0, 188, 212)' }],
+    guides: [-80, -20],
+    min: -100,
+    max: 0,
+  },
+};
+
+function IndicatorPane({ indicator, points, data, times, xScale, axisFit, group }) {
+  const pane = PANES[indicator];
+
+  // Line the indicator up with the chart's bars by date
+  const byDate = new Map((points || []).map(point => [point.date, point]));
+  const valuesFor = (key) => data.map((item, index) => ({
+    x: times[index],
+    y: byDate.get(item.date)?.[key] ?? null,
+  }));
+
+  const datasets = pane.lines.map(line => ({
+    type: 'line',
+    label: line.label,
+    data: valuesFor(line.key),
+    borderColor: line.color,
+    borderWidth: 1.5,
+    pointRadius: 0,
+    spanGaps: false,
+  }));
+
+  if (pane.histogram) {
+    const histogram = valuesFor(pane.histogram);
+    datasets.push({
+      type: 'bar',
+      label: 'Histogram',
+      data: histogram,
+      backgroundColor: histogram.map(point => (
+        point.y >= 0 ? 'rgba(76, 175, 80, 0.6)' : 'rgba(244, 67, 54, 0.6)'
+      )),
+      barPercentage: 1,
+      categoryPercentage: 0.8,
+    });
+  }
+
+  // Overbought/oversold guides
+  (pane.guides || []).forEach(level => {
+    datasets.push({
+      type: 'line',
+      label: `${level}`,
+      isGuide: true,
+      data: times.map(x => ({ x, y: level })),
+      borderColor: 'rgba(0, 0, 0, 0.25)',
+      borderWidth: 1,
+      borderDash: [4, 4],
+      pointRadius: 0,
+    });
+  });
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    scales: {
+      x: xScale,
+      y: {
+        min: pane.min,
+        max: pane.max,
+        grid: {
+          color: 'rgba(0, 0, 0, 0.05)',
+        },
+        ticks: {
+          maxTicksLimit: 4,
+        },
+        afterFit: axisFit,
+      },
+    },
+    plugins: {
+      legend: {
+        display: false,
+      },
+      title: {
+        display: true,
+        text: pane.label,
+        align: 'start',
+        padding: 2,
+        font: {
+          size: 12,
+        },
+      },
+      tooltip: {
+        filter: (item) => !item.dataset.isGuide && item.parsed.y !== null,
+        callbacks: {
+          label: (context) => `${context.dataset.label}: ${context.parsed.y.toFixed(2)}`,
+        },
+      },
+      crosshair: {
+        group,
+      },
+    },
+    interaction: {
+      mode: 'index',
+      intersect: false,
+    },
+  };
+
+  return (
+    <div className="indicator-pane">
+      <Chart type="line" options={options} data={{ datasets }} />
+    </div>
+  );
+}
+
+export default IndicatorPane;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { fetchCurrentQuote } from '../services/stockService';
+import { subscribeQuote, onConnectionChange } from '../services/quoteStream';
 import '../styles/LiveQuote.css';
 
 function LiveQuote({ symbol }) {
@@ -7,10 +8,32 @@ function LiveQuote({ symbol }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [lastUpdated, setLastUpdated] = useState(null);
+  const [streaming, setStreaming] = useState(false);
+
+  useEffect(() => onConnectionChange(setStreaming), []);
 
   useEffect(() => {
     if (!symbol) return;
 
+    setQuote(null);
+    setLoading(true);
+
+    // Quotes are pushed over the WebSocket
+    return subscribeQuote(symbol, (data) => {
+      setQuote(data);
+      setError(null);
+      setLoading(false);
+      setLastUpdated(new Date());
+    }, (message) => {
+      setError(message);
+      setLoading(false);
+    });
+  }, [symbol]);
+
+  useEffect(() => {
+    if (!symbol || streaming) return;
+
+    // Poll while the stream is down
     const fetchQuote = async () => {
       try {
         setLoading(true);
@@ -31,7 +54,7 @@ function LiveQuote({ symbol }) {
     // Set up auto-refresh every 30 seconds
     const interval = setInterval(fetchQuote, 30000);
     return () => clearInterval(interval);
-  }, [symbol]);
+  }, [symbol, streaming]);
 
   if (loading && !quote) {
     return <div className="live-quote loading">Loading live quote...</div>;
@@ -53,9 +76,17 @@ function LiveQuote({ symbol }) {
     <div className="live-quote">
       <div className="quote-header">
         <h3 className="symbol">{quote.symbol}</h3>
-        <span className="timestamp">
-          {lastUpdated && `Updated: ${lastUpdated.toLocaleTimeString()}`}
-        </span>
+        <div className="quote-status">
+          <span className={`stream-badge ${streaming ? 'live' : 'polling'}`}>
+            {streaming ? 'Live' : 'Polling'}
+          </span>
+          {error && (
+            <span className="stream-badge stale" title={error}>Stale</span>
+          )}
+          <span className="timestamp">
+            {lastUpdated && `Updated: ${lastUpdated.toLocaleTimeString()}`}
+          </span>
+        </div>
       </div>
       
       <div className="quote-main">
@@ -171,7 +202,7 @@ function LiveQuote({ symbol }) {
         )}
       </div>
       
-      {loading && (
+      {loading && !streaming && (
         <div className="refresh-indicator">
           <span>🔄 Refreshing...</span>
         </div>
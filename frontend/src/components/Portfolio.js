@@ -0,0 +1,417 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Line } from 'react-chartjs-2';
+import {
+  fetchPortfolios,
+  createPortfolio,
+  updatePortfolio,
+  deletePortfolio,
+  fetchPortfolioTransactions,
+  addPortfolioTransaction,
+  deletePortfolioTransaction,
+  fetchPortfolioHoldings,
+  fetchPortfolioPerformance,
+} from '../services/stockService';
+// Shares the metric cards, form fields and chart sizing of the Backtest tab
+import '../styles/Backtest.css';
+import '../styles/Portfolio.css';
+
+const COST_BASIS_METHODS = [
+  { value: 'fifo', label: 'FIFO' },
+  { value: 'lifo', label: 'LIFO' },
+  { value: 'average', label: 'Average Cost' },
+];
+
+// Fields each transaction type asks for (see backend/utils/portfolio.js)
+const TRANSACTION_TYPES = {
+  BUY: ['symbol', 'quantity', 'price', 'fees'],
+  SELL: ['symbol', 'quantity', 'price', 'fees'],
+  DIVIDEND: ['symbol', 'amount', 'fees'],
+  SPLIT: ['symbol', 'ratio'],
+  DEPOSIT: ['amount'],
+  WITHDRAWAL: ['amount'],
+};
+
+const FIELD_LABELS = {
+  symbol: 'Symbol',
+  quantity: 'Shares',
+  price: 'Price ($)',
+  amount: 'Amount ($)',
+  ratio: 'Split ratio (new per old)',
+  fees: 'Fees ($)',
+};
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const formatMoney = (value) => (value === null || value === undefined
+  ? 'N/A'
+  : `${value < 0 ? '-' : ''}$${Math.abs(value).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
+
+const formatPercent = (value) => (value === null || value === undefined ? 'N/A' : `${value}%`);
+
+const signClass = (value) => (value > 0 ? 'positive' : value < 0 ? 'negative' : '');
+
+function Portfolio() {
+  const [portfolios, setPortfolios] = useState([]);
+  const [portfolioId, setPortfolioId] = useState('');
+  const [newName, setNewName] = useState('');
+  const [transactions, setTransactions] = useState([]);
+  const [holdings, setHoldings] = useState(null);
+  const [performance, setPerformance] = useState(null);
+  const [form, setForm] = useState({ type: 'BUY', date: today(), symbol: '', quantity: '', price: '', amount: '', ratio: '', fees: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const portfolio = portfolios.find(item => String(item.id) === portfolioId);
+
+  useEffect(() => {
+    fetchPortfolios()
+      .then(data => {
+        setPortfolios(data);
+        if (data.length > 0) setPortfolioId(String(data[0].id));
+      })
+      .catch(err => setError(err.message));
+  }, []);
+
+  const loadPortfolio = useCallback(async () => {
+    if (!portfolioId) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      const [transactionData, holdingData, performanceData] = await Promise.all([
+        fetchPortfolioTransactions(portfolioId),
+        fetchPortfolioHoldings(portfolioId),
+        fetchPortfolioPerformance(portfolioId),
+      ]);
+      setTransactions(transactionData);
+      setHoldings(holdingData);
+      setPerformance(performanceData);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [portfolioId]);
+
+  useEffect(() => {
+    loadPortfolio();
+  }, [loadPortfolio]);
+
+  const run = async (action) => {
+    try {
+      setError(null);
+      await action();
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+
+    run(async () => {
+      const created = await createPortfolio(newName.trim());
+      setPortfolios(current => [...current, created].sort((a, b) => a.name.localeCompare(b.name)));
+      setPortfolioId(String(created.id));
+      setNewName('');
+    });
+  };
+
+  const handleMethodChange = (costBasisMethod) => run(async () => {
+    const updated = await updatePortfolio(portfolio.id, { costBasisMethod });
+    setPortfolios(current => current.map(item => (item.id === updated.id ? updated : item)));
+    setHoldings(await fetchPortfolioHoldings(portfolio.id));
+  });
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete portfolio "${portfolio.name}" and all its transactions?`)) return;
+
+    run(async () => {
+      await deletePortfolio(portfolio.id);
+      const remaining = portfolios.filter(item => item.id !== portfolio.id);
+      setPortfolios(remaining);
+      setPortfolioId(remaining.length > 0 ? String(remaining[0].id) : '');
+      setTransactions([]);
+      setHoldings(null);
+      setPerformance(null);
+    });
+  };
+
+  const handleAddTransaction = (e) => {
+    e.preventDefault();
+
+    const transaction = { type: form.type, date: form.date };
+    TRANSACTION_TYPES[form.type].forEach(field => {
+      if (field === 'symbol') {
+        transaction.symbol = form.symbol.trim();
+      } else if (form[field] !== '') {
+        transaction[field] = Number(form[field]);
+      }
+    });
+
+    run(async () => {
+      await addPortfolioTransaction(portfolio.id, transaction);
+      setForm(current => ({ ...current, quantity: '', price: '', amount: '', ratio: '', fees: '' }));
+      await loadPortfolio();
+    });
+  };
+
+  const handleDeleteTransaction = (transactionId) => run(async () => {
+    await deletePortfolioTransaction(portfolio.id, transactionId);
+    await loadPortfolio();
+  });
+
+  const totals = holdings?.totals;
+
+  const chartData = performance && {
+    datasets: [
+      {
+        label: 'Portfolio Value',
+        data: performance.history.map(point => ({ x: point.date, y: point.value })),
+        borderColor: 'rgb(33, 150, 243)',
+        backgroundColor: 'rgba(33, 150, 243, 0.1)',
+        borderWidth: 2,
+        pointRadius: 0,
+        fill: true,
+      },
+    ],
+  };
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    scales: {
+      x: {
+        type: 'time',
+        ticks: {
+          maxRotation: 0,
+          autoSkipPadding: 20,
+        },
+      },
+      y: {
+        ticks: {
+          callback: (value) => `$${value.toLocaleString()}`,
+        },
+      },
+    },
+    plugins: {
+      legend: {
+        display: false,
+      },
+      tooltip: {
+        callbacks: {
+          label: (context) => `Value: ${formatMoney(context.parsed.y)}`,
+          afterLabel: (context) => `Time-weighted return: ${performance.history[context.dataIndex].twr}%`,
+        },
+      },
+    },
+    interaction: {
+      mode: 'index',
+      intersect: false,
+    },
+  };
+
+  return (
+    <div className="portfolio">
+      <div className="portfolio-header">
+        <h3>Portfolio</h3>
+        <div className="portfolio-controls">
+          {portfolios.length > 0 && (
+            <select value={portfolioId} onChange={(e) => setPortfolioId(e.target.value)}>
+              {portfolios.map(item => (
+                <option key={item.id} value={String(item.id)}>{item.name}</option>
+              ))}
+            </select>
+          )}
+          {portfolio && (
+            <>
+              <select value={portfolio.costBasisMethod} onChange={(e) => handleMethodChange(e.target.value)} title="Cost basis method">
+                {COST_BASIS_METHODS.map(method => (
+                  <option key={method.value} value={method.value}>{method.label}</option>
+                ))}
+              </select>
+              <button className="portfolio-button" onClick={handleDelete}>Delete</button>
+            </>
+          )}
+          <form className="portfolio-create" onSubmit={handleCreate}>
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="New portfolio name"
+              maxLength="64"
+            />
+            <button type="submit" className="portfolio-button">Create</button>
+          </form>
+        </div>
+      </div>
+
+      {error && <div className="portfolio-error">Error: {error}</div>}
+
+      {!portfolio ? (
+        <p className="form-hint">Create a portfolio to start recording transactions.</p>
+      ) : (
+        <>
+          {totals && (
+            <div className="metrics-grid">
+              <Summary label="Total Value" value={formatMoney(totals.totalValue)} />
+              <Summary label="Cash" value={formatMoney(totals.cash)} />
+              <Summary label="Unrealized P&L" value={formatMoney(totals.unrealized)} className={signClass(totals.unrealized)} />
+              <Summary label="Realized P&L" value={formatMoney(totals.realized)} className={signClass(totals.realized)} />
+              <Summary label="Dividends" value={formatMoney(totals.dividends)} />
+              <Summary label="Contributed" value={formatMoney(totals.contributions)} />
+              {performance && (
+                <>
+                  <Summary
+                    label="Time-Weighted"
+                    value={formatPercent(performance.twr)}
+                    detail={performance.twrAnnualized !== null ? `${performance.twrAnnualized}% a year` : null}
+                    className={signClass(performance.twr)}
+                  />
+                  <Summary label="Money-Weighted" value={formatPercent(performance.mwr)} detail="a year" className={signClass(performance.mwr)} />
+                </>
+              )}
+            </div>
+          )}
+
+          {loading && <p className="form-hint">Updating...</p>}
+
+          {performance && performance.history.length > 1 && (
+            <div className="equity-chart">
+              <Line options={chartOptions} data={chartData} />
+            </div>
+          )}
+
+          {holdings && holdings.positions.length > 0 && (
+            <div className="portfolio-section">
+              <h4>Positions</h4>
+              <table className="portfolio-table">
+                <thead>
+                  <tr>
+                    <th>Symbol</th>
+                    <th>Shares</th>
+                    <th>Avg Cost</th>
+                    <th>Price</th>
+                    <th>Market Value</th>
+                    <th>Unrealized</th>
+                    <th>Realized</th>
+                    <th>Weight</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {holdings.positions.map(position => (
+                    <tr key={position.symbol}>
+                      <td>{position.symbol}</td>
+                      <td>{position.quantity}</td>
+                      <td>{formatMoney(position.averageCost)}</td>
+                      <td>{formatMoney(position.price)}</td>
+                      <td>{formatMoney(position.marketValue)}</td>
+                      <td className={signClass(position.unrealized)}>
+                        {formatMoney(position.unrealized)} ({formatPercent(position.unrealizedPercent)})
+                      </td>
+                      <td className={signClass(position.realized)}>{formatMoney(position.realized)}</td>
+                      <td>{formatPercent(position.weight)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div className="portfolio-section">
+            <h4>Transactions</h4>
+            <form className="form-fields portfolio-transaction-form" onSubmit={handleAddTransaction}>
+              <label>
+                Type
+                <select value={form.type} onChange={(e) => setForm({ ...form, type: e.target.value })}>
+                  {Object.keys(TRANSACTION_TYPES).map(type => (
+                    <option key={type} value={type}>{type}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Date
+                <input type="date" value={form.date} max={today()} onChange={(e) => setForm({ ...form, date: e.target.value })} />
+              </label>
+              {TRANSACTION_TYPES[form.type].map(field => (
+                <label key={field}>
+                  {FIELD_LABELS[field]}
+                  {field === 'symbol' ? (
+                    <input type="text" value={form.symbol} onChange={(e) => setForm({ ...form, symbol: e.target.value.toUpperCase() })} />
+                  ) : (
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={form[field]}
+                      required={field !== 'fees'}
+                      onChange={(e) => setForm({ ...form, [field]: e.target.value })}
+                    />
+                  )}
+                </label>
+              ))}
+              <button type="submit" className="run-button">Record</button>
+            </form>
+
+            {transactions.length === 0 ? (
+              <p className="form-hint">No transactions recorded yet.</p>
+            ) : (
+              <table className="portfolio-table">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Type</th>
+                    <th>Symbol</th>
+                    <th>Details</th>
+                    <th>Fees</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[...transactions].reverse().map(transaction => (
+                    <tr key={transaction.id}>
+                      <td>{transaction.date}</td>
+                      <td>{transaction.type}</td>
+                      <td>{transaction.symbol || '-'}</td>
+                      <td>{describeTransaction(transaction)}</td>
+                      <td>{transaction.fees ? formatMoney(transaction.fees) : '-'}</td>
+                      <td>
+                        <button className="portfolio-delete" title="Delete transaction" onClick={() => handleDeleteTransaction(transaction.id)}>×</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function describeTransaction(transaction) {
+  switch (transaction.type) {
+    case 'BUY':
+    case 'SELL':
+      return `${transaction.quantity} @ ${formatMoney(transaction.price)}`;
+    case 'SPLIT':
+      return `${transaction.ratio}-for-1`;
+    default:
+      return formatMoney(transaction.amount);
+  }
+}
+
+function Summary({ label, value, detail, className = '' }) {
+  return (
+    <div className="metric-card">
+      <div className="metric-label">{label}</div>
+      <div className={`metric-value ${className}`}>{value}</div>
+      {detail && <div className="metric-benchmark">{detail}</div>}
+    </div>
+  );
+}
+
+export default Portfolio;
@@ -0,0 +1,362 @@
+import React, { useState, useEffect } from 'react';
+import {
+  fetchScreenerFields,
+  runScreen,
+  fetchScreens,
+  createScreen,
+  updateScreen,
+  deleteScreen,
+} from '../services/stockService';
+import '../styles/Backtest.css';
+import '../styles/Screener.css';
+
+const PAGE_SIZE = 25;
+const DEFAULT_SORT = { field: 'marketCap', direction: 'desc' };
+
+// Quote and indicator fields shown as percentages
+const PERCENT_FIELDS = ['changePercent', 'fromHigh', 'fromLow', 'priceVsSma'];
+
+const emptyFilter = (field) => ({ field, min: '', max: '', period: '', values: '' });
+
+const parseBound = (value) => (value === '' ? undefined : Number(value));
+
+// Editor rows to the API's { field, min, max, in, params } filters
+const toFilters = (rows, fieldsByName) => rows.map((row) => {
+  const definition = fieldsByName[row.field];
+  if (definition.type === 'text') {
+    return { field: row.field, in: row.values.split(',').map((value) => value.trim()).filter(Boolean) };
+  }
+
+  const filter = { field: row.field, min: parseBound(row.min), max: parseBound(row.max) };
+  if (definition.source === 'indicator' && row.period !== '') {
+    filter.params = { period: Number(row.period) };
+  }
+  return filter;
+});
+
+// Saved filters back to editor rows
+const toRows = (filters) => filters.map((filter) => ({
+  field: filter.field,
+  min: filter.min ?? '',
+  max: filter.max ?? '',
+  period: filter.params?.period ?? '',
+  values: (filter.in || []).join(', '),
+}));
+
+// Same naming as the API: indicator columns carry their period, e.g. rsi14
+const columnName = ({ field, params }) => (params?.period !== undefined ? `${field}${params.period}` : field);
+
+const formatMarketCap = (value) => {
+  if (value >= 1e12) return `$${(value / 1e12).toFixed(2)}T`;
+  if (value >= 1e9) return `$${(value / 1e9).toFixed(2)}B`;
+  if (value >= 1e6) return `$${(value / 1e6).toFixed(2)}M`;
+  return `$${value.toLocaleString()}`;
+};
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined) return 'N/A';
+  if (field === 'price') return `$${value.toFixed(2)}`;
+  if (field === 'marketCap') return formatMarketCap(value);
+  if (field === 'dividendYield') return `${(value * 100).toFixed(2)}%`;
+  if (PERCENT_FIELDS.includes(field)) return `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+  return value.toFixed(2);
+};
+
+const signClass = (field, value) => {
+  if (!PERCENT_FIELDS.includes(field) || !value) return '';
+  return value > 0 ? 'positive' : 'negative';
+};
+
+function Screener({ onSelectCompany }) {
+  const [fields, setFields] = useState([]);
+  const [filters, setFilters] = useState([]);
+  const [sort, setSort] = useState(DEFAULT_SORT);
+  const [result, setResult] = useState(null);
+  const [screens, setScreens] = useState([]);
+  const [screenId, setScreenId] = useState('');
+  const [saveName, setSaveName] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fieldsByName = Object.fromEntries(fields.map((field) => [field.field, field]));
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [fieldList, screenList] = await Promise.all([fetchScreenerFields(), fetchScreens()]);
+        setFields(fieldList);
+        setScreens(screenList);
+      } catch (err) {
+        setError(err.response?.data?.message || err.message);
+      }
+    };
+
+    load();
+  }, []);
+
+  const execute = async (screen, offset = 0) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const page = await runScreen(screen, { limit: PAGE_SIZE, offset });
+      setResult(page);
+      setSort(page.sort);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRun = () => execute({ filters: toFilters(filters, fieldsByName), sort });
+
+  const updateFilter = (index, changes) => {
+    setFilters((current) => current.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  };
+
+  const handleSort = (column) => {
+    // Numbers start high-to-low, names A to Z
+    const direction = columnName(sort) === column.key
+      ? (sort.direction === 'asc' ? 'desc' : 'asc')
+      : (column.field === 'symbol' || column.field === 'name' ? 'asc' : 'desc');
+    const order = { field: column.field, direction, ...(column.params ? { params: column.params } : {}) };
+
+    // Re-sort the screen that produced the table, not unsaved edits
+    execute({ filters: result.filters, sort: order });
+  };
+
+  const handleLoadScreen = (id) => {
+    setScreenId(id);
+    const screen = screens.find((candidate) => String(candidate.id) === id);
+    if (!screen) return;
+
+    setFilters(toRows(screen.filters));
+    setSaveName(screen.name);
+    execute({ filters: screen.filters, sort: screen.sort });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const name = saveName.trim();
+    if (!name) return;
+
+    try {
+      setError(null);
+      const definition = { filters: toFilters(filters, fieldsByName), sort };
+      const current = screens.find((screen) => String(screen.id) === screenId);
+      const saved = current && current.name === name
+        ? await updateScreen(current.id, definition)
+        : await createScreen({ name, ...definition });
+
+      setScreens((list) => [...list.filter((screen) => screen.id !== saved.id), saved]
+        .sort((a, b) => a.name.localeCompare(b.name)));
+      setScreenId(String(saved.id));
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const handleDelete = async () => {
+    const screen = screens.find((candidate) => String(candidate.id) === screenId);
+    if (!screen || !window.confirm(`Delete screen "${screen.name}"?`)) return;
+
+    try {
+      await deleteScreen(screen.id);
+      setScreens((list) => list.filter((candidate) => candidate.id !== screen.id));
+      setScreenId('');
+      setSaveName('');
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  // Result columns after symbol and name; indicator columns take their field and period from the screen
+  const indicatorSources = result ? [...result.filters, result.sort] : [];
+  const columns = result ? [
+    { key: 'symbol', field: 'symbol', label: 'Symbol' },
+    { key: 'name', field: 'name', label: 'Name' },
+    { key: 'sector', field: 'sector', label: 'Sector', unsortable: true },
+    ...result.columns.map((key) => {
+      const source = indicatorSources.find((candidate) => candidate.params && columnName(candidate) === key);
+      const field = source ? source.field : key;
+      const label = fieldsByName[field]?.label || field;
+      return source
+        ? { key, field, params: source.params, label: `${label} (${source.params.period})` }
+        : { key, field, label };
+    }),
+  ] : [];
+
+  const offset = result ? result.offset : 0;
+
+  return (
+    <div className="screener">
+      <div className="screener-header">
+        <h3>Stock Screener</h3>
+        <div className="screener-controls">
+          <select value={screenId} onChange={(e) => handleLoadScreen(e.target.value)}>
+            <option value="">Saved screens...</option>
+            {screens.map((screen) => (
+              <option key={screen.id} value={screen.id}>{screen.name}</option>
+            ))}
+          </select>
+          {screenId && (
+            <button className="screener-button" onClick={handleDelete}>Delete</button>
+          )}
+          <form className="screener-save" onSubmit={handleSave}>
+            <input
+              type="text"
+              placeholder="Screen name"
+              value={saveName}
+              maxLength={64}
+              onChange={(e) => setSaveName(e.target.value)}
+            />
+            <button type="submit" className="screener-button" disabled={!saveName.trim()}>Save</button>
+          </form>
+        </div>
+      </div>
+
+      {error && <div className="screener-error">Error: {error}</div>}
+
+      <div className="screener-filters">
+        {filters.length === 0 && <p className="form-hint">No filters: every listed security matches.</p>}
+        {filters.map((row, index) => {
+          const definition = fieldsByName[row.field] || {};
+          return (
+            <div className="form-fields screener-filter" key={index}>
+              <label>
+                Field
+                <select value={row.field} onChange={(e) => updateFilter(index, emptyFilter(e.target.value))}>
+                  {fields.map((field) => (
+                    <option key={field.field} value={field.field}>{field.label}</option>
+                  ))}
+                </select>
+              </label>
+              {definition.type === 'text' ? (
+                <label>
+                  Any of
+                  <input
+                    type="text"
+                    className="screener-values"
+                    placeholder="e.g. Technology, Energy"
+                    value={row.values}
+                    onChange={(e) => updateFilter(index, { values: e.target.value })}
+                  />
+                </label>
+              ) : (
+                <>
+                  <label>
+                    Min
+                    <input type="number" step="any" value={row.min} onChange={(e) => updateFilter(index, { min: e.target.value })} />
+                  </label>
+                  <label>
+                    Max
+                    <input type="number" step="any" value={row.max} onChange={(e) => updateFilter(index, { max: e.target.value })} />
+                  </label>
+                  {definition.source === 'indicator' && (
+                    <label>
+                      Period
+                      <input
+                        type="number"
+                        min="1"
+                        placeholder={definition.params?.period}
+                        value={row.period}
+                        onChange={(e) => updateFilter(index, { period: e.target.value })}
+                      />
+                    </label>
+                  )}
+                </>
+              )}
+              <button
+                className="screener-remove"
+                title="Remove filter"
+                onClick={() => setFilters((current) => current.filter((_, i) => i !== index))}
+              >
+                ×
+              </button>
+            </div>
+          );
+        })}
+        <div className="screener-actions">
+          <button
+            className="screener-button"
+            onClick={() => setFilters((current) => [...current, emptyFilter('marketCap')])}
+            disabled={fields.length === 0}
+          >
+            + Add filter
+          </button>
+          <button className="run-button" onClick={handleRun} disabled={loading || fields.length === 0}>
+            {loading ? 'Running...' : 'Run Screen'}
+          </button>
+        </div>
+      </div>
+
+      {result && (
+        <div className="screener-results">
+          <p className="form-hint">
+            {result.total} match{result.total === 1 ? '' : 'es'}
+            {result.skipped.length > 0 && ` · skipped for missing data: ${result.skipped.join(', ')}`}
+          </p>
+          {result.results.length > 0 && (
+            <table className="screener-table">
+              <thead>
+                <tr>
+                  {columns.map((column) => (
+                    column.unsortable ? (
+                      <th key={column.key}>{column.label}</th>
+                    ) : (
+                      <th
+                        key={column.key}
+                        className="sortable"
+                        onClick={() => handleSort(column)}
+                        aria-sort={columnName(sort) === column.key ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                      >
+                        {column.label}
+                        {columnName(sort) === column.key && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                      </th>
+                    )
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {result.results.map((row) => (
+                  <tr key={row.symbol} onClick={() => onSelectCompany && onSelectCompany(row)}>
+                    {columns.map((column) => (
+                      <td key={column.key} className={signClass(column.field, row[column.key])}>
+                        {['symbol', 'name', 'sector'].includes(column.key)
+                          ? row[column.key] || 'N/A'
+                          : formatValue(column.field, row[column.key])}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {result.total > PAGE_SIZE && (
+            <div className="screener-pager">
+              <button
+                className="screener-button"
+                onClick={() => execute({ filters: result.filters, sort: result.sort }, Math.max(offset - PAGE_SIZE, 0))}
+                disabled={loading || offset === 0}
+              >
+                Previous
+              </button>
+              <span className="form-hint">
+                {offset + 1}–{Math.min(offset + PAGE_SIZE, result.total)} of {result.total}
+              </span>
+              <button
+                className="screener-button"
+                onClick={() => execute({ filters: result.filters, sort: result.sort }, offset + PAGE_SIZE)}
+                disabled={loading || offset + PAGE_SIZE >= result.total}
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Screener;
@@ -1,55 +1,200 @@
-import React from 'react';
-import { Line } from 'react-chartjs-2';
+import React, { useState, useEffect, useRef } from 'react';
+import { Chart, Bar } from 'react-chartjs-2';
 import {
   Chart as ChartJS,
   CategoryScale,
   LinearScale,
   PointElement,
   LineElement,
+  LineController,
+  BarElement,
+  BarController,
+  Filler,
   Title,
   Tooltip,
   Legend,
-  TimeScale
+  TimeScale,
+  TimeSeriesScale
 } from 'chart.js';
+import {
+  CandlestickController,
+  CandlestickElement,
+  OhlcController,
+  OhlcElement
+} from 'chartjs-chart-financial';
 import 'chartjs-adapter-date-fns';
+import IndicatorPane, { PANES } from './IndicatorPane';
+import { crosshairPlugin } from './chartCrosshair';
+import { fetchStockIndicators } from '../services/stockService';
 import '../styles/StockChart.css';
 
+// Time axis settings for each bar interval
+const TIME_AXES = {
+  intraday: { unit: 'hour', tooltipFormat: 'PPp', displayFormats: { hour: 'MMM d HH:mm' } },
+  '1d': { unit: 'day', tooltipFormat: 'PPP', displayFormats: { day: 'MMM d' } },
+  '1wk': { unit: 'week', tooltipFormat: "'Week of' PPP", displayFormats: { week: 'MMM d' } },
+  '1mo': { unit: 'month', tooltipFormat: 'MMMM yyyy', displayFormats: { month: 'MMM yyyy' } },
+};
+
+const isIntraday = (interval) => /^\d+[mh]$/.test(interval);
+
+const CHART_TYPES = [
+  { value: 'line', label: 'Line' },
+  { value: 'area', label: 'Area' },
+  { value: 'candlestick', label: 'Candles' },
+  { value: 'ohlc', label: 'OHLC' },
+];
+
+// Indicators drawn over the price series
+const OVERLAYS = {
+  sma20: { label: 'SMA 20', lines: [{ key: 'value', color: 'rgb(33, 150, 243)' }] },
+  sma50: { label: 'SMA 50', lines: [{ key: 'value', color: 'rgb(63, 81, 181)' }] },
+  ema12: { label: 'EMA 12', lines: [{ key: 'value', color: 'rgb(255, 152, 0)' }] },
+  ema26: { label: 'EMA 26', lines: [{ key: 'value', color: 'rgb(121, 85, 72)' }] },
+  bollinger: {
+    label: 'Bollinger',
+    lines: [
+      { key: 'upper', label: 'BB Upper', color: 'rgba(156, 39, 176, 0.7)' },
+      { key: 'middle', label: 'BB Middle', color: 'rgba(156, 39, 176, 0.4)' },
+      { key: 'lower', label: 'BB Lower', color: 'rgba(156, 39, 176, 0.7)' },
+    ],
+  },
+  vwap: { label: 'VWAP', lines: [{ key: 'value', color: 'rgb(0, 150, 136)' }] },
+  psar: { label: 'Parabolic SAR', lines: [{ key: 'value', label: 'SAR', color: 'rgb(96, 125, 139)', dots: true }] },
+  ichimoku: {
+    label: 'Ichimoku',
+    lines: [
+      { key: 'conversion', label: 'Conversion', color: 'rgb(33, 150, 243)' },
+      { key: 'base', label: 'Base', color: 'rgb(183, 28, 28)' },
+      { key: 'spanA', label: 'Span A', color: 'rgba(76, 175, 80, 0.7)' },
+      { key: 'spanB', label: 'Span B', color: 'rgba(244, 67, 54, 0.7)' },
+    ],
+  },
+};
+
+const UP_COLOR = 'rgb(76, 175, 80)';
+const DOWN_COLOR = 'rgb(244, 67, 54)';
+
+// Fixed y-axis width so the price, volume and indicator panels line up
+const AXIS_WIDTH = 80;
+const fitAxis = (scale) => {
+  scale.width = AXIS_WIDTH;
+};
+
 // Register ChartJS components
 ChartJS.register(
   CategoryScale,
   LinearScale,
   PointElement,
   LineElement,
+  LineController,
+  BarElement,
+  BarController,
+  Filler,
   Title,
   Tooltip,
   Legend,
-  TimeScale
+  TimeScale,
+  TimeSeriesScale,
+  CandlestickController,
+  CandlestickElement,
+  OhlcController,
+  OhlcElement,
+  crosshairPlugin
 );
 
-function StockChart({ data, company, mini = false }) {
+// Numbers each chart's crosshair group
+let chartCount = 0;
+
+function StockChart({
+  data,
+  company,
+  interval = '1d',
+  timeRange = '1m',
+  adjusted = true,
+  events = [],
+  mini = false
+}) {
+  const [chartType, setChartType] = useState('area');
+  const [overlays, setOverlays] = useState([]);
+  const [panes, setPanes] = useState([]);
+  const [indicatorData, setIndicatorData] = useState({});
+  const intraday = isIntraday(interval);
+  const type = mini ? 'line' : chartType;
+  const financial = type === 'candlestick' || type === 'ohlc';
+  const times = data.map(item => new Date(item.date).getTime());
+
+  // Indicators are requested for exactly the bars on screen
+  const seriesKey = `${company.symbol}|${timeRange}|${interval}|${adjusted}`;
+
+  // One crosshair group per chart for its whole life, shared with its panes
+  const crosshairGroup = useRef(`stock-chart-${++chartCount}`).current;
+
+  // Results are cached per series, so flipping an indicator off and on again is instant
+  const requested = useRef(new Set());
+
+  useEffect(() => {
+    if (mini) return;
+
+    [...overlays, ...panes].forEach(async (name) => {
+      const key = `${seriesKey}|${name}`;
+      if (requested.current.has(key)) return;
+      requested.current.add(key);
+
+      try {
+        const result = await fetchStockIndicators(company.symbol, name, timeRange, interval, adjusted);
+        setIndicatorData(current => ({ ...current, [key]: result.data }));
+      } catch (err) {
+        console.error(`Error loading ${name}:`, err);
+        // Allow a retry the next time the indicator is toggled
+        requested.current.delete(key);
+      }
+    });
+  }, [mini, overlays, panes, seriesKey, company.symbol, timeRange, interval, adjusted]);
+
+  const toggle = (list, setList, name) => {
+    setList(list.includes(name) ? list.filter(item => item !== name) : [...list, name]);
+  };
+
+  // Each pane hides its time labels except the bottom one
+  const timeAxis = (showLabels) => ({
+    // Intraday bars are spaced evenly so nights and weekends leave no gaps
+    type: intraday ? 'timeseries' : 'time',
+    time: intraday ? TIME_AXES.intraday : (TIME_AXES[interval] || TIME_AXES['1d']),
+    // Half a bar of padding at each end so bars and lines share x positions
+    offset: !mini,
+    ticks: {
+      display: showLabels,
+      maxRotation: 0,
+      autoSkipPadding: 20
+    },
+    title: {
+      display: showLabels,
+      text: intraday ? 'Time' : 'Date'
+    },
+    grid: {
+      display: true,
+      color: 'rgba(0, 0, 0, 0.1)'
+    }
+  });
+
+  // Place each split/dividend on the first bar trading on or after its ex-date
+  const eventLabels = {};
+  if (!mini) {
+    events.forEach(event => {
+      const index = data.findIndex(item => item.date.slice(0, 10) >= event.date);
+      if (index !== -1) {
+        eventLabels[index] = [...(eventLabels[index] || []), event.description];
+      }
+    });
+  }
+
   // Configuration for the chart
   const chartOptions = {
     responsive: true,
     maintainAspectRatio: false,
     scales: {
-      x: { 
-        type: 'time',
-        time: {
-          unit: 'day',
-          tooltipFormat: 'PPP',
-          displayFormats: {
-            day: 'MMM d'
-          }
-        },
-        title: {
-          display: true,
-          text: 'Date'
-        },
-        grid: {
-          display: true,
-          color: 'rgba(0, 0, 0, 0.1)'
-        }
-      },
+      x: timeAxis(mini),
       y: { 
         title: { 
           display: true, 
@@ -63,16 +208,30 @@ function StockChart({ data, company, mini = false }) {
           callback: function(value) {
             return '$' + value.toFixed(2);
           }
-        }
+        },
+        afterFit: mini ? undefined : fitAxis
       }
     },
     plugins: {
       legend: {
         position: 'top',
       },
+      crosshair: {
+        group: mini ? null : crosshairGroup
+      },
       tooltip: {
         callbacks: {
           label: function(context) {
+            if (context.dataset.isEvents) {
+              return eventLabels[context.dataIndex];
+            }
+            if (context.dataset.isOverlay) {
+              return `${context.dataset.label}: $${context.parsed.y.toFixed(2)}`;
+            }
+            if (financial) {
+              const { o, h, l, c } = context.raw;
+              return `O $${o.toFixed(2)}  H $${h.toFixed(2)}  L $${l.toFixed(2)}  C $${c.toFixed(2)}`;
+            }
             return `$${context.parsed.y.toFixed(2)}`;
           }
         }
@@ -119,25 +278,132 @@ function StockChart({ data, company, mini = false }) {
   const isPositive = parseFloat(change.value) >= 0;
 
   // Prepare chart data
+  const priceDataset = financial ? {
+    type,
+    label: company.symbol,
+    data: data.map((item, index) => ({
+      x: times[index],
+      o: item.open,
+      h: item.high,
+      l: item.low,
+      c: item.close
+    })),
+    // chartjs-chart-financial 0.2 draws close > open with its "down" colours
+    // (and close < open with "up") for both candlesticks and OHLC bars
+    borderColors: { up: DOWN_COLOR, down: UP_COLOR, unchanged: 'rgb(158, 158, 158)' },
+    backgroundColors: {
+      up: 'rgba(244, 67, 54, 0.8)',
+      down: 'rgba(76, 175, 80, 0.8)',
+      unchanged: 'rgba(158, 158, 158, 0.8)'
+    }
+  } : {
+    type: 'line',
+    label: company.symbol,
+    data: data.map((item, index) => ({ x: times[index], y: item.close })),
+    borderColor: isPositive ? UP_COLOR : DOWN_COLOR,
+    backgroundColor: isPositive ? 'rgba(76, 175, 80, 0.2)' : 'rgba(244, 67, 54, 0.2)',
+    borderWidth: 2,
+    fill: type === 'area'
+  };
+
   const chartData = {
-    labels: data.map(item => new Date(item.date)),
+    datasets: [priceDataset],
+  };
+
+  if (Object.keys(eventLabels).length > 0) {
+    chartData.datasets.push({
+      type: 'line',
+      label: 'Splits & Dividends',
+      isEvents: true,
+      data: data.map((item, index) => ({ x: times[index], y: eventLabels[index] ? item.high : null })),
+      showLine: false,
+      pointStyle: 'triangle',
+      pointRadius: 7,
+      pointHoverRadius: 9,
+      borderColor: 'rgb(255, 152, 0)',
+      backgroundColor: 'rgba(255, 152, 0, 0.8)'
+    });
+  }
+
+  // Line each overlay up with the chart's bars by date
+  overlays.forEach(name => {
+    const points = indicatorData[`${seriesKey}|${name}`];
+    if (!points) return;
+
+    const byDate = new Map(points.map(point => [point.date, point]));
+    OVERLAYS[name].lines.forEach(line => {
+      chartData.datasets.push({
+        type: 'line',
+        label: line.label || OVERLAYS[name].label,
+        isOverlay: true,
+        data: data.map((item, index) => ({ x: times[index], y: byDate.get(item.date)?.[line.key] ?? null })),
+        borderColor: line.color,
+        backgroundColor: line.color,
+        borderWidth: 1.5,
+        showLine: !line.dots,
+        pointRadius: line.dots ? 2 : 0,
+        fill: false
+      });
+    });
+  });
+
+  // Volume histogram, coloured by whether each bar closed up or down
+  const volumeData = {
     datasets: [
       {
-        label: company.symbol,
-        data: data.map(item => item.close),
-        borderColor: isPositive ? 'rgb(76, 175, 80)' : 'rgb(244, 67, 54)',
-        backgroundColor: isPositive ? 'rgba(76, 175, 80, 0.2)' : 'rgba(244, 67, 54, 0.2)',
-        borderWidth: 2,
-        fill: true
+        label: 'Volume',
+        data: data.map((item, index) => ({ x: times[index], y: item.volume })),
+        backgroundColor: data.map(item => (
+          item.close >= item.open ? 'rgba(76, 175, 80, 0.6)' : 'rgba(244, 67, 54, 0.6)'
+        )),
+        barPercentage: 1,
+        categoryPercentage: 0.8
       }
     ],
   };
 
+  const volumeOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    scales: {
+      x: timeAxis(panes.length === 0),
+      y: {
+        beginAtZero: true,
+        grid: {
+          color: 'rgba(0, 0, 0, 0.05)'
+        },
+        ticks: {
+          maxTicksLimit: 3,
+          callback: formatVolume
+        },
+        afterFit: fitAxis
+      }
+    },
+    plugins: {
+      legend: {
+        display: false
+      },
+      crosshair: {
+        group: crosshairGroup
+      },
+      tooltip: {
+        callbacks: {
+          label: (context) => `Volume: ${context.parsed.y.toLocaleString()}`
+        }
+      }
+    },
+    interaction: {
+      mode: 'index',
+      intersect: false,
+    }
+  };
+
   if (mini) {
     return (
       <div className="stock-chart-container mini">
         <div className="mini-chart-wrapper">
-          <Line options={chartOptions} data={chartData} />
+          <Chart type="line" options={chartOptions} data={chartData} />
         </div>
       </div>
     );
@@ -155,20 +421,62 @@ function StockChart({ data, company, mini = false }) {
           </div>
         </div>
         <div className="chart-actions">
-          <button className="chart-action-btn">1D</button>
-          <button className="chart-action-btn">1W</button>
-          <button className="chart-action-btn active">1M</button>
-          <button className="chart-action-btn">3M</button>
-          <button className="chart-action-btn">1Y</button>
-          <button className="chart-action-btn">5Y</button>
-          <button className="chart-action-btn">MAX</button>
+          {CHART_TYPES.map(option => (
+            <button
+              key={option.value}
+              className={`chart-action-btn ${chartType === option.value ? 'active' : ''}`}
+              onClick={() => setChartType(option.value)}
+            >
+              {option.label}
+            </button>
+          ))}
         </div>
       </div>
+
+      <div className="indicator-toggles">
+        <span className="toggle-group-label">Overlays</span>
+        {Object.entries(OVERLAYS).map(([name, overlay]) => (
+          <button
+            key={name}
+            className={`indicator-chip ${overlays.includes(name) ? 'active' : ''}`}
+            onClick={() => toggle(overlays, setOverlays, name)}
+          >
+            {overlay.label}
+          </button>
+        ))}
+        <span className="toggle-group-label">Panes</span>
+        {Object.entries(PANES).map(([name, pane]) => (
+          <button
+            key={name}
+            className={`indicator-chip ${panes.includes(name) ? 'active' : ''}`}
+            onClick={() => toggle(panes, setPanes, name)}
+          >
+            {pane.label}
+          </button>
+        ))}
+      </div>
       
       <div className="chart-wrapper">
-        <Line options={chartOptions} data={chartData} />
+        <Chart type={type} options={chartOptions} data={chartData} />
       </div>
       
+      <div className="volume-wrapper">
+        <Bar options={volumeOptions} data={volumeData} />
+      </div>
+
+      {panes.map((name, index) => (
+        <IndicatorPane
+          key={name}
+          indicator={name}
+          points={indicatorData[`${seriesKey}|${name}`]}
+          data={data}
+          times={times}
+          xScale={timeAxis(index === panes.length - 1)}
+          axisFit={fitAxis}
+          group={crosshairGroup}
+        />
+      ))}
+      
       <div className="chart-footer">
         <div className="chart-stats">
           <div className="stat-item">
@@ -193,4 +501,11 @@ function StockChart({ data, company, mini = false }) {
   );
 }
 
+function formatVolume(value) {
+  if (value >= 1e9) return `${(value / 1e9).toFixed(1)}B`;
+  if (value >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+  if (value >= 1e3) return `${(value / 1e3).toFixed(0)}K`;
+  return value;
+}
+
 export default StockChart;
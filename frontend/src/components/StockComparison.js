@@ -1,14 +1,25 @@
 import React, { useState, useEffect } from 'react';
-import { compareStocks, fetchCurrentQuote } from '../services/stockService';
+import { Line } from 'react-chartjs-2';
+import { compareStocks, fetchCorrelation, fetchCurrentQuote, fetchWatchlists } from '../services/stockService';
+import { subscribeQuote, onConnectionChange } from '../services/quoteStream';
 import '../styles/StockComparison.css';
 
+const BENCHMARKS = ['SPY', 'QQQ', 'DIA'];
+const LINE_COLORS = ['#2563eb', '#dc2626', '#059669', '#d97706', '#7c3aed', '#db2777', '#0891b2', '#65a30d'];
+
 function StockComparison() {
   const [symbols, setSymbols] = useState(['AAPL', 'MSFT', 'GOOGL', 'TSLA']);
   const [comparisonData, setComparisonData] = useState(null);
   const [currentQuotes, setCurrentQuotes] = useState({});
+  const [quoteErrors, setQuoteErrors] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [timeRange, setTimeRange] = useState('1m');
+  const [streaming, setStreaming] = useState(false);
+  const [watchlists, setWatchlists] = useState([]);
+  const [correlation, setCorrelation] = useState(null);
+  const [benchmark, setBenchmark] = useState('SPY');
+  const [chartMode, setChartMode] = useState('rebased');
 
   useEffect(() => {
     const fetchData = async () => {
@@ -17,22 +28,11 @@ function StockComparison() {
         setError(null);
         console.log('Fetching data for symbols:', symbols, 'timeRange:', timeRange);
 
-        // Fetch comparison data and current quotes in parallel
-        const [compData, ...quotes] = await Promise.all([
-          compareStocks(symbols, timeRange),
-          ...symbols.map(symbol => fetchCurrentQuote(symbol))
-        ]);
+        const compData = await compareStocks(symbols, timeRange, { rebase: true, benchmark });
 
         console.log('Comparison data:', compData);
-        console.log('Quotes:', quotes);
 
         setComparisonData(compData);
-        
-        const quotesObj = {};
-        symbols.forEach((symbol, index) => {
-          quotesObj[symbol] = quotes[index];
-        });
-        setCurrentQuotes(quotesObj);
 
       } catch (err) {
         setError(err.message);
@@ -43,7 +43,73 @@ function StockComparison() {
     };
 
     fetchData();
-  }, [timeRange, symbols]); // Include symbols in dependency array
+  }, [timeRange, symbols, benchmark]); // Include symbols in dependency array
+
+  // Correlations need at least two symbols; a failure just hides the heatmap
+  useEffect(() => {
+    if (symbols.length < 2) {
+      setCorrelation(null);
+      return;
+    }
+
+    let cancelled = false;
+    fetchCorrelation(symbols, timeRange)
+      .then(data => !cancelled && setCorrelation(data))
+      .catch(() => !cancelled && setCorrelation(null));
+
+    return () => { cancelled = true; };
+  }, [symbols, timeRange]);
+
+  useEffect(() => onConnectionChange(setStreaming), []);
+
+  // Saved watchlists can replace the symbol set
+  useEffect(() => {
+    fetchWatchlists()
+      .then(setWatchlists)
+      .catch(() => setWatchlists([]));
+  }, []);
+
+  // Current quotes are pushed over the WebSocket
+  useEffect(() => {
+    const unsubscribes = symbols.map(symbol => subscribeQuote(symbol, (quote) => {
+      setCurrentQuotes(quotes => ({ ...quotes, [symbol]: quote }));
+      setQuoteErrors(errors => ({ ...errors, [symbol]: null }));
+    }, (message) => {
+      setQuoteErrors(errors => ({ ...errors, [symbol]: message }));
+    }));
+
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [symbols]);
+
+  // Poll for quotes while the stream is down
+  useEffect(() => {
+    if (streaming) return;
+
+    const fetchQuotes = async () => {
+      const quotes = await Promise.all(symbols.map(symbol =>
+        fetchCurrentQuote(symbol).catch(err => {
+          console.error(`Error fetching quote for ${symbol}:`, err);
+          setQuoteErrors(errors => ({ ...errors, [symbol]: err.message }));
+          return null;
+        })
+      ));
+
+      setCurrentQuotes(current => {
+        const quotesObj = { ...current };
+        symbols.forEach((symbol, index) => {
+          if (quotes[index]) {
+            quotesObj[symbol] = quotes[index];
+          }
+        });
+        return quotesObj;
+      });
+    };
+
+    fetchQuotes();
+
+    const interval = setInterval(fetchQuotes, 30000);
+    return () => clearInterval(interval);
+  }, [symbols, streaming]);
 
   const addSymbol = (newSymbol) => {
     if (newSymbol && !symbols.includes(newSymbol.toUpperCase())) {
@@ -51,6 +117,13 @@ function StockComparison() {
     }
   };
 
+  const loadWatchlist = (id) => {
+    const watchlist = watchlists.find(list => String(list.id) === id);
+    if (watchlist && watchlist.symbols.length > 0) {
+      setSymbols(watchlist.symbols);
+    }
+  };
+
   const removeSymbol = (symbolToRemove) => {
     setSymbols(symbols.filter(symbol => symbol !== symbolToRemove));
   };
@@ -75,6 +148,20 @@ function StockComparison() {
       <div className="comparison-header">
         <h3>Stock Comparison Dashboard</h3>
         <div className="controls">
+          {watchlists.length > 0 && (
+            <select
+              value=""
+              onChange={(e) => loadWatchlist(e.target.value)}
+              className="timerange-select"
+            >
+              <option value="" disabled>Load watchlist...</option>
+              {watchlists.map(watchlist => (
+                <option key={watchlist.id} value={String(watchlist.id)} disabled={watchlist.symbols.length === 0}>
+                  {watchlist.name} ({watchlist.symbols.length})
+                </option>
+              ))}
+            </select>
+          )}
           <select 
             value={timeRange} 
             onChange={(e) => setTimeRange(e.target.value)}
@@ -131,6 +218,8 @@ function StockComparison() {
                     </div>
                   </div>
                 </>
+              ) : quoteErrors[symbol] ? (
+                <div className="quote-error">{quoteErrors[symbol]}</div>
               ) : (
                 <div className="loading-quote">Loading...</div>
               )}
@@ -150,7 +239,7 @@ function StockComparison() {
           <h4>Performance Comparison ({timeRange})</h4>
           <div className="performance-bars">
             {symbols.map(symbol => {
-              const data = comparisonData[symbol];
+              const data = comparisonData.data[symbol];
               const performance = calculatePerformance(data);
               const isPositive = performance >= 0;
               
@@ -179,6 +268,50 @@ function StockComparison() {
         </div>
       )}
 
+      {/* Rebased / Relative Strength Chart */}
+      {comparisonData?.rebased && (
+        <div className="performance-section">
+          <div className="chart-header">
+            <h4>
+              {chartMode === 'rebased'
+                ? `Rebased to 100 (since ${formatChartDate(comparisonData.rebased.startDate)})`
+                : `Relative Strength vs ${benchmark}`}
+            </h4>
+            <div className="controls">
+              <select
+                value={chartMode}
+                onChange={(e) => setChartMode(e.target.value)}
+                className="timerange-select"
+              >
+                <option value="rebased">Rebased</option>
+                <option value="relative">Relative strength</option>
+              </select>
+              <select
+                value={benchmark}
+                onChange={(e) => setBenchmark(e.target.value)}
+                className="timerange-select"
+                title="Benchmark"
+              >
+                {BENCHMARKS.map(symbol => (
+                  <option key={symbol} value={symbol}>vs {symbol}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="comparison-chart">
+            <ComparisonChart
+              series={chartMode === 'rebased' ? comparisonData.rebased.series : comparisonData.relativeStrength?.series || {}}
+              benchmark={chartMode === 'rebased' ? benchmark : null}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Correlation Heatmap */}
+      {correlation && (
+        <CorrelationHeatmap correlation={correlation} />
+      )}
+
       {/* 52-Week Comparison */}
       <div className="week-comparison">
         <h4>52-Week Performance</h4>
@@ -216,6 +349,114 @@ function StockComparison() {
   );
 }
 
+const formatChartDate = (date) => new Date(date.length > 10 ? date : `${date}T00:00:00Z`).toLocaleDateString();
+
+// One line per symbol; the benchmark, when shown, is dashed grey
+function ComparisonChart({ series, benchmark }) {
+  const symbols = Object.keys(series);
+
+  const data = {
+    datasets: symbols.map((symbol, index) => {
+      const isBenchmark = symbol === benchmark;
+      const color = isBenchmark ? '#6b7280' : LINE_COLORS[index % LINE_COLORS.length];
+
+      return {
+        label: isBenchmark ? `${symbol} (benchmark)` : symbol,
+        data: series[symbol].map(point => ({ x: point.date, y: point.value })),
+        borderColor: color,
+        backgroundColor: color,
+        borderWidth: isBenchmark ? 1.5 : 2,
+        borderDash: isBenchmark ? [6, 4] : [],
+        pointRadius: 0,
+      };
+    }),
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    scales: {
+      x: {
+        type: 'time',
+        ticks: {
+          maxRotation: 0,
+          autoSkipPadding: 20,
+        },
+      },
+      y: {
+        ticks: {
+          callback: (value) => value.toFixed(0),
+        },
+      },
+    },
+    plugins: {
+      tooltip: {
+        callbacks: {
+          label: (context) => `${context.dataset.label}: ${context.parsed.y.toFixed(2)}`,
+        },
+      },
+    },
+    interaction: {
+      mode: 'index',
+      intersect: false,
+    },
+  };
+
+  return <Line options={options} data={data} />;
+}
+
+// Shade a correlation from blue (-1) through white (0) to red (+1)
+const correlationColor = (value) => {
+  const alpha = Math.min(Math.abs(value), 1) * 0.85;
+  return value >= 0 ? `rgba(220, 38, 38, ${alpha})` : `rgba(37, 99, 235, ${alpha})`;
+};
+
+function CorrelationHeatmap({ correlation }) {
+  const { symbols, matrix, observations, timeRange } = correlation;
+
+  return (
+    <div className="correlation-section">
+      <h4>Return Correlation ({timeRange})</h4>
+      <p className="correlation-note">
+        Pearson correlation of {observations} daily log returns. Pairs near +1 move together and add little diversification.
+      </p>
+      <div className="heatmap-scroll">
+        <table className="correlation-heatmap">
+          <thead>
+            <tr>
+              <th></th>
+              {symbols.map(symbol => <th key={symbol}>{symbol}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {symbols.map((rowSymbol, i) => (
+              <tr key={rowSymbol}>
+                <th>{rowSymbol}</th>
+                {matrix[i].map((value, j) => (
+                  <td
+                    key={symbols[j]}
+                    className={i === j ? 'diagonal' : Math.abs(value) > 0.6 ? 'strong' : ''}
+                    style={i === j ? undefined : { background: correlationColor(value) }}
+                    title={`${rowSymbol} / ${symbols[j]}: ${value.toFixed(2)}`}
+                  >
+                    {value.toFixed(2)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="heatmap-legend">
+        <span>-1</span>
+        <span className="legend-bar"></span>
+        <span>+1</span>
+      </div>
+    </div>
+  );
+}
+
 function AddSymbolForm({ onAdd }) {
   const [symbol, setSymbol] = useState('');
 
@@ -237,7 +478,7 @@ function AddSymbolForm({ onAdd }) {
           onChange={(e) => setSymbol(e.target.value.toUpperCase())}
           placeholder="SYMBOL"
           className="symbol-input"
-          maxLength="5"
+          maxLength="20"
         />
         <button type="submit" className="add-btn">Add</button>
       </div>
@@ -1,7 +1,27 @@
 import React from 'react';
 import '../styles/StockInfo.css';
 
-function StockInfo({ company, timeRange, onTimeRangeChange }) {
+// Bar intervals and the time ranges the API accepts them for
+const INTERVALS = [
+  { value: '1m', label: '1 min', ranges: ['1d', '5d', '1w'] },
+  { value: '5m', label: '5 min', ranges: ['1d', '5d', '1w', '1m'] },
+  { value: '15m', label: '15 min', ranges: ['1d', '5d', '1w', '1m'] },
+  { value: '30m', label: '30 min', ranges: ['1d', '5d', '1w', '1m'] },
+  { value: '1h', label: '1 hour', ranges: ['1d', '5d', '1w', '1m', '3m', '6m', '1y'] },
+  { value: '1d', label: 'Daily', ranges: ['1w', '1m', '3m', '6m', '1y', '5y', 'max'] },
+  { value: '1wk', label: 'Weekly', ranges: ['1m', '3m', '6m', '1y', '5y', 'max'] },
+  { value: '1mo', label: 'Monthly', ranges: ['3m', '6m', '1y', '5y', 'max'] },
+];
+
+function StockInfo({
+  company,
+  timeRange,
+  onTimeRangeChange,
+  interval = '',
+  onIntervalChange,
+  adjusted = true,
+  onAdjustedChange
+}) {
   const timeRanges = [
     { value: '1d', label: '1D' },
     { value: '1w', label: '1W' },
@@ -41,6 +61,30 @@ function StockInfo({ company, timeRange, onTimeRangeChange }) {
             {range.label}
           </button>
         ))}
+        
+        {onIntervalChange && (
+          <select
+            className="interval-select"
+            value={interval}
+            onChange={(e) => onIntervalChange(e.target.value)}
+          >
+            <option value="">Auto</option>
+            {INTERVALS.filter(option => option.ranges.includes(timeRange)).map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        )}
+        
+        {onAdjustedChange && (
+          <label className="adjusted-toggle" title="Adjust past prices for splits and dividends">
+            <input
+              type="checkbox"
+              checked={adjusted}
+              onChange={(e) => onAdjustedChange(e.target.checked)}
+            />
+            Adjusted
+          </label>
+        )}
       </div>
       
       {company.description && (
@@ -73,6 +73,9 @@ function TechnicalAnalysis({ symbol }) {
                   </span>
                 </div>
                 <p className="signal-description">{signal.description}</p>
+                <div className="signal-meta">
+                  {formatSignalDate(signal.date)} at ${signal.price.toFixed(2)} · {formatAgo(signal)}
+                </div>
               </div>
             ))}
           </div>
@@ -145,12 +148,12 @@ function TechnicalAnalysis({ symbol }) {
       {/* Overall Sentiment */}
       <div className="overall-sentiment">
         <h4>Overall Sentiment</h4>
-        <div className={`sentiment-indicator ${getOverallSentiment(analysis.signals)}`}>
+        <div className={`sentiment-indicator ${getOverallSentiment(getLatestSignals(analysis.signals))}`}>
           <div className="sentiment-text">
-            {getSentimentText(getOverallSentiment(analysis.signals))}
+            {getSentimentText(getOverallSentiment(getLatestSignals(analysis.signals)))}
           </div>
           <div className="sentiment-description">
-            Based on {analysis.signals.length} technical signals
+            Based on the latest event from {getLatestSignals(analysis.signals).length} signal types
           </div>
         </div>
       </div>
@@ -235,6 +238,27 @@ function getBollingerStatusText(bb) {
   return 'Normal';
 }
 
+// Signals arrive newest first; keep the most recent event from each rule
+function getLatestSignals(signals) {
+  if (!signals) return [];
+  const seen = new Set();
+  return signals.filter(signal => {
+    if (seen.has(signal.rule)) return false;
+    seen.add(signal.rule);
+    return true;
+  });
+}
+
+function formatSignalDate(date) {
+  return date.length > 10 ? new Date(date).toLocaleString() : new Date(`${date}T00:00:00`).toLocaleDateString();
+}
+
+function formatAgo(signal) {
+  if (signal.barsAgo === 0) return 'latest bar';
+  if (signal.daysAgo === 0) return `${signal.barsAgo} bars ago`;
+  return signal.daysAgo === 1 ? '1 day ago' : `${signal.daysAgo} days ago`;
+}
+
 function getOverallSentiment(signals) {
   if (!signals || signals.length === 0) return 'neutral';
   
@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react';
+import {
+  fetchCurrentQuote,
+  updateWatchlist,
+  addWatchlistSymbol,
+  removeWatchlistSymbol,
+} from '../services/stockService';
+import { subscribeQuote, onConnectionChange } from '../services/quoteStream';
+
+function Watchlist({ watchlist, companies, selectedCompany, onSelectCompany, onChange }) {
+  const [quotes, setQuotes] = useState({});
+  const [quoteErrors, setQuoteErrors] = useState({});
+  const [streaming, setStreaming] = useState(false);
+  const [newSymbol, setNewSymbol] = useState('');
+  const [error, setError] = useState(null);
+  const { symbols } = watchlist;
+
+  useEffect(() => onConnectionChange(setStreaming), []);
+
+  // Quotes for every row are pushed over the WebSocket
+  useEffect(() => {
+    const unsubscribes = symbols.map(symbol => subscribeQuote(symbol, (quote) => {
+      setQuotes(current => ({ ...current, [symbol]: quote }));
+      setQuoteErrors(errors => ({ ...errors, [symbol]: null }));
+    }, (message) => {
+      setQuoteErrors(errors => ({ ...errors, [symbol]: message }));
+    }));
+
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [symbols]);
+
+  // Poll for quotes while the stream is down
+  useEffect(() => {
+    if (streaming || symbols.length === 0) return;
+
+    const fetchQuotes = async () => {
+      const results = await Promise.all(symbols.map(symbol =>
+        fetchCurrentQuote(symbol).catch(err => {
+          setQuoteErrors(errors => ({ ...errors, [symbol]: err.message }));
+          return null;
+        })
+      ));
+
+      setQuotes(current => {
+        const next = { ...current };
+        symbols.forEach((symbol, index) => {
+          if (results[index]) {
+            next[symbol] = results[index];
+          }
+        });
+        return next;
+      });
+      setQuoteErrors(errors => {
+        const next = { ...errors };
+        symbols.forEach((symbol, index) => {
+          if (results[index]) {
+            next[symbol] = null;
+          }
+        });
+        return next;
+      });
+    };
+
+    fetchQuotes();
+
+    const interval = setInterval(fetchQuotes, 30000);
+    return () => clearInterval(interval);
+  }, [symbols, streaming]);
+
+  const save = async (request) => {
+    try {
+      setError(null);
+      onChange(await request);
+    } catch (err) {
+      setError(err.response?.data?.message || err.message);
+    }
+  };
+
+  const move = (index, offset) => {
+    const reordered = [...symbols];
+    const [symbol] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, symbol);
+    save(updateWatchlist(watchlist.id, { symbols: reordered }));
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const symbol = newSymbol.trim();
+    if (!symbol) return;
+
+    save(addWatchlistSymbol(watchlist.id, symbol));
+    setNewSymbol('');
+  };
+
+  const companyFor = (symbol) => companies.find(company => company.symbol === symbol) || { symbol, name: symbol };
+
+  return (
+    <>
+      {symbols.length === 0 ? (
+        <div className="company-list-message">This watchlist is empty. Add a symbol below.</div>
+      ) : (
+        <ul className="companies">
+          {symbols.map((symbol, index) => {
+            const company = companyFor(symbol);
+            const quote = quotes[symbol];
+            const quoteError = quoteErrors[symbol];
+            const isPositive = quote?.change >= 0;
+
+            return (
+              <li
+                key={symbol}
+                className={`company-item watchlist-item ${selectedCompany && selectedCompany.symbol === symbol ? 'selected' : ''}`}
+                onClick={() => onSelectCompany(company)}
+              >
+                <div className="company-info">
+                  <h3 className="company-name">{symbol}</h3>
+                  <span className="company-symbol">{company.name}</span>
+                </div>
+                <div className="watchlist-quote" title={quoteError || undefined}>
+                  <div className={`watchlist-price ${quoteError ? 'stale' : ''}`}>
+                    {quote ? `$${quote.price?.toFixed(2)}` : quoteError ? 'Unavailable' : '...'}
+                  </div>
+                  {quote && (
+                    <div className={`company-change ${isPositive ? 'positive' : 'negative'}`}>
+                      {isPositive ? '+' : ''}{quote.changePercent?.toFixed(2)}%
+                    </div>
+                  )}
+                </div>
+                <div className="watchlist-actions" onClick={(e) => e.stopPropagation()}>
+                  <button title="Move up" disabled={index === 0} onClick={() => move(index, -1)}>▲</button>
+                  <button title="Move down" disabled={index === symbols.length - 1} onClick={() => move(index, 1)}>▼</button>
+                  <button title="Remove from watchlist" onClick={() => save(removeWatchlistSymbol(watchlist.id, symbol))}>×</button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {error && <div className="watchlist-error">{error}</div>}
+
+      <form className="watchlist-add" onSubmit={handleAdd}>
+        <input
+          type="text"
+          value={newSymbol}
+          onChange={(e) => setNewSymbol(e.target.value.toUpperCase())}
+          placeholder="Add symbol"
+          className="company-search"
+        />
+        <button type="submit" className="watchlist-button">Add</button>
+      </form>
+    </>
+  );
+}
+
+export default Watchlist;
@@ -0,0 +1,91 @@
+// Chart.js plugin drawing a vertical crosshair that follows the mouse across
+// every chart sharing the same `plugins.crosshair.group` option. The charts
+// must plot the same bars so a data index means the same moment in each.
+
+// group -> Set of charts
+const groups = new Map();
+
+const syncGroup = (group, index) => {
+  (groups.get(group) || []).forEach(chart => {
+    if (chart.$crosshairIndex !== index) {
+      chart.$crosshairIndex = index;
+      chart.draw();
+    }
+  });
+};
+
+// Move a chart to a group (null leaves its current one)
+const joinGroup = (chart, group) => {
+  const current = chart.$crosshairGroup || null;
+  if (current === group) return;
+
+  const members = groups.get(current);
+  if (members) {
+    members.delete(chart);
+    if (members.size === 0) {
+      groups.delete(current);
+    }
+  }
+
+  chart.$crosshairGroup = group;
+  chart.$crosshairIndex = null;
+  if (!group) return;
+
+  if (!groups.has(group)) {
+    groups.set(group, new Set());
+  }
+  groups.get(group).add(chart);
+};
+
+export const crosshairPlugin = {
+  id: 'crosshair',
+
+  defaults: {
+    group: null,
+    color: 'rgba(0, 0, 0, 0.35)',
+  },
+
+  afterInit(chart, args, options) {
+    joinGroup(chart, options.group);
+  },
+
+  // The group option can change with the chart's props
+  afterUpdate(chart, args, options) {
+    joinGroup(chart, options.group);
+  },
+
+  afterDestroy(chart) {
+    joinGroup(chart, null);
+  },
+
+  afterEvent(chart, args, options) {
+    if (!options.group) return;
+
+    const { event } = args;
+    if (event.type === 'mouseout') {
+      syncGroup(options.group, null);
+    } else if (event.type === 'mousemove') {
+      const elements = chart.getElementsAtEventForMode(event, 'index', { intersect: false }, false);
+      syncGroup(options.group, elements.length > 0 ? elements[0].index : null);
+    }
+  },
+
+  afterDatasetsDraw(chart, args, options) {
+    const index = chart.$crosshairIndex;
+    if (index === null || index === undefined) return;
+
+    const point = chart.getDatasetMeta(0).data[index];
+    if (!point) return;
+
+    const { ctx, chartArea } = chart;
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(point.x, chartArea.top);
+    ctx.lineTo(point.x, chartArea.bottom);
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = options.color;
+    ctx.setLineDash([4, 4]);
+    ctx.stroke();
+    ctx.restore();
+  },
+};
@@ -0,0 +1,117 @@
+import { API_BASE_URL } from './stockService';
+
+// WebSocket URL, derived from the API URL unless set explicitly
+const WS_URL = process.env.REACT_APP_WS_URL
+  || `${API_BASE_URL.replace(/^http/, 'ws').replace(/\/api\/?$/, '')}/ws/quotes`;
+
+const MAX_RECONNECT_DELAY = 30000;
+
+// One shared socket for the whole app; symbol -> Set of { onQuote, onError } listeners
+const listeners = new Map();
+const connectionListeners = new Set();
+
+let socket = null;
+let connected = false;
+let reconnectDelay = 1000;
+let reconnectTimer = null;
+
+const setConnected = (value) => {
+  if (connected !== value) {
+    connected = value;
+    connectionListeners.forEach(callback => callback(value));
+  }
+};
+
+const send = (message) => {
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+const connect = () => {
+  if (socket || typeof WebSocket === 'undefined') return;
+
+  socket = new WebSocket(WS_URL);
+
+  socket.onopen = () => {
+    reconnectDelay = 1000;
+    setConnected(true);
+
+    // Restore subscriptions after a reconnect
+    if (listeners.size > 0) {
+      send({ type: 'subscribe', symbols: [...listeners.keys()] });
+    }
+  };
+
+  socket.onmessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (err) {
+      return;
+    }
+
+    const symbolListeners = listeners.get(message.symbol);
+
+    if (message.type === 'quote') {
+      if (symbolListeners) {
+        symbolListeners.forEach(listener => listener.onQuote(message.data));
+      }
+    } else if (message.type === 'error') {
+      // Errors about one symbol go to its listeners; others concern the connection
+      if (symbolListeners) {
+        symbolListeners.forEach(listener => listener.onError && listener.onError(message.message));
+      } else {
+        console.error('Quote stream error:', message.message);
+      }
+    }
+  };
+
+  socket.onclose = () => {
+    socket = null;
+    setConnected(false);
+
+    // Reconnect with backoff while anything is still subscribed
+    if (listeners.size > 0 && !reconnectTimer) {
+      reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        connect();
+      }, reconnectDelay);
+      reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
+    }
+  };
+};
+
+// Receive pushed quotes (and refresh errors) for a symbol; returns an unsubscribe function
+export const subscribeQuote = (symbol, onQuote, onError) => {
+  const listener = { onQuote, onError };
+  let symbolListeners = listeners.get(symbol);
+
+  if (!symbolListeners) {
+    symbolListeners = new Set();
+    listeners.set(symbol, symbolListeners);
+    send({ type: 'subscribe', symbols: [symbol] });
+  }
+
+  symbolListeners.add(listener);
+  connect();
+
+  return () => {
+    symbolListeners.delete(listener);
+
+    if (symbolListeners.size === 0) {
+      listeners.delete(symbol);
+      send({ type: 'unsubscribe', symbols: [symbol] });
+    }
+  };
+};
+
+// Follow the socket state (called immediately); returns an unsubscribe function
+export const onConnectionChange = (callback) => {
+  connectionListeners.add(callback);
+  callback(connected);
+
+  return () => connectionListeners.delete(callback);
+};
+
+export const isConnected = () => connected;
@@ -1,7 +1,7 @@
 import axios from 'axios';
 
 // API base URL
-const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000/api';
+export const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000/api';
 
 // Create axios instance with default config
 const apiClient = axios.create({
@@ -24,10 +24,10 @@ export const fetchCompanies = async () => {
 };
 
 // Fetch stock data for a specific company and time range
-export const fetchStockData = async (symbol, timeRange) => {
+export const fetchStockData = async (symbol, timeRange, interval, adjusted = true) => {
   try {
-    const response = await apiClient.get(`/stocks/${symbol}`, {
-      params: { timeRange },
+    const response = await apiClient.get(`/stocks/${encodeURIComponent(symbol)}`, {
+      params: { timeRange, interval, adjusted },
     });
     return response.data;
   } catch (error) {
@@ -39,7 +39,7 @@ export const fetchStockData = async (symbol, timeRange) => {
 // Fetch company details
 export const fetchCompanyDetails = async (symbol) => {
   try {
-    const response = await apiClient.get(`/companies/${symbol}`);
+    const response = await apiClient.get(`/companies/${encodeURIComponent(symbol)}`);
     return response.data;
   } catch (error) {
     console.error(`Error fetching company details for ${symbol}:`, error);
@@ -47,11 +47,11 @@ export const fetchCompanyDetails = async (symbol) => {
   }
 };
 
-// Search for companies
-export const searchCompanies = async (query) => {
+// Search for companies, best matches first ({ total, results } with highlight ranges)
+export const searchCompanies = async (query, { limit, offset } = {}) => {
   try {
     const response = await apiClient.get('/companies/search', {
-      params: { query },
+      params: { query, limit, offset },
     });
     return response.data;
   } catch (error) {
@@ -63,7 +63,7 @@ export const searchCompanies = async (query) => {
 // Fetch current quote for a stock
 export const fetchCurrentQuote = async (symbol) => {
   try {
-    const response = await apiClient.get(`/stocks/${symbol}/quote`);
+    const response = await apiClient.get(`/stocks/${encodeURIComponent(symbol)}/quote`);
     return response.data;
   } catch (error) {
     console.error(`Error fetching current quote for ${symbol}:`, error);
@@ -71,13 +71,15 @@ export const fetchCurrentQuote = async (symbol) => {
   }
 };
 
-// Compare multiple stocks
-export const compareStocks = async (symbols, timeRange = '1m') => {
+// Compare multiple stocks (optionally with lines rebased to 100 and relative strength against a benchmark)
+export const compareStocks = async (symbols, timeRange = '1m', { rebase, benchmark } = {}) => {
   try {
     const response = await apiClient.get('/stocks/compare', {
       params: { 
         symbols: symbols.join(','),
-        timeRange 
+        timeRange,
+        rebase,
+        benchmark
       },
     });
     return response.data;
@@ -87,11 +89,28 @@ export const compareStocks = async (symbols, timeRange = '1m') => {
   }
 };
 
+// Fetch the correlation matrix of daily returns (and rolling correlations when a window is given)
+export const fetchCorrelation = async (symbols, timeRange = '1m', window) => {
+  try {
+    const response = await apiClient.get('/stocks/correlation', {
+      params: {
+        symbols: symbols.join(','),
+        timeRange,
+        window
+      },
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching correlation:', error);
+    throw error;
+  }
+};
+
 // Fetch technical indicators for a stock
-export const fetchStockIndicators = async (symbol, indicator, timeRange = '1m') => {
+export const fetchStockIndicators = async (symbol, indicator, timeRange = '1m', interval, adjusted = true) => {
   try {
-    const response = await apiClient.get(`/stocks/${symbol}/indicators`, {
-      params: { indicator, timeRange },
+    const response = await apiClient.get(`/stocks/${encodeURIComponent(symbol)}/indicators`, {
+      params: { indicator, timeRange, interval, adjusted },
     });
     return response.data;
   } catch (error) {
@@ -103,7 +122,7 @@ export const fetchStockIndicators = async (symbol, indicator, timeRange = '1m')
 // Fetch comprehensive technical analysis
 export const fetchTechnicalAnalysis = async (symbol, timeRange = '3m') => {
   try {
-    const response = await apiClient.get(`/stocks/${symbol}/technical-analysis`, {
+    const response = await apiClient.get(`/stocks/${encodeURIComponent(symbol)}/technical-analysis`, {
       params: { timeRange },
     });
     return response.data;
@@ -116,7 +135,7 @@ export const fetchTechnicalAnalysis = async (symbol, timeRange = '3m') => {
 // Fetch 52-week high/low data
 export const fetch52WeekData = async (symbol) => {
   try {
-    const response = await apiClient.get(`/stocks/${symbol}/52week`);
+    const response = await apiClient.get(`/stocks/${encodeURIComponent(symbol)}/52week`);
     return response.data;
   } catch (error) {
     console.error(`Error fetching 52-week data for ${symbol}:`, error);
@@ -124,6 +143,262 @@ export const fetch52WeekData = async (symbol) => {
   }
 };
 
+// Fetch stock splits and dividends
+export const fetchStockEvents = async (symbol, timeRange = 'max') => {
+  try {
+    const response = await apiClient.get(`/stocks/${encodeURIComponent(symbol)}/events`, {
+      params: { timeRange },
+    });
+    return response.data;
+  } catch (error) {
+    console.error(`Error fetching events for ${symbol}:`, error);
+    throw error;
+  }
+};
+
+// Replay a signal strategy over a stock's history
+export const runBacktest = async (symbol, strategy, timeRange = '1y', adjusted = true) => {
+  try {
+    const response = await apiClient.post('/backtest', {
+      symbol,
+      strategy,
+      timeRange,
+      adjusted,
+    });
+    return response.data;
+  } catch (error) {
+    console.error(`Error backtesting ${symbol}:`, error);
+    throw error;
+  }
+};
+
+// Fetch saved watchlists
+export const fetchWatchlists = async () => {
+  try {
+    const response = await apiClient.get('/watchlists');
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching watchlists:', error);
+    throw error;
+  }
+};
+
+// Create a named watchlist
+export const createWatchlist = async (name, symbols = []) => {
+  try {
+    const response = await apiClient.post('/watchlists', { name, symbols });
+    return response.data;
+  } catch (error) {
+    console.error(`Error creating watchlist ${name}:`, error);
+    throw error;
+  }
+};
+
+// Rename a watchlist ({ name }) and/or reorder its symbols ({ symbols })
+export const updateWatchlist = async (id, changes) => {
+  try {
+    const response = await apiClient.patch(`/watchlists/${id}`, changes);
+    return response.data;
+  } catch (error) {
+    console.error(`Error updating watchlist ${id}:`, error);
+    throw error;
+  }
+};
+
+// Delete a watchlist
+export const deleteWatchlist = async (id) => {
+  try {
+    await apiClient.delete(`/watchlists/${id}`);
+  } catch (error) {
+    console.error(`Error deleting watchlist ${id}:`, error);
+    throw error;
+  }
+};
+
+// Add a symbol to the end of a watchlist
+export const addWatchlistSymbol = async (id, symbol) => {
+  try {
+    const response = await apiClient.post(`/watchlists/${id}/symbols`, { symbol });
+    return response.data;
+  } catch (error) {
+    console.error(`Error adding ${symbol} to watchlist ${id}:`, error);
+    throw error;
+  }
+};
+
+// Remove a symbol from a watchlist
+export const removeWatchlistSymbol = async (id, symbol) => {
+  try {
+    const response = await apiClient.delete(`/watchlists/${id}/symbols/${encodeURIComponent(symbol)}`);
+    return response.data;
+  } catch (error) {
+    console.error(`Error removing ${symbol} from watchlist ${id}:`, error);
+    throw error;
+  }
+};
+
+// Fetch portfolios
+export const fetchPortfolios = async () => {
+  try {
+    const response = await apiClient.get('/portfolios');
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching portfolios:', error);
+    throw error;
+  }
+};
+
+// Create a portfolio
+export const createPortfolio = async (name, costBasisMethod = 'fifo') => {
+  try {
+    const response = await apiClient.post('/portfolios', { name, costBasisMethod });
+    return response.data;
+  } catch (error) {
+    console.error(`Error creating portfolio ${name}:`, error);
+    throw error;
+  }
+};
+
+// Rename a portfolio ({ name }) and/or change its cost basis method ({ costBasisMethod })
+export const updatePortfolio = async (id, changes) => {
+  try {
+    const response = await apiClient.patch(`/portfolios/${id}`, changes);
+    return response.data;
+  } catch (error) {
+    console.error(`Error updating portfolio ${id}:`, error);
+    throw error;
+  }
+};
+
+// Delete a portfolio and its transactions
+export const deletePortfolio = async (id) => {
+  try {
+    await apiClient.delete(`/portfolios/${id}`);
+  } catch (error) {
+    console.error(`Error deleting portfolio ${id}:`, error);
+    throw error;
+  }
+};
+
+// Fetch a portfolio's transactions
+export const fetchPortfolioTransactions = async (id) => {
+  try {
+    const response = await apiClient.get(`/portfolios/${id}/transactions`);
+    return response.data;
+  } catch (error) {
+    console.error(`Error fetching transactions for portfolio ${id}:`, error);
+    throw error;
+  }
+};
+
+// Record a buy, sell, dividend, split, deposit or withdrawal
+export const addPortfolioTransaction = async (id, transaction) => {
+  try {
+    const response = await apiClient.post(`/portfolios/${id}/transactions`, transaction);
+    return response.data;
+  } catch (error) {
+    console.error(`Error recording transaction in portfolio ${id}:`, error);
+    throw error;
+  }
+};
+
+// Delete a transaction
+export const deletePortfolioTransaction = async (id, transactionId) => {
+  try {
+    await apiClient.delete(`/portfolios/${id}/transactions/${transactionId}`);
+  } catch (error) {
+    console.error(`Error deleting transaction ${transactionId}:`, error);
+    throw error;
+  }
+};
+
+// Fetch positions with realized and unrealized P&L
+export const fetchPortfolioHoldings = async (id) => {
+  try {
+    const response = await apiClient.get(`/portfolios/${id}/holdings`);
+    return response.data;
+  } catch (error) {
+    console.error(`Error fetching holdings for portfolio ${id}:`, error);
+    throw error;
+  }
+};
+
+// Fetch time- and money-weighted returns with the value history
+export const fetchPortfolioPerformance = async (id) => {
+  try {
+    const response = await apiClient.get(`/portfolios/${id}/performance`);
+    return response.data;
+  } catch (error) {
+    console.error(`Error fetching performance for portfolio ${id}:`, error);
+    throw error;
+  }
+};
+
+// Fetch the fields screens can filter and sort on
+export const fetchScreenerFields = async () => {
+  try {
+    const response = await apiClient.get('/screener/fields');
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching screener fields:', error);
+    throw error;
+  }
+};
+
+// Run a screen ({ filters, sort }) and fetch a page of its results
+export const runScreen = async (screen, { limit, offset } = {}) => {
+  try {
+    const response = await apiClient.post('/screener', { ...screen, limit, offset });
+    return response.data;
+  } catch (error) {
+    console.error('Error running screen:', error);
+    throw error;
+  }
+};
+
+// Fetch saved screens
+export const fetchScreens = async () => {
+  try {
+    const response = await apiClient.get('/screener/screens');
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching screens:', error);
+    throw error;
+  }
+};
+
+// Save a screen ({ name, description, filters, sort })
+export const createScreen = async (screen) => {
+  try {
+    const response = await apiClient.post('/screener/screens', screen);
+    return response.data;
+  } catch (error) {
+    console.error(`Error saving screen ${screen.name}:`, error);
+    throw error;
+  }
+};
+
+// Rename a saved screen or replace its filters and sort
+export const updateScreen = async (id, changes) => {
+  try {
+    const response = await apiClient.patch(`/screener/screens/${id}`, changes);
+    return response.data;
+  } catch (error) {
+    console.error(`Error updating screen ${id}:`, error);
+    throw error;
+  }
+};
+
+// Delete a saved screen
+export const deleteScreen = async (id) => {
+  try {
+    await apiClient.delete(`/screener/screens/${id}`);
+  } catch (error) {
+    console.error(`Error deleting screen ${id}:`, error);
+    throw error;
+  }
+};
+
 // Add request interceptor for potential auth
 apiClient.interceptors.request.use(
   (config) => {